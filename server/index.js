@@ -0,0 +1,104 @@
+import 'dotenv/config';
+import http from 'node:http';
+import { findSession, runWithSession } from '../src/database/auth.js';
+import { matchRoute } from './routes.js';
+
+// HTTP API server. Wraps the functions in src/database/operations.js behind
+// REST routes (see routes.js) so the database connection string stays on the
+// server. Requests authenticate with `Authorization: Bearer <session token>`.
+//
+//   node server/index.js    (PORT defaults to 3001)
+
+const PORT = Number(process.env.PORT) || 3001;
+const MAX_BODY_BYTES = 1024 * 1024;
+const ALLOWED_ORIGIN = process.env.ALLOWED_ORIGIN || '*';
+
+function send(res, status, body) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': ALLOWED_ORIGIN,
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Methods': 'GET, POST, PUT, PATCH, DELETE, OPTIONS'
+  });
+  res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+// HTTP status of an operation result: failures carry theirs (see
+// src/database/errors.js) and are bad requests otherwise
+function statusOf(result) {
+  return result.success ? 200 : result.status || 400;
+}
+
+function readBody(req, maxBytes = MAX_BODY_BYTES) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > maxBytes) {
+        reject(new Error('Request body too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      if (chunks.length === 0) return resolve({});
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+      } catch (error) {
+        reject(new Error('Request body is not valid JSON'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+function bearerToken(req) {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+  return match ? match[1] : null;
+}
+
+async function handle(req, res) {
+  if (req.method === 'OPTIONS') return send(res, 204);
+
+  const url = new URL(req.url, 'http://localhost');
+  const match = matchRoute(req.method, url.pathname);
+  if (!match) {
+    return send(res, 404, { success: false, data: null, message: `No route for ${req.method} ${url.pathname}` });
+  }
+
+  let body;
+  try {
+    body = await readBody(req, match.route.maxBodyBytes);
+  } catch (error) {
+    return send(res, 400, { success: false, data: null, message: error.message });
+  }
+
+  const request = { params: match.params, query: Object.fromEntries(url.searchParams), body };
+
+  if (match.route.public) {
+    const result = await match.route.handler(request);
+    return send(res, statusOf(result), result);
+  }
+
+  const session = await findSession(bearerToken(req));
+  if (!session.success) return send(res, 503, session);
+  if (!session.data) {
+    return send(res, 401, { success: false, data: null, message: 'Not signed in' });
+  }
+
+  const result = await runWithSession(session.data, () => match.route.handler(request));
+  send(res, statusOf(result), result);
+}
+
+const server = http.createServer((req, res) => {
+  handle(req, res).catch((error) => {
+    console.error('Unhandled API error:', error);
+    send(res, 500, { success: false, data: null, message: `Server error: ${error.message}` });
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`Inventory API listening on http://localhost:${PORT}`);
+});
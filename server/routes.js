@@ -0,0 +1,178 @@
+import * as ops from '../src/database/operations.js';
+import { MAX_ATTACHMENT_BYTES } from '../src/database/schema.js';
+import { checkConnection } from '../src/database/connection.js';
+import {
+  signUp,
+  signIn,
+  signOut,
+  getCurrentSession,
+  addOrganizationMember,
+  getOrganizationMembers,
+  updateMemberRole
+} from '../src/database/auth.js';
+
+// REST routes of the API server. Each route maps a method and path pattern to
+// a handler that receives ({ params, query, body }) and returns an
+// operations.js-style result ({ success, data, message }). `:name` segments are
+// parsed as integer ids. Routes marked `public` run without a session; all
+// others run inside the caller's session (see server/index.js). `maxBodyBytes`
+// raises the request body limit for a route.
+
+const route = (method, path, handler, options = {}) => ({ method, path, handler, ...options });
+
+const rangeOf = (query) => ({ from: query.from || undefined, to: query.to || undefined });
+const idOf = (value) => (/^\d+$/.test(value || '') ? Number(value) : undefined);
+
+// Failed result for a body without a required string field
+const missing = (field) => ({ success: false, data: null, message: `Missing field: ${field}`, status: 400 });
+const hasText = (value) => typeof value === 'string' && value.trim() !== '';
+
+export const routes = [
+  route('GET', '/api/health', async () => {
+    const result = await checkConnection();
+    return { success: result.connected, data: result, message: result.message };
+  }, { public: true }),
+
+  // Authentication
+  route('POST', '/api/auth/signup', ({ body }) => signUp(body), { public: true }),
+  route('POST', '/api/auth/signin', ({ body }) => signIn(body), { public: true }),
+  route('POST', '/api/auth/signout', () => signOut()),
+  route('GET', '/api/auth/session', async () => ({
+    success: true,
+    data: getCurrentSession(),
+    message: 'Session restored'
+  })),
+  route('GET', '/api/organization/members', () => getOrganizationMembers()),
+  route('POST', '/api/organization/members', ({ body }) => addOrganizationMember(body)),
+  route('PATCH', '/api/organization/members/:id', ({ params, body }) => updateMemberRole(params.id, body.role)),
+
+  // Items
+  route('GET', '/api/items', ({ query }) => ops.getAllItems(query.sortBy, query.sortOrder)),
+  route('GET', '/api/items/search', ({ query }) => ops.searchItems(query.q || '', query.sortBy, query.sortOrder)),
+  route('GET', '/api/items/reorder', () => ops.getItemsNeedingReorder()),
+  route('GET', '/api/items/on-hand', () => ops.getAllOnHandQuantities()),
+  route('GET', '/api/items/valuation', () => ops.getInventoryValuation()),
+  route('GET', '/api/items/expiring', ({ query }) => ops.getExpiringLots({ withinDays: query.days || undefined })),
+  route('POST', '/api/items', ({ body }) => (hasText(body.name) ? ops.addItem(body.name, body.baseUnit) : missing('name'))),
+  route('POST', '/api/items/with-purchase', ({ body }) => ops.addItemWithPurchase(body)),
+  route('GET', '/api/items/:id', ({ params }) => ops.getItemById(params.id)),
+  route('PATCH', '/api/items/:id', ({ params, body }) => (hasText(body.name) ? ops.updateItemName(params.id, body.name) : missing('name'))),
+  route('DELETE', '/api/items/:id', ({ params }) => ops.deleteItem(params.id)),
+  route('GET', '/api/items/:id/stats', ({ params }) => ops.getItemStats(params.id)),
+  route('GET', '/api/items/:id/on-hand', ({ params }) => ops.getOnHandQuantity(params.id)),
+  route('PUT', '/api/items/:id/base-unit', ({ params, body }) => ops.updateItemBaseUnit(params.id, body.baseUnit)),
+  route('PUT', '/api/items/:id/reorder-settings', ({ params, body }) => ops.updateItemReorderSettings(params.id, body)),
+  route('PUT', '/api/items/:id/info', ({ params, body }) => ops.updateItemInfo(params.id, body)),
+  route('PUT', '/api/items/:id/grouping', ({ params, body }) => ops.updateItemGrouping(params.id, {
+    categoryId: idOf(String(body.categoryId)) ?? null,
+    tags: body.tags
+  })),
+
+  // Categories (parentId null for top-level categories)
+  route('GET', '/api/categories', () => ops.getCategories()),
+  route('POST', '/api/categories', ({ body }) => ops.saveCategory({ name: body.name, parentId: idOf(String(body.parentId)) ?? null })),
+  route('PATCH', '/api/categories/:id', ({ params, body }) => ops.updateCategory(params.id, {
+    name: body.name,
+    parentId: body.parentId === undefined ? undefined : idOf(String(body.parentId)) ?? null
+  })),
+  route('DELETE', '/api/categories/:id', ({ params }) => ops.deleteCategory(params.id)),
+
+  // Locations
+  route('GET', '/api/locations', () => ops.getLocations()),
+  route('GET', '/api/locations/stock', () => ops.getStockByLocation()),
+  route('POST', '/api/locations', ({ body }) => ops.saveLocation(body)),
+  route('PATCH', '/api/locations/:id', ({ params, body }) => ops.updateLocation(params.id, body)),
+  route('DELETE', '/api/locations/:id', ({ params }) => ops.deleteLocation(params.id)),
+
+  // Purchases
+  route('POST', '/api/items/:id/purchases', ({ params, body }) => ops.addPurchase(params.id, body)),
+  route('PATCH', '/api/purchases/:id', ({ params, body }) => ops.updatePurchase(params.id, body)),
+  route('DELETE', '/api/purchases/:id', ({ params }) => ops.deletePurchase(params.id)),
+
+  // Purchase attachments (body: { fileName, contentType, data } with the file as base64)
+  route('POST', '/api/purchases/:id/attachments', ({ params, body }) => ops.addPurchaseAttachment(params.id, body), {
+    maxBodyBytes: Math.ceil(MAX_ATTACHMENT_BYTES * 4 / 3) + 64 * 1024
+  }),
+  route('GET', '/api/attachments/:id', ({ params }) => ops.getAttachment(params.id)),
+  route('DELETE', '/api/attachments/:id', ({ params }) => ops.deleteAttachment(params.id)),
+
+  // Stock movements
+  route('GET', '/api/items/:id/movements', ({ params }) => ops.getStockMovements(params.id)),
+  route('POST', '/api/items/:id/movements', ({ params, body }) => ops.recordStockMovement(params.id, body)),
+  route('DELETE', '/api/movements/:id', ({ params }) => ops.deleteStockMovement(params.id)),
+
+  // Suppliers
+  route('GET', '/api/suppliers', () => ops.getAllSuppliers()),
+  route('POST', '/api/suppliers', ({ body }) => ops.saveSupplier(body)),
+  route('GET', '/api/suppliers/:id', ({ params }) => ops.getSupplierById(params.id)),
+  route('PATCH', '/api/suppliers/:id', ({ params, body }) => ops.updateSupplier(params.id, body)),
+  route('DELETE', '/api/suppliers/:id', ({ params }) => ops.deleteSupplier(params.id)),
+
+  // Purchase orders
+  route('GET', '/api/purchase-orders', ({ query }) => ops.getPurchaseOrders({ openOnly: query.openOnly !== 'false' })),
+  route('POST', '/api/purchase-orders', ({ body }) => ops.createPurchaseOrder(body)),
+  route('PATCH', '/api/purchase-orders/:id', ({ params, body }) => ops.updatePurchaseOrder(params.id, body)),
+  route('POST', '/api/purchase-orders/:id/receive', ({ params, body }) => ops.receivePurchaseOrder(params.id, body)),
+  route('DELETE', '/api/purchase-orders/:id', ({ params }) => ops.deletePurchaseOrder(params.id)),
+
+  // Analytics
+  route('GET', '/api/analytics/spend', ({ query }) => ops.getSpendAnalytics(rangeOf(query))),
+  route('GET', '/api/analytics/spend-by-month', ({ query }) => ops.getSpendByMonth(rangeOf(query))),
+  route('GET', '/api/analytics/spend-by-item', ({ query }) => ops.getSpendByItem(rangeOf(query))),
+  route('GET', '/api/analytics/spend-by-supplier', ({ query }) => ops.getSpendBySupplier(rangeOf(query))),
+  route('GET', '/api/analytics/price-movers', ({ query }) => ops.getPriceMovers(rangeOf(query), Number(query.limit) || 10)),
+
+  // Budgets (body: { categoryId | itemId | supplierId, period, amount })
+  route('GET', '/api/budgets', () => ops.getBudgets()),
+  route('GET', '/api/budgets/report', ({ query }) => ops.getBudgetReport({ date: query.date || undefined })),
+  route('POST', '/api/budgets', ({ body }) => ops.saveBudget({
+    categoryId: idOf(String(body.categoryId)) ?? null,
+    itemId: idOf(String(body.itemId)) ?? null,
+    supplierId: idOf(String(body.supplierId)) ?? null,
+    period: body.period,
+    amount: body.amount
+  })),
+  route('DELETE', '/api/budgets/:id', ({ params }) => ops.deleteBudget(params.id)),
+
+  // Audit log
+  route('GET', '/api/audit-log', ({ query }) => ops.getAuditLog({
+    itemId: idOf(query.itemId),
+    entityType: query.entityType || undefined,
+    entityId: idOf(query.entityId),
+    limit: Math.min(Number(query.limit) || 100, 500)
+  })),
+
+  // Trash (body: { entityType, id })
+  route('GET', '/api/trash', () => ops.getTrash()),
+  route('POST', '/api/trash/restore', ({ body }) => ops.restoreFromTrash(body.entityType, idOf(String(body.id)))),
+  route('POST', '/api/trash/purge', ({ body }) => ops.purgeFromTrash(body.entityType, idOf(String(body.id))))
+];
+
+// Find the route for a request, returning it with its parsed path params.
+// Literal segments win over `:id` segments regardless of declaration order.
+export function matchRoute(method, pathname) {
+  const segments = pathname.replace(/\/+$/, '').split('/');
+  let best = null;
+
+  for (const candidate of routes) {
+    if (candidate.method !== method) continue;
+    const pattern = candidate.path.split('/');
+    if (pattern.length !== segments.length) continue;
+
+    const params = {};
+    let literals = 0;
+    const matches = pattern.every((part, i) => {
+      if (part.startsWith(':')) {
+        if (!/^\d+$/.test(segments[i])) return false;
+        params[part.slice(1)] = Number(segments[i]);
+        return true;
+      }
+      literals++;
+      return part === segments[i];
+    });
+
+    if (matches && (!best || literals > best.literals)) best = { route: candidate, params, literals };
+  }
+
+  return best;
+}
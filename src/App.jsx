@@ -6,21 +6,166 @@ Inventory Web App — Single-file React component
 How to run:
 1) Create a Vite React project (or CodeSandbox) and ensure Tailwind is configured.
 2) Replace App.jsx/App.tsx contents with this file.
-3) Start dev server. No backend required.
+3) Start the API server (npm run server) and the dev server (npm run dev). Without the API server the app still works offline from localStorage.
 
 Features included:
 - Add items and add purchase entries (date, qty, unit price, supplier)
 - Each item's purchases are stored and you can see "Last purchase" and price change
-- Search items, quick add purchase, export CSV/JSON, import CSV/JSON
+- Rename items and correct purchases (qty, price, supplier, date) in place
+- Units of measure: items count stock in a base unit; purchases can be made in other units (1 bag = 25 kg) and prices compare per base unit
+- Record stock movements (issue, consumption, return, write-off) and see on-hand quantity
+- Invoice/receipt attachments: PDF and image files on purchases, kept by the API server's storage backend (local disk by default) and shown as thumbnails and links in Purchase History
+- Budgets per month, quarter or year on an item, category or supplier: a budget vs actual view with burn-down, and warnings in the add-purchase forms when a purchase would go over a budget (see src/database/budgets.js)
+- Tax (GST) and currency per purchase: a tax rate, inclusive or on top of the price, and a currency with its exchange rate; spend is reported net, tax and gross in the base currency (INR)
+- Batch/lot codes and expiry dates on purchases, with an "Expiring" view of lots still in stock that expire within a configurable number of days
+- Locations (store rooms, warehouses): purchases record where goods were received, stock can be transferred between locations, and items show and filter by per-location quantities
+- Per-item reorder point and reorder quantity with a "Needs reorder" filter
+- SKU, barcode, description and key/value attributes per item; search and CSV import match on SKU too
+- Nested categories (Cleaning > Detergents) and free-form tags: filter or group the item list by them, with spend subtotals
+- Suppliers with contact details, purchase history, total spend and items supplied
+- Purchase orders (draft, sent, partially received, received); receiving creates the purchases
+- Price history chart per item (by supplier, with min/max/weighted average) and price-jump alerts
+- Sign-in with organizations: each team only sees its own data (see src/database/auth.js)
+- Roles (viewer, clerk, manager, admin): clerks record purchases and movements, managers edit, delete and import
+- Audit log of every change (who, when, before/after), shown per item in its details
+- Deleting moves records to the Trash (restore or delete forever); recent changes can be undone and redone (Ctrl+Z / Ctrl+Shift+Z)
+- All database access goes through the API server (server/index.js) via src/api/client.js
+- Spend dashboard: spend by month, item and supplier plus top price movers (queried from the database)
+- Inventory valuation: stock value per item and in total at weighted average cost and FIFO (see src/database/costing.js)
+- Search items by name, SKU or barcode, quick add purchase
+- Scan mode: read EAN/UPC/QR codes with the camera or from a photo (browsers with BarcodeDetector), or type them / use a USB scanner, to add a purchase or create the item, export CSV/JSON, import CSV/JSON
 - LocalStorage persistence and import/export JSON/CSV
+- Two-way sync with the database (see src/database/sync.js)
+- Offline-first outbox: adds/edits/deletes are queued and replayed when the database is reachable (see src/database/outbox.js)
 */
 
-import React, { useEffect, useMemo, useState } from "react";
+import React, { useEffect, useMemo, useRef, useState } from "react";
 import { v4 as uuidv4 } from "uuid";
-import { addItemWithPurchase } from "./database/operations.js";
-import { checkConnection } from "./database/connection.js";
+import { syncWithDatabase, toLocalAttachment } from "./database/sync.js";
+import {
+  checkConnection,
+  getSpendAnalytics,
+  getInventoryValuation,
+  signIn,
+  signUp,
+  signOut,
+  restoreSession,
+  setAuthToken,
+  addOrganizationMember,
+  getOrganizationMembers,
+  updateMemberRole,
+  getAuditLog,
+  getTrash,
+  restoreFromTrash,
+  purgeFromTrash,
+  addPurchaseAttachment,
+  getAttachment,
+  deleteAttachment,
+  getBudgets,
+  getBudgetReport,
+  saveBudget,
+  deleteBudget
+} from "./api/client.js";
+import { enqueue, replayOutbox, applyOutboxResult, dismissDeadLetter } from "./database/outbox.js";
+import { trashRecord, restoreRecord, purgeRecord, describeTrashEntry, queueDelete } from "./database/trash.js";
+import { weightedAverageCost, itemValuation, expiringLots } from "./database/costing.js";
+import { budgetDate, budgetPeriod, budgetPeriodLabel, budgetCovers } from "./database/budgets.js";
+import { addedChange, trashedChange, updatedChange, recordChange, takeUndo, takeRedo, withoutHistory } from "./database/history.js";
+import {
+  STOCK_MOVEMENT_TYPES,
+  USER_ROLES,
+  DEFAULT_BASE_UNIT,
+  hasPermission,
+  normalizeSupplierName,
+  supplierKey,
+  receivedOrderStatus,
+  normalizeUnit,
+  quantityError,
+  amountError,
+  recordDateError,
+  purchaseUnit,
+  baseQuantity,
+  basePrice,
+  CATEGORY_PATH_SEPARATOR,
+  normalizeCategoryName,
+  categoryPath,
+  categoryWithDescendants,
+  categoryWithAncestors,
+  normalizeTags,
+  normalizeSku,
+  normalizeBarcode,
+  parseAttributes,
+  formatAttributes,
+  normalizeLocationName,
+  onHandByLocation,
+  normalizeLotCode,
+  parseExpiryDate,
+  DEFAULT_EXPIRY_WARNING_DAYS,
+  BASE_CURRENCY,
+  normalizeCurrency,
+  purchasePricing,
+  purchasePricingError,
+  purchaseAmounts,
+  ATTACHMENT_CONTENT_TYPES,
+  MAX_ATTACHMENT_BYTES,
+  isImageAttachment,
+  BUDGET_PERIODS
+} from "./database/schema.js";
 
 const STORAGE_KEY = "inventoryApp.data";
+const SESSION_KEY = "inventoryApp.session";
+const CONNECTION_RETRY_INTERVAL = 30000;
+
+const ORDER_STATUS_LABELS = {
+  draft: "Draft",
+  sent: "Sent",
+  partially_received: "Partially received",
+  received: "Received",
+  cancelled: "Cancelled",
+};
+
+const OPEN_ORDER_STATUSES = ["draft", "sent", "partially_received"];
+
+// Price alerts compare the latest unit price with the qty-weighted average of
+// the purchases before it, looking back at most PRICE_TRAILING_WINDOW purchases
+const DEFAULT_PRICE_ALERT_PERCENT = 10;
+const PRICE_TRAILING_WINDOW = 5;
+
+const MOVEMENT_LABELS = {
+  issue: "Issue",
+  consumption: "Consumption",
+  return: "Return",
+  write_off: "Write-off",
+  transfer: "Transfer",
+};
+
+// Changes made in this browser are kept in state.auditLog (newest last);
+// the database keeps the full history of every user's changes
+const AUDIT_LOG_LIMIT = 1000;
+
+const AUDIT_ACTION_LABELS = {
+  create: "Added",
+  update: "Updated",
+  delete: "Deleted",
+  restore: "Restored",
+  purge: "Deleted forever",
+};
+
+const AUDIT_ENTITY_LABELS = {
+  item: "item",
+  purchase: "purchase",
+  stock_movement: "stock movement",
+  supplier: "supplier",
+  purchase_order: "purchase order",
+  category: "category",
+  attachment: "attachment",
+  budget: "budget",
+  location: "location",
+  data: "all data",
+};
+
+// Bookkeeping fields left out when comparing the before and after of an update
+const AUDIT_IGNORED_FIELDS = ["id", "serverId", "createdAt", "updatedAt", "deletedAt", "clientKey", "purchases", "movements", "stockMovements", "lines", "supplier"];
 
 function formatDateISO(d) {
   if (!d) return "";
@@ -28,42 +173,472 @@ function formatDateISO(d) {
   return dt.toLocaleDateString();
 }
 
-function loadData() {
+// Amount with its currency symbol, e.g. ₹1,250.00 (base currency by default)
+function formatMoney(amount, currency) {
+  return new Intl.NumberFormat(undefined, { style: "currency", currency: currency || BASE_CURRENCY }).format(Number(amount) || 0);
+}
+
+// Form values for a purchase's currency and tax (blank for the base currency and no tax)
+function pricingForm(purchase) {
+  return {
+    currency: purchase?.currency && purchase.currency !== BASE_CURRENCY ? purchase.currency : "",
+    exchangeRate: purchase?.exchangeRate ?? 1,
+    taxRate: Number(purchase?.taxRate) ? purchase.taxRate : "",
+    taxInclusive: Boolean(purchase?.taxInclusive)
+  };
+}
+
+// Content of a File as base64 (without the data: URL prefix)
+function readFileAsBase64(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(String(reader.result).split(",")[1] || "");
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+  });
+}
+
+// Short description of a purchase's tax, e.g. "incl. 18% tax" (empty without tax)
+function taxLabel(purchase) {
+  const rate = Number(purchase.taxRate) || 0;
+  if (rate === 0) return "";
+  return purchase.taxInclusive ? `incl. ${rate}% tax` : `+ ${rate}% tax`;
+}
+
+// Local data is kept per organization. Data saved before sign-in existed
+// (under the bare STORAGE_KEY) is moved to the first organization that loads.
+function storageKeyFor(session) {
+  return `${STORAGE_KEY}.${session.organization.id}`;
+}
+
+function loadData(storageKey) {
   try {
-    const raw = localStorage.getItem(STORAGE_KEY);
-    if (!raw) return { items: [] };
-    return JSON.parse(raw);
+    let raw = localStorage.getItem(storageKey);
+    if (!raw && localStorage.getItem(STORAGE_KEY)) {
+      raw = localStorage.getItem(STORAGE_KEY);
+      localStorage.setItem(storageKey, raw);
+      localStorage.removeItem(STORAGE_KEY);
+    }
+    if (!raw) return { items: [], suppliers: [] };
+    return migrateSuppliers(JSON.parse(raw));
   } catch (e) {
     console.error("loadData", e);
-    return { items: [] };
+    return { items: [], suppliers: [] };
+  }
+}
+
+// Find the supplier matching a name (by normalized key) or add a new one
+function attachSupplier(suppliers, name) {
+  const normalized = normalizeSupplierName(name);
+  if (!normalized) return { suppliers, supplier: null };
+  const existing = suppliers.find((sup) => supplierKey(sup.name) === supplierKey(normalized));
+  if (existing) return { suppliers, supplier: existing };
+  const supplier = {
+    id: uuidv4(),
+    name: normalized,
+    contactName: "",
+    email: "",
+    phone: "",
+    address: "",
+    notes: "",
+    updatedAt: new Date().toISOString()
+  };
+  return { suppliers: [...suppliers, supplier], supplier };
+}
+
+// Data saved before suppliers existed only has free-text names on purchases:
+// create one supplier per normalized name and link the purchases to it
+function migrateSuppliers(state) {
+  if (Array.isArray(state.suppliers)) return state;
+  let suppliers = [];
+  const items = (state.items || []).map((it) => ({
+    ...it,
+    purchases: (it.purchases || []).map((p) => {
+      const attached = attachSupplier(suppliers, p.supplier);
+      suppliers = attached.suppliers;
+      return { ...p, supplier: attached.supplier?.name || "", supplierId: attached.supplier?.id || null };
+    })
+  }));
+  return { ...state, items, suppliers };
+}
+
+// Percentage the latest price sits above its trailing average (purchases sorted newest first)
+function priceJumpPercent(sorted) {
+  if (sorted.length < 2) return null;
+  const trailing = weightedAverageCost(sorted.slice(1, PRICE_TRAILING_WINDOW + 1));
+  if (!trailing) return null;
+  return ((basePrice(sorted[0]) - trailing) / trailing) * 100;
+}
+
+// Build a local purchase record of an item counted in baseUnit, linking it to
+// a (possibly new) supplier
+function createPurchase(suppliers, { qty, unitPrice, unit, unitFactor, supplier, date, locationId, lotCode, expiryDate, currency, exchangeRate, taxRate, taxInclusive }, baseUnit) {
+  const attached = attachSupplier(suppliers, supplier);
+  return {
+    suppliers: attached.suppliers,
+    purchase: {
+      id: uuidv4(),
+      date: date || new Date().toISOString(),
+      qty: Number(qty) || 0,
+      unitPrice: Number(unitPrice) || 0,
+      ...purchaseUnit({ unit, unitFactor }, baseUnit),
+      supplier: attached.supplier?.name || "",
+      supplierId: attached.supplier?.id || null,
+      locationId: locationId || null,
+      lotCode: normalizeLotCode(lotCode),
+      expiryDate: expiryDate || null,
+      ...purchasePricing({ currency, exchangeRate, taxRate, taxInclusive })
+    }
+  };
+}
+
+// Unit an item is counted in (items saved before units existed have none)
+function baseUnitOf(item) {
+  return item?.baseUnit || DEFAULT_BASE_UNIT;
+}
+
+// Unit a purchase of an item was bought in
+function purchaseUnitName(purchase, item) {
+  return purchase.unit || baseUnitOf(item);
+}
+
+// Why an item cannot take a name, or null. Names are unique, trashed items included.
+function itemNameConflict(state, itemId, name) {
+  const key = name.trim().toLowerCase();
+  const existing = state.items.find((it) => it.id !== itemId && it.name.toLowerCase() === key);
+  if (existing) return `An item named ${existing.name} already exists`;
+  const trashed = (state.trash || []).find((t) => t.entityType === 'item' && t.record.id !== itemId && t.record.name.toLowerCase() === key);
+  return trashed ? `"${trashed.record.name}" is in the trash. Restore it or delete it forever first.` : null;
+}
+
+// Why an item cannot take a SKU or barcode, or null. Like names, they are
+// unique, trashed items included.
+function itemCodeConflict(state, itemId, { sku, barcode }) {
+  const records = [
+    ...state.items,
+    ...(state.trash || []).filter((t) => t.entityType === 'item').map((t) => ({ ...t.record, trashed: true }))
+  ].filter((it) => it.id !== itemId);
+  const owner = (it) => it.trashed ? `${it.name}, which is in the trash` : it.name;
+  const bySku = sku && records.find((it) => it.sku === sku);
+  if (bySku) return `SKU ${sku} is already used by ${owner(bySku)}`;
+  const byBarcode = barcode && records.find((it) => it.barcode === barcode);
+  return byBarcode ? `Barcode ${barcode} is already used by ${owner(byBarcode)}` : null;
+}
+
+// The item a purchase goes to: the one with its SKU, else the one with its name
+// (ignoring case) unless that item has a different SKU
+function matchItem(items, name, sku) {
+  const key = name.trim().toLowerCase();
+  return (sku && items.find((it) => it.sku === sku))
+    || items.find((it) => it.name.toLowerCase() === key && !(sku && it.sku))
+    || null;
+}
+
+// An item's SKU, barcode, description and attributes
+function itemInfo(item) {
+  return {
+    sku: item.sku ?? null,
+    barcode: item.barcode ?? null,
+    description: item.description ?? null,
+    attributes: item.attributes || {}
+  };
+}
+
+// Whether an item's name, SKU or barcode contains the search text
+function itemMatchesSearch(item, text) {
+  const needle = text.trim().toLowerCase();
+  return [item.name, item.sku, item.barcode].some((value) => (value || "").toLowerCase().includes(needle));
+}
+
+// Categories as select options with their full path, sorted by path
+function categoryOptions(categories) {
+  return categories
+    .map((c) => {
+      const path = categoryPath(categories, c.id);
+      return { id: c.id, path: path.join(CATEGORY_PATH_SEPARATOR), depth: path.length };
+    })
+    .sort((a, b) => a.path.localeCompare(b.path));
+}
+
+// Why a category (null for a new one) cannot be named `name` under parentId,
+// or null. Mirrors the checks the database makes.
+function categoryNameConflict(categories, categoryId, name, parentId) {
+  if (categoryId != null && parentId != null && categoryWithDescendants(categories, categoryId).has(parentId)) {
+    return "A category cannot be moved under itself";
+  }
+  const sibling = categories.find((c) => c.id !== categoryId
+    && (c.parentId ?? null) === (parentId ?? null)
+    && c.name.toLowerCase() === name.toLowerCase());
+  return sibling ? `A category named ${categoryPath(categories, sibling.id).join(CATEGORY_PATH_SEPARATOR)} already exists` : null;
+}
+
+// Find the category at a path such as "Cleaning > Detergents", adding the
+// missing ones. Returns the categories, the category's id (null for a blank
+// path) and the categories that were added.
+function attachCategoryPath(categories, path) {
+  const names = String(path || "").split(CATEGORY_PATH_SEPARATOR.trim()).map(normalizeCategoryName).filter(Boolean);
+  let list = categories;
+  let parentId = null;
+  const added = [];
+  for (const name of names) {
+    let category = list.find((c) => (c.parentId ?? null) === parentId && c.name.toLowerCase() === name.toLowerCase());
+    if (!category) {
+      category = { id: uuidv4(), name, parentId, updatedAt: new Date().toISOString() };
+      list = [...list, category];
+      added.push(category);
+    }
+    parentId = category.id;
+  }
+  return { categories: list, categoryId: parentId, added };
+}
+
+// Find the location with a name (ignoring case) or add it. Returns the
+// locations, the location (null for a blank name) and whether it was added.
+function attachLocation(locations, name) {
+  const locationName = normalizeLocationName(name);
+  if (!locationName) return { locations, location: null, added: false };
+  const existing = locations.find((l) => l.name.toLowerCase() === locationName.toLowerCase());
+  if (existing) return { locations, location: existing, added: false };
+  const location = { id: uuidv4(), name: locationName, updatedAt: new Date().toISOString() };
+  return { locations: [...locations, location], location, added: true };
+}
+
+// Name of a location, "Unassigned" for stock without one
+function locationName(locations, locationId) {
+  return locations.find((l) => l.id === locationId)?.name || "Unassigned";
+}
+
+// On-hand quantity of an item per location id (null for unassigned). Records
+// restored from the trash may point at a deleted location; they count as unassigned.
+function stockByLocation(item, locations) {
+  const stock = new Map();
+  for (const [locationId, qty] of onHandByLocation(item.purchases || [], item.movements || [])) {
+    const key = locations.some((l) => l.id === locationId) ? locationId : null;
+    stock.set(key, (stock.get(key) || 0) + qty);
+  }
+  return stock;
+}
+
+// Split items into titled groups with spend subtotals. Category groups follow
+// the category tree and a category's subtotal includes its subcategories;
+// items with several tags appear under each of them.
+function groupItems(items, groupBy, categories) {
+  const spent = (list) => list.reduce((sum, it) => sum + it.totalSpent, 0);
+  let groups;
+  let rest;
+  if (groupBy === "category") {
+    groups = categoryOptions(categories).map((option) => {
+      const ids = categoryWithDescendants(categories, option.id);
+      const nested = items.filter((it) => ids.has(it.categoryId));
+      return {
+        key: option.id,
+        title: option.path,
+        depth: option.depth,
+        items: items.filter((it) => it.categoryId === option.id),
+        subtotal: spent(nested),
+        nestedCount: nested.length
+      };
+    }).filter((g) => g.nestedCount > 0);
+    rest = { key: "none", title: "Uncategorized", items: items.filter((it) => it.categoryId == null) };
+  } else if (groupBy === "tag") {
+    groups = [...new Set(items.flatMap((it) => it.tags))].sort().map((tag) => {
+      const tagged = items.filter((it) => it.tags.includes(tag));
+      return { key: tag, title: `#${tag}`, depth: 1, items: tagged, subtotal: spent(tagged), nestedCount: tagged.length };
+    });
+    rest = { key: "none", title: "Untagged", items: items.filter((it) => it.tags.length === 0) };
+  } else {
+    return [{ key: "all", title: null, items }];
   }
+  if (rest.items.length > 0) groups.push({ ...rest, depth: 1, subtotal: spent(rest.items), nestedCount: rest.items.length });
+  return groups;
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Whole days from today until an expiry date (negative once it has passed)
+function daysUntil(expiryDate) {
+  const today = new Date(new Date().toISOString().slice(0, 10));
+  return Math.round((new Date(expiryDate) - today) / DAY_MS);
+}
+
+// Value for a date input (YYYY-MM-DD) from a stored date
+function dateInputValue(d) {
+  const dt = new Date(d);
+  return isNaN(dt.getTime()) ? "" : dt.toISOString().slice(0, 10);
+}
+
+// Append a change to the local audit log, keeping the newest AUDIT_LOG_LIMIT entries.
+// Entries have the same shape as the database's audit_log rows.
+function appendAudit(log, user, action, entityType, { entityId = null, itemId = null, before = null, after = null }) {
+  const entry = {
+    id: uuidv4(),
+    createdAt: new Date().toISOString(),
+    user: { id: user.id, email: user.email, name: user.name },
+    action,
+    entityType,
+    entityId,
+    itemId,
+    before,
+    after
+  };
+  return [...(log || []), entry].slice(-AUDIT_LOG_LIMIT);
+}
+
+// An item's own fields, without its purchases and movements
+function itemFields({ purchases, movements, ...fields }) {
+  return fields;
+}
+
+// A supplier's editable fields
+function supplierFields(supplier) {
+  return Object.fromEntries(Object.keys(EMPTY_SUPPLIER).map((key) => [key, supplier[key] ?? ""]));
+}
+
+// Counts recorded when the whole data set is replaced or cleared
+function dataSummary(s) {
+  return {
+    items: (s.items || []).length,
+    categories: (s.categories || []).length,
+    locations: (s.locations || []).length,
+    suppliers: (s.suppliers || []).length,
+    orders: (s.orders || []).length
+  };
+}
+
+// What "Clear All" empties and undoing it puts back. Settings, the outbox and
+// the audit log are kept.
+const EMPTY_DATA = { items: [], categories: [], locations: [], suppliers: [], orders: [], trash: [], lastSyncedAt: null };
+
+function dataSnapshot(s) {
+  return {
+    items: s.items || [],
+    categories: s.categories || [],
+    locations: s.locations || [],
+    suppliers: s.suppliers || [],
+    orders: s.orders || [],
+    trash: s.trash || [],
+    lastSyncedAt: s.lastSyncedAt ?? null
+  };
 }
 
-function saveData(state) {
-  localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+// On-hand (in the base unit) = purchased qty adjusted by each movement's
+// direction (transfers only move stock between locations)
+function computeOnHand(item) {
+  const purchased = (item.purchases || []).reduce((sum, p) => sum + baseQuantity(p), 0);
+  return (item.movements || []).reduce(
+    (sum, m) => sum + (STOCK_MOVEMENT_TYPES[m.type] || 0) * (Number(m.qty) || 0),
+    purchased
+  );
+}
+
+function saveData(storageKey, state) {
+  localStorage.setItem(storageKey, JSON.stringify(withoutHistory(state)));
+}
+
+function loadSession() {
+  try {
+    const session = JSON.parse(localStorage.getItem(SESSION_KEY));
+    return session && new Date(session.expiresAt) > new Date() ? session : null;
+  } catch (e) {
+    return null;
+  }
 }
 
+// Signs the user in, then shows their organization's inventory. A stored
+// session is used straight away so the app still works offline; it is checked
+// against the API server once that is reachable.
 export default function App() {
-  const [state, setState] = useState(() => loadData());
+  const [session, setSessionState] = useState(() => {
+    const stored = loadSession();
+    setAuthToken(stored?.token);
+    return stored;
+  });
+
+  useEffect(() => {
+    if (!session) return;
+    let cancelled = false;
+    restoreSession(session.token).then((result) => {
+      if (cancelled || !result.success) return;
+      // Refresh the stored session so role changes made by an admin take effect
+      if (result.data) handleSignedIn(result.data);
+      else handleSignedOut();
+    });
+    return () => { cancelled = true; };
+  }, [session?.token]);
+
+  function handleSignedIn(newSession) {
+    localStorage.setItem(SESSION_KEY, JSON.stringify(newSession));
+    setAuthToken(newSession.token);
+    setSessionState(newSession);
+  }
+
+  function handleSignedOut() {
+    localStorage.removeItem(SESSION_KEY);
+    setAuthToken(null);
+    setSessionState(null);
+  }
+
+  async function handleSignOut() {
+    await signOut();
+    handleSignedOut();
+  }
+
+  if (!session) return <LoginView onSignedIn={handleSignedIn} />;
+
+  return (
+    <Inventory
+      key={session.organization.id}
+      session={session}
+      storageKey={storageKeyFor(session)}
+      onSignOut={handleSignOut}
+    />
+  );
+}
+
+function Inventory({ session, storageKey, onSignOut }) {
+  const [state, setState] = useState(() => loadData(storageKey));
   const [filter, setFilter] = useState("");
   const [selectedItemId, setSelectedItemId] = useState(null);
   const [showNewItemForm, setShowNewItemForm] = useState(false);
+  const [showScanner, setShowScanner] = useState(false);
   const [notification, setNotification] = useState({ show: false, message: '', type: 'success' });
   const [isLoading, setIsLoading] = useState(false);
   const [sortBy, setSortBy] = useState("name"); // "name" or "date"
   const [sortOrder, setSortOrder] = useState("asc"); // "asc" or "desc"
+  const [stockFilter, setStockFilter] = useState("all"); // "all", "reorder" or "price_alert"
+  const [categoryFilter, setCategoryFilter] = useState("all"); // "all", "none" or a category id (subcategories included)
+  const [tagFilter, setTagFilter] = useState("all"); // "all" or a tag
+  const [groupBy, setGroupBy] = useState("none"); // "none", "category" or "tag"
+  const [showCategories, setShowCategories] = useState(false);
+  const [locationFilter, setLocationFilter] = useState("all"); // "all", "none" (unassigned) or a location id with stock
+  const [showLocations, setShowLocations] = useState(false);
+  const [view, setView] = useState("items"); // "items", "suppliers", "orders", "dashboard", "valuation", "budgets", "expiring", "team" or "trash"
   const [isSyncingToDatabase, setIsSyncingToDatabase] = useState(false);
   const [databaseStatus, setDatabaseStatus] = useState({ checked: false, connected: false });
+  const [syncSummary, setSyncSummary] = useState(null);
+  const [isReplaying, setIsReplaying] = useState(false);
+  const [showOutbox, setShowOutbox] = useState(false);
+  const stateRef = useRef(state);
+  const outbox = state.outbox || [];
+  const deadLetters = state.deadLetters || [];
 
   // New item form
   const [newName, setNewName] = useState("");
   const [newSupplier, setNewSupplier] = useState("");
+  const [newBaseUnit, setNewBaseUnit] = useState("");
+  const [newSku, setNewSku] = useState("");
+  const [newBarcode, setNewBarcode] = useState("");
   const [newQty, setNewQty] = useState(1);
   const [newPrice, setNewPrice] = useState(0);
   const [newDate, setNewDate] = useState(() => new Date().toISOString().slice(0, 10));
+  const [newLocationId, setNewLocationId] = useState("");
+  const [newLotCode, setNewLotCode] = useState("");
+  const [newExpiryDate, setNewExpiryDate] = useState("");
+  const [newPricing, setNewPricing] = useState(() => pricingForm(null));
 
   useEffect(() => {
-    saveData(state);
+    saveData(storageKey, state);
+    stateRef.current = state;
   }, [state]);
 
   // Check database connection on component mount
@@ -71,6 +646,56 @@ export default function App() {
     checkDatabaseConnection();
   }, []);
 
+  // While offline, re-check the connection periodically and when the browser comes back online
+  useEffect(() => {
+    if (!databaseStatus.checked || databaseStatus.connected) return;
+    const timer = setInterval(checkDatabaseConnection, CONNECTION_RETRY_INTERVAL);
+    window.addEventListener('online', checkDatabaseConnection);
+    return () => {
+      clearInterval(timer);
+      window.removeEventListener('online', checkDatabaseConnection);
+    };
+  }, [databaseStatus]);
+
+  // Replay the outbox whenever the database is reachable and something is pending.
+  // Failed entries schedule another attempt when their backoff expires.
+  useEffect(() => {
+    if (!databaseStatus.connected || isReplaying || isSyncingToDatabase || outbox.length === 0) return;
+    const nextAttemptAt = outbox[0].nextAttemptAt ? new Date(outbox[0].nextAttemptAt).getTime() : 0;
+    const timer = setTimeout(() => flushOutbox(), Math.max(nextAttemptAt - Date.now(), 0));
+    return () => clearTimeout(timer);
+  }, [databaseStatus.connected, isReplaying, isSyncingToDatabase, outbox]);
+
+  // Budgets live in the database. state.budgets caches them (with database ids)
+  // so the add-purchase forms can warn about them offline too.
+  useEffect(() => {
+    if (!databaseStatus.connected) return;
+    let cancelled = false;
+    getBudgets().then((result) => {
+      if (!cancelled && result.success) setBudgets(result.data);
+    });
+    return () => { cancelled = true; };
+  }, [databaseStatus.connected]);
+
+  function setBudgets(budgets) {
+    setState((s) => ({ ...s, budgets }));
+  }
+
+  // Ctrl+Z undoes and Ctrl+Shift+Z or Ctrl+Y redoes, except while typing in a field
+  const stepHistoryRef = useRef(stepHistory);
+  stepHistoryRef.current = stepHistory;
+  useEffect(() => {
+    function onKeyDown(e) {
+      if (!(e.ctrlKey || e.metaKey) || e.target.closest?.("input, textarea, select")) return;
+      const key = e.key.toLowerCase();
+      if (key !== "z" && key !== "y") return;
+      e.preventDefault();
+      stepHistoryRef.current(key === "y" || e.shiftKey ? "redo" : "undo");
+    }
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, []);
+
   // Check database connection status
   async function checkDatabaseConnection() {
     try {
@@ -81,6 +706,43 @@ export default function App() {
     }
   }
 
+  async function flushOutbox(force = false) {
+    setIsReplaying(true);
+    try {
+      const result = await replayOutbox(stateRef.current, {
+        force,
+        onResult: (entry, outcome) => setState((s) => applyOutboxResult(s, entry, outcome))
+      });
+      if (result.deadLettered.length > 0) {
+        showNotification(
+          result.deadLettered.length === 1
+            ? `${result.deadLettered[0].entry.label} could not be saved: ${result.deadLettered[0].message}`
+            : `${result.deadLettered.length} changes could not be saved. See the failed changes for why.`,
+          'error',
+          5000
+        );
+      }
+      if (result.failed) {
+        // A failing operation may mean the connection dropped again
+        await checkDatabaseConnection();
+        if (force) showNotification(`${result.failed.entry.label}: ${result.failed.message}`, 'error', 5000);
+      } else if (force && result.processed > 0) {
+        showNotification(`Pushed ${result.processed} pending changes`, 'success');
+      }
+    } finally {
+      setIsReplaying(false);
+    }
+  }
+
+  function discardOutboxEntry(entryId) {
+    if (!window.confirm("Discard this pending change? It will not be sent to the database.")) return;
+    setState((s) => ({ ...s, outbox: (s.outbox || []).filter((e) => e.id !== entryId) }));
+  }
+
+  function dismissFailedChange(entryId) {
+    setState((s) => dismissDeadLetter(s, entryId));
+  }
+
   // Notification helper
   const showNotification = (message, type = 'success', duration = 3000) => {
     setNotification({ show: true, message, type });
@@ -90,34 +752,223 @@ export default function App() {
   };
 
   // Validation helpers
+  // Record a local change in the audit log as made by the signed-in user
+  const audit = (log, action, entityType, details) => appendAudit(log, session.user, action, entityType, details);
+
+  // Audit the suppliers that naming one on a purchase or order added
+  const auditNewSuppliers = (log, before, after) => after
+    .filter((sup) => !before.some((b) => b.id === sup.id))
+    .reduce((l, sup) => audit(l, 'create', 'supplier', { entityId: sup.id, after: sup }), log);
+
+  // Actions the signed-in user's role allows (the server enforces the same permissions)
+  const can = (permission) => hasPermission(session.user.role, permission);
+
+  // Check a permission before a local change, telling the user when it is missing
+  function allowed(permission) {
+    if (can(permission)) return true;
+    showNotification(`Your role (${session.user.role || 'none'}) does not allow this`, 'error');
+    return false;
+  }
+
+  // Add an undoable change (see history.js) to the state an action produced
+  const remember = (s, next, change) => next === s ? s : { ...next, undoHistory: recordChange(s.undoHistory, change) };
+
+  // Move a record to the trash, recording the delete in the audit log
+  function moveToTrash(s, entityType, id) {
+    const { state: next, entry } = trashRecord(s, entityType, id);
+    if (!entry) return s;
+    return { ...next, auditLog: audit(s.auditLog, 'delete', entityType, { entityId: id, itemId: entry.itemId, before: entry.record }) };
+  }
+
+  // Bring a record back from the trash, recording the restore in the audit log.
+  // Returns the state unchanged with an error when it cannot come back yet.
+  function takeFromTrash(s, entityType, id) {
+    const { state: next, entry, error } = restoreRecord(s, entityType, id);
+    if (!entry || error) return { state: s, error };
+    return {
+      state: { ...next, auditLog: audit(s.auditLog, 'restore', entityType, { entityId: id, itemId: entry.itemId, after: entry.record }) },
+      error: null
+    };
+  }
+
+  // Swap in a snapshot of the data (undoing and redoing "Clear All")
+  function replaceData(s, data) {
+    return { ...s, ...data, auditLog: audit(s.auditLog, 'update', 'data', { before: dataSummary(s), after: dataSummary(data) }) };
+  }
+
+  // Apply undo/redo commands to a state, stopping at the first that fails
+  function runCommands(s, commands) {
+    let next = s;
+    for (const command of commands) {
+      const { type, entityType, id, fields } = command;
+      if (type === 'trash') next = moveToTrash(next, entityType, id);
+      if (type === 'replace') next = replaceData(next, command.data);
+      if (type === 'update' && entityType === 'item' && fields.name !== undefined) {
+        const conflict = itemNameConflict(next, id, fields.name);
+        if (conflict) return { state: s, error: conflict };
+        next = applyItemDetails(next, id, fields);
+      } else if (type === 'update' && entityType === 'item' && fields.tags !== undefined) {
+        if (fields.categoryId != null && !(next.categories || []).some((c) => c.id === fields.categoryId)) {
+          return { state: s, error: 'Its category has been deleted' };
+        }
+        next = applyItemGrouping(next, id, fields);
+      } else if (type === 'update' && entityType === 'item' && fields.sku !== undefined) {
+        const conflict = itemCodeConflict(next, id, fields);
+        if (conflict) return { state: s, error: conflict };
+        next = applyItemInfo(next, id, fields);
+      } else if (type === 'update' && entityType === 'item') {
+        next = applyReorderSettings(next, id, fields);
+      }
+      if (type === 'update' && entityType === 'purchase') {
+        if (fields.locationId != null && !(next.locations || []).some((l) => l.id === fields.locationId)) {
+          return { state: s, error: 'Its location has been deleted' };
+        }
+        next = applyPurchaseChanges(next, id, fields);
+      }
+      if (type === 'update' && entityType === 'supplier') next = applySupplierDetails(next, id, fields);
+      if (type === 'update' && entityType === 'purchase_order') next = applyOrderStatus(next, id, fields.status);
+      if (type === 'restore') {
+        const result = takeFromTrash(next, entityType, id);
+        if (result.error) return { state: s, error: result.error };
+        next = result.state;
+      }
+    }
+    return { state: next, error: null };
+  }
+
+  // Undo the latest change of this session, or redo the latest undone one
+  function stepHistory(direction) {
+    const take = direction === 'undo' ? takeUndo : takeRedo;
+    const step = take(state.undoHistory);
+    if (!step || !allowed('manage')) return;
+    const check = runCommands(state, step.change[direction]);
+    if (check.error) {
+      showNotification(`Cannot ${direction} "${step.change.label}": ${check.error}`, 'error', 5000);
+      return;
+    }
+    setState((s) => {
+      const current = take(s.undoHistory);
+      if (!current) return s;
+      const result = runCommands(s, current.change[direction]);
+      return result.error ? s : { ...result.state, undoHistory: current.history };
+    });
+    showNotification(`${direction === 'undo' ? 'Undid' : 'Redid'}: ${step.change.label}`, 'success');
+  }
+
   const validateItemName = (name) => {
     if (!name || !name.trim()) return "Item name is required";
     if (name.trim().length < 2) return "Item name must be at least 2 characters";
     return null;
   };
 
-  const validateNumber = (value, fieldName) => {
-    const num = Number(value);
-    if (isNaN(num) || num < 0) return `${fieldName} must be a positive number`;
+  // A purchase unit other than the base unit needs a positive conversion
+  const validateUnit = ({ unit, unitFactor }, baseUnit) => {
+    const fields = purchaseUnit({ unit, unitFactor }, baseUnit);
+    if (fields.unit && !(fields.unitFactor > 0)) return `${baseUnit} per ${fields.unit} must be a positive number`;
     return null;
   };
 
-  const validateDate = (date) => {
-    if (!date) return "Date is required";
-    const dateObj = new Date(date);
-    if (isNaN(dateObj.getTime())) return "Invalid date format";
-    return null;
-  };
+  // The expiry date of a purchase is optional
+  const validateExpiry = (expiryDate) => parseExpiryDate(expiryDate) === undefined ? "Invalid expiry date" : null;
+
+  const validatePricing = (pricing) => purchasePricingError(purchasePricing(pricing));
+
+  const priceAlertPercent = state.settings?.priceAlertPercent ?? DEFAULT_PRICE_ALERT_PERCENT;
+
+  function setPriceAlertPercent(value) {
+    const percent = value === "" ? DEFAULT_PRICE_ALERT_PERCENT : Number(value);
+    if (isNaN(percent) || percent < 0) return;
+    setState((s) => ({ ...s, settings: { ...s.settings, priceAlertPercent: percent } }));
+  }
+
+  const expiryWarningDays = state.settings?.expiryWarningDays ?? DEFAULT_EXPIRY_WARNING_DAYS;
+
+  function setExpiryWarningDays(value) {
+    const days = value === "" ? DEFAULT_EXPIRY_WARNING_DAYS : Number(value);
+    if (!Number.isInteger(days) || days < 0) return;
+    setState((s) => ({ ...s, settings: { ...s.settings, expiryWarningDays: days } }));
+  }
+
+  const categoryList = useMemo(() => categoryOptions(state.categories || []), [state.categories]);
+  const locationList = useMemo(() => [...(state.locations || [])].sort((a, b) => a.name.localeCompare(b.name)), [state.locations]);
+
+  // Local purchases each budget covers ([{ time, net }] by budget id). Purchases
+  // not synced from other devices yet are missing, so warnings can be late.
+  const budgetedPurchases = useMemo(() => {
+    const budgets = state.budgets || [];
+    const byBudget = new Map(budgets.map((b) => [b.id, []]));
+    if (budgets.length === 0) return byBudget;
+    const categoryServerIds = new Map((state.categories || []).map((c) => [c.id, c.serverId]));
+    const supplierServerIds = new Map((state.suppliers || []).map((sup) => [sup.id, sup.serverId]));
+    for (const it of state.items) {
+      const categoryIds = categoryWithAncestors(state.categories || [], it.categoryId)
+        .map((id) => categoryServerIds.get(id))
+        .filter((id) => id != null);
+      for (const p of it.purchases || []) {
+        const target = { itemId: it.serverId ?? null, supplierId: supplierServerIds.get(p.supplierId) ?? null, categoryIds };
+        for (const budget of budgets) {
+          if (budgetCovers(budget, target)) byBudget.get(budget.id).push({ time: budgetDate(p.date).getTime(), net: purchaseAmounts(p).net });
+        }
+      }
+    }
+    return byBudget;
+  }, [state.budgets, state.items, state.categories, state.suppliers]);
+
+  // Warning for a new purchase of `item` (null for a new item) that would take
+  // budgets over their amount for its period, or null
+  function budgetWarning(item, { qty, unitPrice, supplier, date, ...pricing }) {
+    const budgets = state.budgets || [];
+    const net = purchaseAmounts({ qty, unitPrice, ...purchasePricing(pricing) }).net;
+    if (budgets.length === 0 || !(net > 0)) return null;
+    const supplierRecord = (state.suppliers || []).find((sup) => supplier && supplierKey(sup.name) === supplierKey(supplier));
+    const target = {
+      itemId: item?.serverId ?? null,
+      supplierId: supplierRecord?.serverId ?? null,
+      categoryIds: categoryWithAncestors(state.categories || [], item?.categoryId)
+        .map((id) => (state.categories || []).find((c) => c.id === id)?.serverId)
+        .filter((id) => id != null)
+    };
+    const over = budgets
+      .filter((budget) => budgetCovers(budget, target))
+      .map((budget) => {
+        const { start, end } = budgetPeriod(budget.period, date || new Date());
+        const spent = budgetedPurchases.get(budget.id)
+          .filter((p) => p.time >= start.getTime() && p.time < end.getTime())
+          .reduce((sum, p) => sum + p.net, 0);
+        return { budget, label: budgetPeriodLabel(budget.period, start), total: spent + net };
+      })
+      .filter(({ budget, total }) => total > budget.amount);
+    if (over.length === 0) return null;
+    return `Over budget: ${over.map(({ budget, label, total }) => `${budget.name} ${label} would reach ${formatMoney(total)} of ${formatMoney(budget.amount)}`).join("; ")}`;
+  }
+
+  const newItemBudgetWarning = showNewItemForm
+    ? budgetWarning(matchItem(state.items, newName, normalizeSku(newSku)), { qty: newQty, unitPrice: newPrice, supplier: newSupplier, date: newDate, ...newPricing })
+    : null;
 
   // derived list with last purchase
   const itemsWithMeta = useMemo(() => {
+    const categoryPaths = new Map(categoryList.map((c) => [c.id, c.path]));
+    const expiringBy = new Date(Date.now() + expiryWarningDays * DAY_MS);
     const items = state.items.map((it) => {
       const sorted = [...(it.purchases || [])].sort((a, b) => new Date(b.date) - new Date(a.date));
       const last = sorted[0] || null;
       const prev = sorted[1] || null;
-      const priceChange = last && prev ? last.unitPrice - prev.unitPrice : null;
-      const totalSpent = (it.purchases || []).reduce((sum, p) => sum + (p.qty * p.unitPrice), 0);
-      return { ...it, last, prev, priceChange, totalSpent, purchaseCount: (it.purchases || []).length };
+      // Prices are compared per base unit, whatever unit each purchase was made in
+      const priceChange = last && prev ? basePrice(last) - basePrice(prev) : null;
+      // Spend is in the base currency: net of tax, and the tax on top
+      const amounts = (it.purchases || []).map(purchaseAmounts);
+      const totalSpent = amounts.reduce((sum, a) => sum + a.net, 0);
+      const totalTax = amounts.reduce((sum, a) => sum + a.tax, 0);
+      const averagePrice = weightedAverageCost(it.purchases || []);
+      const onHand = computeOnHand(it);
+      const stockValue = itemValuation(it.purchases || [], it.movements || []).fifoValue;
+      const needsReorder = it.minStock != null && onHand < it.minStock;
+      const priceJump = priceJumpPercent(sorted);
+      const priceAlert = priceJump !== null && priceJump > priceAlertPercent;
+      // Trashed items keep their category id, which may be gone when they are restored
+      const categoryId = categoryPaths.has(it.categoryId) ? it.categoryId : null;
+      return { ...it, baseUnit: baseUnitOf(it), categoryId, categoryPath: categoryPaths.get(categoryId) || "", tags: it.tags || [], stockByLocation: stockByLocation(it, locationList), expiringLots: expiringLots(it.purchases || [], it.movements || [], expiringBy), last, prev, priceChange, priceJump, priceAlert, totalSpent, totalTax, averagePrice, onHand, stockValue, needsReorder, purchaseCount: (it.purchases || []).length };
     });
 
     // Sort items based on current sort settings
@@ -138,29 +989,70 @@ export default function App() {
     }
 
     return sortedItems;
-  }, [state.items, sortBy, sortOrder]);
+  }, [state.items, categoryList, locationList, sortBy, sortOrder, priceAlertPercent, expiryWarningDays]);
+
+  const reorderCount = itemsWithMeta.filter((it) => it.needsReorder).length;
+  const priceAlertCount = itemsWithMeta.filter((it) => it.priceAlert).length;
+  const expiringRows = itemsWithMeta
+    .flatMap((it) => it.expiringLots.map((lot, index) => ({ ...lot, key: `${it.id}-${index}`, itemId: it.id, name: it.name, baseUnit: it.baseUnit })))
+    .sort((a, b) => new Date(a.expiryDate) - new Date(b.expiryDate));
 
-  const visibleItems = itemsWithMeta.filter((it) => it.name.toLowerCase().includes(filter.toLowerCase()));
+  const allTags = [...new Set(itemsWithMeta.flatMap((it) => it.tags))].sort();
+  // Filters on a category or tag that no longer exists show everything
+  const activeCategoryFilter = ["all", "none"].includes(categoryFilter) || categoryList.some((c) => c.id === categoryFilter) ? categoryFilter : "all";
+  const activeTagFilter = allTags.includes(tagFilter) ? tagFilter : "all";
+  const activeLocationFilter = ["all", "none"].includes(locationFilter) || locationList.some((l) => l.id === locationFilter) ? locationFilter : "all";
+  const filteredLocationId = activeLocationFilter === "none" ? null : activeLocationFilter;
+  const filteredCategoryIds = categoryWithDescendants(state.categories || [], activeCategoryFilter);
 
-  function addItemAsPurchase({ name, supplier, qty, unitPrice, date }) {
-    // find existing item by name (case-insensitive) or create new
+  const visibleItems = itemsWithMeta
+    .filter((it) => itemMatchesSearch(it, filter))
+    .filter((it) => stockFilter !== "reorder" || it.needsReorder)
+    .filter((it) => stockFilter !== "price_alert" || it.priceAlert)
+    .filter((it) => activeCategoryFilter === "all"
+      || (activeCategoryFilter === "none" ? it.categoryId == null : filteredCategoryIds.has(it.categoryId)))
+    .filter((it) => activeTagFilter === "all" || it.tags.includes(activeTagFilter))
+    .filter((it) => activeLocationFilter === "all" || (it.stockByLocation.get(filteredLocationId) || 0) !== 0);
+  const itemGroups = groupItems(visibleItems, groupBy, state.categories || []);
+
+  // The item is matched by SKU, then by name; baseUnit and barcode only apply
+  // when the item is new. Purchases made here are in the base unit.
+  function addItemAsPurchase({ name, sku, barcode, baseUnit, supplier, qty, unitPrice, date, locationId, lotCode, expiryDate, pricing }) {
+    if (!allowed('record')) return false;
+    const codes = { sku: normalizeSku(sku), barcode: normalizeBarcode(barcode) };
+    if (!matchItem(state.items, name, codes.sku)) {
+      const conflict = itemNameConflict(state, null, name) || itemCodeConflict(state, null, codes);
+      if (conflict) {
+        showNotification(conflict, 'error');
+        return false;
+      }
+    }
+    // find existing item by SKU or name or create new
     setState((s) => {
-      const existing = s.items.find((x) => x.name.toLowerCase() === name.trim().toLowerCase());
-      const purchase = {
-        id: uuidv4(),
-        date: date || new Date().toISOString(),
-        qty: Number(qty) || 0,
-        unitPrice: Number(unitPrice) || 0,
-        supplier: supplier || "",
-      };
+      const existing = matchItem(s.items, name, codes.sku);
+      const { suppliers, purchase } = createPurchase(s.suppliers || [], { qty, unitPrice, supplier, date, locationId, lotCode, expiryDate, ...pricing }, baseUnitOf(existing));
+      let auditLog = auditNewSuppliers(s.auditLog, s.suppliers || [], suppliers);
       if (existing) {
-        existing.purchases = [...(existing.purchases || []), purchase];
-        return { ...s, items: [...s.items] };
+        const items = s.items.map((it) => it.id === existing.id ? { ...it, purchases: [...(it.purchases || []), purchase] } : it);
+        const outbox = enqueue(s.outbox, 'addPurchase', { itemId: existing.id, recordId: purchase.id }, `Add purchase of ${existing.name}`);
+        auditLog = audit(auditLog, 'create', 'purchase', { entityId: purchase.id, itemId: existing.id, after: purchase });
+        return remember(s, { ...s, items, suppliers, outbox, auditLog }, addedChange(`Add purchase of ${existing.name}`, 'purchase', purchase.id));
       } else {
-        const newItem = { id: uuidv4(), name: name.trim(), purchases: [purchase] };
-        return { ...s, items: [...s.items, newItem] };
+        const newItem = {
+          id: uuidv4(),
+          name: name.trim(),
+          ...codes,
+          baseUnit: normalizeUnit(baseUnit) || DEFAULT_BASE_UNIT,
+          updatedAt: new Date().toISOString(),
+          purchases: [purchase]
+        };
+        const outbox = enqueue(s.outbox, 'addPurchase', { itemId: newItem.id, recordId: purchase.id }, `Add ${newItem.name}`);
+        auditLog = audit(auditLog, 'create', 'item', { entityId: newItem.id, itemId: newItem.id, after: itemFields(newItem) });
+        auditLog = audit(auditLog, 'create', 'purchase', { entityId: purchase.id, itemId: newItem.id, after: purchase });
+        return remember(s, { ...s, items: [...s.items, newItem], suppliers, outbox, auditLog }, addedChange(`Add ${newItem.name}`, 'item', newItem.id));
       }
     });
+    return true;
   }
 
 function addNewItem(e) {
@@ -168,125 +1060,842 @@ function addNewItem(e) {
     
     // Validate inputs
     const nameError = validateItemName(newName);
-    const qtyError = validateNumber(newQty, "Quantity");
-    const priceError = validateNumber(newPrice, "Price");
-    const dateError = validateDate(newDate);
+    const qtyError = quantityError(newQty);
+    const priceError = amountError(newPrice, "Price");
+    const dateError = recordDateError(newDate);
+    const expiryError = validateExpiry(newExpiryDate);
+    const pricingError = validatePricing(newPricing);
     
-    if (nameError || qtyError || priceError || dateError) {
-      showNotification(nameError || qtyError || priceError || dateError, 'error');
+    if (nameError || qtyError || priceError || dateError || expiryError || pricingError) {
+      showNotification(nameError || qtyError || priceError || dateError || expiryError || pricingError, 'error');
       return;
     }
 
-    addItemAsPurchase({ name: newName, supplier: newSupplier, qty: newQty, unitPrice: newPrice, date: newDate });
+    if (!addItemAsPurchase({ name: newName, sku: newSku, barcode: newBarcode, baseUnit: newBaseUnit, supplier: newSupplier, qty: newQty, unitPrice: newPrice, date: newDate, locationId: locationList.some((l) => l.id === newLocationId) ? newLocationId : null, lotCode: newLotCode, expiryDate: newExpiryDate, pricing: newPricing })) return;
     setNewName("");
+    setNewSku("");
+    setNewBarcode("");
+    setNewBaseUnit("");
     setNewSupplier("");
     setNewQty(1);
     setNewPrice(0);
+    setNewLotCode("");
+    setNewExpiryDate("");
+    setNewPricing(pricingForm(null));
     setShowNewItemForm(false);
     showNotification(`Successfully added ${newName}`, 'success');
   }
 
-  function addPurchaseToItem(itemId, { qty, unitPrice, supplier, date }) {
-    const qtyError = validateNumber(qty, "Quantity");
-    const priceError = validateNumber(unitPrice, "Price");
-    const dateError = validateDate(date);
+  function addPurchaseToItem(itemId, { qty, unitPrice, unit, unitFactor, supplier, date, locationId, lotCode, expiryDate, ...pricing }) {
+    if (!allowed('record')) return false;
+    const qtyError = quantityError(qty);
+    const priceError = amountError(unitPrice, "Price");
+    const unitError = validateUnit({ unit, unitFactor }, baseUnitOf(state.items.find((it) => it.id === itemId)));
+    const dateError = recordDateError(date);
+    const expiryError = validateExpiry(expiryDate);
+    const pricingError = validatePricing(pricing);
     
-    if (qtyError || priceError || dateError) {
-      showNotification(qtyError || priceError || dateError, 'error');
-      return;
+    if (qtyError || priceError || unitError || dateError || expiryError || pricingError) {
+      showNotification(qtyError || priceError || unitError || dateError || expiryError || pricingError, 'error');
+      return false;
     }
 
     setState((s) => {
-      const items = s.items.map((it) => {
-        if (it.id !== itemId) return it;
-        const purchase = {
-          id: uuidv4(),
-          date: date || new Date().toISOString(),
-          qty: Number(qty) || 0,
-          unitPrice: Number(unitPrice) || 0,
-          supplier: supplier || ""
-        };
-        return { ...it, purchases: [...(it.purchases || []), purchase] };
-      });
-      return { ...s, items };
+      const item = s.items.find((it) => it.id === itemId);
+      if (!item) return s;
+      const { suppliers, purchase } = createPurchase(s.suppliers || [], { qty, unitPrice, unit, unitFactor, supplier, date, locationId, lotCode, expiryDate, ...pricing }, baseUnitOf(item));
+      const items = s.items.map((it) => it.id === itemId ? { ...it, purchases: [...(it.purchases || []), purchase] } : it);
+      const outbox = enqueue(s.outbox, 'addPurchase', { itemId, recordId: purchase.id }, `Add purchase of ${item.name}`);
+      const auditLog = audit(
+        auditNewSuppliers(s.auditLog, s.suppliers || [], suppliers),
+        'create', 'purchase', { entityId: purchase.id, itemId, after: purchase }
+      );
+      return remember(s, { ...s, items, suppliers, outbox, auditLog }, addedChange(`Add purchase of ${item.name}`, 'purchase', purchase.id));
     });
     showNotification('Purchase added successfully', 'success');
+    return true;
   }
 
-  function deletePurchase(itemId, purchaseId) {
-    if (!window.confirm("Delete this purchase?")) return;
-    setState((s) => {
-      const items = s.items.map((it) => {
-        if (it.id !== itemId) return it;
-        return { ...it, purchases: it.purchases.filter((p) => p.id !== purchaseId) };
-      });
-      return { ...s, items };
-    });
-    showNotification('Purchase deleted', 'success');
+  // A scanned code that no item has starts a new item with it as the barcode
+  function createItemFromScan(code) {
+    setNewBarcode(normalizeBarcode(code) || "");
+    setShowNewItemForm(true);
+    setShowScanner(false);
   }
 
-  function exportCSV() {
-    try {
-      setIsLoading(true);
-      // Flatten purchases to rows
-      const rows = ["Item Name,Purchase Date,Quantity,Unit Price,Supplier,Total"];
-      state.items.forEach((it) => {
-        (it.purchases || []).forEach((p) => {
-          const total = (Number(p.qty) || 0) * (Number(p.unitPrice) || 0);
-          // escape quotes
-          const safeName = `"${it.name.replace(/"/g, '""')}"`;
-          const safeSupplier = `"${(p.supplier||"").replace(/"/g,'""')}"`;
-          rows.push([`${safeName},${p.date},${p.qty},${p.unitPrice},${safeSupplier},${total}`]);
-        });
-      });
-      const csv = rows.join("\n");
-      const blob = new Blob([csv], { type: "text/csv;charset=utf-8;" });
-      const url = URL.createObjectURL(blob);
-      const a = document.createElement("a");
-      a.href = url;
-      a.download = `inventory_export_${new Date().toISOString().split('T')[0]}.csv`;
-      a.click();
-      URL.revokeObjectURL(url);
-      showNotification('CSV exported successfully', 'success');
-    } catch (error) {
-      showNotification('Failed to export CSV', 'error');
-    } finally {
-      setIsLoading(false);
+  function editItemDetails(itemId, { name, baseUnit }) {
+    if (!allowed('manage')) return false;
+    const item = state.items.find((it) => it.id === itemId);
+    if (!item) return false;
+    const nameError = validateItemName(name) || itemNameConflict(state, itemId, name);
+    if (nameError) {
+      showNotification(nameError, 'error');
+      return false;
     }
+
+    const before = { name: item.name, baseUnit: baseUnitOf(item) };
+    const after = { name: name.trim(), baseUnit: normalizeUnit(baseUnit) || DEFAULT_BASE_UNIT };
+    if (after.name === before.name && after.baseUnit === before.baseUnit) return true;
+    setState((s) => remember(s, applyItemDetails(s, itemId, after), updatedChange(`Edit ${item.name}`, 'item', itemId, before, after)));
+    showNotification(`Saved ${after.name}`, 'success');
+    return true;
   }
 
-  function exportJSON() {
-    try {
-      setIsLoading(true);
-      const blob = new Blob([JSON.stringify(state, null, 2)], { type: "application/json" });
-      const url = URL.createObjectURL(blob);
-      const a = document.createElement("a");
-      a.href = url;
-      a.download = `inventory_export_${new Date().toISOString().split('T')[0]}.json`;
-      a.click();
-      URL.revokeObjectURL(url);
-      showNotification('JSON exported successfully', 'success');
-    } catch (error) {
-      showNotification('Failed to export JSON', 'error');
-    } finally {
-      setIsLoading(false);
+  // Set an item's name and base unit and queue the changed ones for the database
+  function applyItemDetails(s, itemId, { name, baseUnit }) {
+    const item = s.items.find((it) => it.id === itemId);
+    if (!item) return s;
+    const updated = { ...item, name, baseUnit, updatedAt: new Date().toISOString() };
+    const items = s.items.map((it) => it.id === itemId ? updated : it);
+    let outbox = s.outbox || [];
+    if (name !== item.name) {
+      outbox = outbox.filter((e) => !(e.type === 'updateItemName' && e.itemId === itemId && e.attempts === 0));
+      outbox = enqueue(outbox, 'updateItemName', { itemId }, `Rename ${item.name} to ${name}`);
+    }
+    if (baseUnit !== baseUnitOf(item)) {
+      outbox = outbox.filter((e) => !(e.type === 'updateItemBaseUnit' && e.itemId === itemId && e.attempts === 0));
+      outbox = enqueue(outbox, 'updateItemBaseUnit', { itemId }, `Count ${name} in ${baseUnit}`);
     }
+    const auditLog = audit(s.auditLog, 'update', 'item', { entityId: itemId, itemId, before: itemFields(item), after: itemFields(updated) });
+    return { ...s, items, outbox, auditLog };
   }
 
-  // Robust-ish CSV parser that handles quoted fields and escaped double-quotes
-  function parseCSV(text) {
-    const lines = text.split(/\r?\n/).filter((l) => l.trim() !== "");
-    const rows = [];
-    for (const line of lines) {
-      const cols = [];
-      let cur = "";
-      let inQuotes = false;
-      for (let i = 0; i < line.length; i++) {
-        const ch = line[i];
-        if (ch === '"') {
-          if (inQuotes && line[i + 1] === '"') { cur += '"'; i++; }
-          else { inQuotes = !inQuotes; }
-        } else if (ch === ',' && !inQuotes) { cols.push(cur); cur = ""; }
+  function editPurchase(itemId, purchaseId, { qty, unitPrice, unit, unitFactor, supplier, date, locationId, lotCode, expiryDate, ...pricing }) {
+    if (!allowed('manage')) return false;
+    const item = state.items.find((it) => it.id === itemId);
+    const purchase = (item?.purchases || []).find((p) => p.id === purchaseId);
+    if (!purchase) return false;
+    const qtyError = quantityError(qty);
+    const priceError = amountError(unitPrice, "Price");
+    const unitError = validateUnit({ unit, unitFactor }, baseUnitOf(item));
+    const dateError = recordDateError(date);
+    const expiryError = validateExpiry(expiryDate);
+    const pricingError = validatePricing(pricing);
+
+    if (qtyError || priceError || unitError || dateError || expiryError || pricingError) {
+      showNotification(qtyError || priceError || unitError || dateError || expiryError || pricingError, 'error');
+      return false;
+    }
+
+    const units = purchaseUnit({ unit, unitFactor }, baseUnitOf(item));
+    if (purchase.orderLineId != null && baseQuantity({ qty, ...units }) !== baseQuantity(purchase)) {
+      showNotification('The quantity of a purchase received against a purchase order cannot be changed', 'error');
+      return false;
+    }
+
+    const before = {
+      qty: purchase.qty,
+      unitPrice: purchase.unitPrice,
+      unit: purchase.unit ?? null,
+      unitFactor: purchase.unitFactor ?? 1,
+      supplier: purchase.supplier || "",
+      date: purchase.date,
+      locationId: purchase.locationId ?? null,
+      lotCode: purchase.lotCode ?? null,
+      expiryDate: purchase.expiryDate ?? null,
+      ...purchasePricing(purchase)
+    };
+    // Keep the stored timestamp when the day did not change
+    const after = {
+      qty: Number(qty),
+      unitPrice: Number(unitPrice),
+      ...units,
+      supplier,
+      date: date === dateInputValue(purchase.date) ? purchase.date : date,
+      locationId: locationId || null,
+      lotCode: normalizeLotCode(lotCode),
+      expiryDate: expiryDate || null,
+      ...purchasePricing(pricing)
+    };
+    setState((s) => remember(s, applyPurchaseChanges(s, purchaseId, after), updatedChange(`Edit purchase of ${item.name}`, 'purchase', purchaseId, before, after)));
+    showNotification('Purchase updated', 'success');
+    return true;
+  }
+
+  // Replace a purchase's attachment references. Attachments are stored on the
+  // server straight away, so these changes are not queued or undoable.
+  function setPurchaseAttachments(itemId, purchaseId, update) {
+    setState((s) => ({
+      ...s,
+      items: s.items.map((it) => it.id !== itemId ? it : {
+        ...it,
+        purchases: (it.purchases || []).map((p) => p.id === purchaseId ? { ...p, attachments: update(p.attachments || []) } : p)
+      })
+    }));
+  }
+
+  // Upload invoice/receipt files for a purchase; it has to be in the database
+  async function attachFiles(itemId, purchase, files) {
+    if (!allowed('record')) return;
+    if (purchase.serverId == null || !databaseStatus.connected) {
+      showNotification('Files can be attached once the purchase is synced and the database is connected', 'error', 5000);
+      return;
+    }
+    for (const file of files) {
+      if (!ATTACHMENT_CONTENT_TYPES.includes(file.type)) {
+        showNotification(`${file.name} is not a PDF or image file`, 'error');
+        continue;
+      }
+      if (file.size > MAX_ATTACHMENT_BYTES) {
+        showNotification(`${file.name} is larger than ${MAX_ATTACHMENT_BYTES / (1024 * 1024)} MB`, 'error');
+        continue;
+      }
+      const result = await addPurchaseAttachment(purchase.serverId, {
+        fileName: file.name,
+        contentType: file.type,
+        data: await readFileAsBase64(file)
+      });
+      if (!result.success) {
+        showNotification(result.message, 'error', 5000);
+        continue;
+      }
+      setPurchaseAttachments(itemId, purchase.id, (attachments) => [...attachments, toLocalAttachment(result.data)]);
+      showNotification(result.message, 'success');
+    }
+  }
+
+  async function removeAttachment(itemId, purchase, attachment) {
+    if (!allowed('manage')) return;
+    if (!window.confirm(`Delete ${attachment.fileName}? This cannot be undone.`)) return;
+    const result = await deleteAttachment(attachment.serverId);
+    if (!result.success) {
+      showNotification(result.message, 'error', 5000);
+      return;
+    }
+    setPurchaseAttachments(itemId, purchase.id, (attachments) => attachments.filter((a) => a.serverId !== attachment.serverId));
+    showNotification(result.message, 'success');
+  }
+
+  // Set a purchase's quantity, price, unit, supplier, date, location, lot, currency and tax and queue them for the database
+  function applyPurchaseChanges(s, purchaseId, fields) {
+    const item = s.items.find((it) => (it.purchases || []).some((p) => p.id === purchaseId));
+    if (!item) return s;
+    const purchase = item.purchases.find((p) => p.id === purchaseId);
+    const attached = attachSupplier(s.suppliers || [], fields.supplier);
+    const updated = {
+      ...purchase,
+      qty: Number(fields.qty) || 0,
+      unitPrice: Number(fields.unitPrice) || 0,
+      ...purchaseUnit(fields, baseUnitOf(item)),
+      date: fields.date,
+      supplier: attached.supplier?.name || "",
+      supplierId: attached.supplier?.id || null,
+      locationId: fields.locationId ?? null,
+      lotCode: fields.lotCode ?? null,
+      expiryDate: fields.expiryDate ?? null,
+      ...purchasePricing(fields),
+      updatedAt: new Date().toISOString()
+    };
+    const items = s.items.map((it) => it.id !== item.id ? it : { ...it, purchases: it.purchases.map((p) => p.id === purchaseId ? updated : p) });
+    // Only the latest values need to reach the database
+    const pending = (s.outbox || []).filter((e) => !(e.type === 'updatePurchase' && e.recordId === purchaseId && e.attempts === 0));
+    const outbox = enqueue(pending, 'updatePurchase', { itemId: item.id, recordId: purchaseId }, `Edit purchase of ${item.name}`);
+    const auditLog = audit(
+      auditNewSuppliers(s.auditLog, s.suppliers || [], attached.suppliers),
+      'update', 'purchase', { entityId: purchaseId, itemId: item.id, before: purchase, after: updated }
+    );
+    return { ...s, items, suppliers: attached.suppliers, outbox, auditLog };
+  }
+
+  function updateReorderSettings(itemId, { minStock, reorderQty }) {
+    if (!allowed('manage')) return;
+    const minError = minStock !== "" && amountError(minStock, "Minimum stock");
+    const reorderError = reorderQty !== "" && amountError(reorderQty, "Reorder quantity");
+
+    if (minError || reorderError) {
+      showNotification(minError || reorderError, 'error');
+      return;
+    }
+
+    const settings = {
+      minStock: minStock === "" ? null : Number(minStock),
+      reorderQty: reorderQty === "" ? null : Number(reorderQty)
+    };
+    setState((s) => {
+      const item = s.items.find((it) => it.id === itemId);
+      if (!item) return s;
+      const before = { minStock: item.minStock ?? null, reorderQty: item.reorderQty ?? null };
+      return remember(s, applyReorderSettings(s, itemId, settings), updatedChange(`Update reorder settings of ${item.name}`, 'item', itemId, before, settings));
+    });
+    showNotification('Reorder settings saved', 'success');
+  }
+
+  // Set an item's reorder settings and queue them for the database
+  function applyReorderSettings(s, itemId, settings) {
+    const item = s.items.find((it) => it.id === itemId);
+    if (!item) return s;
+    const updated = { ...item, ...settings, updatedAt: new Date().toISOString() };
+    const items = s.items.map((it) => it.id === itemId ? updated : it);
+    // Only the latest settings need to reach the database
+    const pending = (s.outbox || []).filter((e) => !(e.type === 'updateReorderSettings' && e.itemId === itemId && e.attempts === 0));
+    const outbox = enqueue(pending, 'updateReorderSettings', { itemId }, `Update reorder settings of ${item.name}`);
+    const auditLog = audit(s.auditLog, 'update', 'item', { entityId: itemId, itemId, before: itemFields(item), after: itemFields(updated) });
+    return { ...s, items, outbox, auditLog };
+  }
+
+  // attributes are given as text ("colour=red; size=L")
+  function editItemInfo(itemId, { sku, barcode, description, attributes }) {
+    if (!allowed('manage')) return false;
+    const item = state.items.find((it) => it.id === itemId);
+    if (!item) return false;
+    const after = {
+      sku: normalizeSku(sku),
+      barcode: normalizeBarcode(barcode),
+      description: description.trim() || null,
+      attributes: parseAttributes(attributes)
+    };
+    const conflict = itemCodeConflict(state, itemId, after);
+    if (conflict) {
+      showNotification(conflict, 'error');
+      return false;
+    }
+
+    const before = itemInfo(item);
+    if (JSON.stringify(after) === JSON.stringify(before)) return true;
+    setState((s) => remember(s, applyItemInfo(s, itemId, after), updatedChange(`Edit details of ${item.name}`, 'item', itemId, before, after)));
+    showNotification(`Saved details of ${item.name}`, 'success');
+    return true;
+  }
+
+  // Set an item's SKU, barcode, description and attributes and queue them for the database
+  function applyItemInfo(s, itemId, info) {
+    const item = s.items.find((it) => it.id === itemId);
+    if (!item) return s;
+    const updated = { ...item, ...info, updatedAt: new Date().toISOString() };
+    const items = s.items.map((it) => it.id === itemId ? updated : it);
+    // Only the latest values need to reach the database
+    const pending = (s.outbox || []).filter((e) => !(e.type === 'updateItemInfo' && e.itemId === itemId && e.attempts === 0));
+    const outbox = enqueue(pending, 'updateItemInfo', { itemId }, `Edit details of ${item.name}`);
+    const auditLog = audit(s.auditLog, 'update', 'item', { entityId: itemId, itemId, before: itemFields(item), after: itemFields(updated) });
+    return { ...s, items, outbox, auditLog };
+  }
+
+  function editItemGrouping(itemId, { categoryId, tags }) {
+    if (!allowed('manage')) return false;
+    const item = state.items.find((it) => it.id === itemId);
+    if (!item) return false;
+
+    const before = { categoryId: item.categoryId ?? null, tags: item.tags || [] };
+    const after = { categoryId: categoryId || null, tags: normalizeTags(tags) };
+    if (after.categoryId === before.categoryId && after.tags.join(",") === before.tags.join(",")) return true;
+    setState((s) => remember(s, applyItemGrouping(s, itemId, after), updatedChange(`Categorize ${item.name}`, 'item', itemId, before, after)));
+    showNotification(`Saved category and tags of ${item.name}`, 'success');
+    return true;
+  }
+
+  // Set an item's category and tags and queue them for the database
+  function applyItemGrouping(s, itemId, { categoryId, tags }) {
+    const item = s.items.find((it) => it.id === itemId);
+    if (!item) return s;
+    const updated = { ...item, categoryId, tags, updatedAt: new Date().toISOString() };
+    const items = s.items.map((it) => it.id === itemId ? updated : it);
+    // Only the latest values need to reach the database
+    const pending = (s.outbox || []).filter((e) => !(e.type === 'updateItemGrouping' && e.itemId === itemId && e.attempts === 0));
+    const outbox = enqueue(pending, 'updateItemGrouping', { itemId }, `Set category and tags of ${item.name}`);
+    const auditLog = audit(s.auditLog, 'update', 'item', { entityId: itemId, itemId, before: itemFields(item), after: itemFields(updated) });
+    return { ...s, items, outbox, auditLog };
+  }
+
+  // Add a category (categoryId null) or rename or move one
+  function saveCategoryDetails(categoryId, { name, parentId }) {
+    if (!allowed('manage')) return false;
+    const categoryName = normalizeCategoryName(name);
+    const error = categoryName
+      ? categoryNameConflict(state.categories || [], categoryId, categoryName, parentId || null)
+      : 'Category name is required';
+    if (error) {
+      showNotification(error, 'error');
+      return false;
+    }
+
+    const id = categoryId || uuidv4();
+    setState((s) => applyCategoryDetails(s, id, { name: categoryName, parentId: parentId || null }));
+    showNotification(`Saved category ${categoryName}`, 'success');
+    return true;
+  }
+
+  // Add or update a category and queue it for the database
+  function applyCategoryDetails(s, id, { name, parentId }) {
+    const list = s.categories || [];
+    const existing = list.find((c) => c.id === id);
+    const updated = { ...existing, id, name, parentId, updatedAt: new Date().toISOString() };
+    const categories = existing ? list.map((c) => c.id === id ? updated : c) : [...list, updated];
+    const pending = (s.outbox || []).filter((e) => !(e.type === 'saveCategory' && e.categoryId === id && e.attempts === 0));
+    const outbox = enqueue(pending, 'saveCategory', { categoryId: id }, `Save category ${name}`);
+    const auditLog = existing
+      ? audit(s.auditLog, 'update', 'category', { entityId: id, before: existing, after: updated })
+      : audit(s.auditLog, 'create', 'category', { entityId: id, after: updated });
+    return { ...s, categories, outbox, auditLog };
+  }
+
+  // Delete a category. Categories are not trashed: its items and subcategories
+  // move up to its parent, as they do in the database.
+  function deleteCategoryRecord(categoryId) {
+    if (!allowed('manage')) return;
+    const category = (state.categories || []).find((c) => c.id === categoryId);
+    if (!category) return;
+    if (!window.confirm(`Delete category ${category.name}? Its items and subcategories move up a level.`)) return;
+
+    setState((s) => {
+      const current = (s.categories || []).find((c) => c.id === categoryId);
+      if (!current) return s;
+      const parentId = current.parentId ?? null;
+      const categories = s.categories
+        .filter((c) => c.id !== categoryId)
+        .map((c) => c.parentId === categoryId ? { ...c, parentId } : c);
+      const items = s.items.map((it) => it.categoryId === categoryId ? { ...it, categoryId: parentId } : it);
+      const outbox = queueDelete(s.outbox, 'deleteCategory', current, `Delete category ${current.name}`);
+      const auditLog = audit(s.auditLog, 'delete', 'category', { entityId: categoryId, before: current });
+      return { ...s, categories, items, outbox, auditLog };
+    });
+    setCategoryFilter((f) => f === categoryId ? "all" : f);
+    showNotification(`Deleted category ${category.name}`, 'success');
+  }
+
+  // Add a location (locationId null) or rename one
+  function saveLocationDetails(locationId, { name }) {
+    if (!allowed('manage')) return false;
+    const locationName = normalizeLocationName(name);
+    const other = (state.locations || []).find((l) => l.id !== locationId && l.name.toLowerCase() === locationName.toLowerCase());
+    const error = !locationName ? 'Location name is required' : other ? `A location named ${other.name} already exists` : null;
+    if (error) {
+      showNotification(error, 'error');
+      return false;
+    }
+
+    const id = locationId || uuidv4();
+    setState((s) => {
+      const list = s.locations || [];
+      const existing = list.find((l) => l.id === id);
+      const updated = { ...existing, id, name: locationName, updatedAt: new Date().toISOString() };
+      const locations = existing ? list.map((l) => l.id === id ? updated : l) : [...list, updated];
+      const pending = (s.outbox || []).filter((e) => !(e.type === 'saveLocation' && e.locationId === id && e.attempts === 0));
+      const outbox = enqueue(pending, 'saveLocation', { locationId: id }, `Save location ${locationName}`);
+      const auditLog = existing
+        ? audit(s.auditLog, 'update', 'location', { entityId: id, before: existing, after: updated })
+        : audit(s.auditLog, 'create', 'location', { entityId: id, after: updated });
+      return { ...s, locations, outbox, auditLog };
+    });
+    showNotification(`Saved location ${locationName}`, 'success');
+    return true;
+  }
+
+  // Delete a location. Locations are not trashed: the stock recorded there
+  // becomes unassigned, as it does in the database.
+  function deleteLocationRecord(locationId) {
+    if (!allowed('manage')) return;
+    const location = (state.locations || []).find((l) => l.id === locationId);
+    if (!location) return;
+    if (!window.confirm(`Delete location ${location.name}? Its stock becomes unassigned.`)) return;
+
+    setState((s) => {
+      const current = (s.locations || []).find((l) => l.id === locationId);
+      if (!current) return s;
+      const unassign = (id) => id === locationId ? null : id;
+      const items = s.items.map((it) => ({
+        ...it,
+        purchases: (it.purchases || []).map((p) => p.locationId === locationId ? { ...p, locationId: null } : p),
+        movements: (it.movements || []).map((m) => ({ ...m, locationId: unassign(m.locationId), toLocationId: unassign(m.toLocationId) }))
+      }));
+      const outbox = queueDelete(s.outbox, 'deleteLocation', current, `Delete location ${current.name}`);
+      const auditLog = audit(s.auditLog, 'delete', 'location', { entityId: locationId, before: current });
+      return { ...s, locations: s.locations.filter((l) => l.id !== locationId), items, outbox, auditLog };
+    });
+    setLocationFilter((f) => f === locationId ? "all" : f);
+    showNotification(`Deleted location ${location.name}`, 'success');
+  }
+
+  function saveSupplierDetails(supplierId, details) {
+    // Clerks can add suppliers; changing an existing one needs a manager
+    if (!allowed(supplierId ? 'manage' : 'record')) return false;
+    const name = normalizeSupplierName(details.name);
+    if (!name) {
+      showNotification('Supplier name is required', 'error');
+      return false;
+    }
+    const suppliers = state.suppliers || [];
+    const duplicate = suppliers.find((sup) => sup.id !== supplierId && supplierKey(sup.name) === supplierKey(name));
+    if (duplicate) {
+      showNotification(`A supplier named ${duplicate.name} already exists`, 'error');
+      return false;
+    }
+
+    const id = supplierId || uuidv4();
+    setState((s) => {
+      const existing = (s.suppliers || []).find((sup) => sup.id === id);
+      const next = applySupplierDetails(s, id, { ...details, name });
+      return remember(s, next, existing
+        ? updatedChange(`Edit supplier ${name}`, 'supplier', id, supplierFields(existing), supplierFields({ ...details, name }))
+        : addedChange(`Add supplier ${name}`, 'supplier', id));
+    });
+    showNotification(`Saved supplier ${name}`, 'success');
+    return true;
+  }
+
+  // Add or update a supplier and queue it for the database
+  function applySupplierDetails(s, id, details) {
+    const { name } = details;
+    const updated = { ...details, id, updatedAt: new Date().toISOString() };
+    const list = s.suppliers || [];
+    const existing = list.find((sup) => sup.id === id);
+    const nextSuppliers = existing
+      ? list.map((sup) => sup.id === id ? { ...sup, ...updated } : sup)
+      : [...list, updated];
+    // Renaming a supplier renames it on its purchases too
+    const items = s.items.map((it) => ({
+      ...it,
+      purchases: (it.purchases || []).map((p) => p.supplierId === id ? { ...p, supplier: name } : p)
+    }));
+    const pending = (s.outbox || []).filter((e) => !(e.type === 'saveSupplier' && e.supplierId === id && e.attempts === 0));
+    const outbox = enqueue(pending, 'saveSupplier', { supplierId: id }, `Save supplier ${name}`);
+    const auditLog = existing
+      ? audit(s.auditLog, 'update', 'supplier', { entityId: id, before: existing, after: { ...existing, ...updated } })
+      : audit(s.auditLog, 'create', 'supplier', { entityId: id, after: updated });
+    return { ...s, items, suppliers: nextSuppliers, outbox, auditLog };
+  }
+
+  function deleteSupplierRecord(supplierId) {
+    if (!allowed('manage')) return;
+    const supplier = (state.suppliers || []).find((sup) => sup.id === supplierId);
+    if (!supplier) return;
+    setState((s) => remember(s, moveToTrash(s, 'supplier', supplierId), trashedChange(`Delete supplier ${supplier.name}`, 'supplier', supplierId)));
+    showNotification(`Moved supplier ${supplier.name} to the trash`, 'success');
+  }
+
+  function createOrder({ supplier, expectedDate, notes, lines }) {
+    if (!allowed('manage')) return false;
+    const validLines = lines.filter((l) => l.itemId);
+    if (validLines.length === 0) {
+      showNotification('Add at least one item to the order', 'error');
+      return false;
+    }
+    for (const line of validLines) {
+      const error = quantityError(line.qty) || amountError(line.unitPrice, "Price");
+      if (error) {
+        showNotification(error, 'error');
+        return false;
+      }
+    }
+    if (expectedDate && recordDateError(expectedDate)) {
+      showNotification(recordDateError(expectedDate), 'error');
+      return false;
+    }
+
+    setState((s) => {
+      const attached = attachSupplier(s.suppliers || [], supplier);
+      const order = {
+        id: uuidv4(),
+        supplier: attached.supplier?.name || "",
+        supplierId: attached.supplier?.id || null,
+        status: "draft",
+        orderDate: new Date().toISOString(),
+        expectedDate: expectedDate || null,
+        notes: notes || "",
+        lines: validLines.map((l) => ({
+          id: uuidv4(),
+          itemId: l.itemId,
+          qtyOrdered: Number(l.qty),
+          qtyReceived: 0,
+          unitPrice: Number(l.unitPrice) || 0
+        })),
+        updatedAt: new Date().toISOString()
+      };
+      const label = `Create order${order.supplier ? ` from ${order.supplier}` : ''}`;
+      const outbox = enqueue(s.outbox, 'savePurchaseOrder', { orderId: order.id }, label);
+      const auditLog = audit(
+        auditNewSuppliers(s.auditLog, s.suppliers || [], attached.suppliers),
+        'create', 'purchase_order', { entityId: order.id, after: order }
+      );
+      return remember(s, { ...s, suppliers: attached.suppliers, orders: [...(s.orders || []), order], outbox, auditLog }, addedChange(label, 'purchase_order', order.id));
+    });
+    showNotification('Purchase order created', 'success');
+    return true;
+  }
+
+  function setOrderStatus(orderId, status) {
+    if (!allowed('manage')) return;
+    if (status === 'cancelled' && !window.confirm("Cancel this purchase order?")) return;
+    setState((s) => {
+      const order = (s.orders || []).find((o) => o.id === orderId);
+      if (!order) return s;
+      const change = updatedChange(`Mark order ${ORDER_STATUS_LABELS[status].toLowerCase()}`, 'purchase_order', orderId, { status: order.status }, { status });
+      return remember(s, applyOrderStatus(s, orderId, status), change);
+    });
+    showNotification(`Order marked ${ORDER_STATUS_LABELS[status].toLowerCase()}`, 'success');
+  }
+
+  // Set a purchase order's status and queue it for the database
+  function applyOrderStatus(s, orderId, status) {
+    const order = (s.orders || []).find((o) => o.id === orderId);
+    if (!order) return s;
+    const updated = { ...order, status, updatedAt: new Date().toISOString() };
+    const orders = s.orders.map((o) => o.id === orderId ? updated : o);
+    // A queued save reads the order when replayed, so one pending entry is enough
+    const queued = (s.outbox || []).some((e) => e.type === 'savePurchaseOrder' && e.orderId === orderId && e.attempts === 0);
+    const outbox = queued
+      ? s.outbox
+      : enqueue(s.outbox, 'savePurchaseOrder', { orderId }, `Mark order ${ORDER_STATUS_LABELS[status].toLowerCase()}`);
+    const auditLog = audit(s.auditLog, 'update', 'purchase_order', { entityId: orderId, before: order, after: updated });
+    return { ...s, orders, outbox, auditLog };
+  }
+
+  // Receiving creates a purchase per line and updates received quantities
+  // quantities and lots ({ lotCode, expiryDate }) are keyed by order line id
+  function receiveOrder(orderId, { date, locationId, quantities, lots = {} }) {
+    if (!allowed('record')) return false;
+    const order = (state.orders || []).find((o) => o.id === orderId);
+    if (!order) return false;
+    const dateError = recordDateError(date);
+    if (dateError) {
+      showNotification(dateError, 'error');
+      return false;
+    }
+    const receipts = [];
+    for (const line of order.lines) {
+      const qty = quantities[line.id];
+      if (qty === undefined || qty === "" || Number(qty) === 0) continue;
+      const trashed = (state.trash || []).find((t) => t.entityType === 'item' && t.record.id === line.itemId);
+      if (trashed) {
+        showNotification(`"${trashed.record.name}" is in the trash. Restore the item before receiving it.`, 'error', 5000);
+        return false;
+      }
+      const error = quantityError(qty);
+      const outstanding = line.qtyOrdered - line.qtyReceived;
+      const expiryError = validateExpiry(lots[line.id]?.expiryDate);
+      if (error || Number(qty) > outstanding || expiryError) {
+        showNotification(error || expiryError || `Cannot receive more than the ${outstanding} outstanding`, 'error');
+        return false;
+      }
+      receipts.push({ line, qty: Number(qty), lot: lots[line.id] || {} });
+    }
+    if (receipts.length === 0) {
+      showNotification('Enter a quantity to receive', 'error');
+      return false;
+    }
+
+    setState((s) => {
+      const receiptId = uuidv4();
+      let suppliers = s.suppliers || [];
+      const newPurchases = {};
+      receipts.forEach(({ line, qty, lot }) => {
+        const created = createPurchase(suppliers, { qty, unitPrice: line.unitPrice, supplier: order.supplier, date, locationId, ...lot });
+        suppliers = created.suppliers;
+        (newPurchases[line.itemId] = newPurchases[line.itemId] || []).push({
+          ...created.purchase,
+          orderId,
+          orderLineId: line.id,
+          receiptId
+        });
+      });
+      const items = s.items.map((it) => newPurchases[it.id] ? { ...it, purchases: [...(it.purchases || []), ...newPurchases[it.id]] } : it);
+      const current = (s.orders || []).find((o) => o.id === orderId) || order;
+      const lines = current.lines.map((line) => {
+        const receipt = receipts.find((r) => r.line.id === line.id);
+        return receipt ? { ...line, qtyReceived: line.qtyReceived + receipt.qty } : line;
+      });
+      const received = { ...current, lines, status: receivedOrderStatus(lines) || current.status, updatedAt: new Date().toISOString() };
+      const orders = (s.orders || []).map((o) => o.id === orderId ? received : o);
+      const outbox = enqueue(s.outbox, 'receivePurchaseOrder', { orderId, receiptId }, `Receive order${order.supplier ? ` from ${order.supplier}` : ''}`);
+      let auditLog = auditNewSuppliers(s.auditLog, s.suppliers || [], suppliers);
+      Object.entries(newPurchases).forEach(([itemId, purchases]) => {
+        purchases.forEach((p) => { auditLog = audit(auditLog, 'create', 'purchase', { entityId: p.id, itemId, after: p }); });
+      });
+      auditLog = audit(auditLog, 'update', 'purchase_order', { entityId: orderId, before: current, after: received });
+      // Receiving cannot be undone, and undoing earlier order changes past it would
+      // contradict the received quantities, so the undo history starts over
+      return { ...s, items, suppliers, orders, outbox, auditLog, undoHistory: undefined };
+    });
+    showNotification('Goods received', 'success');
+    return true;
+  }
+
+  function deleteOrder(orderId) {
+    if (!allowed('manage')) return;
+    const order = (state.orders || []).find((o) => o.id === orderId);
+    if (!order) return;
+    if (order.lines.some((line) => line.qtyReceived > 0)) {
+      showNotification('Orders with received goods cannot be deleted. Cancel them instead.', 'error');
+      return;
+    }
+    setState((s) => remember(s, moveToTrash(s, 'purchase_order', orderId), trashedChange('Delete purchase order', 'purchase_order', orderId)));
+    showNotification('Purchase order moved to the trash', 'success');
+  }
+
+  // Deletes move records to the trash (see trash.js) and can be undone
+  function deletePurchase(itemId, purchaseId) {
+    if (!allowed('manage')) return;
+    const item = state.items.find((it) => it.id === itemId);
+    if (!item) return;
+    setState((s) => remember(s, moveToTrash(s, 'purchase', purchaseId), trashedChange(`Delete purchase of ${item.name}`, 'purchase', purchaseId)));
+    showNotification('Purchase moved to the trash', 'success');
+  }
+
+  function deleteItem(itemId) {
+    if (!allowed('manage')) return;
+    const item = state.items.find((it) => it.id === itemId);
+    if (!item) return;
+    setState((s) => remember(s, moveToTrash(s, 'item', itemId), trashedChange(`Delete ${item.name}`, 'item', itemId)));
+    setSelectedItemId(null);
+    showNotification(`Moved ${item.name} to the trash`, 'success');
+  }
+
+  // Record a movement at locationId, or a transfer from locationId to toLocationId
+  function recordMovement(itemId, { type, qty, date, note, locationId, toLocationId }) {
+    if (!allowed('record')) return;
+    const qtyError = quantityError(qty);
+    const dateError = recordDateError(date);
+
+    if (!(type in STOCK_MOVEMENT_TYPES)) {
+      showNotification('Select a movement type', 'error');
+      return;
+    }
+    if (qtyError || dateError) {
+      showNotification(qtyError || dateError, 'error');
+      return;
+    }
+    if (type === 'transfer' && (locationId || null) === (toLocationId || null)) {
+      showNotification('A transfer needs two different locations', 'error');
+      return;
+    }
+
+    setState((s) => {
+      const item = s.items.find((it) => it.id === itemId);
+      if (!item) return s;
+      const movement = {
+        id: uuidv4(),
+        type,
+        date: date || new Date().toISOString(),
+        qty: Number(qty) || 0,
+        note: note || "",
+        locationId: locationId || null,
+        toLocationId: type === 'transfer' ? toLocationId || null : null
+      };
+      const items = s.items.map((it) => it.id === itemId ? { ...it, movements: [...(it.movements || []), movement] } : it);
+      const outbox = enqueue(s.outbox, 'recordStockMovement', { itemId, recordId: movement.id }, `${MOVEMENT_LABELS[type]} of ${item.name}`);
+      const auditLog = audit(s.auditLog, 'create', 'stock_movement', { entityId: movement.id, itemId, after: movement });
+      return remember(s, { ...s, items, outbox, auditLog }, addedChange(`${MOVEMENT_LABELS[type]} of ${item.name}`, 'stock_movement', movement.id));
+    });
+    showNotification(`${MOVEMENT_LABELS[type]} recorded`, 'success');
+  }
+
+  function deleteMovement(itemId, movementId) {
+    if (!allowed('manage')) return;
+    const item = state.items.find((it) => it.id === itemId);
+    if (!item) return;
+    setState((s) => remember(s, moveToTrash(s, 'stock_movement', movementId), trashedChange(`Delete stock movement of ${item.name}`, 'stock_movement', movementId)));
+    showNotification('Stock movement moved to the trash', 'success');
+  }
+
+  function restoreTrashEntry(entry) {
+    if (!allowed('manage')) return;
+    const { entityType, record } = entry;
+    const check = restoreRecord(state, entityType, record.id);
+    if (check.error) {
+      showNotification(check.error, 'error');
+      return;
+    }
+    setState((s) => {
+      const result = takeFromTrash(s, entityType, record.id);
+      return result.error ? s : remember(s, result.state, addedChange(`Restore ${describeTrashEntry(entry)}`, entityType, record.id));
+    });
+    showNotification(`Restored ${describeTrashEntry(entry)}`, 'success');
+  }
+
+  // Purging cannot be undone; undo steps that would restore the record are skipped
+  function purgeTrashEntry(entry) {
+    if (!allowed('manage')) return;
+    if (!window.confirm(`Delete ${describeTrashEntry(entry)} forever? This cannot be undone.`)) return;
+    setState((s) => {
+      const { state: next, entry: purged } = purgeRecord(s, entry.id);
+      if (!purged) return s;
+      const auditLog = audit(s.auditLog, 'purge', purged.entityType, { entityId: purged.record.id, itemId: purged.itemId, before: purged.record });
+      return { ...next, auditLog };
+    });
+    showNotification(`Deleted ${describeTrashEntry(entry)} forever`, 'success');
+  }
+
+  function exportCSV() {
+    try {
+      setIsLoading(true);
+      // Flatten purchases to rows
+      // Quantity and Unit Price are in the purchase unit (Unit); Base Units Per Unit converts it
+      // Category is the item's full path ("Cleaning > Detergents"); Tags are comma
+      // separated and Attributes read "colour=red; size=L". Location is where the
+      // purchase was received (blank for unassigned); Lot and Expiry Date are blank
+      // when the purchase has none. Unit Price and Total are in the purchase's
+      // Currency; Net, Tax and Gross are in the base currency.
+      const rows = ["Item Name,SKU,Barcode,Purchase Date,Quantity,Unit Price,Supplier,Total,Unit,Base Unit,Base Units Per Unit,Category,Tags,Description,Attributes,Location,Lot,Expiry Date,Currency,Exchange Rate,Tax Rate,Tax Inclusive,Net,Tax,Gross"];
+      state.items.forEach((it) => {
+        const safeCategory = `"${categoryPath(state.categories || [], it.categoryId).join(CATEGORY_PATH_SEPARATOR).replace(/"/g,'""')}"`;
+        const safeTags = `"${(it.tags || []).join(", ").replace(/"/g,'""')}"`;
+        const safeSku = `"${(it.sku || "").replace(/"/g,'""')}"`;
+        const safeBarcode = `"${(it.barcode || "").replace(/"/g,'""')}"`;
+        const safeDescription = `"${(it.description || "").replace(/\s*\n\s*/g, " ").replace(/"/g,'""')}"`;
+        const safeAttributes = `"${formatAttributes(it.attributes).replace(/"/g,'""')}"`;
+        (it.purchases || []).forEach((p) => {
+          const total = (Number(p.qty) || 0) * (Number(p.unitPrice) || 0);
+          // escape quotes
+          const safeName = `"${it.name.replace(/"/g, '""')}"`;
+          const safeSupplier = `"${(p.supplier||"").replace(/"/g,'""')}"`;
+          const safeUnit = `"${purchaseUnitName(p, it).replace(/"/g,'""')}"`;
+          const safeBaseUnit = `"${baseUnitOf(it).replace(/"/g,'""')}"`;
+          const safeLocation = `"${((state.locations || []).find((l) => l.id === p.locationId)?.name || "").replace(/"/g,'""')}"`;
+          const safeLot = `"${(p.lotCode || "").replace(/"/g,'""')}"`;
+          const pricing = purchasePricing(p);
+          const amounts = purchaseAmounts(p);
+          const money = `${pricing.currency},${pricing.exchangeRate},${pricing.taxRate},${pricing.taxInclusive ? "yes" : "no"},${amounts.net.toFixed(2)},${amounts.tax.toFixed(2)},${amounts.gross.toFixed(2)}`;
+          rows.push([`${safeName},${safeSku},${safeBarcode},${p.date},${p.qty},${p.unitPrice},${safeSupplier},${total},${safeUnit},${safeBaseUnit},${p.unitFactor ?? 1},${safeCategory},${safeTags},${safeDescription},${safeAttributes},${safeLocation},${safeLot},${p.expiryDate || ""},${money}`]);
+        });
+      });
+      const csv = rows.join("\n");
+      const blob = new Blob([csv], { type: "text/csv;charset=utf-8;" });
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement("a");
+      a.href = url;
+      a.download = `inventory_export_${new Date().toISOString().split('T')[0]}.csv`;
+      a.click();
+      URL.revokeObjectURL(url);
+      showNotification('CSV exported successfully', 'success');
+    } catch (error) {
+      showNotification('Failed to export CSV', 'error');
+    } finally {
+      setIsLoading(false);
+    }
+  }
+
+  // Purchases carry their attachment references; the files stay on the server
+  function exportJSON() {
+    try {
+      setIsLoading(true);
+      const blob = new Blob([JSON.stringify(withoutHistory(state), null, 2)], { type: "application/json" });
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement("a");
+      a.href = url;
+      a.download = `inventory_export_${new Date().toISOString().split('T')[0]}.json`;
+      a.click();
+      URL.revokeObjectURL(url);
+      showNotification('JSON exported successfully', 'success');
+    } catch (error) {
+      showNotification('Failed to export JSON', 'error');
+    } finally {
+      setIsLoading(false);
+    }
+  }
+
+  // Robust-ish CSV parser that handles quoted fields and escaped double-quotes
+  function parseCSV(text) {
+    const lines = text.split(/\r?\n/).filter((l) => l.trim() !== "");
+    const rows = [];
+    for (const line of lines) {
+      const cols = [];
+      let cur = "";
+      let inQuotes = false;
+      for (let i = 0; i < line.length; i++) {
+        const ch = line[i];
+        if (ch === '"') {
+          if (inQuotes && line[i + 1] === '"') { cur += '"'; i++; }
+          else { inQuotes = !inQuotes; }
+        } else if (ch === ',' && !inQuotes) { cols.push(cur); cur = ""; }
         else { cur += ch; }
       }
       cols.push(cur);
@@ -310,43 +1919,144 @@ function addNewItem(e) {
         const qtyIdx = headers.findIndex(h => h.includes('qty') || h.includes('quantity'));
         const priceIdx = headers.findIndex(h => h.includes('unit') || h.includes('price'));
         const supplierIdx = headers.findIndex(h => h.includes('supplier'));
+        const unitIdx = headers.indexOf('unit');
+        const baseUnitIdx = headers.indexOf('base unit');
+        const factorIdx = headers.findIndex(h => h.includes('per unit'));
+        const categoryIdx = headers.indexOf('category');
+        const tagsIdx = headers.indexOf('tags');
+        const skuIdx = headers.indexOf('sku');
+        const barcodeIdx = headers.indexOf('barcode');
+        const descriptionIdx = headers.indexOf('description');
+        const attributesIdx = headers.indexOf('attributes');
+        const locationIdx = headers.indexOf('location');
+        const lotIdx = headers.indexOf('lot');
+        const expiryIdx = headers.indexOf('expiry date');
+        const currencyIdx = headers.indexOf('currency');
+        const rateIdx = headers.indexOf('exchange rate');
+        const taxRateIdx = headers.indexOf('tax rate');
+        const taxInclusiveIdx = headers.indexOf('tax inclusive');
         if (nameIdx === -1) { showNotification('CSV must include an Item Name column', 'error'); return; }
 
-        // build items grouped by name
+        // build items grouped by SKU, or by name for rows without one
         const itemsMap = {};
         let validRows = 0;
         for (let i = 1; i < rows.length; i++) {
           const r = rows[i];
           if (!r[nameIdx] || r[nameIdx].trim() === '') continue;
           const itemName = r[nameIdx].trim();
+          const pricing = purchasePricing({
+            currency: currencyIdx >= 0 ? r[currencyIdx] : '',
+            exchangeRate: (rateIdx >= 0 && r[rateIdx]) ? r[rateIdx] : 1,
+            taxRate: taxRateIdx >= 0 ? r[taxRateIdx] : '',
+            taxInclusive: taxInclusiveIdx >= 0 && /^(yes|y|true|1)$/i.test((r[taxInclusiveIdx] || '').trim())
+          });
+          // Rows with an unknown currency or an impossible tax rate are skipped
+          if (purchasePricingError(pricing)) continue;
           const purchase = {
             id: uuidv4(),
             date: (dateIdx >= 0 && r[dateIdx]) ? new Date(r[dateIdx]).toISOString() : new Date().toISOString(),
             qty: (qtyIdx >= 0 && r[qtyIdx]) ? Number(r[qtyIdx]) : 0,
             unitPrice: (priceIdx >= 0 && r[priceIdx]) ? Number(r[priceIdx]) : 0,
-            supplier: (supplierIdx >= 0 && r[supplierIdx]) ? r[supplierIdx] : ''
+            supplier: (supplierIdx >= 0 && r[supplierIdx]) ? r[supplierIdx] : '',
+            unit: unitIdx >= 0 ? r[unitIdx] : '',
+            unitFactor: (factorIdx >= 0 && r[factorIdx]) ? Number(r[factorIdx]) : 1,
+            location: locationIdx >= 0 ? r[locationIdx] : '',
+            lotCode: lotIdx >= 0 ? normalizeLotCode(r[lotIdx]) : null,
+            // Unreadable expiry dates are left blank
+            expiryDate: expiryIdx >= 0 ? dateInputValue(parseExpiryDate(r[expiryIdx]) ?? '') || null : null,
+            ...pricing
           };
-          if (!itemsMap[itemName.toLowerCase()]) itemsMap[itemName.toLowerCase()] = { id: uuidv4(), name: itemName, purchases: [purchase] };
-          else itemsMap[itemName.toLowerCase()].purchases.push(purchase);
+          const baseUnit = (baseUnitIdx >= 0 && normalizeUnit(r[baseUnitIdx])) || DEFAULT_BASE_UNIT;
+          const grouping = {
+            categoryPath: categoryIdx >= 0 ? r[categoryIdx] : '',
+            tags: normalizeTags(tagsIdx >= 0 ? r[tagsIdx] : '')
+          };
+          const info = {
+            sku: skuIdx >= 0 ? normalizeSku(r[skuIdx]) : null,
+            barcode: barcodeIdx >= 0 ? normalizeBarcode(r[barcodeIdx]) : null,
+            description: (descriptionIdx >= 0 && r[descriptionIdx].trim()) || null,
+            attributes: attributesIdx >= 0 ? parseAttributes(r[attributesIdx]) : {}
+          };
+          const key = info.sku ? `sku:${info.sku}` : itemName.toLowerCase();
+          if (!itemsMap[key]) itemsMap[key] = { id: uuidv4(), name: itemName, baseUnit, ...info, ...grouping, updatedAt: new Date().toISOString(), purchases: [purchase] };
+          else itemsMap[key].purchases.push(purchase);
           validRows++;
         }
-        const importedItems = Object.values(itemsMap);
+        // New items whose name, SKU or barcode is taken by another item are skipped
+        const skipped = Object.values(itemsMap).filter((imported) => !matchItem(state.items, imported.name, imported.sku)
+          && (itemNameConflict(state, null, imported.name) || itemCodeConflict(state, null, imported)));
+        const importedItems = Object.values(itemsMap).filter((imported) => !skipped.includes(imported));
         if (importedItems.length === 0) { showNotification('No valid rows found in CSV', 'error'); return; }
-        // Merge with existing: for items with same name (case-insensitive), append purchases
+        // Merge with existing: for items with the same SKU, or the same name (case-insensitive), append purchases
         setState((s) => {
           const existingMap = {};
-          s.items.forEach(it => existingMap[it.name.toLowerCase()] = it);
-          importedItems.forEach(it => {
-            const key = it.name.toLowerCase();
-            if (existingMap[key]) {
-              existingMap[key].purchases = [...(existingMap[key].purchases || []), ...it.purchases];
+          let outbox = s.outbox;
+          let suppliers = s.suppliers || [];
+          let categories = s.categories || [];
+          let locations = s.locations || [];
+          let auditLog = s.auditLog;
+          s.items.forEach(it => existingMap[it.id] = it);
+          importedItems.forEach(imported => {
+            const key = matchItem(Object.values(existingMap), imported.name, imported.sku)?.id ?? imported.id;
+            // Purchases of an existing item convert to the base unit it already has
+            const baseUnit = baseUnitOf(existingMap[key] || imported);
+            const purchases = imported.purchases.map(({ location, ...p }) => {
+              const attached = attachSupplier(suppliers, p.supplier);
+              suppliers = attached.suppliers;
+              // Unknown locations are added, like suppliers
+              const received = attachLocation(locations, location);
+              locations = received.locations;
+              if (received.added) {
+                outbox = enqueue(outbox, 'saveLocation', { locationId: received.location.id }, `Save location ${received.location.name}`);
+                auditLog = audit(auditLog, 'create', 'location', { entityId: received.location.id, after: received.location });
+              }
+              const units = purchaseUnit(p, baseUnit);
+              return {
+                ...p,
+                ...(units.unitFactor > 0 ? units : { unit: null, unitFactor: 1 }),
+                supplier: attached.supplier?.name || '',
+                supplierId: attached.supplier?.id || null,
+                locationId: received.location?.id || null
+              };
+            });
+            const { categoryPath: path, ...fields } = imported;
+            const it = { ...fields, purchases };
+            const isNew = !existingMap[key];
+            if (!isNew) {
+              existingMap[key] = { ...existingMap[key], purchases: [...(existingMap[key].purchases || []), ...it.purchases] };
             } else {
+              // Like the base unit, the category and tags only apply to new items
+              const attached = attachCategoryPath(categories, path);
+              categories = attached.categories;
+              attached.added.forEach((c) => {
+                outbox = enqueue(outbox, 'saveCategory', { categoryId: c.id }, `Save category ${c.name}`);
+                auditLog = audit(auditLog, 'create', 'category', { entityId: c.id, after: c });
+              });
+              it.categoryId = attached.categoryId;
               existingMap[key] = it;
+              auditLog = audit(auditLog, 'create', 'item', { entityId: it.id, itemId: it.id, after: itemFields(it) });
+            }
+            it.purchases.forEach(p => {
+              outbox = enqueue(outbox, 'addPurchase', { itemId: existingMap[key].id, recordId: p.id }, `Add purchase of ${existingMap[key].name}`);
+              auditLog = audit(auditLog, 'create', 'purchase', { entityId: p.id, itemId: existingMap[key].id, after: p });
+            });
+            // SKUs and barcodes of new items go with their first purchase
+            if (isNew && (it.description || Object.keys(it.attributes).length > 0)) {
+              outbox = enqueue(outbox, 'updateItemInfo', { itemId: it.id }, `Edit details of ${it.name}`);
+            }
+            if (isNew && (it.categoryId != null || it.tags.length > 0)) {
+              outbox = enqueue(outbox, 'updateItemGrouping', { itemId: it.id }, `Set category and tags of ${it.name}`);
             }
           });
-          return { items: Object.values(existingMap) };
+          auditLog = auditNewSuppliers(auditLog, s.suppliers || [], suppliers);
+          return { ...s, items: Object.values(existingMap), categories, locations, suppliers, outbox, auditLog };
         });
-        showNotification(`Successfully imported ${validRows} rows from CSV`, 'success');
+        const skippedRows = skipped.reduce((sum, it) => sum + it.purchases.length, 0);
+        showNotification(
+          `Successfully imported ${validRows - skippedRows} rows from CSV`
+            + (skipped.length > 0 ? `; skipped ${skipped.length} new items whose name, SKU or barcode is already taken` : ''),
+          'success'
+        );
       } catch (e) {
         console.error(e);
         showNotification('Failed to import CSV', 'error');
@@ -363,11 +2073,17 @@ function addNewItem(e) {
     reader.onload = (ev) => {
       try {
         const parsed = JSON.parse(ev.target.result);
+        // Importing replaces the data but never the audit log
+        const replaceWith = (imported) => setState((s) => {
+          const { auditLog: importedLog, ...next } = migrateSuppliers(imported);
+          const auditLog = audit(s.auditLog, 'update', 'data', { before: dataSummary(s), after: dataSummary(next) });
+          return { ...next, auditLog };
+        });
         if (parsed && Array.isArray(parsed.items)) {
-          setState(parsed);
+          replaceWith(parsed);
           showNotification(`Successfully imported ${parsed.items.length} items from JSON`, 'success');
         } else if (Array.isArray(parsed)) {
-          setState({ items: parsed });
+          replaceWith({ items: parsed });
           showNotification(`Successfully imported ${parsed.length} items from JSON`, 'success');
         } else {
           showNotification("Invalid JSON structure. Expected {items: [...]}", 'error');
@@ -383,6 +2099,7 @@ function addNewItem(e) {
 
   // Unified import handler that detects type by extension
   function importFile(file) {
+    if (!allowed('manage')) return;
     const name = (file && file.name) ? file.name.toLowerCase() : '';
     if (name.endsWith('.json')) return importJSON(file);
     if (name.endsWith('.csv')) return importCSV(file);
@@ -398,59 +2115,38 @@ function addNewItem(e) {
   }
 
   function clearAll() {
-    if (!window.confirm("Clear all data? This cannot be undone.")) return;
-    setState({ items: [] });
-    showNotification('All data cleared', 'success');
+    if (!allowed('manage')) return;
+    setState((s) => remember(s, { ...s, ...EMPTY_DATA, auditLog: audit(s.auditLog, 'delete', 'data', { before: dataSummary(s) }) }, {
+      label: 'Clear all data',
+      undo: [{ type: 'replace', data: dataSnapshot(s) }],
+      redo: [{ type: 'replace', data: EMPTY_DATA }]
+    }));
+    showNotification('All data cleared. Use Undo to bring it back.', 'success');
   }
 
-  // Sync data from localStorage to database
+  // Two-way sync between localStorage and the database
   async function syncToDatabase() {
-    if (state.items.length === 0) {
-      showNotification('No data to sync. Add some items first.', 'error');
-      return;
-    }
-
     if (!databaseStatus.checked) {
       await checkDatabaseConnection();
     }
 
     if (!databaseStatus.connected) {
-      showNotification('Database not connected. Please check your DATABASE_URL in .env file.', 'error');
+      showNotification('Database not connected. Please check that the API server is running and DATABASE_URL is set in its .env file.', 'error');
       return;
     }
 
     setIsSyncingToDatabase(true);
-    let successCount = 0;
-    let errorCount = 0;
 
     try {
-      for (const item of state.items) {
-        try {
-          // Sync each item and its purchases
-          for (const purchase of item.purchases || []) {
-            await addItemWithPurchase({
-              name: item.name,
-              supplier: purchase.supplier || '',
-              qty: purchase.qty,
-              unitPrice: purchase.unitPrice,
-              date: new Date(purchase.date).toISOString().split('T')[0] // Format date for database
-            });
-            successCount++;
-          }
-        } catch (error) {
-          console.error(`Error syncing item ${item.name}:`, error);
-          errorCount++;
-        }
-      }
-
-      if (errorCount === 0) {
-        showNotification(`Successfully synced ${successCount} records to database!`, 'success');
-      } else {
-        showNotification(`Synced ${successCount} records successfully, ${errorCount} failed.`, 'warning');
+      const result = await syncWithDatabase(state);
+      if (result.data) {
+        setState(result.data.state);
+        setSyncSummary(result.data.summary);
       }
+      showNotification(result.message, result.success ? 'success' : 'error', 5000);
     } catch (error) {
       console.error('Sync error:', error);
-      showNotification('Failed to sync to database. Please try again.', 'error');
+      showNotification('Failed to sync with database. Please try again.', 'error');
     } finally {
       setIsSyncingToDatabase(false);
     }
@@ -469,15 +2165,48 @@ function addNewItem(e) {
 
       <div className="container">
         <header className="header">
-          <h1 className="text-2xl font-semibold">Inventory & Purchase Tracker</h1>
+          <div>
+            <h1 className="text-2xl font-semibold">Inventory & Purchase Tracker</h1>
+            <p className="text-sm text-gray-600">
+              {session.organization.name} • {session.user.name || session.user.email} ({session.user.role}){' '}
+              <button onClick={onSignOut} className="text-xs hover:underline">Sign out</button>
+            </p>
+          </div>
           <div className="flex gap-2 flex-wrap">
-            <button
-              onClick={() => setShowNewItemForm((v) => !v)}
-              className="button"
-              disabled={isLoading}
-            >
-              {showNewItemForm ? 'Cancel' : 'Add Item / Purchase'}
-            </button>
+            {can('record') && (
+              <button
+                onClick={() => setShowNewItemForm((v) => !v)}
+                className="button"
+                disabled={isLoading}
+              >
+                {showNewItemForm ? 'Cancel' : 'Add Item / Purchase'}
+              </button>
+            )}
+            {can('record') && (
+              <button onClick={() => setShowScanner((v) => !v)} className="button button-secondary">
+                {showScanner ? 'Stop Scanning' : 'Scan'}
+              </button>
+            )}
+            {can('manage') && (
+              <>
+                <button
+                  onClick={() => stepHistory('undo')}
+                  className="button button-secondary"
+                  disabled={!state.undoHistory?.past.length}
+                  title={state.undoHistory?.past.length ? `Undo: ${state.undoHistory.past[state.undoHistory.past.length - 1].label} (Ctrl+Z)` : 'Nothing to undo'}
+                >
+                  Undo
+                </button>
+                <button
+                  onClick={() => stepHistory('redo')}
+                  className="button button-secondary"
+                  disabled={!state.undoHistory?.future.length}
+                  title={state.undoHistory?.future.length ? `Redo: ${state.undoHistory.future[state.undoHistory.future.length - 1].label} (Ctrl+Shift+Z)` : 'Nothing to redo'}
+                >
+                  Redo
+                </button>
+              </>
+            )}
             <button
               onClick={exportCSV}
               className="button button-secondary"
@@ -492,36 +2221,51 @@ function addNewItem(e) {
             >
               {isLoading ? 'Loading...' : 'Export JSON'}
             </button>
-            <label className="button button-secondary cursor-pointer">
-              {isLoading ? 'Loading...' : 'Import File'}
-              <input
-                type="file"
-                accept=".json,.csv,application/json,text/csv"
-                onChange={(e) => e.target.files && importFile(e.target.files[0])}
-                className="hidden"
-                disabled={isLoading}
-              />
-            </label>
-            <button
-              onClick={clearAll}
-              className="button text-red-600"
-              disabled={isLoading}
-            >
-              Clear All
-            </button>
+            {can('manage') && (
+              <>
+                <label className="button button-secondary cursor-pointer">
+                  {isLoading ? 'Loading...' : 'Import File'}
+                  <input
+                    type="file"
+                    accept=".json,.csv,application/json,text/csv"
+                    onChange={(e) => e.target.files && importFile(e.target.files[0])}
+                    className="hidden"
+                    disabled={isLoading}
+                  />
+                </label>
+                <button
+                  onClick={clearAll}
+                  className="button text-red-600"
+                  disabled={isLoading}
+                >
+                  Clear All
+                </button>
+              </>
+            )}
             <button
               onClick={syncToDatabase}
               className="button bg-purple-600 text-white"
-              disabled={isSyncingToDatabase || !databaseStatus.checked}
-              title={!databaseStatus.connected ? 'Check DATABASE_URL in .env' : 'Sync local data to database'}
+              disabled={isSyncingToDatabase || isReplaying || !databaseStatus.checked}
+              title={!databaseStatus.connected ? 'Check that the API server is running' : 'Sync local data with database'}
             >
               {isSyncingToDatabase
                 ? 'Syncing...'
                 : databaseStatus.connected
-                  ? 'Store to Database'
+                  ? 'Sync with Database'
                   : 'Database Offline'
               }
             </button>
+            {(outbox.length > 0 || deadLetters.length > 0) && (
+              <button
+                onClick={() => setShowOutbox((v) => !v)}
+                className={`button ${deadLetters.length > 0 || outbox.some((e) => e.lastError) ? 'bg-red-600' : 'bg-yellow-500'} text-white`}
+                title="Changes waiting to be written to the database, and changes that could not be"
+              >
+                {isReplaying
+                  ? 'Pushing...'
+                  : [outbox.length > 0 && `${outbox.length} pending`, deadLetters.length > 0 && `${deadLetters.length} failed`].filter(Boolean).join(', ')}
+              </button>
+            )}
             {databaseStatus.checked && !databaseStatus.connected && (
               <button
                 onClick={checkDatabaseConnection}
@@ -534,36 +2278,322 @@ function addNewItem(e) {
           </div>
         </header>
 
-        <section className="mb-4">
-          <div className="flex flex-col sm:flex-row gap-4">
-            <div className="flex-1">
-              <input
-                value={filter}
-                onChange={(e) => setFilter(e.target.value)}
-                placeholder="Search items..."
-                className="input w-full"
-              />
-            </div>
-            <div className="flex gap-2">
-              <select
-                value={sortBy}
-                onChange={(e) => setSortBy(e.target.value)}
-                className="input"
-                aria-label="Sort by"
-              >
-                <option value="name">Sort by Name</option>
-                <option value="date">Sort by Last Purchase Date</option>
-              </select>
-              <button
-                onClick={() => setSortOrder(sortOrder === "asc" ? "desc" : "asc")}
-                className="button button-secondary px-3"
-                aria-label={`Toggle sort order: ${sortOrder === "asc" ? "ascending to descending" : "descending to ascending"}`}
-              >
-                {sortOrder === "asc" ? "↑" : "↓"}
+        <nav className="flex gap-2 mb-4" aria-label="Views">
+          <button
+            onClick={() => setView("items")}
+            className={`button ${view === "items" ? "" : "button-secondary"}`}
+          >
+            Items
+          </button>
+          <button
+            onClick={() => setView("suppliers")}
+            className={`button ${view === "suppliers" ? "" : "button-secondary"}`}
+          >
+            Suppliers ({(state.suppliers || []).length})
+          </button>
+          <button
+            onClick={() => setView("orders")}
+            className={`button ${view === "orders" ? "" : "button-secondary"}`}
+          >
+            Orders ({(state.orders || []).filter((o) => OPEN_ORDER_STATUSES.includes(o.status)).length})
+          </button>
+          <button
+            onClick={() => setView("dashboard")}
+            className={`button ${view === "dashboard" ? "" : "button-secondary"}`}
+          >
+            Dashboard
+          </button>
+          <button
+            onClick={() => setView("valuation")}
+            className={`button ${view === "valuation" ? "" : "button-secondary"}`}
+          >
+            Valuation
+          </button>
+          <button
+            onClick={() => setView("budgets")}
+            className={`button ${view === "budgets" ? "" : "button-secondary"}`}
+          >
+            Budgets
+          </button>
+          <button
+            onClick={() => setView("expiring")}
+            className={`button ${view === "expiring" ? "" : "button-secondary"}`}
+          >
+            Expiring ({expiringRows.length})
+          </button>
+          <button
+            onClick={() => setView("team")}
+            className={`button ${view === "team" ? "" : "button-secondary"}`}
+          >
+            Team
+          </button>
+          <button
+            onClick={() => setView("trash")}
+            className={`button ${view === "trash" ? "" : "button-secondary"}`}
+          >
+            Trash ({(state.trash || []).length})
+          </button>
+        </nav>
+
+        {view === "items" && (
+          <section className="mb-4">
+            <div className="flex flex-col sm:flex-row gap-4">
+              <div className="flex-1">
+                <input
+                  value={filter}
+                  onChange={(e) => setFilter(e.target.value)}
+                  placeholder="Search name, SKU or barcode..."
+                  className="input w-full"
+                />
+              </div>
+              <div className="flex flex-wrap gap-2">
+                <select
+                  value={stockFilter}
+                  onChange={(e) => setStockFilter(e.target.value)}
+                  className="input"
+                  aria-label="Stock filter"
+                >
+                  <option value="all">All items</option>
+                  <option value="reorder">Needs reorder ({reorderCount})</option>
+                  <option value="price_alert">Price alerts ({priceAlertCount})</option>
+                </select>
+                <select
+                  value={activeCategoryFilter}
+                  onChange={(e) => setCategoryFilter(e.target.value)}
+                  className="input"
+                  aria-label="Category filter"
+                >
+                  <option value="all">All categories</option>
+                  <option value="none">Uncategorized</option>
+                  {categoryList.map((c) => (
+                    <option key={c.id} value={c.id}>{c.path}</option>
+                  ))}
+                </select>
+                <select
+                  value={activeTagFilter}
+                  onChange={(e) => setTagFilter(e.target.value)}
+                  className="input"
+                  aria-label="Tag filter"
+                >
+                  <option value="all">All tags</option>
+                  {allTags.map((tag) => (
+                    <option key={tag} value={tag}>#{tag}</option>
+                  ))}
+                </select>
+                {locationList.length > 0 && (
+                  <select
+                    value={activeLocationFilter}
+                    onChange={(e) => setLocationFilter(e.target.value)}
+                    className="input"
+                    aria-label="Location filter"
+                  >
+                    <option value="all">All locations</option>
+                    <option value="none">Unassigned stock</option>
+                    {locationList.map((l) => (
+                      <option key={l.id} value={l.id}>Stock at {l.name}</option>
+                    ))}
+                  </select>
+                )}
+                <select
+                  value={groupBy}
+                  onChange={(e) => setGroupBy(e.target.value)}
+                  className="input"
+                  aria-label="Group by"
+                >
+                  <option value="none">No grouping</option>
+                  <option value="category">Group by category</option>
+                  <option value="tag">Group by tag</option>
+                </select>
+                <button
+                  onClick={() => setShowCategories((v) => !v)}
+                  className="button button-secondary"
+                >
+                  Categories ({categoryList.length})
+                </button>
+                <button
+                  onClick={() => setShowLocations((v) => !v)}
+                  className="button button-secondary"
+                >
+                  Locations ({locationList.length})
+                </button>
+                <label className="flex items-center gap-2 text-sm text-gray-600" title="Flag items whose latest price is this much above their trailing average">
+                  Alert above
+                  <input
+                    value={priceAlertPercent}
+                    onChange={(e) => setPriceAlertPercent(e.target.value)}
+                    type="number"
+                    min="0"
+                    step="1"
+                    className="p-1 w-16 border rounded text-sm"
+                    aria-label="Price alert threshold percent"
+                  />
+                  %
+                </label>
+                <select
+                  value={sortBy}
+                  onChange={(e) => setSortBy(e.target.value)}
+                  className="input"
+                  aria-label="Sort by"
+                >
+                  <option value="name">Sort by Name</option>
+                  <option value="date">Sort by Last Purchase Date</option>
+                </select>
+                <button
+                  onClick={() => setSortOrder(sortOrder === "asc" ? "desc" : "asc")}
+                  className="button button-secondary px-3"
+                  aria-label={`Toggle sort order: ${sortOrder === "asc" ? "ascending to descending" : "descending to ascending"}`}
+                >
+                  {sortOrder === "asc" ? "↑" : "↓"}
+                </button>
+              </div>
+            </div>
+          </section>
+        )}
+
+        {showOutbox && outbox.length > 0 && (
+          <section className="card mb-4 text-sm">
+            <div className="flex md:justify-between items-baseline">
+              <h3 className="font-semibold">Pending changes</h3>
+              <div className="flex gap-2">
+                <button
+                  onClick={() => flushOutbox(true)}
+                  className="button button-secondary text-sm"
+                  disabled={!databaseStatus.connected || isReplaying}
+                  title={!databaseStatus.connected ? 'Database offline' : 'Push pending changes now'}
+                >
+                  Retry now
+                </button>
+                <button onClick={() => setShowOutbox(false)} className="text-xs hover:underline">
+                  Hide
+                </button>
+              </div>
+            </div>
+            <div className="overflow-auto">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left border-b">
+                    <th className="py-2">Change</th>
+                    <th className="py-2">Queued</th>
+                    <th className="py-2">Attempts</th>
+                    <th className="py-2">Status</th>
+                    <th className="py-2">Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {outbox.map((entry) => (
+                    <tr key={entry.id} className="border-b">
+                      <td className="py-2">{entry.label}</td>
+                      <td className="py-2">{formatDateISO(entry.createdAt)}</td>
+                      <td className="py-2">{entry.attempts}</td>
+                      <td className={`py-2 ${entry.lastError ? 'text-red-600' : 'text-gray-600'}`}>
+                        {entry.lastError
+                          ? `${entry.lastError} (retry at ${new Date(entry.nextAttemptAt).toLocaleTimeString()})`
+                          : 'Waiting'}
+                      </td>
+                      <td className="py-2">
+                        <button
+                          onClick={() => discardOutboxEntry(entry.id)}
+                          className="text-red-600 text-xs hover:underline"
+                          aria-label={`Discard pending change: ${entry.label}`}
+                        >
+                          Discard
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </section>
+        )}
+
+        {showOutbox && deadLetters.length > 0 && (
+          <section className="card mb-4 text-sm">
+            <div className="flex md:justify-between items-baseline">
+              <h3 className="font-semibold">Failed changes</h3>
+              <button onClick={() => setShowOutbox(false)} className="text-xs hover:underline">
+                Hide
               </button>
             </div>
-          </div>
-        </section>
+            <p className="text-gray-600 mb-2">
+              The database rejected these changes, so they will not be retried. They stay in your local data;
+              correct them there if needed and dismiss them here.
+            </p>
+            <div className="overflow-auto">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left border-b">
+                    <th className="py-2">Change</th>
+                    <th className="py-2">Queued</th>
+                    <th className="py-2">Failed</th>
+                    <th className="py-2">Reason</th>
+                    <th className="py-2">Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {deadLetters.map((entry) => (
+                    <tr key={entry.id} className="border-b">
+                      <td className="py-2">{entry.label}</td>
+                      <td className="py-2">{formatDateISO(entry.createdAt)}</td>
+                      <td className="py-2">{formatDateISO(entry.failedAt)}</td>
+                      <td className="py-2 text-red-600">{entry.lastError}</td>
+                      <td className="py-2">
+                        <button
+                          onClick={() => dismissFailedChange(entry.id)}
+                          className="text-xs hover:underline"
+                          aria-label={`Dismiss failed change: ${entry.label}`}
+                        >
+                          Dismiss
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </section>
+        )}
+
+        {syncSummary && (
+          <section className="card mb-4 text-sm">
+            <div className="flex md:justify-between items-baseline">
+              <h3 className="font-semibold">Last sync</h3>
+              <button onClick={() => setSyncSummary(null)} className="text-xs hover:underline" aria-label="Dismiss sync summary">
+                Dismiss
+              </button>
+            </div>
+            <div className="flex flex-wrap gap-4 text-gray-700">
+              <span>Pushed: {syncSummary.pushed.locations} locations, {syncSummary.pushed.categories} categories, {syncSummary.pushed.suppliers} suppliers, {syncSummary.pushed.items} items, {syncSummary.pushed.purchases} purchases, {syncSummary.pushed.movements} movements</span>
+              <span>Pulled: {syncSummary.pulled.locations} locations, {syncSummary.pulled.categories} categories, {syncSummary.pulled.suppliers} suppliers, {syncSummary.pulled.items} items, {syncSummary.pulled.purchases} purchases, {syncSummary.pulled.movements} movements</span>
+              <span>Deletes: {syncSummary.deletesPushed} pushed, {syncSummary.deletesPulled} pulled</span>
+            </div>
+            {syncSummary.conflicts.length > 0 && (
+              <ul className="mt-3">
+                {syncSummary.conflicts.map((c, i) => (
+                  <li key={i}>{c.name}: {c.resolution}</li>
+                ))}
+              </ul>
+            )}
+            {syncSummary.errors.length > 0 && (
+              <ul className="mt-3 text-red-600">
+                {syncSummary.errors.map((e, i) => (
+                  <li key={i}>{e}</li>
+                ))}
+              </ul>
+            )}
+          </section>
+        )}
+
+        {showScanner && (
+          <BarcodeScanner
+            items={itemsWithMeta}
+            locations={locationList}
+            budgetWarning={budgetWarning}
+            onAdd={addPurchaseToItem}
+            onCreate={createItemFromScan}
+            onClose={() => setShowScanner(false)}
+          />
+        )}
 
         {showNewItemForm && (
           <form onSubmit={addNewItem} className="card mb-4">
@@ -576,11 +2606,33 @@ function addNewItem(e) {
                 required
                 aria-label="Item name"
               />
+              <input
+                value={newSku}
+                onChange={(e) => setNewSku(e.target.value)}
+                placeholder="SKU (optional)"
+                className="input"
+                aria-label="SKU"
+              />
+              <input
+                value={newBarcode}
+                onChange={(e) => setNewBarcode(e.target.value)}
+                placeholder="Barcode (new items, optional)"
+                className="input"
+                aria-label="Barcode"
+              />
+              <input
+                value={newBaseUnit}
+                onChange={(e) => setNewBaseUnit(e.target.value)}
+                placeholder={`Unit, e.g. kg (new items, default ${DEFAULT_BASE_UNIT})`}
+                className="input"
+                aria-label="Base unit"
+              />
               <input
                 value={newSupplier}
                 onChange={(e) => setNewSupplier(e.target.value)}
                 placeholder="Supplier (optional)"
                 className="input"
+                list="supplier-options"
                 aria-label="Supplier"
               />
               <input
@@ -610,7 +2662,39 @@ function addNewItem(e) {
                 className="input"
                 aria-label="Date"
               />
+              <input
+                value={newLotCode}
+                onChange={(e) => setNewLotCode(e.target.value)}
+                placeholder="Lot (optional)"
+                className="input"
+                aria-label="Lot"
+              />
+              <input
+                value={newExpiryDate}
+                onChange={(e) => setNewExpiryDate(e.target.value)}
+                type="date"
+                className="input"
+                aria-label="Expiry date"
+                title="Expiry date (optional)"
+              />
+              <div className="flex flex-wrap items-center gap-2">
+                <PurchasePricingInputs form={newPricing} onChange={(fields) => setNewPricing((p) => ({ ...p, ...fields }))} />
+              </div>
+              {locationList.length > 0 && (
+                <select
+                  value={newLocationId}
+                  onChange={(e) => setNewLocationId(e.target.value)}
+                  className="input"
+                  aria-label="Received at"
+                >
+                  <option value="">No location</option>
+                  {locationList.map((l) => (
+                    <option key={l.id} value={l.id}>Received at {l.name}</option>
+                  ))}
+                </select>
+              )}
             </div>
+            {newItemBudgetWarning && <p className="text-sm text-amber-700 mt-3">{newItemBudgetWarning}</p>}
             <div className="flex items-center gap-2 mt-3">
               <button type="submit" className="button bg-green-600">Add</button>
               <button
@@ -624,115 +2708,434 @@ function addNewItem(e) {
           </form>
         )}
 
-        <main>
-          {visibleItems.length === 0 ? (
-            <div className="card text-center">
-              {state.items.length === 0 ? (
-                <div>
-                  <p className="text-gray-600 mb-4">No items yet. Click "Add Item / Purchase" to get started.</p>
-                  <button
-                    onClick={() => setShowNewItemForm(true)}
-                    className="button bg-indigo-600"
-                  >
-                    Add Your First Item
-                  </button>
-                </div>
-              ) : (
-                <p className="text-gray-600">No items match your search. Try a different search term.</p>
-              )}
-            </div>
-          ) : (
-            <div className="space-y-3">
-              {visibleItems.map((it) => (
-                <div key={it.id} className="card">
-                  <div className="flex flex-col md:flex-row md:justify-between">
-                    <div className="flex-1">
-                      <div className="flex items-baseline gap-3 mb-2">
-                        <h2 className="text-lg font-medium">{it.name}</h2>
-                        {it.last && (
-                          <span className="text-sm text-gray-600">
-                            Last: {formatDateISO(it.last.date)} @ ₹{it.last.unitPrice} ({it.last.qty})
-                          </span>
-                        )}
-                      </div>
-                      
-                      {it.priceChange !== null && (
-                        <div className={`text-sm mb-2 ${it.priceChange > 0 ? "text-red-600" : it.priceChange < 0 ? "text-green-600" : "text-gray-600"}`}>
-                          Price change: {it.priceChange > 0 ? "+" : ""}₹{it.priceChange.toFixed(2)}
-                        </div>
-                      )}
-                      
-                      <div className="flex flex-wrap gap-4 text-sm text-gray-700">
-                        <span>Purchases: {it.purchaseCount}</span>
-                        <span>Total spent: ₹{it.totalSpent.toFixed(2)}</span>
-                        {it.last && <span>Avg price: ₹{(it.totalSpent / it.purchaseCount).toFixed(2)}</span>}
-                      </div>
-                    </div>
+        {view === "items" && showCategories && (
+          <CategoriesPanel
+            categories={state.categories || []}
+            options={categoryList}
+            items={itemsWithMeta}
+            canManage={can('manage')}
+            onSave={saveCategoryDetails}
+            onDelete={deleteCategoryRecord}
+            onClose={() => setShowCategories(false)}
+          />
+        )}
 
-                    <div className="mt-3 md:mt-0 flex flex-col gap-2">
-                      <AddPurchaseInline
-                        item={it}
-                        onAdd={(payload) => addPurchaseToItem(it.id, payload)}
-                      />
+        {view === "items" && showLocations && (
+          <LocationsPanel
+            locations={locationList}
+            items={itemsWithMeta}
+            canManage={can('manage')}
+            onSave={saveLocationDetails}
+            onDelete={deleteLocationRecord}
+            onClose={() => setShowLocations(false)}
+          />
+        )}
+
+        {view === "items" && (
+          <main>
+            {visibleItems.length === 0 ? (
+              <div className="card text-center">
+                {state.items.length === 0 ? (
+                  <div>
+                    <p className="text-gray-600 mb-4">
+                      {can('record') ? 'No items yet. Click "Add Item / Purchase" to get started.' : 'No items yet.'}
+                    </p>
+                    {can('record') && (
                       <button
-                        onClick={() => setSelectedItemId((v) => (v === it.id ? null : it.id))}
-                        className="button button-secondary text-sm"
+                        onClick={() => setShowNewItemForm(true)}
+                        className="button bg-indigo-600"
                       >
-                        {selectedItemId === it.id ? 'Hide Details' : 'Show Details'}
+                        Add Your First Item
                       </button>
-                    </div>
+                    )}
                   </div>
+                ) : (
+                  <p className="text-gray-600">
+                    {stockFilter === "reorder"
+                      ? "No items need reordering."
+                      : stockFilter === "price_alert"
+                        ? "No items have a price alert."
+                        : "No items match your search and filters. Try a different search term."}
+                  </p>
+                )}
+              </div>
+            ) : (
+              <div className="space-y-6">
+                {itemGroups.map((group) => (
+                  <section key={group.key}>
+                    {group.title && (
+                      <div
+                        className="flex flex-wrap items-baseline justify-between gap-2 mb-2"
+                        style={{ paddingLeft: `${(group.depth - 1) * 1.5}rem` }}
+                      >
+                        <h2 className="font-semibold">{group.title}</h2>
+                        <span className="text-sm text-gray-600">
+                          {group.items.length} items • Spent {formatMoney(group.subtotal)}
+                          {group.nestedCount > group.items.length && ` across ${group.nestedCount} items with subcategories`}
+                        </span>
+                      </div>
+                    )}
+                    <div className="space-y-3">
+                      {group.items.map((it) => (
+                        <div key={it.id} className="card">
+                          <div className="flex flex-col md:flex-row md:justify-between">
+                            <div className="flex-1">
+                              <div className="flex items-baseline gap-3 mb-2">
+                                {can('manage')
+                                  ? <ItemDetailsInline item={it} onSave={(details) => editItemDetails(it.id, details)} />
+                                  : <h2 className="text-lg font-medium">{it.name}</h2>}
+                                {it.needsReorder && (
+                                  <span className="text-sm text-red-600 font-semibold">Needs reorder</span>
+                                )}
+                                {it.priceAlert && (
+                                  <span className="text-sm text-red-600 font-semibold" title={`Latest price is ${it.priceJump.toFixed(1)}% above the trailing average`}>
+                                    Price up {it.priceJump.toFixed(1)}%
+                                  </span>
+                                )}
+                                {it.expiringLots.length > 0 && (
+                                  <button onClick={() => setView("expiring")} className="text-sm text-amber-700 font-semibold hover:underline" title={`Lots in stock expiring within ${expiryWarningDays} days`}>
+                                    {it.expiringLots.length === 1 ? "1 lot expiring" : `${it.expiringLots.length} lots expiring`}
+                                  </button>
+                                )}
+                                {it.last && (
+                                  <span className="text-sm text-gray-600">
+                                    Last: {formatDateISO(it.last.date)} @ {formatMoney(it.last.unitPrice, it.last.currency)}/{purchaseUnitName(it.last, it)} ({it.last.qty} {purchaseUnitName(it.last, it)})
+                                  </span>
+                                )}
+                              </div>
+                      
+                              {(it.sku || it.barcode) && (
+                                <div className="text-xs text-gray-600 mb-2">
+                                  {it.sku && <span className="mr-3">SKU: {it.sku}</span>}
+                                  {it.barcode && <span>Barcode: {it.barcode}</span>}
+                                </div>
+                              )}
 
-                  {selectedItemId === it.id && (
-                    <div className="mt-3 bg-gray-50 p-3 rounded">
-                      <h3 className="font-semibold mb-2">Purchase History</h3>
-                      <div className="overflow-auto">
-                        <table className="w-full text-sm">
-                          <thead>
-                            <tr className="text-left border-b">
-                              <th className="py-2">Date</th>
-                              <th className="py-2">Quantity</th>
-                              <th className="py-2">Unit Price</th>
-                              <th className="py-2">Total</th>
-                              <th className="py-2">Supplier</th>
-                              <th className="py-2">Actions</th>
-                            </tr>
-                          </thead>
-                          <tbody>
-                            {(it.purchases || []).slice().sort((a,b)=>new Date(b.date)-new Date(a.date)).map((p) => (
-                              <tr key={p.id} className="border-b">
-                                <td className="py-2">{formatDateISO(p.date)}</td>
-                                <td className="py-2">{p.qty}</td>
-                                <td className="py-2">₹{p.unitPrice}</td>
-                                <td className="py-2">₹{(p.qty * p.unitPrice).toFixed(2)}</td>
-                                <td className="py-2">{p.supplier || '-'}</td>
-                                <td className="py-2">
+                              {(it.categoryPath || it.tags.length > 0) && (
+                                <div className="flex flex-wrap gap-2 text-xs text-gray-600 mb-2">
+                                  {it.categoryPath && (
+                                    <button onClick={() => setCategoryFilter(it.categoryId)} className="hover:underline" title="Show this category">
+                                      {it.categoryPath}
+                                    </button>
+                                  )}
+                                  {it.tags.map((tag) => (
+                                    <button key={tag} onClick={() => setTagFilter(tag)} className="bg-gray-50 rounded px-2 hover:underline" title="Show this tag">
+                                      #{tag}
+                                    </button>
+                                  ))}
+                                </div>
+                              )}
+
+                              {it.priceChange !== null && (
+                                <div className={`text-sm mb-2 ${it.priceChange > 0 ? "text-red-600" : it.priceChange < 0 ? "text-green-600" : "text-gray-600"}`}>
+                                  Price change: {it.priceChange > 0 ? "+" : ""}{formatMoney(it.priceChange)}/{it.baseUnit}
+                                </div>
+                              )}
+                      
+                              <div className="flex flex-wrap gap-4 text-sm text-gray-700">
+                                <span>Purchases: {it.purchaseCount}</span>
+                                <span>Total spent: {formatMoney(it.totalSpent)}{it.totalTax > 0 && ` + ${formatMoney(it.totalTax)} tax`}</span>
+                                <span className={it.onHand < 0 ? "text-red-600" : ""}>In stock: {it.onHand} {it.baseUnit}</span>
+                                {activeLocationFilter !== "all" && (
+                                  <span>{activeLocationFilter === "none" ? "Unassigned" : `At ${locationName(locationList, filteredLocationId)}`}: {it.stockByLocation.get(filteredLocationId) || 0} {it.baseUnit}</span>
+                                )}
+                                {it.averagePrice != null && <span>Avg price: {formatMoney(it.averagePrice)}/{it.baseUnit}</span>}
+                                {it.onHand > 0 && <span>Stock value: {formatMoney(it.stockValue)} (FIFO)</span>}
+                              </div>
+
+                              {it.needsReorder && (
+                                <div className="text-sm text-red-600 mt-3">
+                                  Below minimum of {it.minStock} {it.baseUnit}
+                                  {it.reorderQty != null && ` • Order ${it.reorderQty} ${it.baseUnit}`}
+                                  {it.last && ` • Last from ${it.last.supplier || 'unknown supplier'} @ ${formatMoney(basePrice(it.last))}/${it.baseUnit}`}
+                                </div>
+                              )}
+                            </div>
+
+                            <div className="mt-3 md:mt-0 flex flex-col gap-2">
+                              {can('record') && (
+                                <AddPurchaseInline
+                                  item={it}
+                                  locations={locationList}
+                                  budgetWarning={(payload) => budgetWarning(it, payload)}
+                                  onAdd={(payload) => addPurchaseToItem(it.id, payload)}
+                                />
+                              )}
+                              {can('manage') && (
+                                <ReorderSettingsInline
+                                  item={it}
+                                  onSave={(payload) => updateReorderSettings(it.id, payload)}
+                                />
+                              )}
+                              {can('manage') && (
+                                <ItemInfoInline
+                                  item={it}
+                                  onSave={(payload) => editItemInfo(it.id, payload)}
+                                />
+                              )}
+                              {can('manage') && (
+                                <ItemGroupingInline
+                                  item={it}
+                                  categories={categoryList}
+                                  tagOptions={allTags}
+                                  onSave={(payload) => editItemGrouping(it.id, payload)}
+                                />
+                              )}
+                              <button
+                                onClick={() => setSelectedItemId((v) => (v === it.id ? null : it.id))}
+                                className="button button-secondary text-sm"
+                              >
+                                {selectedItemId === it.id ? 'Hide Details' : 'Show Details'}
+                              </button>
+                            </div>
+                          </div>
+
+                          {selectedItemId === it.id && (
+                            <div className="mt-3 bg-gray-50 p-3 rounded">
+                              {(it.description || Object.keys(it.attributes || {}).length > 0) && (
+                                <div className="text-sm mb-3">
+                                  {it.description && <p className="mb-1">{it.description}</p>}
+                                  <div className="flex flex-wrap gap-3">
+                                    {Object.entries(it.attributes || {}).map(([key, value]) => (
+                                      <span key={key}><span className="text-gray-600">{key}:</span> {value}</span>
+                                    ))}
+                                  </div>
+                                </div>
+                              )}
+
+                              {locationList.length > 0 && (
+                                <>
+                                  <h3 className="font-semibold mb-2">Stock by Location</h3>
+                                  <table className="text-sm mb-3">
+                                    <tbody>
+                                      {[...locationList.map((l) => l.id), null].filter((id) => id !== null || it.stockByLocation.has(null)).map((id) => (
+                                        <tr key={id ?? "none"} className="border-b">
+                                          <td className="py-1 pr-6">{locationName(locationList, id)}</td>
+                                          <td className={`py-1 ${(it.stockByLocation.get(id) || 0) < 0 ? "text-red-600" : ""}`}>{it.stockByLocation.get(id) || 0} {it.baseUnit}</td>
+                                        </tr>
+                                      ))}
+                                    </tbody>
+                                  </table>
+                                </>
+                              )}
+
+                              {(it.purchases || []).length > 0 && (
+                                <>
+                                  <h3 className="font-semibold mb-2">Price History</h3>
+                                  <PriceHistoryChart purchases={it.purchases} baseUnit={it.baseUnit} />
+                                </>
+                              )}
+
+                              <h3 className="font-semibold mb-2 mt-3">Purchase History</h3>
+                              <div className="overflow-auto">
+                                <table className="w-full text-sm">
+                                  <thead>
+                                    <tr className="text-left border-b">
+                                      <th className="py-2">Date</th>
+                                      <th className="py-2">Quantity</th>
+                                      <th className="py-2">Unit Price</th>
+                                      <th className="py-2" title={`Net of tax, in ${BASE_CURRENCY}`}>Net</th>
+                                      <th className="py-2">Tax</th>
+                                      <th className="py-2">Gross</th>
+                                      <th className="py-2">Supplier</th>
+                                      <th className="py-2">Location</th>
+                                      <th className="py-2">Lot</th>
+                                      <th className="py-2">Expires</th>
+                                      <th className="py-2">Files</th>
+                                      <th className="py-2">Actions</th>
+                                    </tr>
+                                  </thead>
+                                  <tbody>
+                                    {(it.purchases || []).slice().sort((a,b)=>new Date(b.date)-new Date(a.date)).map((p) => (
+                                      <PurchaseRow
+                                        key={p.id}
+                                        purchase={p}
+                                        baseUnit={it.baseUnit}
+                                        locations={locationList}
+                                        canManage={can('manage')}
+                                        canRecord={can('record')}
+                                        connected={databaseStatus.connected}
+                                        onSave={(payload) => editPurchase(it.id, p.id, payload)}
+                                        onDelete={() => deletePurchase(it.id, p.id)}
+                                        onAttach={(files) => attachFiles(it.id, p, files)}
+                                        onRemoveAttachment={(attachment) => removeAttachment(it.id, p, attachment)}
+                                        onNotify={showNotification}
+                                      />
+                                    ))}
+                                  </tbody>
+                                </table>
+                              </div>
+
+                              <h3 className="font-semibold mb-2 mt-3">Stock Movements</h3>
+                              {can('record') && (
+                                <RecordMovementInline baseUnit={it.baseUnit} locations={locationList} onRecord={(payload) => recordMovement(it.id, payload)} />
+                              )}
+                              {(it.movements || []).length > 0 && (
+                                <div className="overflow-auto mt-3">
+                                  <table className="w-full text-sm">
+                                    <thead>
+                                      <tr className="text-left border-b">
+                                        <th className="py-2">Date</th>
+                                        <th className="py-2">Type</th>
+                                        <th className="py-2">Quantity</th>
+                                        <th className="py-2">Location</th>
+                                        <th className="py-2">Note</th>
+                                        <th className="py-2">Actions</th>
+                                      </tr>
+                                    </thead>
+                                    <tbody>
+                                      {it.movements.slice().sort((a,b)=>new Date(b.date)-new Date(a.date)).map((m) => (
+                                        <tr key={m.id} className="border-b">
+                                          <td className="py-2">{formatDateISO(m.date)}</td>
+                                          <td className="py-2">{MOVEMENT_LABELS[m.type] || m.type}</td>
+                                          <td className="py-2">{m.type === "transfer" ? "" : STOCK_MOVEMENT_TYPES[m.type] > 0 ? "+" : "-"}{m.qty} {it.baseUnit}</td>
+                                          <td className="py-2">
+                                            {locationName(locationList, m.locationId)}
+                                            {m.type === "transfer" && ` → ${locationName(locationList, m.toLocationId)}`}
+                                          </td>
+                                          <td className="py-2">{m.note || '-'}</td>
+                                          <td className="py-2">
+                                            {can('manage') && (
+                                              <button
+                                                onClick={() => deleteMovement(it.id, m.id)}
+                                                className="text-red-600 text-xs hover:underline"
+                                                aria-label={`Delete stock movement from ${formatDateISO(m.date)}`}
+                                              >
+                                                Delete
+                                              </button>
+                                            )}
+                                          </td>
+                                        </tr>
+                                      ))}
+                                    </tbody>
+                                  </table>
+                                </div>
+                              )}
+
+                              <h3 className="font-semibold mb-2 mt-3">Change History</h3>
+                              <ItemHistory
+                                item={it}
+                                localEntries={(state.auditLog || []).filter((e) => e.itemId === it.id)}
+                                connected={databaseStatus.connected}
+                              />
+
+                              {can('manage') && (
+                                <div className="mt-3">
                                   <button
-                                    onClick={() => deletePurchase(it.id, p.id)}
+                                    onClick={() => deleteItem(it.id)}
                                     className="text-red-600 text-xs hover:underline"
-                                    aria-label={`Delete purchase from ${formatDateISO(p.date)}`}
+                                    aria-label={`Delete ${it.name}`}
                                   >
-                                    Delete
+                                    Delete Item
                                   </button>
-                                </td>
-                              </tr>
-                            ))}
-                          </tbody>
-                        </table>
-                      </div>
+                                </div>
+                              )}
+                            </div>
+                          )}
+                        </div>
+                      ))}
                     </div>
-                  )}
-                </div>
-              ))}
-            </div>
-          )}
-        </main>
+                  </section>
+                ))}
+              </div>
+            )}
+          </main>
+        )}
+
+        {view === "dashboard" && (
+          <DashboardView
+            connected={databaseStatus.connected}
+            pendingCount={(state.outbox || []).length}
+          />
+        )}
+
+        {view === "valuation" && (
+          <ValuationView
+            connected={databaseStatus.connected}
+            pendingCount={(state.outbox || []).length}
+          />
+        )}
+
+        {view === "budgets" && (
+          <BudgetsView
+            budgets={state.budgets || []}
+            items={state.items}
+            categories={state.categories || []}
+            suppliers={state.suppliers || []}
+            connected={databaseStatus.connected}
+            pendingCount={(state.outbox || []).length}
+            canManage={can('manage')}
+            onChange={setBudgets}
+            onNotify={showNotification}
+          />
+        )}
+
+        {view === "expiring" && (
+          <ExpiringView
+            lots={expiringRows}
+            days={expiryWarningDays}
+            onChangeDays={setExpiryWarningDays}
+          />
+        )}
+
+        {view === "team" && (
+          <TeamView
+            connected={databaseStatus.connected}
+            currentUserId={session.user.id}
+            canAdminister={can('administer')}
+            onNotify={showNotification}
+          />
+        )}
+
+        {view === "suppliers" && (
+          <SuppliersView
+            suppliers={state.suppliers || []}
+            items={state.items}
+            can={can}
+            onSave={saveSupplierDetails}
+            onDelete={deleteSupplierRecord}
+          />
+        )}
+
+        {view === "orders" && (
+          <OrdersView
+            orders={state.orders || []}
+            items={state.items}
+            locations={locationList}
+            can={can}
+            onCreate={createOrder}
+            onSetStatus={setOrderStatus}
+            onReceive={receiveOrder}
+            onDelete={deleteOrder}
+          />
+        )}
+
+        {view === "trash" && (
+          <TrashView
+            trash={state.trash || []}
+            outbox={outbox}
+            connected={databaseStatus.connected}
+            canManage={can('manage')}
+            onRestore={restoreTrashEntry}
+            onPurge={purgeTrashEntry}
+            onNotify={showNotification}
+          />
+        )}
+
+        <datalist id="supplier-options">
+          {(state.suppliers || []).map((sup) => <option key={sup.id} value={sup.name} />)}
+        </datalist>
 
         <footer className="mt-6 text-sm text-gray-500 text-center">
           Data stored locally in your browser • Export/Import for backup
+          {outbox.length > 0 && !databaseStatus.connected && (
+            <div className="mt-2">
+              {outbox.length} changes will be written to the database when it is reachable again
+            </div>
+          )}
           {databaseStatus.connected && (
             <div className="mt-2 text-green-600">
-              ✓ Database connection active - Use "Store to Database" to sync to cloud
+              ✓ Database connection active - Use "Sync with Database" to sync with the cloud
             </div>
           )}
         </footer>
@@ -741,19 +3144,2219 @@ function addNewItem(e) {
   );
 }
 
-function AddPurchaseInline({ item, onAdd, onDelete }) {
+// defaults ({ unit, unitFactor, supplier, locationId }, e.g. the last purchase) prefill the form
+function AddPurchaseInline({ item, locations, defaults, budgetWarning, onAdd, onDelete }) {
   const [qty, setQty] = useState(1);
   const [price, setPrice] = useState(item.last ? item.last.unitPrice : 0);
-  const [supplier, setSupplier] = useState("");
+  const [supplier, setSupplier] = useState(defaults?.supplier || "");
   const [date, setDate] = useState(new Date().toISOString().slice(0, 10));
+  const [units, setUnits] = useState({ unit: defaults?.unit || "", unitFactor: defaults?.unitFactor ?? 1 });
+  const [locationId, setLocationId] = useState(() => locations.some((l) => l.id === defaults?.locationId) ? defaults.locationId : "");
+  const [lot, setLot] = useState({ lotCode: "", expiryDate: "" });
+  const [pricing, setPricing] = useState(() => pricingForm(defaults));
+  const updateUnits = (field) => (e) => setUnits((u) => ({ ...u, [field]: e.target.value }));
+  const warning = budgetWarning?.({ qty, unitPrice: price, supplier, date, ...pricing });
 
   return (
-    <div className="flex gap-2 items-center">
+    <div className="flex flex-wrap gap-2 items-center">
       <input value={qty} onChange={(e) => setQty(e.target.value)} type="number" min="0" className="p-1 w-20 border rounded text-sm" />
+      <PurchaseUnitInputs form={units} baseUnit={item.baseUnit} onChange={updateUnits} />
       <input value={price} onChange={(e) => setPrice(e.target.value)} type="number" step="0.01" className="p-1 w-28 border rounded text-sm" />
       <input value={date} onChange={(e) => setDate(e.target.value)} type="date" className="p-1 border rounded text-sm" />
-      <input value={supplier} onChange={(e) => setSupplier(e.target.value)} placeholder="Supplier" className="p-1 border rounded text-sm w-28" />
-      <button onClick={() => { onAdd({ qty, unitPrice: price, supplier, date }); setQty(1); }} className="px-2 py-1 bg-blue-600 text-white rounded text-sm">Add</button>
+      <input value={supplier} onChange={(e) => setSupplier(e.target.value)} placeholder="Supplier" list="supplier-options" className="p-1 border rounded text-sm w-28" />
+      <LocationSelect locations={locations} value={locationId} onChange={setLocationId} label="Received at" />
+      <input value={lot.lotCode} onChange={(e) => setLot((l) => ({ ...l, lotCode: e.target.value }))} placeholder="Lot" className="p-1 w-20 border rounded text-sm" aria-label="Lot" />
+      <input value={lot.expiryDate} onChange={(e) => setLot((l) => ({ ...l, expiryDate: e.target.value }))} type="date" className="p-1 border rounded text-sm" aria-label="Expiry date" title="Expiry date" />
+      <PurchasePricingInputs form={pricing} onChange={(fields) => setPricing((p) => ({ ...p, ...fields }))} />
+      <button onClick={() => { onAdd({ qty, unitPrice: price, ...units, supplier, date, locationId, ...lot, ...pricing }); setQty(1); setLot({ lotCode: "", expiryDate: "" }); }} className="px-2 py-1 bg-blue-600 text-white rounded text-sm">Add</button>
+      {warning && <p className="w-full text-xs text-amber-700">{warning}</p>}
+    </div>
+  );
+}
+
+// Location picker where "" stands for no location; hidden until locations are set up
+function LocationSelect({ locations, value, onChange, label, emptyLabel = "No location" }) {
+  if (locations.length === 0) return null;
+  return (
+    <select value={value} onChange={(e) => onChange(e.target.value)} className="p-1 border rounded text-sm" aria-label={label} title={label}>
+      <option value="">{emptyLabel}</option>
+      {locations.map((l) => (
+        <option key={l.id} value={l.id}>{l.name}</option>
+      ))}
+    </select>
+  );
+}
+
+// Barcode formats scan mode reads, where the browser supports them
+const SCAN_FORMATS = ["ean_13", "ean_8", "upc_a", "upc_e", "qr_code"];
+const SCAN_INTERVAL = 250;
+
+// A BarcodeDetector for the scan formats, or null when the browser has none
+async function createBarcodeDetector() {
+  if (!("BarcodeDetector" in window)) return null;
+  const supported = await window.BarcodeDetector.getSupportedFormats();
+  const formats = SCAN_FORMATS.filter((format) => supported.includes(format));
+  return formats.length > 0 ? new window.BarcodeDetector({ formats }) : null;
+}
+
+// The item with a scanned code as its barcode, else as its SKU (QR labels often carry one)
+function findScannedItem(items, code) {
+  const barcode = normalizeBarcode(code);
+  const sku = normalizeSku(code);
+  return items.find((it) => barcode && it.barcode === barcode) || items.find((it) => sku && it.sku === sku) || null;
+}
+
+// Scan mode: reads a code with the camera, from a photo or typed in (USB
+// scanners type too), then opens a purchase form for its item prefilled from
+// the last purchase, or offers to create an item with that barcode.
+function BarcodeScanner({ items, locations, budgetWarning, onAdd, onCreate, onClose }) {
+  const videoRef = useRef(null);
+  const [detector, setDetector] = useState(undefined); // undefined while checking, null when unsupported
+  const [cameraOn, setCameraOn] = useState(false);
+  const [code, setCode] = useState(null);
+  const [fromCamera, setFromCamera] = useState(false);
+  const [typed, setTyped] = useState("");
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    let cancelled = false;
+    createBarcodeDetector()
+      .catch(() => null)
+      .then((result) => { if (!cancelled) setDetector(result); });
+    return () => { cancelled = true; };
+  }, []);
+
+  // Read camera frames until a code is found; the camera is released when scanning stops
+  useEffect(() => {
+    if (!cameraOn || !detector) return;
+    let stopped = false;
+    let stream = null;
+    let timer = null;
+
+    async function readFrame() {
+      if (stopped) return;
+      const [found] = await detector.detect(videoRef.current).catch(() => []);
+      if (stopped) return;
+      if (found) {
+        setCode(found.rawValue);
+        setFromCamera(true);
+        setCameraOn(false);
+      } else {
+        timer = setTimeout(readFrame, SCAN_INTERVAL);
+      }
+    }
+
+    navigator.mediaDevices.getUserMedia({ video: { facingMode: "environment" } })
+      .then(async (media) => {
+        stream = media;
+        if (stopped) return;
+        videoRef.current.srcObject = media;
+        await videoRef.current.play();
+        readFrame();
+      })
+      .catch((e) => {
+        if (stopped) return;
+        setError(`Camera unavailable: ${e.message}`);
+        setCameraOn(false);
+      });
+
+    return () => {
+      stopped = true;
+      clearTimeout(timer);
+      stream?.getTracks().forEach((track) => track.stop());
+    };
+  }, [cameraOn, detector]);
+
+  async function scanPhoto(e) {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    setError("");
+    try {
+      const [found] = await detector.detect(await createImageBitmap(file));
+      if (found) {
+        setCode(found.rawValue);
+        setFromCamera(false);
+      } else {
+        setError("No barcode found in the photo");
+      }
+    } catch (err) {
+      setError(`Could not read the photo: ${err.message}`);
+    }
+  }
+
+  function submitTyped(e) {
+    e.preventDefault();
+    if (!typed.trim()) return;
+    setCode(typed.trim());
+    setFromCamera(false);
+    setTyped("");
+  }
+
+  // Codes read with the camera go straight back to it for the next one
+  function scanAgain() {
+    setCode(null);
+    setError("");
+    setCameraOn(fromCamera);
+  }
+
+  const item = code ? findScannedItem(items, code) : null;
+
+  return (
+    <section className="card mb-4 text-sm">
+      <div className="flex md:justify-between items-baseline mb-2">
+        <h3 className="font-semibold">Scan a Barcode</h3>
+        <button onClick={onClose} className="text-xs hover:underline">Close</button>
+      </div>
+
+      {code == null && (
+        <div className="flex flex-col gap-2">
+          {detector === null && (
+            <p className="text-gray-600">This browser cannot read barcodes from the camera or photos. Type the code or use a USB scanner.</p>
+          )}
+          {detector && (
+            <div className="flex flex-wrap gap-2 items-center">
+              <button onClick={() => { setError(""); setCameraOn((v) => !v); }} className="button button-secondary text-sm">
+                {cameraOn ? 'Stop Camera' : 'Use Camera'}
+              </button>
+              <label className="button button-secondary text-sm cursor-pointer">
+                Scan a Photo
+                <input type="file" accept="image/*" capture="environment" onChange={scanPhoto} className="hidden" />
+              </label>
+            </div>
+          )}
+          {cameraOn && <video ref={videoRef} muted playsInline className="w-full max-w-sm rounded bg-black" />}
+          <form onSubmit={submitTyped} className="flex gap-2 items-center">
+            <input
+              value={typed}
+              onChange={(e) => setTyped(e.target.value)}
+              placeholder="Barcode or SKU"
+              className="p-1 border rounded text-sm"
+              aria-label="Barcode or SKU"
+              autoFocus
+            />
+            <button type="submit" className="px-2 py-1 border rounded text-sm">Look Up</button>
+          </form>
+        </div>
+      )}
+
+      {code != null && item && (
+        <div className="flex flex-col gap-2">
+          <div>
+            <span className="font-medium">{item.name}</span>
+            <span className="ml-2 text-gray-600">{code}</span>
+          </div>
+          <AddPurchaseInline
+            key={item.id}
+            item={item}
+            locations={locations}
+            defaults={item.last}
+            budgetWarning={(payload) => budgetWarning(item, payload)}
+            onAdd={(payload) => { if (onAdd(item.id, payload)) scanAgain(); }}
+          />
+          <button onClick={scanAgain} className="self-start text-xs hover:underline">Scan another</button>
+        </div>
+      )}
+
+      {code != null && !item && (
+        <div className="flex flex-wrap gap-2 items-center">
+          <span>No item has the code {code}.</span>
+          <button onClick={() => onCreate(code)} className="button text-sm">Create New Item</button>
+          <button onClick={scanAgain} className="button button-secondary text-sm">Scan Again</button>
+        </div>
+      )}
+
+      {error && <p className="text-red-600 mt-2">{error}</p>}
+    </section>
+  );
+}
+
+function ItemDetailsInline({ item, onSave }) {
+  const [form, setForm] = useState(null);
+  const update = (field) => (e) => setForm((f) => ({ ...f, [field]: e.target.value }));
+
+  function save(e) {
+    e.preventDefault();
+    if (onSave(form)) setForm(null);
+  }
+
+  if (!form) {
+    return (
+      <h2 className="text-lg font-medium">
+        {item.name}
+        <span className="ml-2 text-sm font-normal text-gray-500">({item.baseUnit})</span>
+        <button
+          onClick={() => setForm({ name: item.name, baseUnit: item.baseUnit })}
+          className="ml-2 text-indigo-600 text-xs font-normal hover:underline"
+          aria-label={`Edit ${item.name}`}
+        >
+          Edit
+        </button>
+      </h2>
+    );
+  }
+
+  return (
+    <form onSubmit={save} className="flex gap-2 items-center">
+      <input value={form.name} onChange={update("name")} className="p-1 border rounded text-sm" aria-label="Item name" autoFocus />
+      <input value={form.baseUnit} onChange={update("baseUnit")} placeholder={DEFAULT_BASE_UNIT} className="p-1 w-20 border rounded text-sm" aria-label="Base unit" title="Unit stock is counted in" />
+      <button type="submit" className="px-2 py-1 bg-blue-600 text-white rounded text-sm">Save</button>
+      <button type="button" onClick={() => setForm(null)} className="px-2 py-1 border rounded text-sm">Cancel</button>
+    </form>
+  );
+}
+
+// A Purchase History row; managers can correct it in place. The quantity of a
+// purchase received against an order is fixed by the order.
+function PurchaseRow({ purchase, baseUnit, locations, canManage, canRecord, connected, onSave, onDelete, onAttach, onRemoveAttachment, onNotify }) {
+  const [form, setForm] = useState(null);
+  const files = (
+    <td className="py-2">
+      <PurchaseAttachments
+        attachments={purchase.attachments || []}
+        connected={connected}
+        canAttach={canRecord && connected && purchase.serverId != null}
+        canRemove={canManage && connected}
+        onAttach={onAttach}
+        onRemove={onRemoveAttachment}
+        onNotify={onNotify}
+      />
+    </td>
+  );
+  const update = (field) => (e) => setForm((f) => ({ ...f, [field]: e.target.value }));
+
+  function startEdit() {
+    setForm({
+      qty: purchase.qty,
+      unitPrice: purchase.unitPrice,
+      unit: purchase.unit || "",
+      unitFactor: purchase.unitFactor ?? 1,
+      supplier: purchase.supplier || "",
+      date: dateInputValue(purchase.date),
+      locationId: locations.some((l) => l.id === purchase.locationId) ? purchase.locationId : "",
+      lotCode: purchase.lotCode || "",
+      expiryDate: purchase.expiryDate || "",
+      ...pricingForm(purchase)
+    });
+  }
+
+  function save() {
+    if (onSave(form)) setForm(null);
+  }
+
+  if (!form) {
+    return (
+      <tr className="border-b">
+        <td className="py-2">{formatDateISO(purchase.date)}</td>
+        <td className="py-2">
+          {purchase.qty} {purchase.unit || baseUnit}
+          {purchase.unit && <span className="text-gray-500"> ({baseQuantity(purchase)} {baseUnit})</span>}
+        </td>
+        <td className="py-2">
+          {formatMoney(purchase.unitPrice, purchase.currency)}/{purchase.unit || baseUnit}
+          {taxLabel(purchase) && <span className="text-gray-500"> {taxLabel(purchase)}</span>}
+          {(purchase.unit || normalizeCurrency(purchase.currency) !== BASE_CURRENCY) && (
+            <span className="text-gray-500"> ({formatMoney(basePrice(purchase))}/{baseUnit})</span>
+          )}
+        </td>
+        <PurchaseAmountCells purchase={purchase} />
+        <td className="py-2">{purchase.supplier || '-'}</td>
+        <td className="py-2">{locationName(locations, purchase.locationId)}</td>
+        <td className="py-2">{purchase.lotCode || '-'}</td>
+        <td className={`py-2 ${purchase.expiryDate && daysUntil(purchase.expiryDate) < 0 ? "text-red-600" : ""}`}>
+          {purchase.expiryDate ? formatDateISO(purchase.expiryDate) : '-'}
+        </td>
+        {files}
+        <td className="py-2">
+          {canManage && (
+            <div className="flex gap-2">
+              <button
+                onClick={startEdit}
+                className="text-indigo-600 text-xs hover:underline"
+                aria-label={`Edit purchase from ${formatDateISO(purchase.date)}`}
+              >
+                Edit
+              </button>
+              <button
+                onClick={onDelete}
+                className="text-red-600 text-xs hover:underline"
+                aria-label={`Delete purchase from ${formatDateISO(purchase.date)}`}
+              >
+                Delete
+              </button>
+            </div>
+          )}
+        </td>
+      </tr>
+    );
+  }
+
+  return (
+    <tr className="border-b">
+      <td className="py-2"><input value={form.date} onChange={update("date")} type="date" className="p-1 border rounded text-sm" aria-label="Purchase date" /></td>
+      <td className="py-2">
+        <input
+          value={form.qty}
+          onChange={update("qty")}
+          type="number"
+          min="0"
+          disabled={purchase.orderLineId != null}
+          title={purchase.orderLineId != null ? "Received against a purchase order" : undefined}
+          className="p-1 w-20 border rounded text-sm"
+          aria-label="Purchase quantity"
+        />
+        <PurchaseUnitInputs form={form} baseUnit={baseUnit} onChange={update} />
+      </td>
+      <td className="py-2">
+        <input value={form.unitPrice} onChange={update("unitPrice")} type="number" step="0.01" className="p-1 w-24 border rounded text-sm" aria-label="Unit price" />
+        <PurchasePricingInputs form={form} onChange={(pricing) => setForm((f) => ({ ...f, ...pricing }))} />
+      </td>
+      <PurchaseAmountCells purchase={{ ...form, ...purchasePricing(form) }} />
+      <td className="py-2"><input value={form.supplier} onChange={update("supplier")} placeholder="Supplier" list="supplier-options" className="p-1 border rounded text-sm w-28" aria-label="Supplier" /></td>
+      <td className="py-2">
+        <LocationSelect locations={locations} value={form.locationId} onChange={(locationId) => setForm((f) => ({ ...f, locationId }))} label="Received at" />
+      </td>
+      <td className="py-2"><input value={form.lotCode} onChange={update("lotCode")} className="p-1 w-20 border rounded text-sm" aria-label="Lot" /></td>
+      <td className="py-2"><input value={form.expiryDate} onChange={update("expiryDate")} type="date" className="p-1 border rounded text-sm" aria-label="Expiry date" /></td>
+      {files}
+      <td className="py-2">
+        <div className="flex gap-2">
+          <button onClick={save} className="text-indigo-600 text-xs hover:underline">Save</button>
+          <button onClick={() => setForm(null)} className="text-gray-600 text-xs hover:underline">Cancel</button>
+        </div>
+      </td>
+    </tr>
+  );
+}
+
+// Purchase unit, and the base units in one of it when it differs from the base unit
+function PurchaseUnitInputs({ form, baseUnit, onChange }) {
+  const { unit } = purchaseUnit(form, baseUnit);
+  return (
+    <>
+      <input value={form.unit} onChange={onChange("unit")} placeholder={baseUnit} className="p-1 w-16 border rounded text-sm" aria-label="Purchase unit" title="Unit bought in (blank for the base unit)" />
+      {unit && (
+        <input
+          value={form.unitFactor}
+          onChange={onChange("unitFactor")}
+          type="number"
+          min="0"
+          step="any"
+          className="p-1 w-20 border rounded text-sm"
+          aria-label={`${baseUnit} per ${unit}`}
+          title={`${baseUnit} per ${unit}`}
+        />
+      )}
+    </>
+  );
+}
+
+// Files attached to a purchase: image thumbnails and links to the rest. Files
+// are fetched from the server, so they only open while connected.
+function PurchaseAttachments({ attachments, connected, canAttach, canRemove, onAttach, onRemove, onNotify }) {
+  const input = useRef(null);
+  return (
+    <div className="flex flex-wrap items-center gap-2">
+      {attachments.map((attachment) => (
+        <AttachmentLink
+          key={attachment.serverId}
+          attachment={attachment}
+          connected={connected}
+          canRemove={canRemove}
+          onRemove={() => onRemove(attachment)}
+          onNotify={onNotify}
+        />
+      ))}
+      {attachments.length === 0 && !canAttach && '-'}
+      {canAttach && (
+        <>
+          <button onClick={() => input.current?.click()} className="text-indigo-600 text-xs hover:underline">Attach</button>
+          <input
+            ref={input}
+            type="file"
+            accept={ATTACHMENT_CONTENT_TYPES.join(",")}
+            multiple
+            className="hidden"
+            aria-label="Attach invoice or receipt"
+            onChange={(e) => {
+              const files = [...e.target.files];
+              e.target.value = "";
+              if (files.length > 0) onAttach(files);
+            }}
+          />
+        </>
+      )}
     </div>
   );
-}
\ No newline at end of file
+}
+
+function AttachmentLink({ attachment, connected, canRemove, onRemove, onNotify }) {
+  const [thumbnail, setThumbnail] = useState(null);
+  const image = isImageAttachment(attachment);
+
+  // Files need the session token, so images are loaded as data rather than by URL
+  useEffect(() => {
+    if (!image || !connected) return;
+    let cancelled = false;
+    getAttachment(attachment.serverId).then((result) => {
+      if (!cancelled && result.success) setThumbnail(`data:${result.data.contentType};base64,${result.data.data}`);
+    });
+    return () => { cancelled = true; };
+  }, [attachment.serverId, image, connected]);
+
+  async function open() {
+    // Opened before the download so the browser does not block it as a popup
+    const tab = window.open("", "_blank");
+    const result = await getAttachment(attachment.serverId);
+    if (!result.success) {
+      tab?.close();
+      onNotify(result.message, 'error');
+      return;
+    }
+    const bytes = Uint8Array.from(atob(result.data.data), (c) => c.charCodeAt(0));
+    const url = URL.createObjectURL(new Blob([bytes], { type: result.data.contentType }));
+    if (tab) tab.location.href = url;
+    setTimeout(() => URL.revokeObjectURL(url), 60000);
+  }
+
+  const label = `${attachment.fileName} (${Math.max(1, Math.round(attachment.size / 1024))} KB)`;
+  return (
+    <span className="inline-flex items-center gap-1">
+      {connected ? (
+        <button onClick={open} title={label} className="text-indigo-600 text-xs hover:underline">
+          {thumbnail
+            ? <img src={thumbnail} alt={attachment.fileName} className="h-10 w-10 object-cover rounded border" />
+            : <span className="inline-block max-w-32 truncate align-bottom">{attachment.fileName}</span>}
+        </button>
+      ) : (
+        <span title={`${label} - connect to the database to open it`} className="text-xs text-gray-500 inline-block max-w-32 truncate align-bottom">
+          {attachment.fileName}
+        </span>
+      )}
+      {canRemove && (
+        <button onClick={onRemove} className="text-red-600 text-xs hover:underline" aria-label={`Delete ${attachment.fileName}`}>×</button>
+      )}
+    </span>
+  );
+}
+
+// Currency, the exchange rate for other currencies than the base currency, and
+// the tax of a purchase. onChange receives the changed fields.
+function PurchasePricingInputs({ form, onChange }) {
+  const currency = normalizeCurrency(form.currency);
+  return (
+    <>
+      <input
+        value={form.currency}
+        onChange={(e) => onChange({ currency: e.target.value })}
+        placeholder={BASE_CURRENCY}
+        maxLength={3}
+        className="p-1 w-14 border rounded text-sm uppercase"
+        aria-label="Currency"
+        title="Currency (blank for the base currency)"
+      />
+      {currency && currency !== BASE_CURRENCY && (
+        <input
+          value={form.exchangeRate}
+          onChange={(e) => onChange({ exchangeRate: e.target.value })}
+          type="number"
+          min="0"
+          step="any"
+          className="p-1 w-20 border rounded text-sm"
+          aria-label={`${BASE_CURRENCY} per ${currency}`}
+          title={`${BASE_CURRENCY} per ${currency}`}
+        />
+      )}
+      <input
+        value={form.taxRate}
+        onChange={(e) => onChange({ taxRate: e.target.value })}
+        type="number"
+        min="0"
+        max="100"
+        step="any"
+        placeholder="Tax %"
+        className="p-1 w-16 border rounded text-sm"
+        aria-label="Tax rate"
+        title="Tax (GST) rate in percent"
+      />
+      <label className="flex items-center gap-1 text-xs" title="The price includes the tax">
+        <input type="checkbox" checked={form.taxInclusive} onChange={(e) => onChange({ taxInclusive: e.target.checked })} />
+        incl. tax
+      </label>
+    </>
+  );
+}
+
+// Net, tax and gross amount cells of a Purchase History row, in the base currency
+function PurchaseAmountCells({ purchase }) {
+  const { net, tax, gross } = purchaseAmounts(purchase);
+  return (
+    <>
+      <td className="py-2">{formatMoney(net)}</td>
+      <td className="py-2">{tax > 0 ? formatMoney(tax) : '-'}</td>
+      <td className="py-2">{formatMoney(gross)}</td>
+    </>
+  );
+}
+
+// Transfers move stock from one location to another and need locations set up
+function RecordMovementInline({ baseUnit, locations, onRecord }) {
+  const [type, setType] = useState("consumption");
+  const [qty, setQty] = useState(1);
+  const [date, setDate] = useState(new Date().toISOString().slice(0, 10));
+  const [note, setNote] = useState("");
+  const [locationId, setLocationId] = useState("");
+  const [toLocationId, setToLocationId] = useState("");
+  const types = Object.keys(STOCK_MOVEMENT_TYPES).filter((t) => t !== "transfer" || locations.length > 0);
+  const transfer = type === "transfer";
+
+  return (
+    <div className="flex gap-2 items-center">
+      <select value={type} onChange={(e) => setType(e.target.value)} className="p-1 border rounded text-sm" aria-label="Movement type">
+        {types.map((t) => (
+          <option key={t} value={t}>{MOVEMENT_LABELS[t]}</option>
+        ))}
+      </select>
+      <input value={qty} onChange={(e) => setQty(e.target.value)} type="number" min="0" className="p-1 w-20 border rounded text-sm" aria-label="Movement quantity" />
+      <span className="text-sm text-gray-600">{baseUnit}</span>
+      <LocationSelect locations={locations} value={locationId} onChange={setLocationId} label={transfer ? "From location" : "Location"} emptyLabel={transfer ? "From unassigned" : "No location"} />
+      {transfer && (
+        <LocationSelect locations={locations} value={toLocationId} onChange={setToLocationId} label="To location" emptyLabel="To unassigned" />
+      )}
+      <input value={date} onChange={(e) => setDate(e.target.value)} type="date" className="p-1 border rounded text-sm" />
+      <input value={note} onChange={(e) => setNote(e.target.value)} placeholder="Note" className="p-1 border rounded text-sm w-28" />
+      <button onClick={() => { onRecord({ type, qty, date, note, locationId, toLocationId }); setQty(1); setNote(""); }} className="px-2 py-1 bg-blue-600 text-white rounded text-sm">Record</button>
+    </div>
+  );
+}
+
+function ReorderSettingsInline({ item, onSave }) {
+  const [minStock, setMinStock] = useState(item.minStock ?? "");
+  const [reorderQty, setReorderQty] = useState(item.reorderQty ?? "");
+
+  return (
+    <div className="flex gap-2 items-center">
+      <input value={minStock} onChange={(e) => setMinStock(e.target.value)} type="number" min="0" placeholder="Min stock" className="p-1 w-20 border rounded text-sm" aria-label="Minimum stock" />
+      <input value={reorderQty} onChange={(e) => setReorderQty(e.target.value)} type="number" min="0" placeholder="Reorder qty" className="p-1 w-28 border rounded text-sm" aria-label="Reorder quantity" />
+      <button onClick={() => onSave({ minStock, reorderQty })} className="px-2 py-1 border rounded text-sm">Save</button>
+    </div>
+  );
+}
+
+// SKU, barcode, description and attributes of an item, edited from a button
+function ItemInfoInline({ item, onSave }) {
+  const [form, setForm] = useState(null);
+
+  function save(e) {
+    e.preventDefault();
+    if (onSave(form)) setForm(null);
+  }
+
+  if (!form) {
+    return (
+      <button
+        onClick={() => setForm({
+          sku: item.sku || "",
+          barcode: item.barcode || "",
+          description: item.description || "",
+          attributes: formatAttributes(item.attributes)
+        })}
+        className="button button-secondary text-sm"
+      >
+        SKU & Details
+      </button>
+    );
+  }
+
+  const field = (key) => ({ value: form[key], onChange: (e) => setForm((f) => ({ ...f, [key]: e.target.value })) });
+  return (
+    <form onSubmit={save} className="flex flex-wrap gap-2 items-center">
+      <input {...field("sku")} placeholder="SKU" className="p-1 w-24 border rounded text-sm" aria-label="SKU" />
+      <input {...field("barcode")} placeholder="Barcode" className="p-1 w-32 border rounded text-sm" aria-label="Barcode" />
+      <input {...field("description")} placeholder="Description" className="p-1 w-48 border rounded text-sm" aria-label="Description" />
+      <input {...field("attributes")} placeholder="colour=red; size=L" className="p-1 w-48 border rounded text-sm" aria-label="Attributes" />
+      <button type="submit" className="px-2 py-1 bg-blue-600 text-white rounded text-sm">Save</button>
+      <button type="button" onClick={() => setForm(null)} className="px-2 py-1 border rounded text-sm">Cancel</button>
+    </form>
+  );
+}
+
+// Category and tags of an item, edited from a button
+function ItemGroupingInline({ item, categories, tagOptions, onSave }) {
+  const [form, setForm] = useState(null);
+
+  function save(e) {
+    e.preventDefault();
+    if (onSave(form)) setForm(null);
+  }
+
+  if (!form) {
+    return (
+      <button
+        onClick={() => setForm({ categoryId: item.categoryId || "", tags: item.tags.join(", ") })}
+        className="button button-secondary text-sm"
+      >
+        Category & Tags
+      </button>
+    );
+  }
+
+  return (
+    <form onSubmit={save} className="flex flex-wrap gap-2 items-center">
+      <select
+        value={form.categoryId}
+        onChange={(e) => setForm((f) => ({ ...f, categoryId: e.target.value }))}
+        className="p-1 border rounded text-sm"
+        aria-label="Category"
+      >
+        <option value="">No category</option>
+        {categories.map((c) => (
+          <option key={c.id} value={c.id}>{c.path}</option>
+        ))}
+      </select>
+      <input
+        value={form.tags}
+        onChange={(e) => setForm((f) => ({ ...f, tags: e.target.value }))}
+        placeholder="Tags, comma separated"
+        className="p-1 w-40 border rounded text-sm"
+        list="tag-options"
+        aria-label="Tags"
+      />
+      <datalist id="tag-options">
+        {tagOptions.map((tag) => <option key={tag} value={tag} />)}
+      </datalist>
+      <button type="submit" className="px-2 py-1 bg-blue-600 text-white rounded text-sm">Save</button>
+      <button type="button" onClick={() => setForm(null)} className="px-2 py-1 border rounded text-sm">Cancel</button>
+    </form>
+  );
+}
+
+// Category tree with item counts. Managers add, rename, move and delete
+// categories; deleting one moves its items and subcategories up a level.
+function CategoriesPanel({ categories, options, items, canManage, onSave, onDelete, onClose }) {
+  const [form, setForm] = useState(null); // { id (null for a new category), name, parentId }
+  const counts = {};
+  for (const it of items) {
+    if (it.categoryId != null) counts[it.categoryId] = (counts[it.categoryId] || 0) + 1;
+  }
+
+  function submit(e) {
+    e.preventDefault();
+    if (onSave(form.id, { name: form.name, parentId: form.parentId })) setForm(null);
+  }
+
+  // A category cannot move under itself or one of its subcategories
+  const excluded = form?.id ? categoryWithDescendants(categories, form.id) : new Set();
+
+  return (
+    <section className="card mb-4 text-sm">
+      <div className="flex md:justify-between items-baseline mb-2">
+        <h3 className="font-semibold">Categories</h3>
+        <div className="flex gap-2">
+          {canManage && (
+            <button onClick={() => setForm({ id: null, name: "", parentId: "" })} className="button button-secondary text-sm">
+              Add Category
+            </button>
+          )}
+          <button onClick={onClose} className="text-xs hover:underline">Hide</button>
+        </div>
+      </div>
+
+      {form && (
+        <form onSubmit={submit} className="flex flex-wrap gap-2 items-center mb-3">
+          <input
+            value={form.name}
+            onChange={(e) => setForm((f) => ({ ...f, name: e.target.value }))}
+            placeholder="Category name"
+            className="p-1 border rounded text-sm"
+            aria-label="Category name"
+            autoFocus
+          />
+          <select
+            value={form.parentId}
+            onChange={(e) => setForm((f) => ({ ...f, parentId: e.target.value }))}
+            className="p-1 border rounded text-sm"
+            aria-label="Parent category"
+          >
+            <option value="">Top level</option>
+            {options.filter((c) => !excluded.has(c.id)).map((c) => (
+              <option key={c.id} value={c.id}>{c.path}</option>
+            ))}
+          </select>
+          <button type="submit" className="px-2 py-1 bg-blue-600 text-white rounded text-sm">Save</button>
+          <button type="button" onClick={() => setForm(null)} className="px-2 py-1 border rounded text-sm">Cancel</button>
+        </form>
+      )}
+
+      {options.length === 0 ? (
+        <p className="text-gray-600">No categories yet.</p>
+      ) : (
+        <ul>
+          {options.map((option) => {
+            const category = categories.find((c) => c.id === option.id);
+            return (
+              <li key={option.id} className="flex items-baseline gap-2 py-1" style={{ paddingLeft: `${(option.depth - 1) * 1.5}rem` }}>
+                <span>{category.name}</span>
+                <span className="text-gray-600">({counts[option.id] || 0} items)</span>
+                {canManage && (
+                  <>
+                    <button
+                      onClick={() => setForm({ id: category.id, name: category.name, parentId: category.parentId || "" })}
+                      className="text-indigo-600 text-xs hover:underline"
+                      aria-label={`Edit category ${option.path}`}
+                    >
+                      Edit
+                    </button>
+                    <button
+                      onClick={() => onDelete(category.id)}
+                      className="text-red-600 text-xs hover:underline"
+                      aria-label={`Delete category ${option.path}`}
+                    >
+                      Delete
+                    </button>
+                  </>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </section>
+  );
+}
+
+// Locations with the number of items in stock at each. Managers add, rename
+// and delete locations; deleting one leaves its stock unassigned.
+function LocationsPanel({ locations, items, canManage, onSave, onDelete, onClose }) {
+  const [form, setForm] = useState(null); // { id (null for a new location), name }
+  const counts = {};
+  for (const it of items) {
+    for (const [locationId, qty] of it.stockByLocation) {
+      if (locationId != null && qty > 0) counts[locationId] = (counts[locationId] || 0) + 1;
+    }
+  }
+
+  function submit(e) {
+    e.preventDefault();
+    if (onSave(form.id, { name: form.name })) setForm(null);
+  }
+
+  return (
+    <section className="card mb-4 text-sm">
+      <div className="flex md:justify-between items-baseline mb-2">
+        <h3 className="font-semibold">Locations</h3>
+        <div className="flex gap-2">
+          {canManage && (
+            <button onClick={() => setForm({ id: null, name: "" })} className="button button-secondary text-sm">
+              Add Location
+            </button>
+          )}
+          <button onClick={onClose} className="text-xs hover:underline">Hide</button>
+        </div>
+      </div>
+
+      {form && (
+        <form onSubmit={submit} className="flex flex-wrap gap-2 items-center mb-3">
+          <input
+            value={form.name}
+            onChange={(e) => setForm((f) => ({ ...f, name: e.target.value }))}
+            placeholder="Location name"
+            className="p-1 border rounded text-sm"
+            aria-label="Location name"
+            autoFocus
+          />
+          <button type="submit" className="px-2 py-1 bg-blue-600 text-white rounded text-sm">Save</button>
+          <button type="button" onClick={() => setForm(null)} className="px-2 py-1 border rounded text-sm">Cancel</button>
+        </form>
+      )}
+
+      {locations.length === 0 ? (
+        <p className="text-gray-600">No locations yet.</p>
+      ) : (
+        <ul>
+          {locations.map((location) => (
+            <li key={location.id} className="flex items-baseline gap-2 py-1">
+              <span>{location.name}</span>
+              <span className="text-gray-600">({counts[location.id] || 0} items in stock)</span>
+              {canManage && (
+                <>
+                  <button
+                    onClick={() => setForm({ id: location.id, name: location.name })}
+                    className="text-indigo-600 text-xs hover:underline"
+                    aria-label={`Edit location ${location.name}`}
+                  >
+                    Edit
+                  </button>
+                  <button
+                    onClick={() => onDelete(location.id)}
+                    className="text-red-600 text-xs hover:underline"
+                    aria-label={`Delete location ${location.name}`}
+                  >
+                    Delete
+                  </button>
+                </>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </section>
+  );
+}
+
+// Short description of an audited record
+function describeAuditRecord(entityType, record) {
+  if (!record) return "";
+  if (entityType === "purchase") {
+    const unit = record.unit ? ` ${record.unit}` : "";
+    return `${Number(record.qty)}${unit} @ ${formatMoney(record.unitPrice, record.currency)}${record.supplier ? ` from ${record.supplier}` : ""}${record.lotCode ? `, lot ${record.lotCode}` : ""}`;
+  }
+  if (entityType === "stock_movement") return `${MOVEMENT_LABELS[record.type] || record.type} of ${Number(record.qty)}`;
+  if (entityType === "purchase_order") return ORDER_STATUS_LABELS[record.status] || "";
+  if (entityType === "attachment") return record.fileName || "";
+  if (entityType === "budget") return `${formatMoney(record.amount)} per ${record.period}`;
+  if (entityType === "data") return `${record.items} items, ${record.categories ?? 0} categories, ${record.locations ?? 0} locations, ${record.suppliers} suppliers, ${record.orders} orders`;
+  return record.name || "";
+}
+
+// What an audit entry changed: the fields that differ for updates, the record itself otherwise
+function describeAuditChange(entry) {
+  if (entry.action !== "update" || !entry.before || !entry.after) {
+    return describeAuditRecord(entry.entityType, entry.after || entry.before);
+  }
+  const changes = Object.keys({ ...entry.before, ...entry.after })
+    .filter((key) => !AUDIT_IGNORED_FIELDS.includes(key))
+    .filter((key) => JSON.stringify(entry.before[key] ?? null) !== JSON.stringify(entry.after[key] ?? null))
+    .map((key) => `${key}: ${entry.before[key] ?? "-"} → ${entry.after[key] ?? "-"}`);
+  return changes.join(", ") || describeAuditRecord(entry.entityType, entry.after);
+}
+
+// History of an item and its purchases and movements: changes made in this
+// browser, plus everyone's changes from the database once the item is synced
+function ItemHistory({ item, localEntries, connected }) {
+  const [remoteEntries, setRemoteEntries] = useState(null);
+
+  useEffect(() => {
+    if (!connected || item.serverId == null) return;
+    let cancelled = false;
+    getAuditLog({ itemId: item.serverId, limit: 50 }).then((result) => {
+      if (!cancelled && result.success) setRemoteEntries(result.data);
+    });
+    return () => { cancelled = true; };
+  }, [connected, item.serverId, localEntries.length]);
+
+  return (
+    <>
+      <AuditTable title="This browser" entries={localEntries.slice().reverse()} />
+      {remoteEntries && <AuditTable title="Database" entries={remoteEntries} />}
+    </>
+  );
+}
+
+function AuditTable({ title, entries }) {
+  return (
+    <div className="overflow-auto mb-2">
+      <div className="text-xs text-gray-600 mb-1">{title}</div>
+      {entries.length === 0 ? (
+        <p className="text-sm text-gray-600">No changes recorded.</p>
+      ) : (
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left border-b">
+              <th className="py-2">When</th>
+              <th className="py-2">Who</th>
+              <th className="py-2">Change</th>
+              <th className="py-2">Details</th>
+            </tr>
+          </thead>
+          <tbody>
+            {entries.map((entry) => (
+              <tr key={entry.id} className="border-b">
+                <td className="py-2">{new Date(entry.createdAt).toLocaleString()}</td>
+                <td className="py-2">{entry.user?.name || entry.user?.email || "-"}</td>
+                <td className="py-2">
+                  {AUDIT_ACTION_LABELS[entry.action] || entry.action} {AUDIT_ENTITY_LABELS[entry.entityType] || entry.entityType}
+                </td>
+                <td className="py-2">{describeAuditChange(entry)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+// Records deleted in this browser, plus (when connected) records deleted
+// elsewhere that are still in the database's trash
+function TrashView({ trash, outbox, connected, canManage, onRestore, onPurge, onNotify }) {
+  const [remote, setRemote] = useState(null);
+
+  async function loadRemote() {
+    const result = await getTrash();
+    if (result.success) setRemote(result.data);
+  }
+
+  useEffect(() => {
+    if (connected) loadRemote();
+  }, [connected, trash.length]);
+
+  // Server rows already listed locally or with a restore or purge still queued
+  const known = new Set([
+    ...trash.filter((t) => t.record.serverId != null).map((t) => `${t.entityType}:${t.record.serverId}`),
+    ...outbox
+      .filter((e) => e.type === 'restoreFromTrash' || e.type === 'purgeFromTrash')
+      .map((e) => `${e.entityType}:${e.serverId}`)
+  ]);
+  const remoteOnly = (remote || [])
+    .filter((t) => !known.has(`${t.entityType}:${t.id}`))
+    .map((t) => ({ ...t, key: `${t.entityType}:${t.id}` }));
+
+  async function restoreRemote(entry) {
+    const result = await restoreFromTrash(entry.entityType, entry.id);
+    onNotify(
+      result.success ? `Restored ${describeTrashEntry(entry)}. Sync to bring it back here.` : result.message,
+      result.success ? 'success' : 'error',
+      5000
+    );
+    loadRemote();
+  }
+
+  async function purgeRemote(entry) {
+    if (!window.confirm(`Delete ${describeTrashEntry(entry)} forever? This cannot be undone.`)) return;
+    const result = await purgeFromTrash(entry.entityType, entry.id);
+    onNotify(result.success ? `Deleted ${describeTrashEntry(entry)} forever` : result.message, result.success ? 'success' : 'error');
+    loadRemote();
+  }
+
+  return (
+    <main className="card">
+      <h2 className="text-lg font-medium mb-2">Trash</h2>
+      <p className="text-sm text-gray-600 mb-3">
+        Deleted records stay here until they are restored or deleted forever.
+      </p>
+      <TrashTable
+        title="This browser"
+        entries={[...trash].reverse().map((t) => ({ ...t, key: t.id }))}
+        canManage={canManage}
+        onRestore={onRestore}
+        onPurge={onPurge}
+      />
+      {connected && remoteOnly.length > 0 && (
+        <TrashTable
+          title="Deleted elsewhere (database)"
+          entries={remoteOnly}
+          canManage={canManage}
+          onRestore={restoreRemote}
+          onPurge={purgeRemote}
+        />
+      )}
+    </main>
+  );
+}
+
+function TrashTable({ title, entries, canManage, onRestore, onPurge }) {
+  return (
+    <div className="overflow-auto mb-3">
+      <div className="text-xs text-gray-600 mb-1">{title}</div>
+      {entries.length === 0 ? (
+        <p className="text-sm text-gray-600">The trash is empty.</p>
+      ) : (
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left border-b">
+              <th className="py-2">Deleted</th>
+              <th className="py-2">What</th>
+              <th className="py-2">Details</th>
+              <th className="py-2">Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {entries.map((entry) => (
+              <tr key={entry.key} className="border-b">
+                <td className="py-2">{new Date(entry.deletedAt).toLocaleString()}</td>
+                <td className="py-2">{describeTrashEntry(entry)}</td>
+                <td className="py-2">{describeAuditRecord(entry.entityType, entry.record)}</td>
+                <td className="py-2">
+                  {canManage && (
+                    <div className="flex gap-3">
+                      <button onClick={() => onRestore(entry)} className="text-xs hover:underline">
+                        Restore
+                      </button>
+                      <button onClick={() => onPurge(entry)} className="text-red-600 text-xs hover:underline">
+                        Delete forever
+                      </button>
+                    </div>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+const EMPTY_SUPPLIER = { name: "", contactName: "", email: "", phone: "", address: "", notes: "" };
+
+function SuppliersView({ suppliers, items, can, onSave, onDelete }) {
+  const [selectedId, setSelectedId] = useState(null);
+  const [editing, setEditing] = useState(null); // null, "new" or a supplier id
+  const [form, setForm] = useState(EMPTY_SUPPLIER);
+
+  // Purchase history and totals per supplier
+  const stats = useMemo(() => {
+    const bySupplier = {};
+    items.forEach((it) => {
+      (it.purchases || []).forEach((p) => {
+        if (!p.supplierId) return;
+        const entry = bySupplier[p.supplierId] || (bySupplier[p.supplierId] = { history: [], totalSpent: 0, itemNames: new Set() });
+        entry.history.push({ ...p, itemName: it.name, unitName: purchaseUnitName(p, it) });
+        entry.totalSpent += purchaseAmounts(p).net;
+        entry.itemNames.add(it.name);
+      });
+    });
+    Object.values(bySupplier).forEach((entry) => entry.history.sort((a, b) => new Date(b.date) - new Date(a.date)));
+    return bySupplier;
+  }, [items]);
+
+  const sorted = [...suppliers].sort((a, b) => a.name.localeCompare(b.name));
+
+  function startEdit(supplier) {
+    setEditing(supplier ? supplier.id : "new");
+    setForm(supplier ? { ...EMPTY_SUPPLIER, ...supplier } : EMPTY_SUPPLIER);
+  }
+
+  function submit(e) {
+    e.preventDefault();
+    const { id, serverId, updatedAt, ...details } = form;
+    if (onSave(editing === "new" ? null : editing, details)) setEditing(null);
+  }
+
+  const field = (key, placeholder, extra = {}) => (
+    <input
+      value={form[key] || ""}
+      onChange={(e) => setForm((f) => ({ ...f, [key]: e.target.value }))}
+      placeholder={placeholder}
+      className="input"
+      aria-label={placeholder}
+      {...extra}
+    />
+  );
+
+  return (
+    <main>
+      {can('record') && (
+        <div className="flex gap-2 mb-4">
+          <button onClick={() => startEdit(null)} className="button">Add Supplier</button>
+        </div>
+      )}
+
+      {editing && (
+        <form onSubmit={submit} className="card mb-4">
+          <div className="form-grid">
+            {field("name", "Supplier name", { required: true })}
+            {field("contactName", "Contact person")}
+            {field("phone", "Phone")}
+            {field("email", "Email", { type: "email" })}
+            {field("address", "Address")}
+            {field("notes", "Notes")}
+          </div>
+          <div className="flex items-center gap-2 mt-3">
+            <button type="submit" className="button bg-green-600">Save</button>
+            <button type="button" onClick={() => setEditing(null)} className="button button-secondary">Cancel</button>
+          </div>
+        </form>
+      )}
+
+      {sorted.length === 0 ? (
+        <div className="card text-center">
+          <p className="text-gray-600">No suppliers yet. They are added automatically when a purchase names one.</p>
+        </div>
+      ) : (
+        <div className="space-y-3">
+          {sorted.map((sup) => {
+            const entry = stats[sup.id] || { history: [], totalSpent: 0, itemNames: new Set() };
+            return (
+              <div key={sup.id} className="card">
+                <div className="flex flex-col md:flex-row md:justify-between">
+                  <div className="flex-1">
+                    <h2 className="text-lg font-medium mb-2">{sup.name}</h2>
+                    <div className="flex flex-wrap gap-4 text-sm text-gray-600">
+                      {sup.contactName && <span>{sup.contactName}</span>}
+                      {sup.phone && <span>{sup.phone}</span>}
+                      {sup.email && <a href={`mailto:${sup.email}`}>{sup.email}</a>}
+                      {sup.address && <span>{sup.address}</span>}
+                    </div>
+                    <div className="flex flex-wrap gap-4 text-sm text-gray-700 mt-3">
+                      <span>Purchases: {entry.history.length}</span>
+                      <span>Total spend: {formatMoney(entry.totalSpent)}</span>
+                      <span>Items supplied: {entry.itemNames.size ? [...entry.itemNames].sort().join(", ") : "-"}</span>
+                    </div>
+                  </div>
+                  <div className="mt-3 md:mt-0 flex flex-col gap-2">
+                    {can('manage') && (
+                      <button onClick={() => startEdit(sup)} className="button button-secondary text-sm">Edit</button>
+                    )}
+                    <button
+                      onClick={() => setSelectedId((v) => (v === sup.id ? null : sup.id))}
+                      className="button button-secondary text-sm"
+                    >
+                      {selectedId === sup.id ? 'Hide History' : 'Show History'}
+                    </button>
+                    {can('manage') && (
+                      <button onClick={() => onDelete(sup.id)} className="text-red-600 text-xs hover:underline">Delete</button>
+                    )}
+                  </div>
+                </div>
+
+                {selectedId === sup.id && (
+                  <div className="mt-3 bg-gray-50 p-3 rounded">
+                    <h3 className="font-semibold mb-2">Purchase History</h3>
+                    {sup.notes && <p className="text-sm text-gray-600 mb-2">{sup.notes}</p>}
+                    {entry.history.length === 0 ? (
+                      <p className="text-sm text-gray-600">No purchases from this supplier yet.</p>
+                    ) : (
+                      <div className="overflow-auto">
+                        <table className="w-full text-sm">
+                          <thead>
+                            <tr className="text-left border-b">
+                              <th className="py-2">Date</th>
+                              <th className="py-2">Item</th>
+                              <th className="py-2">Quantity</th>
+                              <th className="py-2">Unit Price</th>
+                              <th className="py-2">Net</th>
+                            </tr>
+                          </thead>
+                          <tbody>
+                            {entry.history.map((p) => (
+                              <tr key={p.id} className="border-b">
+                                <td className="py-2">{formatDateISO(p.date)}</td>
+                                <td className="py-2">{p.itemName}</td>
+                                <td className="py-2">{p.qty} {p.unitName}</td>
+                                <td className="py-2">{formatMoney(p.unitPrice, p.currency)}/{p.unitName}</td>
+                                <td className="py-2">{formatMoney(purchaseAmounts(p).net)}</td>
+                              </tr>
+                            ))}
+                          </tbody>
+                        </table>
+                      </div>
+                    )}
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </main>
+  );
+}
+
+function OrdersView({ orders, items, locations, can, onCreate, onSetStatus, onReceive, onDelete }) {
+  const [showClosed, setShowClosed] = useState(false);
+  const [showForm, setShowForm] = useState(false);
+  const [receivingId, setReceivingId] = useState(null);
+
+  const itemNames = useMemo(() => Object.fromEntries(items.map((it) => [it.id, it.name])), [items]);
+  const sortedItems = useMemo(() => [...items].sort((a, b) => a.name.localeCompare(b.name)), [items]);
+
+  const visible = orders
+    .filter((o) => showClosed || OPEN_ORDER_STATUSES.includes(o.status))
+    .sort((a, b) => new Date(a.expectedDate || 8.64e15) - new Date(b.expectedDate || 8.64e15));
+
+  return (
+    <main>
+      <div className="flex gap-2 mb-4 items-baseline">
+        {can('manage') && (
+          <button onClick={() => setShowForm((v) => !v)} className="button">
+            {showForm ? 'Cancel' : 'New Purchase Order'}
+          </button>
+        )}
+        <label className="text-sm text-gray-600">
+          <input type="checkbox" checked={showClosed} onChange={(e) => setShowClosed(e.target.checked)} /> Show received and cancelled
+        </label>
+      </div>
+
+      {showForm && (
+        <NewOrderForm items={sortedItems} onCreate={(order) => { if (onCreate(order)) setShowForm(false); }} />
+      )}
+
+      {visible.length === 0 ? (
+        <div className="card text-center">
+          <p className="text-gray-600">No open purchase orders.</p>
+        </div>
+      ) : (
+        <div className="space-y-3">
+          {visible.map((order) => {
+            const outstanding = order.lines.reduce((sum, l) => sum + Math.max(l.qtyOrdered - l.qtyReceived, 0), 0);
+            const outstandingValue = order.lines.reduce((sum, l) => sum + Math.max(l.qtyOrdered - l.qtyReceived, 0) * l.unitPrice, 0);
+            const overdue = order.expectedDate && OPEN_ORDER_STATUSES.includes(order.status) && new Date(order.expectedDate) < new Date();
+            return (
+              <div key={order.id} className="card">
+                <div className="flex flex-col md:flex-row md:justify-between">
+                  <div className="flex-1">
+                    <div className="flex items-baseline gap-3 mb-2">
+                      <h2 className="text-lg font-medium">{order.supplier || 'No supplier'}</h2>
+                      <span className="text-sm text-gray-600">{ORDER_STATUS_LABELS[order.status]}</span>
+                    </div>
+                    <div className="flex flex-wrap gap-4 text-sm text-gray-700">
+                      <span>Ordered: {formatDateISO(order.orderDate)}</span>
+                      <span className={overdue ? "text-red-600" : ""}>
+                        Expected: {order.expectedDate ? formatDateISO(order.expectedDate) : '-'}
+                      </span>
+                      <span>Outstanding: {outstanding} ({formatMoney(outstandingValue)})</span>
+                    </div>
+                    {order.notes && <p className="text-sm text-gray-600 mt-3">{order.notes}</p>}
+                  </div>
+                  <div className="mt-3 md:mt-0 flex flex-col gap-2">
+                    {can('manage') && order.status === 'draft' && (
+                      <button onClick={() => onSetStatus(order.id, 'sent')} className="button button-secondary text-sm">Mark Sent</button>
+                    )}
+                    {can('record') && OPEN_ORDER_STATUSES.includes(order.status) && (
+                      <button
+                        onClick={() => setReceivingId((v) => (v === order.id ? null : order.id))}
+                        className="button button-secondary text-sm"
+                      >
+                        {receivingId === order.id ? 'Close' : 'Receive'}
+                      </button>
+                    )}
+                    {can('manage') && OPEN_ORDER_STATUSES.includes(order.status) && (
+                      <button onClick={() => onSetStatus(order.id, 'cancelled')} className="text-red-600 text-xs hover:underline">Cancel Order</button>
+                    )}
+                    {can('manage') && order.lines.every((l) => l.qtyReceived === 0) && (
+                      <button onClick={() => onDelete(order.id)} className="text-red-600 text-xs hover:underline">Delete</button>
+                    )}
+                  </div>
+                </div>
+
+                {receivingId === order.id ? (
+                  <ReceiveOrderForm
+                    order={order}
+                    itemNames={itemNames}
+                    locations={locations}
+                    onReceive={(receipt) => { if (onReceive(order.id, receipt)) setReceivingId(null); }}
+                  />
+                ) : (
+                  <div className="overflow-auto mt-3">
+                    <table className="w-full text-sm">
+                      <thead>
+                        <tr className="text-left border-b">
+                          <th className="py-2">Item</th>
+                          <th className="py-2">Ordered</th>
+                          <th className="py-2">Received</th>
+                          <th className="py-2">Outstanding</th>
+                          <th className="py-2">Unit Price</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {order.lines.map((line) => (
+                          <tr key={line.id} className="border-b">
+                            <td className="py-2">{itemNames[line.itemId] || '(deleted item)'}</td>
+                            <td className="py-2">{line.qtyOrdered}</td>
+                            <td className="py-2">{line.qtyReceived}</td>
+                            <td className="py-2">{Math.max(line.qtyOrdered - line.qtyReceived, 0)}</td>
+                            <td className="py-2">{formatMoney(line.unitPrice)}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </main>
+  );
+}
+
+function NewOrderForm({ items, onCreate }) {
+  const [supplier, setSupplier] = useState("");
+  const [expectedDate, setExpectedDate] = useState("");
+  const [notes, setNotes] = useState("");
+  const [lines, setLines] = useState([{ itemId: "", qty: 1, unitPrice: 0 }]);
+
+  function updateLine(index, changes) {
+    setLines((ls) => ls.map((l, i) => {
+      if (i !== index) return l;
+      const next = { ...l, ...changes };
+      // Default the price to the item's last purchase price (lines are in the base unit)
+      if (changes.itemId) {
+        const item = items.find((it) => it.id === changes.itemId);
+        const last = [...(item?.purchases || [])].sort((a, b) => new Date(b.date) - new Date(a.date))[0];
+        if (last) next.unitPrice = Number(basePrice(last).toFixed(2));
+      }
+      return next;
+    }));
+  }
+
+  function submit(e) {
+    e.preventDefault();
+    onCreate({ supplier, expectedDate, notes, lines });
+  }
+
+  return (
+    <form onSubmit={submit} className="card mb-4">
+      <div className="form-grid">
+        <input value={supplier} onChange={(e) => setSupplier(e.target.value)} placeholder="Supplier" list="supplier-options" className="input" aria-label="Supplier" />
+        <input value={expectedDate} onChange={(e) => setExpectedDate(e.target.value)} type="date" className="input" aria-label="Expected date" />
+        <input value={notes} onChange={(e) => setNotes(e.target.value)} placeholder="Notes" className="input" aria-label="Notes" />
+      </div>
+      <div className="mt-3 space-y-3">
+        {lines.map((line, index) => (
+          <div key={index} className="flex gap-2 items-center">
+            <select value={line.itemId} onChange={(e) => updateLine(index, { itemId: e.target.value })} className="p-1 border rounded text-sm" aria-label="Item">
+              <option value="">Select item...</option>
+              {items.map((it) => <option key={it.id} value={it.id}>{it.name}</option>)}
+            </select>
+            <input value={line.qty} onChange={(e) => updateLine(index, { qty: e.target.value })} type="number" min="0" className="p-1 w-20 border rounded text-sm" aria-label="Quantity" />
+            <input value={line.unitPrice} onChange={(e) => updateLine(index, { unitPrice: e.target.value })} type="number" step="0.01" min="0" className="p-1 w-28 border rounded text-sm" aria-label="Unit price" />
+            {lines.length > 1 && (
+              <button type="button" onClick={() => setLines((ls) => ls.filter((_, i) => i !== index))} className="text-red-600 text-xs hover:underline">Remove</button>
+            )}
+          </div>
+        ))}
+      </div>
+      <div className="flex items-center gap-2 mt-3">
+        <button type="button" onClick={() => setLines((ls) => [...ls, { itemId: "", qty: 1, unitPrice: 0 }])} className="button button-secondary">Add Line</button>
+        <button type="submit" className="button bg-green-600">Create Order</button>
+      </div>
+    </form>
+  );
+}
+
+function ReceiveOrderForm({ order, itemNames, locations, onReceive }) {
+  const [date, setDate] = useState(new Date().toISOString().slice(0, 10));
+  const [locationId, setLocationId] = useState("");
+  const [quantities, setQuantities] = useState(() =>
+    Object.fromEntries(order.lines.map((line) => [line.id, Math.max(line.qtyOrdered - line.qtyReceived, 0)]))
+  );
+  const [lots, setLots] = useState({});
+  const updateLot = (lineId, field) => (e) => setLots((l) => ({ ...l, [lineId]: { ...l[lineId], [field]: e.target.value } }));
+
+  return (
+    <div className="mt-3 bg-gray-50 p-3 rounded">
+      <h3 className="font-semibold mb-2">Receive Goods</h3>
+      <div className="overflow-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left border-b">
+              <th className="py-2">Item</th>
+              <th className="py-2">Outstanding</th>
+              <th className="py-2">Receiving now</th>
+              <th className="py-2">Lot</th>
+              <th className="py-2">Expires</th>
+            </tr>
+          </thead>
+          <tbody>
+            {order.lines.map((line) => (
+              <tr key={line.id} className="border-b">
+                <td className="py-2">{itemNames[line.itemId] || '(deleted item)'}</td>
+                <td className="py-2">{Math.max(line.qtyOrdered - line.qtyReceived, 0)}</td>
+                <td className="py-2">
+                  <input
+                    value={quantities[line.id]}
+                    onChange={(e) => setQuantities((q) => ({ ...q, [line.id]: e.target.value }))}
+                    type="number"
+                    min="0"
+                    className="p-1 w-20 border rounded text-sm"
+                    aria-label={`Quantity received for ${itemNames[line.itemId] || 'item'}`}
+                  />
+                </td>
+                <td className="py-2">
+                  <input
+                    value={lots[line.id]?.lotCode || ""}
+                    onChange={updateLot(line.id, "lotCode")}
+                    className="p-1 w-24 border rounded text-sm"
+                    aria-label={`Lot received for ${itemNames[line.itemId] || 'item'}`}
+                  />
+                </td>
+                <td className="py-2">
+                  <input
+                    value={lots[line.id]?.expiryDate || ""}
+                    onChange={updateLot(line.id, "expiryDate")}
+                    type="date"
+                    className="p-1 border rounded text-sm"
+                    aria-label={`Expiry date for ${itemNames[line.itemId] || 'item'}`}
+                  />
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <div className="flex gap-2 items-center mt-3">
+        <input value={date} onChange={(e) => setDate(e.target.value)} type="date" className="p-1 border rounded text-sm" aria-label="Received date" />
+        <LocationSelect locations={locations} value={locationId} onChange={setLocationId} label="Received at" />
+        <button onClick={() => onReceive({ date, locationId, quantities, lots })} className="px-2 py-1 bg-blue-600 text-white rounded text-sm">Receive</button>
+      </div>
+    </div>
+  );
+}
+
+// Default dashboard range: the last twelve months including the current one
+function defaultDashboardRange() {
+  const now = new Date();
+  const from = new Date(now.getFullYear(), now.getMonth() - 11, 1);
+  const pad = (n) => String(n).padStart(2, "0");
+  return {
+    from: `${from.getFullYear()}-${pad(from.getMonth() + 1)}-01`,
+    to: now.toISOString().slice(0, 10)
+  };
+}
+
+function DashboardView({ connected, pendingCount }) {
+  const [range, setRange] = useState(defaultDashboardRange);
+  const [analytics, setAnalytics] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!connected) return;
+    let cancelled = false;
+    setLoading(true);
+    getSpendAnalytics(range).then((result) => {
+      if (cancelled) return;
+      setLoading(false);
+      setAnalytics(result.success ? result.data : null);
+      setError(result.success ? null : result.message);
+    });
+    return () => { cancelled = true; };
+  }, [connected, range]);
+
+  if (!connected) {
+    return (
+      <div className="card text-center">
+        <p className="text-gray-600">The dashboard is calculated by the database. Connect to view spend analytics.</p>
+      </div>
+    );
+  }
+
+  const maxMonth = Math.max(...(analytics?.byMonth || []).map((m) => m.totalSpent), 0);
+
+  return (
+    <main>
+      <div className="flex flex-wrap gap-2 mb-4 items-center">
+        <label className="text-sm text-gray-600">From</label>
+        <input
+          type="date"
+          value={range.from}
+          onChange={(e) => setRange((r) => ({ ...r, from: e.target.value }))}
+          className="p-1 border rounded text-sm"
+          aria-label="From date"
+        />
+        <label className="text-sm text-gray-600">To</label>
+        <input
+          type="date"
+          value={range.to}
+          onChange={(e) => setRange((r) => ({ ...r, to: e.target.value }))}
+          className="p-1 border rounded text-sm"
+          aria-label="To date"
+        />
+        {loading && <span className="text-sm text-gray-600">Loading...</span>}
+      </div>
+
+      {pendingCount > 0 && (
+        <p className="text-sm text-gray-600 mb-4">{pendingCount} pending changes are not included until they reach the database.</p>
+      )}
+      {error && <div className="card text-red-600 mb-4">{error}</div>}
+
+      {analytics && (
+        <div className="space-y-4">
+          <div className="card flex flex-wrap gap-6 text-sm">
+            <span>Total spent: <strong>{formatMoney(analytics.totals.totalSpent)}</strong> net</span>
+            <span>Tax: <strong>{formatMoney(analytics.totals.totalTax)}</strong></span>
+            <span>Gross: <strong>{formatMoney(analytics.totals.totalSpent + analytics.totals.totalTax)}</strong></span>
+            <span>Purchases: <strong>{analytics.totals.purchaseCount}</strong></span>
+            <span>Items: <strong>{analytics.totals.itemCount}</strong></span>
+            <span>Suppliers: <strong>{analytics.totals.supplierCount}</strong></span>
+          </div>
+
+          <div className="card">
+            <h3 className="font-semibold mb-2">Monthly Spend</h3>
+            {analytics.byMonth.length === 0 ? (
+              <p className="text-sm text-gray-600">No purchases in this period.</p>
+            ) : (
+              <div className="space-y-1">
+                {analytics.byMonth.map((m) => (
+                  <div key={m.month} className="flex items-center gap-2 text-sm">
+                    <span className="w-20">{m.month}</span>
+                    <div className="flex-1 bg-gray-50 rounded">
+                      <div
+                        className="bg-blue-600 rounded"
+                        style={{ width: `${maxMonth > 0 ? (m.totalSpent / maxMonth) * 100 : 0}%`, height: '0.75rem' }}
+                      />
+                    </div>
+                    <span className="w-28 text-right">{formatMoney(m.totalSpent)}</span>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+
+          <div className="grid md:grid-cols-2 gap-4">
+            <SpendTable
+              title="Spend by Item"
+              rows={analytics.byItem.map((r) => ({ key: r.itemId, name: r.name, count: r.purchaseCount, spent: r.totalSpent }))}
+            />
+            <SpendTable
+              title="Spend by Supplier"
+              rows={analytics.bySupplier.map((r) => ({ key: r.supplierId ?? 'none', name: r.name, count: r.purchaseCount, spent: r.totalSpent }))}
+            />
+          </div>
+
+          <div className="card">
+            <h3 className="font-semibold mb-2">Top Price Movers</h3>
+            {analytics.priceMovers.length === 0 ? (
+              <p className="text-sm text-gray-600">No price changes in this period.</p>
+            ) : (
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left border-b">
+                    <th className="py-2">Item</th>
+                    <th className="py-2">First Price</th>
+                    <th className="py-2">Last Price</th>
+                    <th className="py-2">Change</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {analytics.priceMovers.map((r) => (
+                    <tr key={r.itemId} className="border-b">
+                      <td className="py-2">{r.name}</td>
+                      <td className="py-2">{formatMoney(r.firstPrice)}/{r.baseUnit}</td>
+                      <td className="py-2">{formatMoney(r.lastPrice)}/{r.baseUnit}</td>
+                      <td className={`py-2 ${r.change > 0 ? "text-red-600" : "text-green-600"}`}>
+                        {r.change > 0 ? "+" : ""}{r.change.toFixed(2)}
+                        {r.changePercent != null && ` (${r.changePercent > 0 ? "+" : ""}${r.changePercent.toFixed(1)}%)`}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+        </div>
+      )}
+    </main>
+  );
+}
+
+function SpendTable({ title, rows }) {
+  return (
+    <div className="card">
+      <h3 className="font-semibold mb-2">{title}</h3>
+      {rows.length === 0 ? (
+        <p className="text-sm text-gray-600">No purchases in this period.</p>
+      ) : (
+        <div className="overflow-auto max-h-80">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left border-b">
+                <th className="py-2">Name</th>
+                <th className="py-2">Purchases</th>
+                <th className="py-2">Spent</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((r) => (
+                <tr key={r.key} className="border-b">
+                  <td className="py-2">{r.name}</td>
+                  <td className="py-2">{r.count}</td>
+                  <td className="py-2">{formatMoney(r.spent)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Lots still in stock expiring within `days` days, soonest first, worked out
+// from local data so it also works offline
+function ExpiringView({ lots, days, onChangeDays }) {
+  return (
+    <section className="card text-sm">
+      <div className="flex flex-wrap md:justify-between items-baseline gap-2 mb-3">
+        <h2 className="text-lg font-medium">Expiring Soon</h2>
+        <label className="flex items-center gap-2 text-gray-600">
+          Expiring within
+          <input
+            value={days}
+            onChange={(e) => onChangeDays(e.target.value)}
+            type="number"
+            min="0"
+            step="1"
+            className="p-1 w-16 border rounded text-sm"
+            aria-label="Expiry warning days"
+          />
+          days
+        </label>
+      </div>
+      {lots.length === 0 ? (
+        <p className="text-gray-600">No lots in stock expire within {days} days.</p>
+      ) : (
+        <div className="overflow-auto">
+          <table className="w-full">
+            <thead>
+              <tr className="text-left border-b">
+                <th className="py-2">Item</th>
+                <th className="py-2">Lot</th>
+                <th className="py-2">Purchased</th>
+                <th className="py-2">Expires</th>
+                <th className="py-2">In stock</th>
+              </tr>
+            </thead>
+            <tbody>
+              {lots.map((lot) => {
+                const left = daysUntil(lot.expiryDate);
+                return (
+                  <tr key={lot.key} className="border-b">
+                    <td className="py-2">{lot.name}</td>
+                    <td className="py-2">{lot.lotCode || '-'}</td>
+                    <td className="py-2">{formatDateISO(lot.date)}</td>
+                    <td className={`py-2 ${left < 0 ? "text-red-600 font-semibold" : left <= 7 ? "text-amber-700" : ""}`}>
+                      {formatDateISO(lot.expiryDate)}
+                      {" "}({left < 0 ? `expired ${-left} days ago` : left === 0 ? "today" : `in ${left} days`})
+                    </td>
+                    <td className="py-2">{lot.qty} {lot.baseUnit}</td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </section>
+  );
+}
+
+// Current stock value per item and in total, at weighted average cost and FIFO
+function ValuationView({ connected, pendingCount }) {
+  const [valuation, setValuation] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!connected) return;
+    let cancelled = false;
+    setLoading(true);
+    getInventoryValuation().then((result) => {
+      if (cancelled) return;
+      setLoading(false);
+      setValuation(result.success ? result.data : null);
+      setError(result.success ? null : result.message);
+    });
+    return () => { cancelled = true; };
+  }, [connected]);
+
+  if (!connected) {
+    return (
+      <div className="card text-center">
+        <p className="text-gray-600">The valuation is calculated by the database. Connect to view stock value.</p>
+      </div>
+    );
+  }
+
+  return (
+    <main>
+      {loading && <p className="text-sm text-gray-600 mb-4">Loading...</p>}
+      {pendingCount > 0 && (
+        <p className="text-sm text-gray-600 mb-4">{pendingCount} pending changes are not included until they reach the database.</p>
+      )}
+      {error && <div className="card text-red-600 mb-4">{error}</div>}
+
+      {valuation && (
+        <div className="space-y-4">
+          <div className="card flex flex-wrap gap-6 text-sm">
+            <span>Stock value (FIFO): <strong>{formatMoney(valuation.totals.fifoValue)}</strong></span>
+            <span>Stock value (weighted average): <strong>{formatMoney(valuation.totals.averageValue)}</strong></span>
+            <span>Items in stock: <strong>{valuation.totals.itemsInStock}</strong></span>
+          </div>
+
+          <div className="card overflow-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left border-b">
+                  <th className="py-2">Item</th>
+                  <th className="py-2">In stock</th>
+                  <th className="py-2">Avg cost</th>
+                  <th className="py-2">Value (avg)</th>
+                  <th className="py-2">Value (FIFO)</th>
+                  <th className="py-2">FIFO layers</th>
+                </tr>
+              </thead>
+              <tbody>
+                {valuation.items.map((v) => (
+                  <tr key={v.itemId} className="border-b align-top">
+                    <td className="py-2">{v.name}</td>
+                    <td className={`py-2 ${v.onHand < 0 ? "text-red-600" : ""}`}>{v.onHand} {v.baseUnit}</td>
+                    <td className="py-2">{v.averageCost != null ? `${formatMoney(v.averageCost)}/${v.baseUnit}` : "—"}</td>
+                    <td className="py-2">{formatMoney(v.averageValue)}</td>
+                    <td className="py-2">{formatMoney(v.fifoValue)}</td>
+                    <td className="py-2 text-gray-600">
+                      {v.layers.map((l, i) => (
+                        <div key={i}>{l.qty} {v.baseUnit} @ {formatMoney(l.unitCost)} from {formatDateISO(l.date)}</div>
+                      ))}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </main>
+  );
+}
+
+const BUDGET_SCOPE_LABELS = { item: "Item", category: "Category", supplier: "Supplier" };
+const EMPTY_BUDGET = { scope: "item", targetId: "", period: "month", amount: "" };
+
+// Budget vs actual for the periods containing a date, calculated by the
+// database from purchases; managers add, change and delete budgets here
+function BudgetsView({ budgets, items, categories, suppliers, connected, pendingCount, canManage, onChange, onNotify }) {
+  const [date, setDate] = useState(() => new Date().toISOString().slice(0, 10));
+  const [report, setReport] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [form, setForm] = useState(EMPTY_BUDGET);
+  const [version, setVersion] = useState(0);
+
+  useEffect(() => {
+    if (!connected) return;
+    let cancelled = false;
+    setLoading(true);
+    getBudgetReport(date).then((result) => {
+      if (cancelled) return;
+      setLoading(false);
+      setReport(result.success ? result.data : []);
+      setError(result.success ? null : result.message);
+    });
+    return () => { cancelled = true; };
+  }, [connected, date, version]);
+
+  // What a budget can be for: records that are in the database, by database id
+  const targets = useMemo(() => {
+    const categoryServerIds = new Map(categories.map((c) => [c.id, c.serverId]));
+    const byName = (a, b) => a.label.localeCompare(b.label);
+    return {
+      item: items.filter((it) => it.serverId != null).map((it) => ({ id: it.serverId, label: it.name })).sort(byName),
+      category: categoryOptions(categories)
+        .filter((c) => categoryServerIds.get(c.id) != null)
+        .map((c) => ({ id: categoryServerIds.get(c.id), label: c.path })),
+      supplier: suppliers.filter((sup) => sup.serverId != null).map((sup) => ({ id: sup.serverId, label: sup.name })).sort(byName)
+    };
+  }, [items, categories, suppliers]);
+
+  if (!connected) {
+    return (
+      <div className="card text-center">
+        <p className="text-gray-600">Budgets are kept in the database. Connect to view budget vs actual or change budgets.</p>
+      </div>
+    );
+  }
+
+  async function save(e) {
+    e.preventDefault();
+    if (form.targetId === "") {
+      onNotify(`Choose a ${form.scope} for the budget`, 'error');
+      return;
+    }
+    const result = await saveBudget({ [`${form.scope}Id`]: Number(form.targetId), period: form.period, amount: form.amount });
+    if (!result.success) {
+      onNotify(result.message, 'error', 5000);
+      return;
+    }
+    onChange([...budgets.filter((b) => b.id !== result.data.id), result.data]);
+    setForm(EMPTY_BUDGET);
+    setVersion((v) => v + 1);
+    onNotify(result.message, 'success');
+  }
+
+  async function remove(budget) {
+    if (!window.confirm(`Delete the ${budget.period}ly budget for ${budget.name}?`)) return;
+    const result = await deleteBudget(budget.id);
+    if (!result.success) {
+      onNotify(result.message, 'error', 5000);
+      return;
+    }
+    onChange(budgets.filter((b) => b.id !== budget.id));
+    setVersion((v) => v + 1);
+    onNotify(result.message, 'success');
+  }
+
+  const update = (field) => (e) => setForm((f) => ({ ...f, [field]: e.target.value }));
+
+  return (
+    <main>
+      {canManage && (
+        <form onSubmit={save} className="card mb-4">
+          <h3 className="font-semibold mb-2">Set a budget</h3>
+          <div className="flex flex-wrap gap-2 items-center">
+            <select value={form.scope} onChange={(e) => setForm((f) => ({ ...f, scope: e.target.value, targetId: "" }))} className="p-1 border rounded text-sm" aria-label="Budget for">
+              {Object.entries(BUDGET_SCOPE_LABELS).map(([scope, label]) => <option key={scope} value={scope}>{label}</option>)}
+            </select>
+            <select value={form.targetId} onChange={update("targetId")} className="p-1 border rounded text-sm" aria-label={BUDGET_SCOPE_LABELS[form.scope]}>
+              <option value="">Choose...</option>
+              {targets[form.scope].map((t) => <option key={t.id} value={t.id}>{t.label}</option>)}
+            </select>
+            <select value={form.period} onChange={update("period")} className="p-1 border rounded text-sm" aria-label="Period">
+              {BUDGET_PERIODS.map((period) => <option key={period} value={period}>per {period}</option>)}
+            </select>
+            <input value={form.amount} onChange={update("amount")} type="number" min="0" step="0.01" placeholder={`Amount (${BASE_CURRENCY}, net)`} className="p-1 border rounded text-sm" aria-label="Amount" required />
+            <button type="submit" className="px-2 py-1 bg-green-600 text-white rounded text-sm">Save</button>
+          </div>
+          <p className="text-xs text-gray-600 mt-2">Saving a budget for the same {form.scope} and period replaces its amount. Only records already in the database can have budgets.</p>
+        </form>
+      )}
+
+      <div className="flex flex-wrap gap-2 mb-4 items-center">
+        <label className="text-sm text-gray-600">Periods containing</label>
+        <input type="date" value={date} onChange={(e) => e.target.value && setDate(e.target.value)} className="p-1 border rounded text-sm" aria-label="Report date" />
+        {loading && <span className="text-sm text-gray-600">Loading...</span>}
+      </div>
+
+      {pendingCount > 0 && (
+        <p className="text-sm text-gray-600 mb-4">{pendingCount} pending changes are not included until they reach the database.</p>
+      )}
+      {error && <div className="card text-red-600 mb-4">{error}</div>}
+
+      <div className="card">
+        <h3 className="font-semibold mb-2">Budget vs Actual</h3>
+        {report.length === 0 ? (
+          <p className="text-sm text-gray-600">No budgets set.</p>
+        ) : (
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left border-b">
+                <th className="py-2">For</th>
+                <th className="py-2">Period</th>
+                <th className="py-2">Budget</th>
+                <th className="py-2">Spent (net)</th>
+                <th className="py-2">Remaining</th>
+                <th className="py-2">Used</th>
+                <th className="py-2">Projected</th>
+                <th className="py-2">Burn-down</th>
+                {canManage && <th className="py-2">Actions</th>}
+              </tr>
+            </thead>
+            <tbody>
+              {report.map((b) => (
+                <tr key={b.id} className="border-b">
+                  <td className="py-2">
+                    <span className="text-xs text-gray-500 mr-1">{BUDGET_SCOPE_LABELS[b.scope]}</span>
+                    {b.name}
+                  </td>
+                  <td className="py-2">{b.periodLabel}</td>
+                  <td className="py-2">{formatMoney(b.amount)}</td>
+                  <td className="py-2">{formatMoney(b.spent)}</td>
+                  <td className={`py-2 ${b.overBudget ? "text-red-600 font-semibold" : ""}`}>{formatMoney(b.remaining)}</td>
+                  <td className="py-2">
+                    <BudgetUsageBar used={b.used} elapsed={b.elapsed} />
+                  </td>
+                  <td className={`py-2 ${b.projected > b.amount ? "text-amber-700" : ""}`}>{formatMoney(b.projected)}</td>
+                  <td className="py-2">
+                    <BurnDownChart budget={b} />
+                  </td>
+                  {canManage && (
+                    <td className="py-2">
+                      <button onClick={() => remove(b)} className="text-red-600 text-xs hover:underline">Delete</button>
+                    </td>
+                  )}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </main>
+  );
+}
+
+// Share of a budget used, with a mark at the share of the period elapsed
+function BudgetUsageBar({ used, elapsed }) {
+  const percent = used == null ? 0 : used * 100;
+  return (
+    <div className="flex items-center gap-2" title={`${percent.toFixed(0)}% used, ${(elapsed * 100).toFixed(0)}% of the period elapsed`}>
+      <div className="relative w-24 bg-gray-50 rounded" style={{ height: '0.75rem' }}>
+        <div
+          className={`${percent > 100 ? "bg-red-600" : percent > elapsed * 100 ? "bg-amber-500" : "bg-green-600"} rounded`}
+          style={{ width: `${Math.min(percent, 100)}%`, height: '0.75rem' }}
+        />
+        <div className="absolute top-0 bg-gray-600" style={{ left: `${elapsed * 100}%`, width: '1px', height: '0.75rem' }} />
+      </div>
+      <span>{percent.toFixed(0)}%</span>
+    </div>
+  );
+}
+
+// What was left of a budget through its period (solid) against spending
+// evenly (dashed); below the axis is over budget
+function BurnDownChart({ budget }) {
+  const width = 120;
+  const height = 36;
+  const start = new Date(budget.periodStart).getTime();
+  const length = new Date(budget.periodEnd).getTime() - start;
+  const lowest = Math.min(0, ...budget.burnDown.map((d) => d.remaining));
+  const x = (time) => ((time - start) / length) * width;
+  const y = (remaining) => ((budget.amount - remaining) / (budget.amount - lowest || 1)) * height;
+
+  // Remaining stays level between purchase days and drops on them
+  let remaining = budget.amount;
+  const points = [[0, y(remaining)]];
+  for (const day of budget.burnDown) {
+    const at = x(budgetDate(day.date).getTime());
+    points.push([at, y(remaining)], [at, y(day.remaining)]);
+    remaining = day.remaining;
+  }
+  points.push([x(start + budget.elapsed * length), y(remaining)]);
+
+  return (
+    <svg width={width} height={height} className="bg-gray-50 rounded" role="img" aria-label={`Burn-down of ${budget.name}`}>
+      <line x1={0} y1={y(budget.amount)} x2={width} y2={y(0)} stroke="#9ca3af" strokeDasharray="3 2" />
+      {lowest < 0 && <line x1={0} y1={y(0)} x2={width} y2={y(0)} stroke="#dc2626" strokeWidth="0.5" />}
+      <polyline points={points.map((p) => p.join(",")).join(" ")} fill="none" stroke={budget.overBudget ? "#dc2626" : "#2563eb"} strokeWidth="1.5" />
+    </svg>
+  );
+}
+
+const CHART_COLORS = ["#2563eb", "#16a34a", "#d97706", "#9333ea", "#db2777", "#0891b2"];
+
+// Price per base unit over time, one line per supplier, with min/max/weighted-average reference lines
+function PriceHistoryChart({ purchases, baseUnit }) {
+  const width = 600;
+  const height = 200;
+  const pad = { top: 10, right: 10, bottom: 24, left: 90 };
+
+  const sorted = [...purchases].sort((a, b) => new Date(a.date) - new Date(b.date));
+  const prices = sorted.map(basePrice);
+  const min = Math.min(...prices);
+  const max = Math.max(...prices);
+  const average = weightedAverageCost(sorted);
+
+  const firstTime = new Date(sorted[0].date).getTime();
+  const lastTime = new Date(sorted[sorted.length - 1].date).getTime();
+  const span = max - min || Math.max(max * 0.1, 1);
+  const low = min - span * 0.1;
+  const high = max + span * 0.1;
+
+  const x = (date) => lastTime === firstTime
+    ? pad.left + (width - pad.left - pad.right) / 2
+    : pad.left + ((new Date(date).getTime() - firstTime) / (lastTime - firstTime)) * (width - pad.left - pad.right);
+  const y = (price) => pad.top + (1 - (price - low) / (high - low)) * (height - pad.top - pad.bottom);
+
+  const bySupplier = {};
+  for (const p of sorted) {
+    const name = p.supplier || "No supplier";
+    (bySupplier[name] = bySupplier[name] || []).push(p);
+  }
+  const series = Object.entries(bySupplier).map(([name, points], i) => ({ name, points, color: CHART_COLORS[i % CHART_COLORS.length] }));
+
+  const references = [
+    { label: "Max", value: max, color: "#dc2626" },
+    { label: "Avg", value: average, color: "#6b7280" },
+    { label: "Min", value: min, color: "#16a34a" }
+  ].filter((r) => r.value != null);
+
+  return (
+    <div className="overflow-auto">
+      <svg viewBox={`0 0 ${width} ${height}`} className="w-full" role="img" aria-label={`Price per ${baseUnit} history`}>
+        {references.map((r) => (
+          <g key={r.label}>
+            <line x1={pad.left} x2={width - pad.right} y1={y(r.value)} y2={y(r.value)} stroke={r.color} strokeDasharray="4 4" strokeWidth="1" />
+            <text x={pad.left - 4} y={y(r.value) + 4} textAnchor="end" fontSize="10" fill={r.color}>
+              {r.label} {formatMoney(r.value)}
+            </text>
+          </g>
+        ))}
+        {series.map((s) => (
+          <g key={s.name}>
+            {s.points.length > 1 && (
+              <polyline
+                points={s.points.map((p) => `${x(p.date)},${y(basePrice(p))}`).join(" ")}
+                fill="none"
+                stroke={s.color}
+                strokeWidth="2"
+              />
+            )}
+            {s.points.map((p) => (
+              <circle key={p.id} cx={x(p.date)} cy={y(basePrice(p))} r="3" fill={s.color}>
+                <title>{`${formatDateISO(p.date)}: ${formatMoney(basePrice(p))}/${baseUnit} from ${s.name}`}</title>
+              </circle>
+            ))}
+          </g>
+        ))}
+        <text x={pad.left} y={height - 6} fontSize="10" fill="#6b7280">{formatDateISO(sorted[0].date)}</text>
+        <text x={width - pad.right} y={height - 6} fontSize="10" fill="#6b7280" textAnchor="end">{formatDateISO(sorted[sorted.length - 1].date)}</text>
+      </svg>
+      <div className="flex flex-wrap gap-4 text-xs text-gray-700">
+        {series.map((s) => (
+          <span key={s.name} style={{ color: s.color }}>● {s.name}</span>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+function LoginView({ onSignedIn }) {
+  const [mode, setMode] = useState("signin"); // "signin" or "signup"
+  const [form, setForm] = useState({ organizationName: "", name: "", email: "", password: "" });
+  const [error, setError] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  const update = (field) => (e) => setForm((f) => ({ ...f, [field]: e.target.value }));
+
+  async function submit(e) {
+    e.preventDefault();
+    setSubmitting(true);
+    setError(null);
+    const result = mode === "signin"
+      ? await signIn({ email: form.email, password: form.password })
+      : await signUp(form);
+    setSubmitting(false);
+    if (result.success) onSignedIn(result.data);
+    else setError(result.message);
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <div className="container">
+        <form onSubmit={submit} className="card mt-4" style={{ maxWidth: '28rem', margin: '2rem auto' }}>
+          <h1 className="text-2xl font-semibold mb-4">
+            {mode === "signin" ? "Sign in" : "Create an organization"}
+          </h1>
+          <div className="space-y-3">
+            {mode === "signup" && (
+              <>
+                <input value={form.organizationName} onChange={update("organizationName")} placeholder="Organization name" className="input w-full" required aria-label="Organization name" />
+                <input value={form.name} onChange={update("name")} placeholder="Your name (optional)" className="input w-full" aria-label="Your name" />
+              </>
+            )}
+            <input value={form.email} onChange={update("email")} type="email" placeholder="Email" className="input w-full" required aria-label="Email" />
+            <input value={form.password} onChange={update("password")} type="password" placeholder="Password" className="input w-full" required aria-label="Password" />
+          </div>
+          {error && <p className="text-sm text-red-600 mt-3">{error}</p>}
+          <div className="flex items-center gap-2 mt-3">
+            <button type="submit" className="button" disabled={submitting}>
+              {submitting ? 'Please wait...' : mode === "signin" ? 'Sign in' : 'Create organization'}
+            </button>
+            <button
+              type="button"
+              onClick={() => { setMode(mode === "signin" ? "signup" : "signin"); setError(null); }}
+              className="text-sm hover:underline"
+            >
+              {mode === "signin" ? "New team? Create an organization" : "Already have an account? Sign in"}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+const EMPTY_MEMBER = { name: "", email: "", password: "", role: "clerk" };
+
+function TeamView({ connected, currentUserId, canAdminister, onNotify }) {
+  const [members, setMembers] = useState([]);
+  const [form, setForm] = useState(EMPTY_MEMBER);
+
+  async function loadMembers() {
+    const result = await getOrganizationMembers();
+    if (result.success) setMembers(result.data);
+  }
+
+  useEffect(() => {
+    if (connected) loadMembers();
+  }, [connected]);
+
+  async function addMember(e) {
+    e.preventDefault();
+    const result = await addOrganizationMember(form);
+    if (result.success) {
+      setForm(EMPTY_MEMBER);
+      onNotify(result.message, 'success');
+      loadMembers();
+    } else {
+      onNotify(result.message, 'error', 5000);
+    }
+  }
+
+  async function changeRole(member, role) {
+    const result = await updateMemberRole(member.id, role);
+    if (result.success) {
+      onNotify(result.message, 'success');
+      loadMembers();
+    } else {
+      onNotify(result.message, 'error', 5000);
+    }
+  }
+
+  if (!connected) {
+    return (
+      <div className="card text-center">
+        <p className="text-gray-600">Team members are managed in the database. Connect to view or add members.</p>
+      </div>
+    );
+  }
+
+  const update = (field) => (e) => setForm((f) => ({ ...f, [field]: e.target.value }));
+
+  return (
+    <main>
+      {canAdminister && (
+        <form onSubmit={addMember} className="card mb-4">
+          <h3 className="font-semibold mb-2">Add a team member</h3>
+          <div className="form-grid">
+            <input value={form.name} onChange={update("name")} placeholder="Name (optional)" className="input" aria-label="Name" />
+            <input value={form.email} onChange={update("email")} type="email" placeholder="Email" className="input" required aria-label="Email" />
+            <input value={form.password} onChange={update("password")} type="password" placeholder="Initial password" className="input" required aria-label="Initial password" />
+            <select value={form.role} onChange={update("role")} className="input" aria-label="Role">
+              {USER_ROLES.map((role) => <option key={role} value={role}>{role}</option>)}
+            </select>
+          </div>
+          <button type="submit" className="button bg-green-600 mt-3">Add Member</button>
+        </form>
+      )}
+
+      <div className="card">
+        <h3 className="font-semibold mb-2">Members</h3>
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left border-b">
+              <th className="py-2">Name</th>
+              <th className="py-2">Email</th>
+              <th className="py-2">Role</th>
+              <th className="py-2">Joined</th>
+            </tr>
+          </thead>
+          <tbody>
+            {members.map((m) => (
+              <tr key={m.id} className="border-b">
+                <td className="py-2">{m.name || '-'}{m.id === currentUserId && ' (you)'}</td>
+                <td className="py-2">{m.email}</td>
+                <td className="py-2">
+                  {canAdminister ? (
+                    <select
+                      value={m.role}
+                      onChange={(e) => changeRole(m, e.target.value)}
+                      className="p-1 border rounded text-sm"
+                      aria-label={`Role of ${m.email}`}
+                    >
+                      {USER_ROLES.map((role) => <option key={role} value={role}>{role}</option>)}
+                    </select>
+                  ) : m.role}
+                </td>
+                <td className="py-2">{formatDateISO(m.createdAt)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </main>
+  );
+}
@@ -0,0 +1,145 @@
+// Browser client for the API server (server/index.js).
+//
+// Exposes the same function names and { success, data, message } results as
+// src/database/operations.js and auth.js, so the UI, sync and outbox code can
+// call them without knowing they go over HTTP. The database itself is only
+// reachable from the server.
+
+const API_URL = (import.meta.env.VITE_API_URL || '/api').replace(/\/+$/, '');
+
+let authToken = null;
+
+// Session token sent with every request (null when signed out)
+export function setAuthToken(token) {
+  authToken = token || null;
+}
+
+async function request(method, path, body) {
+  try {
+    const response = await fetch(`${API_URL}${path}`, {
+      method,
+      headers: {
+        ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+        ...(authToken ? { Authorization: `Bearer ${authToken}` } : {})
+      },
+      body: body !== undefined ? JSON.stringify(body) : undefined
+    });
+    const result = await response.json().catch(() => ({
+      success: false,
+      data: null,
+      message: `Unexpected response from server (${response.status})`
+    }));
+    return { ...result, status: response.status };
+  } catch (error) {
+    return { success: false, data: null, message: `Failed to reach the server: ${error.message}`, status: 0 };
+  }
+}
+
+function queryString(params) {
+  const entries = Object.entries(params).filter(([, value]) => value !== undefined && value !== null && value !== '');
+  return entries.length > 0 ? `?${new URLSearchParams(entries)}` : '';
+}
+
+// Health check: the server is reachable and can reach the database
+export async function checkConnection() {
+  const result = await request('GET', '/health');
+  return { connected: result.success, message: result.message };
+}
+
+// Authentication
+export const signUp = (details) => request('POST', '/auth/signup', details);
+export const signIn = (credentials) => request('POST', '/auth/signin', credentials);
+export const signOut = () => request('POST', '/auth/signout');
+export const addOrganizationMember = (details) => request('POST', '/organization/members', details);
+export const getOrganizationMembers = () => request('GET', '/organization/members');
+export const updateMemberRole = (userId, role) => request('PATCH', `/organization/members/${userId}`, { role });
+
+// Check a stored session token. data is null when the server rejects it.
+export async function restoreSession(token) {
+  setAuthToken(token);
+  const result = await request('GET', '/auth/session');
+  if (result.status === 401) return { success: true, data: null, message: 'Session expired' };
+  return result;
+}
+
+// Items
+export const getAllItems = (sortBy, sortOrder) => request('GET', `/items${queryString({ sortBy, sortOrder })}`);
+export const searchItems = (searchTerm, sortBy, sortOrder) => request('GET', `/items/search${queryString({ q: searchTerm, sortBy, sortOrder })}`);
+export const addItem = (name, baseUnit) => request('POST', '/items', { name, baseUnit });
+export const addItemWithPurchase = (details) => request('POST', '/items/with-purchase', details);
+export const getItemById = (itemId) => request('GET', `/items/${itemId}`);
+export const updateItemName = (itemId, name) => request('PATCH', `/items/${itemId}`, { name });
+export const deleteItem = (itemId) => request('DELETE', `/items/${itemId}`);
+export const getItemStats = (itemId) => request('GET', `/items/${itemId}/stats`);
+export const getOnHandQuantity = (itemId) => request('GET', `/items/${itemId}/on-hand`);
+export const getAllOnHandQuantities = () => request('GET', '/items/on-hand');
+export const getInventoryValuation = () => request('GET', '/items/valuation');
+export const getExpiringLots = (withinDays) => request('GET', `/items/expiring${queryString({ days: withinDays })}`);
+export const updateItemBaseUnit = (itemId, baseUnit) => request('PUT', `/items/${itemId}/base-unit`, { baseUnit });
+export const updateItemReorderSettings = (itemId, settings) => request('PUT', `/items/${itemId}/reorder-settings`, settings);
+export const updateItemInfo = (itemId, info) => request('PUT', `/items/${itemId}/info`, info);
+export const updateItemGrouping = (itemId, { categoryId, tags }) => request('PUT', `/items/${itemId}/grouping`, { categoryId, tags });
+export const getItemsNeedingReorder = () => request('GET', '/items/reorder');
+
+// Categories
+export const getCategories = () => request('GET', '/categories');
+export const saveCategory = ({ name, parentId }) => request('POST', '/categories', { name, parentId });
+export const updateCategory = (categoryId, changes) => request('PATCH', `/categories/${categoryId}`, changes);
+export const deleteCategory = (categoryId) => request('DELETE', `/categories/${categoryId}`);
+
+// Locations
+export const getLocations = () => request('GET', '/locations');
+export const getStockByLocation = () => request('GET', '/locations/stock');
+export const saveLocation = ({ name }) => request('POST', '/locations', { name });
+export const updateLocation = (locationId, changes) => request('PATCH', `/locations/${locationId}`, changes);
+export const deleteLocation = (locationId) => request('DELETE', `/locations/${locationId}`);
+
+// Purchases
+export const addPurchase = (itemId, purchase) => request('POST', `/items/${itemId}/purchases`, purchase);
+export const updatePurchase = (purchaseId, changes) => request('PATCH', `/purchases/${purchaseId}`, changes);
+export const deletePurchase = (purchaseId) => request('DELETE', `/purchases/${purchaseId}`);
+
+// Purchase attachments ({ fileName, contentType, data } with the file as base64)
+export const addPurchaseAttachment = (purchaseId, file) => request('POST', `/purchases/${purchaseId}/attachments`, file);
+export const getAttachment = (attachmentId) => request('GET', `/attachments/${attachmentId}`);
+export const deleteAttachment = (attachmentId) => request('DELETE', `/attachments/${attachmentId}`);
+
+// Stock movements
+export const getStockMovements = (itemId) => request('GET', `/items/${itemId}/movements`);
+export const recordStockMovement = (itemId, movement) => request('POST', `/items/${itemId}/movements`, movement);
+export const deleteStockMovement = (movementId) => request('DELETE', `/movements/${movementId}`);
+
+// Suppliers
+export const getAllSuppliers = () => request('GET', '/suppliers');
+export const getSupplierById = (supplierId) => request('GET', `/suppliers/${supplierId}`);
+export const saveSupplier = (details) => request('POST', '/suppliers', details);
+export const updateSupplier = (supplierId, details) => request('PATCH', `/suppliers/${supplierId}`, details);
+export const deleteSupplier = (supplierId) => request('DELETE', `/suppliers/${supplierId}`);
+
+// Purchase orders
+export const getPurchaseOrders = ({ openOnly = true } = {}) => request('GET', `/purchase-orders${queryString({ openOnly })}`);
+export const createPurchaseOrder = (order) => request('POST', '/purchase-orders', order);
+export const updatePurchaseOrder = (orderId, changes) => request('PATCH', `/purchase-orders/${orderId}`, changes);
+export const receivePurchaseOrder = (orderId, receipt) => request('POST', `/purchase-orders/${orderId}/receive`, receipt);
+export const deletePurchaseOrder = (orderId) => request('DELETE', `/purchase-orders/${orderId}`);
+
+// Analytics
+export const getSpendAnalytics = (range = {}) => request('GET', `/analytics/spend${queryString(range)}`);
+export const getSpendByMonth = (range = {}) => request('GET', `/analytics/spend-by-month${queryString(range)}`);
+export const getSpendByItem = (range = {}) => request('GET', `/analytics/spend-by-item${queryString(range)}`);
+export const getSpendBySupplier = (range = {}) => request('GET', `/analytics/spend-by-supplier${queryString(range)}`);
+export const getPriceMovers = (range = {}, limit = 10) => request('GET', `/analytics/price-movers${queryString({ ...range, limit })}`);
+
+// Budgets
+export const getBudgets = () => request('GET', '/budgets');
+export const getBudgetReport = (date) => request('GET', `/budgets/report${queryString({ date })}`);
+export const saveBudget = (budget) => request('POST', '/budgets', budget);
+export const deleteBudget = (budgetId) => request('DELETE', `/budgets/${budgetId}`);
+
+// Audit log
+export const getAuditLog = (filters = {}) => request('GET', `/audit-log${queryString(filters)}`);
+
+// Trash
+export const getTrash = () => request('GET', '/trash');
+export const restoreFromTrash = (entityType, id) => request('POST', '/trash/restore', { entityType, id });
+export const purgeFromTrash = (entityType, id) => request('POST', '/trash/purge', { entityType, id });
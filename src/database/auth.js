@@ -0,0 +1,352 @@
+import { AsyncLocalStorage } from 'node:async_hooks';
+import { db, schema } from './connection.js';
+import { eq, and, gt, lt, ne } from 'drizzle-orm';
+import { USER_ROLES, hasPermission } from './schema.js';
+import { RequestError, errorStatus, notFound } from './errors.js';
+
+// Authentication and organization scoping.
+//
+// Users sign in with email and password and get an opaque session token. The
+// API server looks the token up for every request and runs the handler inside
+// runWithSession(), and every query in operations.js reads the caller's
+// organization through requireOrganizationId(), so one deployment can be
+// shared by several teams without them seeing each other's data. The session
+// is tracked per async call chain, so concurrent requests never see each other's.
+
+const SESSION_DURATION = 30 * 24 * 60 * 60 * 1000;
+const PASSWORD_ITERATIONS = 100000;
+const MIN_PASSWORD_LENGTH = 8;
+
+const sessionContext = new AsyncLocalStorage();
+
+function toHex(bytes) {
+  return Array.from(new Uint8Array(bytes), (b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+function randomHex(byteLength) {
+  return toHex(crypto.getRandomValues(new Uint8Array(byteLength)));
+}
+
+// PBKDF2-SHA256 hash of a password with a hex salt
+async function hashPassword(password, salt) {
+  const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveBits']);
+  const bits = await crypto.subtle.deriveBits(
+    { name: 'PBKDF2', hash: 'SHA-256', salt: new TextEncoder().encode(salt), iterations: PASSWORD_ITERATIONS },
+    key,
+    256
+  );
+  return toHex(bits);
+}
+
+function normalizeEmail(email) {
+  return (email || '').trim().toLowerCase();
+}
+
+// Validate sign-up details, returning an error message or null
+function validateCredentials({ email, password }) {
+  if (!/^[^\s@]+@[^\s@]+$/.test(normalizeEmail(email))) return 'A valid email address is required';
+  if (!password || password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  return null;
+}
+
+// Public shape of a session: never includes password hashes
+function toSession(token, expiresAt, user, organization) {
+  return {
+    token,
+    expiresAt: new Date(expiresAt).toISOString(),
+    user: { id: user.id, email: user.email, name: user.name, role: user.role },
+    organization: { id: organization.id, name: organization.name }
+  };
+}
+
+async function createUser(organizationId, { email, password, name, role }) {
+  const salt = randomHex(16);
+  const result = await db
+    .insert(schema.users)
+    .values({
+      organizationId,
+      email: normalizeEmail(email),
+      name: name?.trim() || null,
+      role,
+      passwordHash: await hashPassword(password, salt),
+      passwordSalt: salt
+    })
+    .returning();
+  return result[0];
+}
+
+async function startSession(user, organization) {
+  const token = randomHex(32);
+  const expiresAt = new Date(Date.now() + SESSION_DURATION);
+  await db.insert(schema.sessions).values({ token, userId: user.id, expiresAt });
+  // Opportunistically clear out expired sessions
+  await db.delete(schema.sessions).where(lt(schema.sessions.expiresAt, new Date()));
+  return toSession(token, expiresAt, user, organization);
+}
+
+// Run `fn` with `session` as the signed-in session for everything it awaits
+export function runWithSession(session, fn) {
+  return sessionContext.run(session, fn);
+}
+
+// The signed-in session, or null
+export function getCurrentSession() {
+  return sessionContext.getStore() || null;
+}
+
+// Organization id of the signed-in user. Throws when nobody is signed in so
+// that no query can run unscoped.
+export function requireOrganizationId() {
+  const session = getCurrentSession();
+  if (!session) throw new RequestError('Not signed in', 401);
+  return session.organization.id;
+}
+
+// Throw unless the signed-in user's role grants `permission` (see PERMISSIONS in schema.js)
+export function requirePermission(permission) {
+  const session = getCurrentSession();
+  if (!session) throw new RequestError('Not signed in', 401);
+  if (!hasPermission(session.user.role, permission)) {
+    throw new RequestError(`Your role (${session.user.role}) does not have the "${permission}" permission`, 403);
+  }
+}
+
+// Create an organization together with its first user (an admin) and start a session for them
+export async function signUp({ organizationName, email, password, name }) {
+  try {
+    const error = validateCredentials({ email, password });
+    if (error) return { success: false, data: null, message: error };
+    if (!organizationName?.trim()) {
+      return { success: false, data: null, message: 'Organization name is required' };
+    }
+
+    const existing = await db.query.users.findFirst({
+      where: (users, { eq }) => eq(users.email, normalizeEmail(email))
+    });
+    if (existing) {
+      return { success: false, data: null, message: 'An account with this email already exists' };
+    }
+
+    const orgResult = await db
+      .insert(schema.organizations)
+      .values({ name: organizationName.trim() })
+      .returning();
+    const organization = orgResult[0];
+
+    let user;
+    try {
+      user = await createUser(organization.id, { email, password, name, role: 'admin' });
+    } catch (error) {
+      // Don't leave an organization without users behind
+      await db.delete(schema.organizations).where(eq(schema.organizations.id, organization.id));
+      throw error;
+    }
+
+    return {
+      success: true,
+      data: await startSession(user, organization),
+      message: `Welcome to ${organization.name}`
+    };
+  } catch (error) {
+    console.error('Error signing up:', error);
+    return {
+      success: false,
+      data: null,
+      message: `Failed to sign up: ${error.message}`,
+      status: errorStatus(error)
+    };
+  }
+}
+
+// Sign in with email and password, starting a new session
+export async function signIn({ email, password }) {
+  try {
+    const user = await db.query.users.findFirst({
+      where: (users, { eq }) => eq(users.email, normalizeEmail(email)),
+      with: { organization: true }
+    });
+
+    if (!user || (await hashPassword(password || '', user.passwordSalt)) !== user.passwordHash) {
+      return { success: false, data: null, message: 'Incorrect email or password' };
+    }
+
+    return {
+      success: true,
+      data: await startSession(user, user.organization),
+      message: 'Signed in successfully'
+    };
+  } catch (error) {
+    console.error('Error signing in:', error);
+    return {
+      success: false,
+      data: null,
+      message: `Failed to sign in: ${error.message}`,
+      status: errorStatus(error)
+    };
+  }
+}
+
+// Look up a session token. data is null when the token is unknown or expired.
+export async function findSession(token) {
+  try {
+    const session = token && await db.query.sessions.findFirst({
+      where: (sessions, { eq }) => and(eq(sessions.token, token), gt(sessions.expiresAt, new Date())),
+      with: { user: { with: { organization: true } } }
+    });
+
+    if (!session) {
+      return { success: true, data: null, message: 'Session expired' };
+    }
+
+    return {
+      success: true,
+      data: toSession(session.token, session.expiresAt, session.user, session.user.organization),
+      message: 'Session restored'
+    };
+  } catch (error) {
+    console.error('Error restoring session:', error);
+    return {
+      success: false,
+      data: null,
+      message: `Failed to restore session: ${error.message}`,
+      status: errorStatus(error)
+    };
+  }
+}
+
+// Sign out, ending the current session
+export async function signOut() {
+  const session = getCurrentSession();
+  if (!session) return { success: true, data: null, message: 'Signed out' };
+
+  try {
+    await db.delete(schema.sessions).where(eq(schema.sessions.token, session.token));
+    return { success: true, data: null, message: 'Signed out' };
+  } catch (error) {
+    console.error('Error signing out:', error);
+    return {
+      success: false,
+      data: null,
+      message: `Failed to end session: ${error.message}`,
+      status: errorStatus(error)
+    };
+  }
+}
+
+// Add a teammate to the signed-in user's organization (admins only)
+export async function addOrganizationMember({ email, password, name, role = 'clerk' }) {
+  try {
+    requirePermission('administer');
+    const organizationId = requireOrganizationId();
+    const error = validateCredentials({ email, password });
+    if (error) return { success: false, data: null, message: error };
+    if (!USER_ROLES.includes(role)) {
+      return { success: false, data: null, message: `Invalid role: ${role}` };
+    }
+
+    const existing = await db.query.users.findFirst({
+      where: (users, { eq }) => eq(users.email, normalizeEmail(email))
+    });
+    if (existing) {
+      return { success: false, data: null, message: 'An account with this email already exists' };
+    }
+
+    const user = await createUser(organizationId, { email, password, name, role });
+    return {
+      success: true,
+      data: { id: user.id, email: user.email, name: user.name, role: user.role },
+      message: `Added ${user.email} to the organization`
+    };
+  } catch (error) {
+    console.error('Error adding organization member:', error);
+    return {
+      success: false,
+      data: null,
+      message: `Failed to add member: ${error.message}`,
+      status: errorStatus(error)
+    };
+  }
+}
+
+// List the users in the signed-in user's organization
+export async function getOrganizationMembers() {
+  try {
+    const organizationId = requireOrganizationId();
+    const result = await db
+      .select({
+        id: schema.users.id,
+        email: schema.users.email,
+        name: schema.users.name,
+        role: schema.users.role,
+        createdAt: schema.users.createdAt
+      })
+      .from(schema.users)
+      .where(eq(schema.users.organizationId, organizationId))
+      .orderBy(schema.users.email);
+
+    return {
+      success: true,
+      data: result,
+      message: `Successfully retrieved ${result.length} members`
+    };
+  } catch (error) {
+    console.error('Error fetching organization members:', error);
+    return {
+      success: false,
+      data: [],
+      message: `Failed to fetch members: ${error.message}`,
+      status: errorStatus(error)
+    };
+  }
+}
+
+// Change a team member's role (admins only). The last admin cannot be demoted.
+export async function updateMemberRole(userId, role) {
+  try {
+    requirePermission('administer');
+    const organizationId = requireOrganizationId();
+    if (!USER_ROLES.includes(role)) {
+      return { success: false, data: null, message: `Invalid role: ${role}` };
+    }
+
+    if (role !== 'admin') {
+      const otherAdmins = await db
+        .select({ id: schema.users.id })
+        .from(schema.users)
+        .where(and(
+          eq(schema.users.organizationId, organizationId),
+          eq(schema.users.role, 'admin'),
+          ne(schema.users.id, userId)
+        ))
+        .limit(1);
+      if (otherAdmins.length === 0) {
+        return { success: false, data: null, message: 'An organization needs at least one admin' };
+      }
+    }
+
+    const result = await db
+      .update(schema.users)
+      .set({ role })
+      .where(and(eq(schema.users.id, userId), eq(schema.users.organizationId, organizationId)))
+      .returning({ id: schema.users.id, email: schema.users.email, name: schema.users.name, role: schema.users.role });
+    if (!result[0]) {
+      return notFound('Member not found');
+    }
+
+    return {
+      success: true,
+      data: result[0],
+      message: `${result[0].email} is now ${role}`
+    };
+  } catch (error) {
+    console.error('Error updating member role:', error);
+    return {
+      success: false,
+      data: null,
+      message: `Failed to update role: ${error.message}`,
+      status: errorStatus(error)
+    };
+  }
+}
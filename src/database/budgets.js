@@ -0,0 +1,66 @@
+// Budget periods and burn-down, shared by operations.js and the UI so the
+// budget report and the add-purchase warnings agree. A budget caps the spend
+// on an item, a category (with its subcategories) or a supplier in each
+// calendar month, quarter or year. Spend is net of tax in the base currency,
+// like the spend analytics. Periods follow local time.
+
+const MONTHS_IN = { month: 1, quarter: 3, year: 12 };
+
+// A date; YYYY-MM-DD strings, as date inputs give, are days in local time
+export function budgetDate(date) {
+  if (typeof date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(date)) return new Date(`${date}T00:00:00`);
+  return new Date(date);
+}
+
+// What a budget is for: 'item', 'category' or 'supplier'
+export function budgetScope(budget) {
+  if (budget.itemId != null) return 'item';
+  if (budget.categoryId != null) return 'category';
+  return 'supplier';
+}
+
+// The period of a budget that contains `date`: { start, end } with end exclusive
+export function budgetPeriod(period, date = new Date()) {
+  const day = budgetDate(date);
+  const months = MONTHS_IN[period] || 1;
+  const month = day.getMonth() - (day.getMonth() % months);
+  return {
+    start: new Date(day.getFullYear(), month, 1),
+    end: new Date(day.getFullYear(), month + months, 1)
+  };
+}
+
+// Name of the period starting at `start`, e.g. 2024-05, 2024 Q2 or 2024
+export function budgetPeriodLabel(period, start) {
+  const day = new Date(start);
+  if (period === 'year') return String(day.getFullYear());
+  if (period === 'quarter') return `${day.getFullYear()} Q${Math.floor(day.getMonth() / 3) + 1}`;
+  return `${day.getFullYear()}-${String(day.getMonth() + 1).padStart(2, '0')}`;
+}
+
+// Whether a budget covers a purchase of item `itemId` from supplier
+// `supplierId`, where categoryIds are the item's category and the categories
+// it is nested under (see categoryWithAncestors). Ids are database ids.
+export function budgetCovers(budget, { itemId = null, supplierId = null, categoryIds = [] }) {
+  if (budget.itemId != null) return budget.itemId === itemId;
+  if (budget.categoryId != null) return categoryIds.includes(budget.categoryId);
+  return budget.supplierId != null && budget.supplierId === supplierId;
+}
+
+// How far `spent` has burned down `amount` in a period ({ start, end }) as of
+// `now`: what is left, the share of the amount used (null for a zero amount)
+// and of the period elapsed, and the spend projected for the whole period at
+// the rate so far
+export function budgetStatus(amount, spent, { start, end }, now = new Date()) {
+  const length = end - start;
+  const elapsed = Math.min(1, Math.max(0, (new Date(now) - start) / length));
+  return {
+    amount,
+    spent,
+    remaining: amount - spent,
+    used: amount > 0 ? spent / amount : null,
+    elapsed,
+    projected: elapsed > 0 ? spent / elapsed : spent,
+    overBudget: spent > amount
+  };
+}
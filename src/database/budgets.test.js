@@ -0,0 +1,78 @@
+import { describe, it, expect } from 'vitest';
+import { budgetDate, budgetScope, budgetPeriod, budgetPeriodLabel, budgetCovers, budgetStatus } from './budgets.js';
+
+// Periods follow local time, so expectations are built in local time too
+const local = (year, month, day = 1) => new Date(year, month - 1, day);
+
+describe('budgetDate', () => {
+  it('reads YYYY-MM-DD as a local day', () => {
+    expect(budgetDate('2026-03-31')).toEqual(local(2026, 3, 31));
+  });
+});
+
+describe('budgetPeriod', () => {
+  it('runs a month from its first day to the first of the next', () => {
+    expect(budgetPeriod('month', '2026-02-28')).toEqual({ start: local(2026, 2), end: local(2026, 3) });
+  });
+
+  it('runs a quarter over three calendar months', () => {
+    expect(budgetPeriod('quarter', '2026-06-30')).toEqual({ start: local(2026, 4), end: local(2026, 7) });
+    expect(budgetPeriod('quarter', '2026-07-01')).toEqual({ start: local(2026, 7), end: local(2026, 10) });
+  });
+
+  it('ends the last quarter and the year on the next new year', () => {
+    expect(budgetPeriod('quarter', '2026-12-31')).toEqual({ start: local(2026, 10), end: local(2027, 1) });
+    expect(budgetPeriod('year', '2026-12-31')).toEqual({ start: local(2026, 1), end: local(2027, 1) });
+  });
+
+  it('falls back to a month for an unknown period', () => {
+    expect(budgetPeriod('fortnight', '2026-05-10')).toEqual({ start: local(2026, 5), end: local(2026, 6) });
+  });
+});
+
+describe('budgetPeriodLabel', () => {
+  it('names months, quarters and years', () => {
+    expect(budgetPeriodLabel('month', local(2026, 5))).toBe('2026-05');
+    expect(budgetPeriodLabel('quarter', local(2026, 4))).toBe('2026 Q2');
+    expect(budgetPeriodLabel('year', local(2026, 1))).toBe('2026');
+  });
+});
+
+describe('budgetCovers', () => {
+  const purchase = { itemId: 1, supplierId: 2, categoryIds: [3, 4] };
+
+  it('matches a budget by item, category or one of its ancestors, or supplier', () => {
+    expect(budgetScope({ itemId: 1 })).toBe('item');
+    expect(budgetCovers({ itemId: 1 }, purchase)).toBe(true);
+    expect(budgetCovers({ categoryId: 4 }, purchase)).toBe(true);
+    expect(budgetCovers({ supplierId: 2 }, purchase)).toBe(true);
+    expect(budgetCovers({ categoryId: 5 }, purchase)).toBe(false);
+  });
+
+  it('does not match a supplier budget to a purchase without a supplier', () => {
+    expect(budgetCovers({ supplierId: 2 }, { itemId: 1 })).toBe(false);
+  });
+});
+
+describe('budgetStatus', () => {
+  const period = { start: local(2026, 4), end: local(2026, 5) };
+
+  it('projects the spend for the whole period from the rate so far', () => {
+    const status = budgetStatus(1000, 250, period, local(2026, 4, 16));
+
+    expect(status.remaining).toBe(750);
+    expect(status.used).toBe(0.25);
+    expect(status.elapsed).toBeCloseTo(0.5, 1);
+    expect(status.projected).toBeCloseTo(500, -1);
+    expect(status.overBudget).toBe(false);
+  });
+
+  it('keeps elapsed between 0 and 1 outside the period', () => {
+    expect(budgetStatus(100, 50, period, local(2026, 3, 1)).elapsed).toBe(0);
+    expect(budgetStatus(100, 150, period, local(2026, 6, 1))).toMatchObject({ elapsed: 1, projected: 150, overBudget: true });
+  });
+
+  it('has no share used for a zero amount', () => {
+    expect(budgetStatus(0, 10, period, local(2026, 4, 2)).used).toBeNull();
+  });
+});
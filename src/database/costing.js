@@ -0,0 +1,103 @@
+import { STOCK_MOVEMENT_TYPES, baseQuantity, basePrice, purchaseAmounts } from './schema.js';
+
+// Inventory costing, shared by operations.js and the UI so the database and
+// local data value stock the same way. Everything is in base units, and costs
+// are net of tax in the base currency.
+//
+// Purchases and stock movements are replayed in date order (purchases first
+// within a day). Each purchase adds a cost layer of its quantity at its price
+// per base unit. Issues, consumption and write-offs use up the oldest layers
+// first (FIFO); returns come back as a new layer at the cost of the last units
+// that went out. Stock that goes out before it was purchased is a shortfall
+// the next purchase covers first. A purchase's layer keeps its lot code and
+// expiry date, so the layers left are the lots still in stock.
+
+// Layers smaller than this are rounding leftovers and are dropped
+const EPSILON = 1e-9;
+
+const timeOf = (date) => new Date(date).getTime() || 0;
+
+// Weighted average cost per base unit of a list of purchases (null without any quantity)
+export function weightedAverageCost(purchases) {
+  const qty = purchases.reduce((sum, p) => sum + baseQuantity(p), 0);
+  if (qty <= 0) return null;
+  return purchases.reduce((sum, p) => sum + purchaseAmounts(p).net, 0) / qty;
+}
+
+// Remaining FIFO cost layers ([{ date, qty, unitCost, lotCode, expiryDate }],
+// oldest first; returns have no lot) and the quantity that went out without
+// stock to cover it
+export function fifoLayers(purchases, movements) {
+  const events = [
+    ...purchases.map((p) => ({
+      date: p.date,
+      order: 0,
+      qty: baseQuantity(p),
+      unitCost: basePrice(p),
+      lotCode: p.lotCode ?? null,
+      expiryDate: p.expiryDate ?? null
+    })),
+    ...movements.map((m) => ({ date: m.date, order: 1, qty: (STOCK_MOVEMENT_TYPES[m.type] || 0) * (Number(m.qty) || 0) }))
+  ].sort((a, b) => timeOf(a.date) - timeOf(b.date) || a.order - b.order);
+
+  const layers = [];
+  let shortfall = 0;
+  let lastCost = null;
+
+  for (const event of events) {
+    if (event.qty > 0) {
+      const unitCost = event.order === 0 ? event.unitCost : (lastCost ?? layers[0]?.unitCost ?? 0);
+      const covered = Math.min(shortfall, event.qty);
+      shortfall -= covered;
+      if (event.qty - covered > EPSILON) {
+        layers.push({
+          date: event.date,
+          qty: event.qty - covered,
+          unitCost,
+          lotCode: event.lotCode ?? null,
+          expiryDate: event.expiryDate ?? null
+        });
+      }
+      if (covered > 0) lastCost = unitCost;
+    } else if (event.qty < 0) {
+      let remaining = -event.qty;
+      while (remaining > EPSILON && layers.length > 0) {
+        const used = Math.min(layers[0].qty, remaining);
+        lastCost = layers[0].unitCost;
+        remaining -= used;
+        layers[0] = { ...layers[0], qty: layers[0].qty - used };
+        if (layers[0].qty <= EPSILON) layers.shift();
+      }
+      if (remaining > EPSILON) shortfall += remaining;
+    }
+  }
+
+  return { layers, shortfall };
+}
+
+// Value of an item's stock from its purchases and movements: on-hand quantity,
+// weighted average cost and the stock valued at it, and the FIFO value with
+// its layers. Negative stock is valued at zero.
+export function itemValuation(purchases = [], movements = []) {
+  const { layers, shortfall } = fifoLayers(purchases, movements);
+  const onHand = layers.reduce((sum, l) => sum + l.qty, 0) - shortfall;
+  const averageCost = weightedAverageCost(purchases);
+  const fifoValue = layers.reduce((sum, l) => sum + l.qty * l.unitCost, 0);
+  return {
+    onHand,
+    averageCost,
+    averageValue: onHand > 0 && averageCost != null ? onHand * averageCost : 0,
+    fifoValue,
+    fifoUnitCost: onHand > 0 ? fifoValue / onHand : null,
+    layers
+  };
+}
+
+// Lots still in stock that expire on or before `until` (already expired ones
+// included), soonest first: the FIFO layers of purchases with an expiry date
+export function expiringLots(purchases = [], movements = [], until) {
+  const limit = timeOf(until);
+  return fifoLayers(purchases, movements).layers
+    .filter((layer) => layer.expiryDate && timeOf(layer.expiryDate) <= limit)
+    .sort((a, b) => timeOf(a.expiryDate) - timeOf(b.expiryDate));
+}
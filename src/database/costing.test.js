@@ -0,0 +1,102 @@
+import { describe, it, expect } from 'vitest';
+import { weightedAverageCost, fifoLayers, itemValuation, expiringLots } from './costing.js';
+
+const purchase = (date, qty, unitPrice, extra = {}) => ({ date, qty, unitPrice, ...extra });
+const movement = (date, type, qty) => ({ date, type, qty });
+
+describe('weightedAverageCost', () => {
+  it('divides what was spent by the quantity bought in base units', () => {
+    expect(weightedAverageCost([purchase('2026-01-01', 10, 2), purchase('2026-01-02', 2, 4, { unit: 'box', unitFactor: 5 })]))
+      .toBeCloseTo((10 * 2 + 2 * 4) / 20);
+  });
+
+  it('uses prices net of tax in the base currency', () => {
+    expect(weightedAverageCost([purchase('2026-01-01', 1, 118, { taxRate: 18, taxInclusive: true, exchangeRate: 2 })]))
+      .toBeCloseTo(200);
+  });
+
+  it('is null without any quantity', () => {
+    expect(weightedAverageCost([])).toBeNull();
+  });
+});
+
+describe('fifoLayers', () => {
+  it('uses up the oldest layers first, whatever order the records are in', () => {
+    const { layers, shortfall } = fifoLayers(
+      [purchase('2026-01-05', 10, 3), purchase('2026-01-01', 10, 2)],
+      [movement('2026-01-06', 'issue', 15)]
+    );
+
+    expect(layers).toEqual([{ date: '2026-01-05', qty: 5, unitCost: 3, lotCode: null, expiryDate: null }]);
+    expect(shortfall).toBe(0);
+  });
+
+  it('counts purchases before movements on the same day', () => {
+    const { layers, shortfall } = fifoLayers([purchase('2026-01-01', 5, 2)], [movement('2026-01-01', 'consumption', 5)]);
+
+    expect(layers).toEqual([]);
+    expect(shortfall).toBe(0);
+  });
+
+  it('brings returns back at the cost of the last units that went out', () => {
+    const { layers } = fifoLayers(
+      [purchase('2026-01-01', 5, 2), purchase('2026-01-02', 5, 4)],
+      [movement('2026-01-03', 'issue', 7), movement('2026-01-04', 'return', 1)]
+    );
+
+    expect(layers.map(({ qty, unitCost }) => ({ qty, unitCost }))).toEqual([{ qty: 3, unitCost: 4 }, { qty: 1, unitCost: 4 }]);
+  });
+
+  it('covers a shortfall with the next purchase first', () => {
+    const before = fifoLayers([], [movement('2026-01-01', 'write_off', 4)]);
+    expect(before.shortfall).toBe(4);
+
+    const after = fifoLayers([purchase('2026-01-02', 10, 1)], [movement('2026-01-01', 'write_off', 4)]);
+    expect(after.shortfall).toBe(0);
+    expect(after.layers[0].qty).toBe(6);
+  });
+
+  it('ignores transfers between locations', () => {
+    expect(fifoLayers([purchase('2026-01-01', 5, 2)], [movement('2026-01-02', 'transfer', 5)]).layers[0].qty).toBe(5);
+  });
+});
+
+describe('itemValuation', () => {
+  it('values on-hand stock at weighted average and FIFO cost', () => {
+    const valuation = itemValuation(
+      [purchase('2026-01-01', 10, 2), purchase('2026-01-02', 10, 4)],
+      [movement('2026-01-03', 'issue', 10)]
+    );
+
+    expect(valuation.onHand).toBe(10);
+    expect(valuation.averageCost).toBe(3);
+    expect(valuation.averageValue).toBe(30);
+    expect(valuation.fifoValue).toBe(40);
+    expect(valuation.fifoUnitCost).toBe(4);
+  });
+
+  it('values negative stock at zero', () => {
+    const valuation = itemValuation([purchase('2026-01-01', 1, 2)], [movement('2026-01-02', 'issue', 3)]);
+
+    expect(valuation.onHand).toBe(-2);
+    expect(valuation.averageValue).toBe(0);
+    expect(valuation.fifoUnitCost).toBeNull();
+  });
+});
+
+describe('expiringLots', () => {
+  it('lists lots still in stock that expire by the date, soonest first', () => {
+    const lots = expiringLots(
+      [
+        purchase('2026-01-01', 5, 1, { lotCode: 'A', expiryDate: '2026-02-01' }),
+        purchase('2026-01-02', 5, 1, { lotCode: 'B', expiryDate: '2026-01-20' }),
+        purchase('2026-01-03', 5, 1, { lotCode: 'C', expiryDate: '2026-06-01' }),
+        purchase('2026-01-04', 5, 1)
+      ],
+      [movement('2026-01-05', 'issue', 2)],
+      '2026-03-01'
+    );
+
+    expect(lots.map(({ lotCode, qty }) => ({ lotCode, qty }))).toEqual([{ lotCode: 'B', qty: 5 }, { lotCode: 'A', qty: 3 }]);
+  });
+});
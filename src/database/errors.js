@@ -0,0 +1,30 @@
+// Failed results of operations.js and auth.js carry the HTTP status the API
+// server answers with (see server/index.js) as `status`: 400 for bad input,
+// 401 when signed out, 403 without the permission, 404 for a missing record,
+// 409 for a conflict with stored data and 500 for anything unexpected.
+// Results without a status failed on bad input.
+
+// An error thrown for a request that cannot succeed as made
+export class RequestError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'RequestError';
+    this.status = status;
+  }
+}
+
+// Status of the failed result for an error caught by an operation. Postgres
+// reports rejected data with SQLSTATE classes 22 (data exception) and 23
+// (integrity constraint violation); Drizzle wraps its errors as `cause`.
+export function errorStatus(error) {
+  if (error instanceof RequestError) return error.status;
+  const code = error?.code ?? error?.cause?.code;
+  if (code === '23505') return 409;
+  if (typeof code === 'string' && (code.startsWith('22') || code.startsWith('23'))) return 400;
+  return 500;
+}
+
+// Failed result for a record that does not exist (or is not the organization's)
+export function notFound(message) {
+  return { success: false, data: null, message, status: 404 };
+}
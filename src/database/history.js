@@ -0,0 +1,70 @@
+// In-session undo/redo of local changes.
+//
+// Each change is recorded as { label, undo, redo }, where undo and redo are
+// lists of plain-data commands that Inventory (App.jsx) knows how to apply:
+//   { type: 'trash' | 'restore', entityType, id }
+//   { type: 'update', entityType, id, fields }
+//   { type: 'replace', data }
+// Deletes only move records to the trash (see trash.js), so undoing an add
+// trashes the record and undoing a delete restores it, and every step reaches
+// the database through the outbox like any other change. The history lives in
+// `state.undoHistory` and is never persisted.
+
+export const UNDO_LIMIT = 20;
+
+const EMPTY_HISTORY = { past: [], future: [] };
+
+// A change that added a record (or brought one back from the trash): undo
+// moves it to the trash, redo brings it back
+export function addedChange(label, entityType, id) {
+  return {
+    label,
+    undo: [{ type: 'trash', entityType, id }],
+    redo: [{ type: 'restore', entityType, id }]
+  };
+}
+
+// A change that moved a record to the trash
+export function trashedChange(label, entityType, id) {
+  return {
+    label,
+    undo: [{ type: 'restore', entityType, id }],
+    redo: [{ type: 'trash', entityType, id }]
+  };
+}
+
+// A change that set some fields of a record
+export function updatedChange(label, entityType, id, before, after) {
+  return {
+    label,
+    undo: [{ type: 'update', entityType, id, fields: before }],
+    redo: [{ type: 'update', entityType, id, fields: after }]
+  };
+}
+
+// Record a change, dropping the redo stack and changes beyond UNDO_LIMIT
+export function recordChange(history, change) {
+  const { past } = history || EMPTY_HISTORY;
+  return { past: [...past, change].slice(-UNDO_LIMIT), future: [] };
+}
+
+// The latest change and the history once it is undone, or null
+export function takeUndo(history) {
+  const { past, future } = history || EMPTY_HISTORY;
+  if (past.length === 0) return null;
+  const change = past[past.length - 1];
+  return { change, history: { past: past.slice(0, -1), future: [...future, change] } };
+}
+
+// The latest undone change and the history once it is redone, or null
+export function takeRedo(history) {
+  const { past, future } = history || EMPTY_HISTORY;
+  if (future.length === 0) return null;
+  const change = future[future.length - 1];
+  return { change, history: { past: [...past, change], future: future.slice(0, -1) } };
+}
+
+// State without its undo history, for saving and exporting
+export function withoutHistory({ undoHistory, ...state }) {
+  return state;
+}
@@ -0,0 +1,55 @@
+import { describe, it, expect } from 'vitest';
+import { UNDO_LIMIT, addedChange, trashedChange, updatedChange, recordChange, takeUndo, takeRedo, withoutHistory } from './history.js';
+
+describe('changes', () => {
+  it('undo an add by trashing the record and a delete by restoring it', () => {
+    expect(addedChange('Add Flour', 'item', 'a').undo).toEqual([{ type: 'trash', entityType: 'item', id: 'a' }]);
+    expect(trashedChange('Delete Flour', 'item', 'a').undo).toEqual([{ type: 'restore', entityType: 'item', id: 'a' }]);
+  });
+
+  it('undo an update with the fields from before and redo it with those after', () => {
+    const change = updatedChange('Rename', 'item', 'a', { name: 'Flour' }, { name: 'Wheat flour' });
+    expect(change.undo).toEqual([{ type: 'update', entityType: 'item', id: 'a', fields: { name: 'Flour' } }]);
+    expect(change.redo).toEqual([{ type: 'update', entityType: 'item', id: 'a', fields: { name: 'Wheat flour' } }]);
+  });
+});
+
+describe('undo and redo', () => {
+  const first = addedChange('Add Flour', 'item', 'a');
+  const second = addedChange('Add Sugar', 'item', 'b');
+
+  it('undo the latest change first and redo it again', () => {
+    const history = recordChange(recordChange(undefined, first), second);
+
+    const undone = takeUndo(history);
+    expect(undone.change).toBe(second);
+    expect(undone.history).toEqual({ past: [first], future: [second] });
+
+    const redone = takeRedo(undone.history);
+    expect(redone.change).toBe(second);
+    expect(redone.history).toEqual({ past: [first, second], future: [] });
+  });
+
+  it('have nothing to take from an empty history', () => {
+    expect(takeUndo(undefined)).toBeNull();
+    expect(takeRedo({ past: [first], future: [] })).toBeNull();
+  });
+
+  it('drop the redo stack when a new change is recorded', () => {
+    const { history } = takeUndo(recordChange(undefined, first));
+    expect(recordChange(history, second)).toEqual({ past: [second], future: [] });
+  });
+
+  it(`keep only the last ${UNDO_LIMIT} changes`, () => {
+    let history;
+    for (let i = 0; i <= UNDO_LIMIT; i++) history = recordChange(history, addedChange(`Add ${i}`, 'item', i));
+    expect(history.past).toHaveLength(UNDO_LIMIT);
+    expect(history.past[0].label).toBe('Add 1');
+  });
+});
+
+describe('withoutHistory', () => {
+  it('leaves the undo history out of saved state', () => {
+    expect(withoutHistory({ items: [], undoHistory: { past: [], future: [] } })).toEqual({ items: [] });
+  });
+});
@@ -0,0 +1,443 @@
+-- Imventory System Legacy Upgrade Script
+-- Databases are now created and changed with migrations (see migrate.js).
+-- This script only brings a database set up with the old setup.sql up to the
+-- schema of the baseline migration; it is safe to re-run. Afterwards, record
+-- the baseline as applied with `npm run migrate:baseline` and use migrations
+-- from then on. Do not use it for new databases.
+
+-- Create organizations table (each team's data is isolated to its organization)
+CREATE TABLE IF NOT EXISTS organizations (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP NOT NULL
+);
+
+-- Create users table
+CREATE TABLE IF NOT EXISTS users (
+    id SERIAL PRIMARY KEY,
+    organization_id INTEGER NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+    email VARCHAR(255) NOT NULL UNIQUE,
+    name VARCHAR(255),
+    role VARCHAR(20) DEFAULT 'clerk' NOT NULL CHECK (role IN ('viewer', 'clerk', 'manager', 'admin')),
+    password_hash VARCHAR(255) NOT NULL,
+    password_salt VARCHAR(64) NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP NOT NULL
+);
+
+-- Add roles to users tables created before they existed; existing users keep
+-- full access as admins, new members default to clerk
+ALTER TABLE users ADD COLUMN IF NOT EXISTS role VARCHAR(20) DEFAULT 'admin' NOT NULL
+    CHECK (role IN ('viewer', 'clerk', 'manager', 'admin'));
+ALTER TABLE users ALTER COLUMN role SET DEFAULT 'clerk';
+
+-- Create sessions table
+CREATE TABLE IF NOT EXISTS sessions (
+    token VARCHAR(64) PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP NOT NULL
+);
+
+-- Create locations table (store rooms or warehouses; names are unique within an organization)
+CREATE TABLE IF NOT EXISTS locations (
+    id SERIAL PRIMARY KEY,
+    organization_id INTEGER NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    CONSTRAINT locations_organization_name_unique UNIQUE (organization_id, name)
+);
+
+-- Create categories table (nestable; names are unique among the categories
+-- with the same parent, top-level ones included)
+CREATE TABLE IF NOT EXISTS categories (
+    id SERIAL PRIMARY KEY,
+    organization_id INTEGER NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+    parent_id INTEGER REFERENCES categories(id) ON DELETE SET NULL,
+    name VARCHAR(255) NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    CONSTRAINT categories_organization_parent_name_unique UNIQUE NULLS NOT DISTINCT (organization_id, parent_id, name)
+);
+
+-- Create items table (names, SKUs and barcodes are unique within an organization)
+CREATE TABLE IF NOT EXISTS items (
+    id SERIAL PRIMARY KEY,
+    organization_id INTEGER NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL,
+    sku VARCHAR(64),
+    barcode VARCHAR(64),
+    description TEXT,
+    attributes JSONB DEFAULT '{}' NOT NULL,
+    base_unit VARCHAR(20) DEFAULT 'unit' NOT NULL,
+    category_id INTEGER REFERENCES categories(id) ON DELETE SET NULL,
+    min_stock NUMERIC(10,2),
+    reorder_qty NUMERIC(10,2),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    deleted_at TIMESTAMP WITH TIME ZONE,
+    CONSTRAINT items_organization_name_unique UNIQUE (organization_id, name),
+    CONSTRAINT items_organization_sku_unique UNIQUE (organization_id, sku),
+    CONSTRAINT items_organization_barcode_unique UNIQUE (organization_id, barcode)
+);
+
+-- Add reorder columns to items tables created before they existed
+ALTER TABLE items ADD COLUMN IF NOT EXISTS min_stock NUMERIC(10,2);
+ALTER TABLE items ADD COLUMN IF NOT EXISTS reorder_qty NUMERIC(10,2);
+
+-- Add the base unit to items tables created before units existed
+ALTER TABLE items ADD COLUMN IF NOT EXISTS base_unit VARCHAR(20) DEFAULT 'unit' NOT NULL;
+
+-- Add categories to items tables created before they existed
+ALTER TABLE items ADD COLUMN IF NOT EXISTS category_id INTEGER REFERENCES categories(id) ON DELETE SET NULL;
+
+-- Add SKUs, barcodes, descriptions and attributes to items tables created before they existed
+ALTER TABLE items ADD COLUMN IF NOT EXISTS sku VARCHAR(64);
+ALTER TABLE items ADD COLUMN IF NOT EXISTS barcode VARCHAR(64);
+ALTER TABLE items ADD COLUMN IF NOT EXISTS description TEXT;
+ALTER TABLE items ADD COLUMN IF NOT EXISTS attributes JSONB DEFAULT '{}' NOT NULL;
+
+-- Create item tags table (free-form, lower-cased tags)
+CREATE TABLE IF NOT EXISTS item_tags (
+    id SERIAL PRIMARY KEY,
+    item_id INTEGER NOT NULL REFERENCES items(id) ON DELETE CASCADE,
+    tag VARCHAR(50) NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    CONSTRAINT item_tags_item_tag_unique UNIQUE (item_id, tag)
+);
+
+-- Create suppliers table (name_key is the lower-cased, whitespace-collapsed name)
+CREATE TABLE IF NOT EXISTS suppliers (
+    id SERIAL PRIMARY KEY,
+    organization_id INTEGER NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL,
+    name_key VARCHAR(255) NOT NULL,
+    contact_name VARCHAR(255),
+    email VARCHAR(255),
+    phone VARCHAR(50),
+    address TEXT,
+    notes TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    deleted_at TIMESTAMP WITH TIME ZONE,
+    CONSTRAINT suppliers_organization_name_key_unique UNIQUE (organization_id, name_key)
+);
+
+-- Create purchase orders table
+CREATE TABLE IF NOT EXISTS purchase_orders (
+    id SERIAL PRIMARY KEY,
+    organization_id INTEGER NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+    supplier_id INTEGER REFERENCES suppliers(id) ON DELETE SET NULL,
+    status VARCHAR(20) DEFAULT 'draft' NOT NULL
+        CHECK (status IN ('draft', 'sent', 'partially_received', 'received', 'cancelled')),
+    order_date TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    expected_date TIMESTAMP WITH TIME ZONE,
+    notes TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    deleted_at TIMESTAMP WITH TIME ZONE
+);
+
+-- Create purchase order lines table
+CREATE TABLE IF NOT EXISTS purchase_order_lines (
+    id SERIAL PRIMARY KEY,
+    order_id INTEGER NOT NULL REFERENCES purchase_orders(id) ON DELETE CASCADE,
+    item_id INTEGER NOT NULL REFERENCES items(id) ON DELETE CASCADE,
+    qty_ordered NUMERIC(10,2) NOT NULL CHECK (qty_ordered > 0),
+    qty_received NUMERIC(10,2) DEFAULT 0 NOT NULL CHECK (qty_received >= 0),
+    unit_price NUMERIC(10,2) NOT NULL
+);
+
+-- Create purchases table with foreign key reference
+CREATE TABLE IF NOT EXISTS purchases (
+    id SERIAL PRIMARY KEY,
+    item_id INTEGER NOT NULL REFERENCES items(id) ON DELETE CASCADE,
+    date TIMESTAMP WITH TIME ZONE NOT NULL,
+    qty NUMERIC(10,2) NOT NULL,
+    unit_price NUMERIC(10,2) NOT NULL,
+    unit VARCHAR(20),
+    unit_factor NUMERIC(12,4) DEFAULT 1 NOT NULL CHECK (unit_factor > 0),
+    supplier_id INTEGER REFERENCES suppliers(id) ON DELETE SET NULL,
+    supplier VARCHAR(255),
+    order_line_id INTEGER REFERENCES purchase_order_lines(id) ON DELETE SET NULL,
+    location_id INTEGER REFERENCES locations(id) ON DELETE SET NULL,
+    lot_code VARCHAR(64),
+    expiry_date TIMESTAMP WITH TIME ZONE,
+    currency VARCHAR(3) DEFAULT 'INR' NOT NULL,
+    exchange_rate NUMERIC(14,6) DEFAULT 1 NOT NULL CHECK (exchange_rate > 0),
+    tax_rate NUMERIC(5,2) DEFAULT 0 NOT NULL CHECK (tax_rate >= 0 AND tax_rate <= 100),
+    tax_inclusive BOOLEAN DEFAULT FALSE NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    deleted_at TIMESTAMP WITH TIME ZONE
+);
+
+-- Link purchases tables created before suppliers and purchase orders existed
+ALTER TABLE purchases ADD COLUMN IF NOT EXISTS supplier_id INTEGER REFERENCES suppliers(id) ON DELETE SET NULL;
+ALTER TABLE purchases ADD COLUMN IF NOT EXISTS order_line_id INTEGER REFERENCES purchase_order_lines(id) ON DELETE SET NULL;
+
+-- Purchase units for purchases tables created before units existed (existing
+-- purchases were bought in the base unit)
+ALTER TABLE purchases ADD COLUMN IF NOT EXISTS unit VARCHAR(20);
+ALTER TABLE purchases ADD COLUMN IF NOT EXISTS unit_factor NUMERIC(12,4) DEFAULT 1 NOT NULL CHECK (unit_factor > 0);
+
+-- Scope tables created before organizations existed: add organization_id,
+-- move existing rows into a "Default organization" and make names unique per
+-- organization instead of globally
+ALTER TABLE items ADD COLUMN IF NOT EXISTS organization_id INTEGER REFERENCES organizations(id) ON DELETE CASCADE;
+ALTER TABLE suppliers ADD COLUMN IF NOT EXISTS organization_id INTEGER REFERENCES organizations(id) ON DELETE CASCADE;
+ALTER TABLE purchase_orders ADD COLUMN IF NOT EXISTS organization_id INTEGER REFERENCES organizations(id) ON DELETE CASCADE;
+
+INSERT INTO organizations (name)
+SELECT 'Default organization'
+WHERE NOT EXISTS (SELECT 1 FROM organizations)
+  AND (EXISTS (SELECT 1 FROM items WHERE organization_id IS NULL)
+    OR EXISTS (SELECT 1 FROM suppliers WHERE organization_id IS NULL)
+    OR EXISTS (SELECT 1 FROM purchase_orders WHERE organization_id IS NULL));
+
+UPDATE items SET organization_id = (SELECT MIN(id) FROM organizations) WHERE organization_id IS NULL;
+UPDATE suppliers SET organization_id = (SELECT MIN(id) FROM organizations) WHERE organization_id IS NULL;
+UPDATE purchase_orders SET organization_id = (SELECT MIN(id) FROM organizations) WHERE organization_id IS NULL;
+
+ALTER TABLE items ALTER COLUMN organization_id SET NOT NULL;
+ALTER TABLE suppliers ALTER COLUMN organization_id SET NOT NULL;
+ALTER TABLE purchase_orders ALTER COLUMN organization_id SET NOT NULL;
+
+ALTER TABLE items DROP CONSTRAINT IF EXISTS items_name_key;
+ALTER TABLE suppliers DROP CONSTRAINT IF EXISTS suppliers_name_key_key;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'items_organization_name_unique') THEN
+        ALTER TABLE items ADD CONSTRAINT items_organization_name_unique UNIQUE (organization_id, name);
+    END IF;
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'suppliers_organization_name_key_unique') THEN
+        ALTER TABLE suppliers ADD CONSTRAINT suppliers_organization_name_key_unique UNIQUE (organization_id, name_key);
+    END IF;
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'items_organization_sku_unique') THEN
+        ALTER TABLE items ADD CONSTRAINT items_organization_sku_unique UNIQUE (organization_id, sku);
+    END IF;
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'items_organization_barcode_unique') THEN
+        ALTER TABLE items ADD CONSTRAINT items_organization_barcode_unique UNIQUE (organization_id, barcode);
+    END IF;
+END $$;
+
+-- Migrate free-text supplier names: create one supplier per organization and
+-- normalized name (keeping the earliest spelling) and link every purchase to it
+INSERT INTO suppliers (organization_id, name, name_key)
+SELECT organization_id, name, name_key
+FROM (
+    SELECT DISTINCT ON (organization_id, name_key) organization_id, name, name_key
+    FROM (
+        SELECT
+            i.organization_id,
+            trim(regexp_replace(p.supplier, '\s+', ' ', 'g')) AS name,
+            lower(trim(regexp_replace(p.supplier, '\s+', ' ', 'g'))) AS name_key,
+            p.created_at
+        FROM purchases p
+        JOIN items i ON i.id = p.item_id
+        WHERE p.supplier IS NOT NULL AND trim(p.supplier) <> ''
+    ) AS normalized
+    ORDER BY organization_id, name_key, created_at
+) AS distinct_suppliers
+ON CONFLICT (organization_id, name_key) DO NOTHING;
+
+UPDATE purchases p
+SET supplier_id = s.id, supplier = s.name
+FROM items i, suppliers s
+WHERE p.supplier_id IS NULL
+  AND p.supplier IS NOT NULL
+  AND i.id = p.item_id
+  AND s.organization_id = i.organization_id
+  AND s.name_key = lower(trim(regexp_replace(p.supplier, '\s+', ' ', 'g')));
+
+-- Create stock movements table (issues, consumption, returns, write-offs and
+-- transfers between locations)
+CREATE TABLE IF NOT EXISTS stock_movements (
+    id SERIAL PRIMARY KEY,
+    item_id INTEGER NOT NULL REFERENCES items(id) ON DELETE CASCADE,
+    type VARCHAR(20) NOT NULL CONSTRAINT stock_movements_type_check CHECK (type IN ('issue', 'consumption', 'return', 'write_off', 'transfer')),
+    date TIMESTAMP WITH TIME ZONE NOT NULL,
+    qty NUMERIC(10,2) NOT NULL CHECK (qty >= 0),
+    note TEXT,
+    location_id INTEGER REFERENCES locations(id) ON DELETE SET NULL,
+    to_location_id INTEGER REFERENCES locations(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    deleted_at TIMESTAMP WITH TIME ZONE
+);
+
+-- Locations for purchases and stock movements tables created before they
+-- existed (existing stock stays unassigned), and allow transfers
+ALTER TABLE purchases ADD COLUMN IF NOT EXISTS location_id INTEGER REFERENCES locations(id) ON DELETE SET NULL;
+ALTER TABLE stock_movements ADD COLUMN IF NOT EXISTS location_id INTEGER REFERENCES locations(id) ON DELETE SET NULL;
+ALTER TABLE stock_movements ADD COLUMN IF NOT EXISTS to_location_id INTEGER REFERENCES locations(id) ON DELETE SET NULL;
+ALTER TABLE stock_movements DROP CONSTRAINT IF EXISTS stock_movements_type_check;
+ALTER TABLE stock_movements ADD CONSTRAINT stock_movements_type_check
+    CHECK (type IN ('issue', 'consumption', 'return', 'write_off', 'transfer'));
+
+-- Batch/lot codes and expiry dates for purchases tables created before they existed
+ALTER TABLE purchases ADD COLUMN IF NOT EXISTS lot_code VARCHAR(64);
+ALTER TABLE purchases ADD COLUMN IF NOT EXISTS expiry_date TIMESTAMP WITH TIME ZONE;
+
+-- Currency and tax (GST) for purchases tables created before they existed
+ALTER TABLE purchases ADD COLUMN IF NOT EXISTS currency VARCHAR(3) DEFAULT 'INR' NOT NULL;
+ALTER TABLE purchases ADD COLUMN IF NOT EXISTS exchange_rate NUMERIC(14,6) DEFAULT 1 NOT NULL CHECK (exchange_rate > 0);
+ALTER TABLE purchases ADD COLUMN IF NOT EXISTS tax_rate NUMERIC(5,2) DEFAULT 0 NOT NULL CHECK (tax_rate >= 0 AND tax_rate <= 100);
+ALTER TABLE purchases ADD COLUMN IF NOT EXISTS tax_inclusive BOOLEAN DEFAULT FALSE NOT NULL;
+
+-- Create purchase attachments table (invoice/receipt files; the files
+-- themselves are kept by the attachment storage backend)
+CREATE TABLE IF NOT EXISTS purchase_attachments (
+    id SERIAL PRIMARY KEY,
+    purchase_id INTEGER NOT NULL REFERENCES purchases(id) ON DELETE CASCADE,
+    file_name VARCHAR(255) NOT NULL,
+    content_type VARCHAR(100) NOT NULL,
+    size INTEGER NOT NULL CHECK (size >= 0),
+    storage VARCHAR(20) NOT NULL,
+    storage_key VARCHAR(255) NOT NULL UNIQUE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP NOT NULL
+);
+
+-- Create budgets table (spending limit per period on exactly one category,
+-- item or supplier; a category's budget covers its subcategories)
+CREATE TABLE IF NOT EXISTS budgets (
+    id SERIAL PRIMARY KEY,
+    organization_id INTEGER NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+    category_id INTEGER REFERENCES categories(id) ON DELETE CASCADE,
+    item_id INTEGER REFERENCES items(id) ON DELETE CASCADE,
+    supplier_id INTEGER REFERENCES suppliers(id) ON DELETE CASCADE,
+    period VARCHAR(10) DEFAULT 'month' NOT NULL CHECK (period IN ('month', 'quarter', 'year')),
+    amount NUMERIC(14,2) NOT NULL CHECK (amount > 0),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    CHECK (num_nonnulls(category_id, item_id, supplier_id) = 1),
+    CONSTRAINT budgets_organization_target_period_unique
+        UNIQUE NULLS NOT DISTINCT (organization_id, category_id, item_id, supplier_id, period)
+);
+
+-- Soft delete: add deleted_at to tables created before the trash existed
+ALTER TABLE items ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE suppliers ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE purchase_orders ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE purchases ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE stock_movements ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP WITH TIME ZONE;
+
+-- Create audit log table (append-only history of every change)
+CREATE TABLE IF NOT EXISTS audit_log (
+    id SERIAL PRIMARY KEY,
+    organization_id INTEGER NOT NULL REFERENCES organizations(id),
+    user_id INTEGER REFERENCES users(id),
+    action VARCHAR(10) NOT NULL,
+    entity_type VARCHAR(30) NOT NULL,
+    entity_id INTEGER,
+    item_id INTEGER,
+    before JSONB,
+    after JSONB,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP NOT NULL
+);
+
+-- Allowed audit actions (replaced so databases set up before restore/purge existed accept them)
+ALTER TABLE audit_log DROP CONSTRAINT IF EXISTS audit_log_action_check;
+ALTER TABLE audit_log ADD CONSTRAINT audit_log_action_check
+    CHECK (action IN ('create', 'update', 'delete', 'restore', 'purge'));
+
+-- Create indexes for better performance
+CREATE INDEX IF NOT EXISTS idx_purchases_item_id ON purchases(item_id);
+CREATE INDEX IF NOT EXISTS idx_purchases_date ON purchases(date);
+CREATE INDEX IF NOT EXISTS idx_purchases_supplier_id ON purchases(supplier_id);
+CREATE INDEX IF NOT EXISTS idx_purchases_order_line_id ON purchases(order_line_id);
+CREATE INDEX IF NOT EXISTS idx_purchases_location_id ON purchases(location_id);
+CREATE INDEX IF NOT EXISTS idx_purchases_expiry_date ON purchases(expiry_date) WHERE expiry_date IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_purchase_attachments_purchase_id ON purchase_attachments(purchase_id);
+CREATE INDEX IF NOT EXISTS idx_purchase_orders_status ON purchase_orders(status);
+CREATE INDEX IF NOT EXISTS idx_purchase_order_lines_order_id ON purchase_order_lines(order_id);
+CREATE INDEX IF NOT EXISTS idx_items_name ON items(name);
+CREATE INDEX IF NOT EXISTS idx_items_organization_id ON items(organization_id);
+CREATE INDEX IF NOT EXISTS idx_items_category_id ON items(category_id);
+CREATE INDEX IF NOT EXISTS idx_categories_organization_id ON categories(organization_id);
+CREATE INDEX IF NOT EXISTS idx_item_tags_tag ON item_tags(tag);
+CREATE INDEX IF NOT EXISTS idx_budgets_organization_id ON budgets(organization_id);
+CREATE INDEX IF NOT EXISTS idx_purchase_orders_organization_id ON purchase_orders(organization_id);
+CREATE INDEX IF NOT EXISTS idx_users_organization_id ON users(organization_id);
+CREATE INDEX IF NOT EXISTS idx_sessions_user_id ON sessions(user_id);
+CREATE INDEX IF NOT EXISTS idx_stock_movements_item_id ON stock_movements(item_id);
+CREATE INDEX IF NOT EXISTS idx_stock_movements_date ON stock_movements(date);
+CREATE INDEX IF NOT EXISTS idx_stock_movements_location_id ON stock_movements(location_id);
+CREATE INDEX IF NOT EXISTS idx_stock_movements_to_location_id ON stock_movements(to_location_id);
+CREATE INDEX IF NOT EXISTS idx_audit_log_organization_id ON audit_log(organization_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_audit_log_item_id ON audit_log(item_id);
+
+-- Create updated_at trigger function (if not exists)
+CREATE OR REPLACE FUNCTION update_updated_at_column()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = CURRENT_TIMESTAMP;
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+-- Create trigger to automatically update updated_at on items table
+DROP TRIGGER IF EXISTS update_items_updated_at ON items;
+CREATE TRIGGER update_items_updated_at
+    BEFORE UPDATE ON items
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Create trigger to automatically update updated_at on locations table
+DROP TRIGGER IF EXISTS update_locations_updated_at ON locations;
+CREATE TRIGGER update_locations_updated_at
+    BEFORE UPDATE ON locations
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Create trigger to automatically update updated_at on categories table
+DROP TRIGGER IF EXISTS update_categories_updated_at ON categories;
+CREATE TRIGGER update_categories_updated_at
+    BEFORE UPDATE ON categories
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Create trigger to automatically update updated_at on suppliers table
+DROP TRIGGER IF EXISTS update_suppliers_updated_at ON suppliers;
+CREATE TRIGGER update_suppliers_updated_at
+    BEFORE UPDATE ON suppliers
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Create trigger to automatically update updated_at on purchase_orders table
+DROP TRIGGER IF EXISTS update_purchase_orders_updated_at ON purchase_orders;
+CREATE TRIGGER update_purchase_orders_updated_at
+    BEFORE UPDATE ON purchase_orders
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Create trigger to automatically update updated_at on budgets table
+DROP TRIGGER IF EXISTS update_budgets_updated_at ON budgets;
+CREATE TRIGGER update_budgets_updated_at
+    BEFORE UPDATE ON budgets
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Keep the audit log append-only: reject any update or delete of its rows
+CREATE OR REPLACE FUNCTION reject_audit_log_change()
+RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION 'audit_log is append-only';
+END;
+$$ language 'plpgsql';
+
+DROP TRIGGER IF EXISTS audit_log_append_only ON audit_log;
+CREATE TRIGGER audit_log_append_only
+    BEFORE UPDATE OR DELETE ON audit_log
+    FOR EACH ROW
+    EXECUTE FUNCTION reject_audit_log_change();
+
+-- Show created tables
+SELECT 
+    table_name,
+    column_name,
+    data_type,
+    is_nullable,
+    column_default
+FROM information_schema.columns 
+WHERE table_name IN ('organizations', 'users', 'sessions', 'locations', 'categories', 'items', 'item_tags', 'suppliers', 'purchase_orders', 'purchase_order_lines', 'purchases', 'purchase_attachments', 'stock_movements', 'budgets', 'audit_log')
+ORDER BY table_name, ordinal_position;
\ No newline at end of file
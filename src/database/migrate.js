@@ -0,0 +1,204 @@
+// Database migrations
+//
+// Migrations live in src/database/migrations as numbered pairs of files:
+// NNNN_name.up.sql applies a change and NNNN_name.down.sql reverts it.
+// Statements are separated by `--> statement-breakpoint` lines, since each one
+// is sent to the database on its own. Every migration runs in a transaction and
+// is recorded in the schema_migrations table, so each database knows which
+// versions it has.
+//
+//   node src/database/migrate.js generate <name>   write a migration for changes to schema.js
+//   node src/database/migrate.js up [version]      apply pending migrations (up to `version`)
+//   node src/database/migrate.js down [steps]      roll back the last `steps` migrations (default 1)
+//   node src/database/migrate.js status            list migrations and whether they are applied
+//   node src/database/migrate.js baseline [version]
+//       record migrations up to `version` (default 1) as applied without running
+//       them, for databases created with the old setup.sql
+//
+// `generate` compares schema.js with migrations/snapshot.json, the schema as of
+// the latest migration, and needs no database. Things schema.js cannot
+// describe, like triggers, or data changes are added to the generated files by hand.
+
+import 'dotenv/config';
+import { readdir, readFile, writeFile, mkdir } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { sql } from './connection.js';
+import * as schema from './schema.js';
+import { schemaSnapshot, diffSnapshots } from './schema-diff.js';
+
+const MIGRATIONS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'migrations');
+const SNAPSHOT_FILE = path.join(MIGRATIONS_DIR, 'snapshot.json');
+const BREAKPOINT = '--> statement-breakpoint';
+
+// Migrations on disk, in version order: [{ version, name, file }] where
+// `file` is the path without the .up.sql/.down.sql suffix
+export async function listMigrations() {
+  const files = await readdir(MIGRATIONS_DIR).catch((error) => {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  });
+
+  return files
+    .map((file) => /^(\d+)_(.+)\.up\.sql$/.exec(file))
+    .filter(Boolean)
+    .map(([, version, name]) => ({
+      version: Number(version),
+      name,
+      file: path.join(MIGRATIONS_DIR, `${version}_${name}`)
+    }))
+    .sort((a, b) => a.version - b.version);
+}
+
+async function readStatements(file) {
+  const text = await readFile(file, 'utf8');
+  return text
+    .split(BREAKPOINT)
+    .map((statement) => statement.replace(/^\s*--.*$/gm, '').trim())
+    .filter(Boolean);
+}
+
+async function appliedVersions() {
+  await sql`CREATE TABLE IF NOT EXISTS schema_migrations (
+    version INTEGER PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    applied_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP NOT NULL
+  )`;
+  const rows = await sql`SELECT version FROM schema_migrations ORDER BY version`;
+  return rows.map((row) => row.version);
+}
+
+// Write the next migration for the changes to schema.js since the last one
+export async function generateMigration(name) {
+  const slug = String(name || '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+  if (!slug) {
+    return { success: false, data: null, message: 'Migration name is required' };
+  }
+
+  const previous = await readFile(SNAPSHOT_FILE, 'utf8').then(JSON.parse, (error) => {
+    if (error.code === 'ENOENT') return { tables: {} };
+    throw error;
+  });
+  const next = schemaSnapshot(schema);
+  const { up, down } = diffSnapshots(previous, next);
+  if (up.length === 0) {
+    return { success: false, data: null, message: 'schema.js has no changes since the last migration' };
+  }
+
+  const migrations = await listMigrations();
+  const version = (migrations.at(-1)?.version || 0) + 1;
+  const file = path.join(MIGRATIONS_DIR, `${String(version).padStart(4, '0')}_${slug}`);
+  const header = (direction) => `-- Migration ${version} (${slug}), ${direction}: generated from schema.js\n`;
+
+  await mkdir(MIGRATIONS_DIR, { recursive: true });
+  await writeFile(`${file}.up.sql`, header('up') + up.join(`\n${BREAKPOINT}\n`) + '\n');
+  await writeFile(`${file}.down.sql`, header('down') + down.join(`\n${BREAKPOINT}\n`) + '\n');
+  await writeFile(SNAPSHOT_FILE, JSON.stringify(next, null, 2) + '\n');
+
+  return { success: true, data: { version, file }, message: `Generated migration ${version} (${slug})` };
+}
+
+// Apply pending migrations in order, up to and including `target` if given
+export async function migrateUp(target = Infinity) {
+  const applied = new Set(await appliedVersions());
+  const pending = (await listMigrations()).filter((m) => !applied.has(m.version) && m.version <= target);
+
+  for (const migration of pending) {
+    const statements = await readStatements(`${migration.file}.up.sql`);
+    await sql.transaction([
+      ...statements.map((statement) => sql.query(statement)),
+      sql.query('INSERT INTO schema_migrations (version, name) VALUES ($1, $2)', [migration.version, migration.name])
+    ]);
+    console.log(`⬆️  Applied ${migration.version} ${migration.name}`);
+  }
+
+  return {
+    success: true,
+    data: pending.map((m) => m.version),
+    message: pending.length ? `Applied ${pending.length} migration(s)` : 'Database is up to date'
+  };
+}
+
+// Roll back the last `steps` applied migrations, newest first
+export async function migrateDown(steps = 1) {
+  if (!Number.isInteger(steps) || steps < 1) {
+    return { success: false, data: null, message: 'Steps must be a positive whole number' };
+  }
+  const applied = await appliedVersions();
+  const migrations = await listMigrations();
+  const rollback = applied.slice(-steps).reverse();
+
+  for (const version of rollback) {
+    const migration = migrations.find((m) => m.version === version);
+    if (!migration) {
+      return { success: false, data: null, message: `Migration ${version} is applied but its files are missing` };
+    }
+    const statements = await readStatements(`${migration.file}.down.sql`);
+    await sql.transaction([
+      ...statements.map((statement) => sql.query(statement)),
+      sql.query('DELETE FROM schema_migrations WHERE version = $1', [version])
+    ]);
+    console.log(`⬇️  Rolled back ${migration.version} ${migration.name}`);
+  }
+
+  return {
+    success: true,
+    data: rollback,
+    message: rollback.length ? `Rolled back ${rollback.length} migration(s)` : 'No migrations to roll back'
+  };
+}
+
+// Record migrations up to `version` as applied without running them
+export async function baseline(version = 1) {
+  const applied = new Set(await appliedVersions());
+  const marked = (await listMigrations()).filter((m) => m.version <= version && !applied.has(m.version));
+
+  for (const migration of marked) {
+    await sql.query('INSERT INTO schema_migrations (version, name) VALUES ($1, $2)', [migration.version, migration.name]);
+  }
+
+  return { success: true, data: marked.map((m) => m.version), message: `Marked ${marked.length} migration(s) as applied` };
+}
+
+export async function migrationStatus() {
+  const applied = new Set(await appliedVersions());
+  const migrations = (await listMigrations()).map((m) => ({ ...m, applied: applied.has(m.version) }));
+  return {
+    success: true,
+    data: migrations,
+    message: `${migrations.filter((m) => m.applied).length} of ${migrations.length} migration(s) applied`
+  };
+}
+
+const commands = {
+  generate: (name) => generateMigration(name),
+  up: (version) => migrateUp(version ? Number(version) : undefined),
+  down: (steps) => migrateDown(steps ? Number(steps) : undefined),
+  baseline: (version) => baseline(version ? Number(version) : undefined),
+  async status() {
+    const result = await migrationStatus();
+    for (const m of result.data) console.log(`${m.applied ? '✅' : '⏳'} ${m.version} ${m.name}`);
+    return result;
+  }
+};
+
+// Main execution
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const [command, argument] = process.argv.slice(2);
+  const run = commands[command];
+
+  if (!run) {
+    console.log('Usage: node src/database/migrate.js <generate <name> | up [version] | down [steps] | status | baseline [version]>');
+    process.exit(1);
+  }
+
+  run(argument)
+    .then((result) => {
+      console.log(`${result.success ? '✅' : '❌'} ${result.message}`);
+      process.exit(result.success ? 0 : 1);
+    })
+    .catch((error) => {
+      console.error('💥 Migration failed:', error);
+      process.exit(1);
+    });
+}
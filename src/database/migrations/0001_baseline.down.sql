@@ -0,0 +1,89 @@
+-- Migration 1 (baseline), down: generated from schema.js
+ALTER TABLE "stock_movements" DROP CONSTRAINT "stock_movements_item_id_fkey";
+--> statement-breakpoint
+ALTER TABLE "stock_movements" DROP CONSTRAINT "stock_movements_location_id_fkey";
+--> statement-breakpoint
+ALTER TABLE "stock_movements" DROP CONSTRAINT "stock_movements_to_location_id_fkey";
+--> statement-breakpoint
+ALTER TABLE "sessions" DROP CONSTRAINT "sessions_user_id_fkey";
+--> statement-breakpoint
+ALTER TABLE "purchase_attachments" DROP CONSTRAINT "purchase_attachments_purchase_id_fkey";
+--> statement-breakpoint
+ALTER TABLE "purchases" DROP CONSTRAINT "purchases_item_id_fkey";
+--> statement-breakpoint
+ALTER TABLE "purchases" DROP CONSTRAINT "purchases_supplier_id_fkey";
+--> statement-breakpoint
+ALTER TABLE "purchases" DROP CONSTRAINT "purchases_order_line_id_fkey";
+--> statement-breakpoint
+ALTER TABLE "purchases" DROP CONSTRAINT "purchases_location_id_fkey";
+--> statement-breakpoint
+ALTER TABLE "purchase_order_lines" DROP CONSTRAINT "purchase_order_lines_order_id_fkey";
+--> statement-breakpoint
+ALTER TABLE "purchase_order_lines" DROP CONSTRAINT "purchase_order_lines_item_id_fkey";
+--> statement-breakpoint
+ALTER TABLE "purchase_orders" DROP CONSTRAINT "purchase_orders_organization_id_fkey";
+--> statement-breakpoint
+ALTER TABLE "purchase_orders" DROP CONSTRAINT "purchase_orders_supplier_id_fkey";
+--> statement-breakpoint
+ALTER TABLE "locations" DROP CONSTRAINT "locations_organization_id_fkey";
+--> statement-breakpoint
+ALTER TABLE "item_tags" DROP CONSTRAINT "item_tags_item_id_fkey";
+--> statement-breakpoint
+ALTER TABLE "budgets" DROP CONSTRAINT "budgets_organization_id_fkey";
+--> statement-breakpoint
+ALTER TABLE "budgets" DROP CONSTRAINT "budgets_category_id_fkey";
+--> statement-breakpoint
+ALTER TABLE "budgets" DROP CONSTRAINT "budgets_item_id_fkey";
+--> statement-breakpoint
+ALTER TABLE "budgets" DROP CONSTRAINT "budgets_supplier_id_fkey";
+--> statement-breakpoint
+ALTER TABLE "suppliers" DROP CONSTRAINT "suppliers_organization_id_fkey";
+--> statement-breakpoint
+ALTER TABLE "items" DROP CONSTRAINT "items_organization_id_fkey";
+--> statement-breakpoint
+ALTER TABLE "items" DROP CONSTRAINT "items_category_id_fkey";
+--> statement-breakpoint
+ALTER TABLE "categories" DROP CONSTRAINT "categories_organization_id_fkey";
+--> statement-breakpoint
+ALTER TABLE "categories" DROP CONSTRAINT "categories_parent_id_fkey";
+--> statement-breakpoint
+ALTER TABLE "audit_log" DROP CONSTRAINT "audit_log_organization_id_fkey";
+--> statement-breakpoint
+ALTER TABLE "audit_log" DROP CONSTRAINT "audit_log_user_id_fkey";
+--> statement-breakpoint
+ALTER TABLE "users" DROP CONSTRAINT "users_organization_id_fkey";
+--> statement-breakpoint
+DROP TABLE "stock_movements";
+--> statement-breakpoint
+DROP TABLE "sessions";
+--> statement-breakpoint
+DROP TABLE "purchase_attachments";
+--> statement-breakpoint
+DROP TABLE "purchases";
+--> statement-breakpoint
+DROP TABLE "purchase_order_lines";
+--> statement-breakpoint
+DROP TABLE "purchase_orders";
+--> statement-breakpoint
+DROP TABLE "locations";
+--> statement-breakpoint
+DROP TABLE "item_tags";
+--> statement-breakpoint
+DROP TABLE "budgets";
+--> statement-breakpoint
+DROP TABLE "suppliers";
+--> statement-breakpoint
+DROP TABLE "items";
+--> statement-breakpoint
+DROP TABLE "categories";
+--> statement-breakpoint
+DROP TABLE "audit_log";
+--> statement-breakpoint
+DROP TABLE "users";
+--> statement-breakpoint
+DROP TABLE "organizations";
+--> statement-breakpoint
+-- Trigger functions (their triggers went with the tables)
+DROP FUNCTION reject_audit_log_change();
+--> statement-breakpoint
+DROP FUNCTION update_updated_at_column();
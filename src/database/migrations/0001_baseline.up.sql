@@ -0,0 +1,352 @@
+-- Migration 1 (baseline), up: generated from schema.js
+CREATE TABLE "organizations" (
+	"id" serial PRIMARY KEY,
+	"name" varchar(255) NOT NULL,
+	"created_at" timestamp with time zone NOT NULL DEFAULT now()
+);
+--> statement-breakpoint
+CREATE TABLE "users" (
+	"id" serial PRIMARY KEY,
+	"organization_id" integer NOT NULL,
+	"email" varchar(255) NOT NULL,
+	"name" varchar(255),
+	"role" varchar(20) NOT NULL DEFAULT 'clerk',
+	"password_hash" varchar(255) NOT NULL,
+	"password_salt" varchar(64) NOT NULL,
+	"created_at" timestamp with time zone NOT NULL DEFAULT now(),
+	CONSTRAINT "users_email_key" UNIQUE ("email"),
+	CONSTRAINT "users_role_check" CHECK ("role" IN ('viewer', 'clerk', 'manager', 'admin'))
+);
+--> statement-breakpoint
+CREATE TABLE "audit_log" (
+	"id" serial PRIMARY KEY,
+	"organization_id" integer NOT NULL,
+	"user_id" integer,
+	"action" varchar(10) NOT NULL,
+	"entity_type" varchar(30) NOT NULL,
+	"entity_id" integer,
+	"item_id" integer,
+	"before" jsonb,
+	"after" jsonb,
+	"created_at" timestamp with time zone NOT NULL DEFAULT now(),
+	CONSTRAINT "audit_log_action_check" CHECK ("action" IN ('create', 'update', 'delete', 'restore', 'purge'))
+);
+--> statement-breakpoint
+CREATE TABLE "categories" (
+	"id" serial PRIMARY KEY,
+	"organization_id" integer NOT NULL,
+	"parent_id" integer,
+	"name" varchar(255) NOT NULL,
+	"created_at" timestamp with time zone NOT NULL DEFAULT now(),
+	"updated_at" timestamp with time zone NOT NULL DEFAULT now(),
+	CONSTRAINT "categories_organization_parent_name_unique" UNIQUE NULLS NOT DISTINCT ("organization_id", "parent_id", "name")
+);
+--> statement-breakpoint
+CREATE TABLE "items" (
+	"id" serial PRIMARY KEY,
+	"organization_id" integer NOT NULL,
+	"name" varchar(255) NOT NULL,
+	"sku" varchar(64),
+	"barcode" varchar(64),
+	"description" text,
+	"attributes" jsonb NOT NULL DEFAULT '{}'::jsonb,
+	"base_unit" varchar(20) NOT NULL DEFAULT 'unit',
+	"category_id" integer,
+	"min_stock" numeric(10, 2),
+	"reorder_qty" numeric(10, 2),
+	"created_at" timestamp with time zone NOT NULL DEFAULT now(),
+	"updated_at" timestamp with time zone NOT NULL DEFAULT now(),
+	"deleted_at" timestamp with time zone,
+	CONSTRAINT "items_organization_name_unique" UNIQUE ("organization_id", "name"),
+	CONSTRAINT "items_organization_sku_unique" UNIQUE ("organization_id", "sku"),
+	CONSTRAINT "items_organization_barcode_unique" UNIQUE ("organization_id", "barcode")
+);
+--> statement-breakpoint
+CREATE TABLE "suppliers" (
+	"id" serial PRIMARY KEY,
+	"organization_id" integer NOT NULL,
+	"name" varchar(255) NOT NULL,
+	"name_key" varchar(255) NOT NULL,
+	"contact_name" varchar(255),
+	"email" varchar(255),
+	"phone" varchar(50),
+	"address" text,
+	"notes" text,
+	"created_at" timestamp with time zone NOT NULL DEFAULT now(),
+	"updated_at" timestamp with time zone NOT NULL DEFAULT now(),
+	"deleted_at" timestamp with time zone,
+	CONSTRAINT "suppliers_organization_name_key_unique" UNIQUE ("organization_id", "name_key")
+);
+--> statement-breakpoint
+CREATE TABLE "budgets" (
+	"id" serial PRIMARY KEY,
+	"organization_id" integer NOT NULL,
+	"category_id" integer,
+	"item_id" integer,
+	"supplier_id" integer,
+	"period" varchar(10) NOT NULL DEFAULT 'month',
+	"amount" numeric(14, 2) NOT NULL,
+	"created_at" timestamp with time zone NOT NULL DEFAULT now(),
+	"updated_at" timestamp with time zone NOT NULL DEFAULT now(),
+	CONSTRAINT "budgets_organization_target_period_unique" UNIQUE NULLS NOT DISTINCT ("organization_id", "category_id", "item_id", "supplier_id", "period"),
+	CONSTRAINT "budgets_period_check" CHECK ("period" IN ('month', 'quarter', 'year')),
+	CONSTRAINT "budgets_amount_check" CHECK ("amount" > 0),
+	CONSTRAINT "budgets_check" CHECK (num_nonnulls("category_id", "item_id", "supplier_id") = 1)
+);
+--> statement-breakpoint
+CREATE TABLE "item_tags" (
+	"id" serial PRIMARY KEY,
+	"item_id" integer NOT NULL,
+	"tag" varchar(50) NOT NULL,
+	"created_at" timestamp with time zone NOT NULL DEFAULT now(),
+	CONSTRAINT "item_tags_item_tag_unique" UNIQUE ("item_id", "tag")
+);
+--> statement-breakpoint
+CREATE TABLE "locations" (
+	"id" serial PRIMARY KEY,
+	"organization_id" integer NOT NULL,
+	"name" varchar(255) NOT NULL,
+	"created_at" timestamp with time zone NOT NULL DEFAULT now(),
+	"updated_at" timestamp with time zone NOT NULL DEFAULT now(),
+	CONSTRAINT "locations_organization_name_unique" UNIQUE ("organization_id", "name")
+);
+--> statement-breakpoint
+CREATE TABLE "purchase_orders" (
+	"id" serial PRIMARY KEY,
+	"organization_id" integer NOT NULL,
+	"supplier_id" integer,
+	"status" varchar(20) NOT NULL DEFAULT 'draft',
+	"order_date" timestamp with time zone NOT NULL DEFAULT now(),
+	"expected_date" timestamp with time zone,
+	"notes" text,
+	"created_at" timestamp with time zone NOT NULL DEFAULT now(),
+	"updated_at" timestamp with time zone NOT NULL DEFAULT now(),
+	"deleted_at" timestamp with time zone,
+	CONSTRAINT "purchase_orders_status_check" CHECK ("status" IN ('draft', 'sent', 'partially_received', 'received', 'cancelled'))
+);
+--> statement-breakpoint
+CREATE TABLE "purchase_order_lines" (
+	"id" serial PRIMARY KEY,
+	"order_id" integer NOT NULL,
+	"item_id" integer NOT NULL,
+	"qty_ordered" numeric(10, 2) NOT NULL,
+	"qty_received" numeric(10, 2) NOT NULL DEFAULT '0',
+	"unit_price" numeric(10, 2) NOT NULL,
+	CONSTRAINT "purchase_order_lines_qty_ordered_check" CHECK ("qty_ordered" > 0),
+	CONSTRAINT "purchase_order_lines_qty_received_check" CHECK ("qty_received" >= 0)
+);
+--> statement-breakpoint
+CREATE TABLE "purchases" (
+	"id" serial PRIMARY KEY,
+	"item_id" integer NOT NULL,
+	"date" timestamp with time zone NOT NULL,
+	"qty" numeric(10, 2) NOT NULL,
+	"unit_price" numeric(10, 2) NOT NULL,
+	"unit" varchar(20),
+	"unit_factor" numeric(12, 4) NOT NULL DEFAULT '1',
+	"supplier_id" integer,
+	"supplier" varchar(255),
+	"order_line_id" integer,
+	"location_id" integer,
+	"lot_code" varchar(64),
+	"expiry_date" timestamp with time zone,
+	"currency" varchar(3) NOT NULL DEFAULT 'INR',
+	"exchange_rate" numeric(14, 6) NOT NULL DEFAULT '1',
+	"tax_rate" numeric(5, 2) NOT NULL DEFAULT '0',
+	"tax_inclusive" boolean NOT NULL DEFAULT false,
+	"created_at" timestamp with time zone NOT NULL DEFAULT now(),
+	"deleted_at" timestamp with time zone,
+	CONSTRAINT "purchases_unit_factor_check" CHECK ("unit_factor" > 0),
+	CONSTRAINT "purchases_exchange_rate_check" CHECK ("exchange_rate" > 0),
+	CONSTRAINT "purchases_tax_rate_check" CHECK ("tax_rate" >= 0 AND "tax_rate" <= 100)
+);
+--> statement-breakpoint
+CREATE TABLE "purchase_attachments" (
+	"id" serial PRIMARY KEY,
+	"purchase_id" integer NOT NULL,
+	"file_name" varchar(255) NOT NULL,
+	"content_type" varchar(100) NOT NULL,
+	"size" integer NOT NULL,
+	"storage" varchar(20) NOT NULL,
+	"storage_key" varchar(255) NOT NULL,
+	"created_at" timestamp with time zone NOT NULL DEFAULT now(),
+	CONSTRAINT "purchase_attachments_storage_key_key" UNIQUE ("storage_key"),
+	CONSTRAINT "purchase_attachments_size_check" CHECK ("size" >= 0)
+);
+--> statement-breakpoint
+CREATE TABLE "sessions" (
+	"token" varchar(64) PRIMARY KEY,
+	"user_id" integer NOT NULL,
+	"expires_at" timestamp with time zone NOT NULL,
+	"created_at" timestamp with time zone NOT NULL DEFAULT now()
+);
+--> statement-breakpoint
+CREATE TABLE "stock_movements" (
+	"id" serial PRIMARY KEY,
+	"item_id" integer NOT NULL,
+	"type" varchar(20) NOT NULL,
+	"date" timestamp with time zone NOT NULL,
+	"qty" numeric(10, 2) NOT NULL,
+	"note" text,
+	"location_id" integer,
+	"to_location_id" integer,
+	"created_at" timestamp with time zone NOT NULL DEFAULT now(),
+	"deleted_at" timestamp with time zone,
+	CONSTRAINT "stock_movements_type_check" CHECK ("type" IN ('issue', 'consumption', 'return', 'write_off', 'transfer')),
+	CONSTRAINT "stock_movements_qty_check" CHECK ("qty" >= 0)
+);
+--> statement-breakpoint
+ALTER TABLE "audit_log" ADD CONSTRAINT "audit_log_organization_id_fkey" FOREIGN KEY ("organization_id") REFERENCES "organizations" ("id");
+--> statement-breakpoint
+ALTER TABLE "audit_log" ADD CONSTRAINT "audit_log_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "users" ("id");
+--> statement-breakpoint
+CREATE INDEX "idx_audit_log_organization_id" ON "audit_log" ("organization_id", "created_at");
+--> statement-breakpoint
+CREATE INDEX "idx_audit_log_item_id" ON "audit_log" ("item_id");
+--> statement-breakpoint
+ALTER TABLE "budgets" ADD CONSTRAINT "budgets_organization_id_fkey" FOREIGN KEY ("organization_id") REFERENCES "organizations" ("id") ON DELETE CASCADE;
+--> statement-breakpoint
+ALTER TABLE "budgets" ADD CONSTRAINT "budgets_category_id_fkey" FOREIGN KEY ("category_id") REFERENCES "categories" ("id") ON DELETE CASCADE;
+--> statement-breakpoint
+ALTER TABLE "budgets" ADD CONSTRAINT "budgets_item_id_fkey" FOREIGN KEY ("item_id") REFERENCES "items" ("id") ON DELETE CASCADE;
+--> statement-breakpoint
+ALTER TABLE "budgets" ADD CONSTRAINT "budgets_supplier_id_fkey" FOREIGN KEY ("supplier_id") REFERENCES "suppliers" ("id") ON DELETE CASCADE;
+--> statement-breakpoint
+CREATE INDEX "idx_budgets_organization_id" ON "budgets" ("organization_id");
+--> statement-breakpoint
+ALTER TABLE "categories" ADD CONSTRAINT "categories_organization_id_fkey" FOREIGN KEY ("organization_id") REFERENCES "organizations" ("id") ON DELETE CASCADE;
+--> statement-breakpoint
+ALTER TABLE "categories" ADD CONSTRAINT "categories_parent_id_fkey" FOREIGN KEY ("parent_id") REFERENCES "categories" ("id") ON DELETE SET NULL;
+--> statement-breakpoint
+CREATE INDEX "idx_categories_organization_id" ON "categories" ("organization_id");
+--> statement-breakpoint
+ALTER TABLE "item_tags" ADD CONSTRAINT "item_tags_item_id_fkey" FOREIGN KEY ("item_id") REFERENCES "items" ("id") ON DELETE CASCADE;
+--> statement-breakpoint
+CREATE INDEX "idx_item_tags_tag" ON "item_tags" ("tag");
+--> statement-breakpoint
+ALTER TABLE "items" ADD CONSTRAINT "items_organization_id_fkey" FOREIGN KEY ("organization_id") REFERENCES "organizations" ("id") ON DELETE CASCADE;
+--> statement-breakpoint
+ALTER TABLE "items" ADD CONSTRAINT "items_category_id_fkey" FOREIGN KEY ("category_id") REFERENCES "categories" ("id") ON DELETE SET NULL;
+--> statement-breakpoint
+CREATE INDEX "idx_items_name" ON "items" ("name");
+--> statement-breakpoint
+CREATE INDEX "idx_items_organization_id" ON "items" ("organization_id");
+--> statement-breakpoint
+CREATE INDEX "idx_items_category_id" ON "items" ("category_id");
+--> statement-breakpoint
+ALTER TABLE "locations" ADD CONSTRAINT "locations_organization_id_fkey" FOREIGN KEY ("organization_id") REFERENCES "organizations" ("id") ON DELETE CASCADE;
+--> statement-breakpoint
+ALTER TABLE "purchase_attachments" ADD CONSTRAINT "purchase_attachments_purchase_id_fkey" FOREIGN KEY ("purchase_id") REFERENCES "purchases" ("id") ON DELETE CASCADE;
+--> statement-breakpoint
+CREATE INDEX "idx_purchase_attachments_purchase_id" ON "purchase_attachments" ("purchase_id");
+--> statement-breakpoint
+ALTER TABLE "purchase_order_lines" ADD CONSTRAINT "purchase_order_lines_order_id_fkey" FOREIGN KEY ("order_id") REFERENCES "purchase_orders" ("id") ON DELETE CASCADE;
+--> statement-breakpoint
+ALTER TABLE "purchase_order_lines" ADD CONSTRAINT "purchase_order_lines_item_id_fkey" FOREIGN KEY ("item_id") REFERENCES "items" ("id") ON DELETE CASCADE;
+--> statement-breakpoint
+CREATE INDEX "idx_purchase_order_lines_order_id" ON "purchase_order_lines" ("order_id");
+--> statement-breakpoint
+ALTER TABLE "purchase_orders" ADD CONSTRAINT "purchase_orders_organization_id_fkey" FOREIGN KEY ("organization_id") REFERENCES "organizations" ("id") ON DELETE CASCADE;
+--> statement-breakpoint
+ALTER TABLE "purchase_orders" ADD CONSTRAINT "purchase_orders_supplier_id_fkey" FOREIGN KEY ("supplier_id") REFERENCES "suppliers" ("id") ON DELETE SET NULL;
+--> statement-breakpoint
+CREATE INDEX "idx_purchase_orders_status" ON "purchase_orders" ("status");
+--> statement-breakpoint
+CREATE INDEX "idx_purchase_orders_organization_id" ON "purchase_orders" ("organization_id");
+--> statement-breakpoint
+ALTER TABLE "purchases" ADD CONSTRAINT "purchases_item_id_fkey" FOREIGN KEY ("item_id") REFERENCES "items" ("id") ON DELETE CASCADE;
+--> statement-breakpoint
+ALTER TABLE "purchases" ADD CONSTRAINT "purchases_supplier_id_fkey" FOREIGN KEY ("supplier_id") REFERENCES "suppliers" ("id") ON DELETE SET NULL;
+--> statement-breakpoint
+ALTER TABLE "purchases" ADD CONSTRAINT "purchases_order_line_id_fkey" FOREIGN KEY ("order_line_id") REFERENCES "purchase_order_lines" ("id") ON DELETE SET NULL;
+--> statement-breakpoint
+ALTER TABLE "purchases" ADD CONSTRAINT "purchases_location_id_fkey" FOREIGN KEY ("location_id") REFERENCES "locations" ("id") ON DELETE SET NULL;
+--> statement-breakpoint
+CREATE INDEX "idx_purchases_item_id" ON "purchases" ("item_id");
+--> statement-breakpoint
+CREATE INDEX "idx_purchases_date" ON "purchases" ("date");
+--> statement-breakpoint
+CREATE INDEX "idx_purchases_supplier_id" ON "purchases" ("supplier_id");
+--> statement-breakpoint
+CREATE INDEX "idx_purchases_order_line_id" ON "purchases" ("order_line_id");
+--> statement-breakpoint
+CREATE INDEX "idx_purchases_location_id" ON "purchases" ("location_id");
+--> statement-breakpoint
+CREATE INDEX "idx_purchases_expiry_date" ON "purchases" ("expiry_date") WHERE "expiry_date" IS NOT NULL;
+--> statement-breakpoint
+ALTER TABLE "sessions" ADD CONSTRAINT "sessions_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "users" ("id") ON DELETE CASCADE;
+--> statement-breakpoint
+CREATE INDEX "idx_sessions_user_id" ON "sessions" ("user_id");
+--> statement-breakpoint
+ALTER TABLE "stock_movements" ADD CONSTRAINT "stock_movements_item_id_fkey" FOREIGN KEY ("item_id") REFERENCES "items" ("id") ON DELETE CASCADE;
+--> statement-breakpoint
+ALTER TABLE "stock_movements" ADD CONSTRAINT "stock_movements_location_id_fkey" FOREIGN KEY ("location_id") REFERENCES "locations" ("id") ON DELETE SET NULL;
+--> statement-breakpoint
+ALTER TABLE "stock_movements" ADD CONSTRAINT "stock_movements_to_location_id_fkey" FOREIGN KEY ("to_location_id") REFERENCES "locations" ("id") ON DELETE SET NULL;
+--> statement-breakpoint
+CREATE INDEX "idx_stock_movements_item_id" ON "stock_movements" ("item_id");
+--> statement-breakpoint
+CREATE INDEX "idx_stock_movements_date" ON "stock_movements" ("date");
+--> statement-breakpoint
+CREATE INDEX "idx_stock_movements_location_id" ON "stock_movements" ("location_id");
+--> statement-breakpoint
+CREATE INDEX "idx_stock_movements_to_location_id" ON "stock_movements" ("to_location_id");
+--> statement-breakpoint
+ALTER TABLE "suppliers" ADD CONSTRAINT "suppliers_organization_id_fkey" FOREIGN KEY ("organization_id") REFERENCES "organizations" ("id") ON DELETE CASCADE;
+--> statement-breakpoint
+ALTER TABLE "users" ADD CONSTRAINT "users_organization_id_fkey" FOREIGN KEY ("organization_id") REFERENCES "organizations" ("id") ON DELETE CASCADE;
+--> statement-breakpoint
+CREATE INDEX "idx_users_organization_id" ON "users" ("organization_id");
+--> statement-breakpoint
+-- Triggers (written by hand: schema.js does not describe them)
+-- Keep updated_at current on every update
+CREATE FUNCTION update_updated_at_column()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = CURRENT_TIMESTAMP;
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+--> statement-breakpoint
+CREATE TRIGGER update_items_updated_at
+    BEFORE UPDATE ON items
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+--> statement-breakpoint
+CREATE TRIGGER update_locations_updated_at
+    BEFORE UPDATE ON locations
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+--> statement-breakpoint
+CREATE TRIGGER update_categories_updated_at
+    BEFORE UPDATE ON categories
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+--> statement-breakpoint
+CREATE TRIGGER update_suppliers_updated_at
+    BEFORE UPDATE ON suppliers
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+--> statement-breakpoint
+CREATE TRIGGER update_purchase_orders_updated_at
+    BEFORE UPDATE ON purchase_orders
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+--> statement-breakpoint
+CREATE TRIGGER update_budgets_updated_at
+    BEFORE UPDATE ON budgets
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+--> statement-breakpoint
+-- Keep the audit log append-only: reject any update or delete of its rows
+CREATE FUNCTION reject_audit_log_change()
+RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION 'audit_log is append-only';
+END;
+$$ language 'plpgsql';
+--> statement-breakpoint
+CREATE TRIGGER audit_log_append_only
+    BEFORE UPDATE OR DELETE ON audit_log
+    FOR EACH ROW
+    EXECUTE FUNCTION reject_audit_log_change();
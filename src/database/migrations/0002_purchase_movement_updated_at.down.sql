@@ -0,0 +1,9 @@
+-- Migration 2 (purchase_movement_updated_at), down: generated from schema.js
+-- Written by hand: the triggers go before the column they set
+DROP TRIGGER update_purchases_updated_at ON purchases;
+--> statement-breakpoint
+DROP TRIGGER update_stock_movements_updated_at ON stock_movements;
+--> statement-breakpoint
+ALTER TABLE "purchases" DROP COLUMN "updated_at";
+--> statement-breakpoint
+ALTER TABLE "stock_movements" DROP COLUMN "updated_at";
@@ -0,0 +1,19 @@
+-- Migration 2 (purchase_movement_updated_at), up: generated from schema.js
+ALTER TABLE "purchases" ADD COLUMN "updated_at" timestamp with time zone NOT NULL DEFAULT now();
+--> statement-breakpoint
+ALTER TABLE "stock_movements" ADD COLUMN "updated_at" timestamp with time zone NOT NULL DEFAULT now();
+--> statement-breakpoint
+-- Written by hand: existing rows were last changed when they were created
+UPDATE purchases SET updated_at = created_at;
+--> statement-breakpoint
+UPDATE stock_movements SET updated_at = created_at;
+--> statement-breakpoint
+CREATE TRIGGER update_purchases_updated_at
+    BEFORE UPDATE ON purchases
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+--> statement-breakpoint
+CREATE TRIGGER update_stock_movements_updated_at
+    BEFORE UPDATE ON stock_movements
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,4 @@
+-- Migration 3 (item_names_ignore_case), down: generated from schema.js
+DROP INDEX "items_organization_name_unique";
+--> statement-breakpoint
+ALTER TABLE "items" ADD CONSTRAINT "items_organization_name_unique" UNIQUE ("organization_id", "name");
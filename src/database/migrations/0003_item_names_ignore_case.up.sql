@@ -0,0 +1,4 @@
+-- Migration 3 (item_names_ignore_case), up: generated from schema.js
+ALTER TABLE "items" DROP CONSTRAINT "items_organization_name_unique";
+--> statement-breakpoint
+CREATE UNIQUE INDEX "items_organization_name_unique" ON "items" ("organization_id", lower("name"));
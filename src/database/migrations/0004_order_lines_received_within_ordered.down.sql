@@ -0,0 +1,2 @@
+-- Migration 4 (order_lines_received_within_ordered), down: generated from schema.js
+ALTER TABLE "purchase_order_lines" DROP CONSTRAINT "purchase_order_lines_received_within_ordered_check";
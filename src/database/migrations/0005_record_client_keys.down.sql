@@ -0,0 +1,8 @@
+-- Migration 5 (record_client_keys), down: generated from schema.js
+ALTER TABLE "purchases" DROP CONSTRAINT "purchases_client_key_unique";
+--> statement-breakpoint
+ALTER TABLE "stock_movements" DROP CONSTRAINT "stock_movements_client_key_unique";
+--> statement-breakpoint
+ALTER TABLE "purchases" DROP COLUMN "client_key";
+--> statement-breakpoint
+ALTER TABLE "stock_movements" DROP COLUMN "client_key";
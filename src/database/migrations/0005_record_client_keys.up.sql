@@ -0,0 +1,8 @@
+-- Migration 5 (record_client_keys), up: generated from schema.js
+ALTER TABLE "purchases" ADD COLUMN "client_key" varchar(36);
+--> statement-breakpoint
+ALTER TABLE "purchases" ADD CONSTRAINT "purchases_client_key_unique" UNIQUE ("client_key");
+--> statement-breakpoint
+ALTER TABLE "stock_movements" ADD COLUMN "client_key" varchar(36);
+--> statement-breakpoint
+ALTER TABLE "stock_movements" ADD CONSTRAINT "stock_movements_client_key_unique" UNIQUE ("client_key");
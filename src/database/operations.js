@@ -1,9 +1,258 @@
+import { v4 as uuidv4 } from 'uuid';
 import { db, schema } from './connection.js';
-import { eq, and, desc, sql, asc } from 'drizzle-orm';
+import { eq, ne, or, and, desc, sql, asc, inArray, isNull, isNotNull, gte, lt, getTableColumns, is, Column, SQL } from 'drizzle-orm';
+import {
+  STOCK_MOVEMENT_TYPES,
+  normalizeSupplierName,
+  supplierKey,
+  DEFAULT_BASE_UNIT,
+  normalizeUnit,
+  quantityError,
+  amountError,
+  recordDateError,
+  purchaseUnit,
+  baseQuantity,
+  basePrice,
+  purchasePricing,
+  purchasePricingError,
+  purchaseAmounts,
+  CATEGORY_PATH_SEPARATOR,
+  normalizeCategoryName,
+  categoryPath,
+  categoryWithDescendants,
+  normalizeTags,
+  normalizeSku,
+  normalizeBarcode,
+  normalizeAttributes,
+  normalizeLocationName,
+  onHandByLocation,
+  normalizeLotCode,
+  parseExpiryDate,
+  DEFAULT_EXPIRY_WARNING_DAYS,
+  ATTACHMENT_CONTENT_TYPES,
+  MAX_ATTACHMENT_BYTES,
+  BUDGET_PERIODS
+} from './schema.js';
+import { weightedAverageCost, itemValuation, expiringLots } from './costing.js';
+import { budgetDate, budgetScope, budgetPeriod, budgetPeriodLabel, budgetStatus } from './budgets.js';
+import { requireOrganizationId, requirePermission, getCurrentSession } from './auth.js';
+import { getAttachmentStorage } from './storage.js';
+import { RequestError, errorStatus, notFound } from './errors.js';
 
-// Database utility functions for inventory operations
+// Database utility functions for inventory operations.
+// Every query is scoped to the signed-in user's organization, every change
+// checks the user's role with requirePermission() (see auth.js) and is
+// recorded in the audit log in the same statement or batch (see audited() and
+// auditEntries()). Deletes are soft: they set deletedAt, reads skip those
+// rows, and getTrash(), restoreFromTrash() and purgeFromTrash() manage them.
 
-// Get all items with their purchases
+// Condition matching rows whose item belongs to the organization and is not
+// in the trash (unless includeDeleted)
+function inOrganization(itemIdColumn, organizationId, { includeDeleted = false } = {}) {
+  return inArray(
+    itemIdColumn,
+    db.select({ id: schema.items.id }).from(schema.items).where(and(
+      eq(schema.items.organizationId, organizationId),
+      includeDeleted ? undefined : isNull(schema.items.deletedAt)
+    ))
+  );
+}
+
+// Statement appending entries ({ action, entityType, entityId, itemId, before,
+// after }) to the audit log as changes made by the signed-in user. It goes in
+// the db.batch of the change it records, so that both are stored or neither
+// is; a field may be SQL reading what the batch changed.
+function auditEntries(...entries) {
+  const session = getCurrentSession();
+  return db.insert(schema.auditLog).values(entries.map((entry) => ({
+    organizationId: session.organization.id,
+    userId: session.user.id,
+    action: entry.action,
+    entityType: entry.entityType,
+    entityId: entry.entityId ?? null,
+    itemId: entry.itemId ?? null,
+    before: entry.before ?? null,
+    after: entry.after ?? null
+  })));
+}
+
+// A value as jsonb, stored the way Drizzle stores jsonb columns
+const jsonValue = (value) => sql`${JSON.stringify(value ?? null)}::jsonb`;
+
+// A row of `table` as jsonb in the shape Drizzle returns rows in (numerics as
+// strings, timestamps as ISO strings), read from the columns of `alias`
+// without the fields in `omit` and with those of `extra` (values or SQL)
+function rowJson(table, alias, { omit = [], extra = {} } = {}) {
+  const columns = Object.entries(getTableColumns(table)).filter(([key]) => !omit.includes(key));
+  const fields = [
+    ...columns.map(([key, column]) => {
+      const value = sql`${sql.identifier(alias)}.${sql.identifier(column.name)}`;
+      if (column.columnType === 'PgNumeric') return [key, sql`${value}::text`];
+      if (column.columnType === 'PgTimestamp') return [key, sql`to_char(${value} at time zone 'UTC', 'YYYY-MM-DD"T"HH24:MI:SS.MS"Z"')`];
+      return [key, value];
+    }),
+    ...Object.entries(extra).map(([key, value]) => [key, is(value, SQL) ? value : jsonValue(value)])
+  ];
+  return sql`jsonb_build_object(${sql.join(fields.map(([key, value]) => sql`${key}::text, ${value}`), sql`, `)})`;
+}
+
+// The lines of purchase order `orderId` (a value or SQL) as a jsonb array
+function orderLinesJson(orderId) {
+  const lines = schema.purchaseOrderLines;
+  return sql`(
+    select coalesce(jsonb_agg(${rowJson(lines, 'line')} order by line.id), '[]'::jsonb)
+    from ${lines} line where line.order_id = ${orderId}
+  )`;
+}
+
+// `change` (an insert, update or delete of `table` built with .returning())
+// and the audit entries of the rows it changes as one statement, so that both
+// are stored or neither is. It runs like the change, alone or in a db.batch,
+// and gives the changed rows. Each row gets an entry ({ action, entityType,
+// itemId, before }) with the row's id as entityId and the row as it ends up
+// (less `omit`, plus `extra`) as `after`, or for deletes and purges as
+// `before` unless given. itemId is a value or a column of `table`. With
+// `when`, only rows where that returned boolean field is true are recorded.
+function audited(change, table, { action, entityType, itemId = null, before, omit, extra, when }) {
+  const session = getCurrentSession();
+  const changed = db.$with('changed').as(change);
+  const column = (name) => sql`${sql.identifier('changed')}.${sql.identifier(name)}`;
+  const row = rowJson(table, 'changed', { omit, extra });
+  const removed = action === 'delete' || action === 'purge';
+  const entries = sql`
+    insert into ${schema.auditLog} (organization_id, user_id, action, entity_type, entity_id, item_id, before, after)
+    select ${session.organization.id}, ${session.user.id}, ${action}, ${entityType}, ${column('id')},
+      ${is(itemId, Column) ? column(itemId.name) : itemId},
+      ${removed && before === undefined ? row : jsonValue(before)},
+      ${removed ? jsonValue(null) : row}
+    from ${sql.identifier('changed')}
+    ${when ? sql`where ${column(when)}` : sql``}`;
+  return db.with(changed, db.$with('audit').as(entries)).select().from(changed);
+}
+
+// Load an item if it belongs to the organization and is not in the trash
+async function findItem(itemId, organizationId) {
+  const result = await db
+    .select()
+    .from(schema.items)
+    .where(and(
+      eq(schema.items.id, itemId),
+      eq(schema.items.organizationId, organizationId),
+      isNull(schema.items.deletedAt)
+    ))
+    .limit(1);
+  return result[0] || null;
+}
+
+// Item names stay unique across the trash, so a trashed item keeps its name
+// until it is restored or deleted forever
+function trashedItemMessage(name) {
+  return `"${name}" is in the trash. Restore it or delete it forever first.`;
+}
+
+// A receipt would add stock to an item nobody can see until it is restored
+function trashedReceiptMessage(name) {
+  return `"${name}" is in the trash. Restore the item before receiving it.`;
+}
+
+// Condition matching the item named `name`; like the unique index on items,
+// names are compared ignoring case
+function itemNamed(name) {
+  return sql`lower(${schema.items.name}) = lower(${name})`;
+}
+
+// Why another item than itemId has this name, or null
+async function itemNameConflict(organizationId, itemId, name) {
+  const [other] = await db
+    .select({ name: schema.items.name, deletedAt: schema.items.deletedAt })
+    .from(schema.items)
+    .where(and(
+      eq(schema.items.organizationId, organizationId),
+      itemNamed(name),
+      ne(schema.items.id, itemId)
+    ))
+    .limit(1);
+  if (!other) return null;
+  return other.deletedAt ? trashedItemMessage(other.name) : `An item named ${other.name} already exists`;
+}
+
+// Why an item (null for a new one) cannot have this SKU or barcode, or null.
+// Like names, SKUs and barcodes stay taken while their item is in the trash.
+async function itemCodeConflict(organizationId, itemId, { sku, barcode }) {
+  const codes = [
+    ...(sku ? [eq(schema.items.sku, sku)] : []),
+    ...(barcode ? [eq(schema.items.barcode, barcode)] : [])
+  ];
+  if (codes.length === 0) return null;
+
+  const [other] = await db
+    .select({ name: schema.items.name, sku: schema.items.sku, deletedAt: schema.items.deletedAt })
+    .from(schema.items)
+    .where(and(
+      eq(schema.items.organizationId, organizationId),
+      or(...codes),
+      itemId != null ? ne(schema.items.id, itemId) : undefined
+    ))
+    .limit(1);
+  if (!other) return null;
+  const owner = other.deletedAt ? `${other.name}, which is in the trash` : other.name;
+  return sku && other.sku === sku ? `SKU ${sku} is already used by ${owner}` : `Barcode ${barcode} is already used by ${owner}`;
+}
+
+// Why stock cannot be recorded at a location (null for unassigned stock), or
+// null when the location belongs to the organization
+async function locationError(locationId, organizationId) {
+  if (locationId == null) return null;
+  const result = await db
+    .select({ id: schema.locations.id })
+    .from(schema.locations)
+    .where(and(eq(schema.locations.id, locationId), eq(schema.locations.organizationId, organizationId)))
+    .limit(1);
+  return result[0] ? null : 'Location not found';
+}
+
+// Unit fields of a purchase of an item (see purchaseUnit in schema.js)
+function purchaseUnitFields(purchaseData, item) {
+  const fields = purchaseUnit(purchaseData, item.baseUnit);
+  if (!(fields.unitFactor > 0)) {
+    throw new RequestError(`Base units per ${fields.unit} must be a positive number`);
+  }
+  return fields;
+}
+
+// Why the quantity, price or date of a purchase is invalid, or null. Only the
+// fields present in `values` are checked, so edits can leave the others out.
+function purchaseValuesError(values) {
+  return ('qty' in values && quantityError(values.qty))
+    || ('unitPrice' in values && amountError(values.unitPrice, 'Price'))
+    || ('date' in values && recordDateError(values.date))
+    || null;
+}
+
+// Lot code and expiry date of a purchase (see normalizeLotCode in schema.js)
+function purchaseLotFields({ lotCode, expiryDate }) {
+  const expiry = parseExpiryDate(expiryDate);
+  if (expiry === undefined) {
+    throw new RequestError(`Expiry date ${expiryDate} is not a valid date`);
+  }
+  return { lotCode: normalizeLotCode(lotCode), expiryDate: expiry };
+}
+
+// Currency and tax fields of a purchase (see purchasePricing in schema.js)
+function purchasePricingFields(purchaseData) {
+  const fields = purchasePricing(purchaseData);
+  const error = purchasePricingError(fields);
+  if (error) throw new RequestError(error);
+  return fields;
+}
+
+// Tags loaded with items (as [{ tag }], sorted)
+const itemTagColumns = { columns: { tag: true }, orderBy: (tags, { asc }) => asc(tags.tag) };
+
+// Attachments loaded with purchases, oldest first; where a file is stored stays on the server
+const attachmentColumns = { columns: { storage: false, storageKey: false }, orderBy: (attachments, { asc }) => asc(attachments.createdAt) };
+
+// Get all items with their purchases and tags
 export async function getAllItems(sortBy = 'name', sortOrder = 'asc') {
   try {
     let orderByClause;
@@ -19,10 +268,19 @@ export async function getAllItems(sortBy = 'name', sortOrder = 'asc') {
       orderByClause = [desc(schema.items.createdAt)];
     }
 
+    const organizationId = requireOrganizationId();
     const result = await db.query.items.findMany({
+      where: (items, { eq, isNull }) => and(eq(items.organizationId, organizationId), isNull(items.deletedAt)),
       with: {
+        tags: itemTagColumns,
         purchases: {
-          orderBy: desc(schema.purchases.date)
+          where: (purchases, { isNull }) => isNull(purchases.deletedAt),
+          orderBy: desc(schema.purchases.date),
+          with: { attachments: attachmentColumns }
+        },
+        stockMovements: {
+          where: (movements, { isNull }) => isNull(movements.deletedAt),
+          orderBy: desc(schema.stockMovements.date)
         }
       },
       orderBy: orderByClause
@@ -38,55 +296,152 @@ export async function getAllItems(sortBy = 'name', sortOrder = 'asc') {
     return {
       success: false,
       data: null,
-      message: `Failed to fetch items: ${error.message}`
+      message: `Failed to fetch items: ${error.message}`,
+      status: errorStatus(error)
     };
   }
 }
 
-// Add a new item
-export async function addItem(itemName) {
+// Add a new item, counted in baseUnit (DEFAULT_BASE_UNIT when blank)
+export async function addItem(itemName, baseUnit) {
   try {
-    const result = await db
+    requirePermission('record');
+    const organizationId = requireOrganizationId();
+    const name = typeof itemName === 'string' ? itemName.trim() : '';
+    if (!name) {
+      return { success: false, data: null, message: 'Item name is required' };
+    }
+    const trashed = await db
+      .select({ name: schema.items.name })
+      .from(schema.items)
+      .where(and(
+        eq(schema.items.organizationId, organizationId),
+        itemNamed(name),
+        isNotNull(schema.items.deletedAt)
+      ))
+      .limit(1);
+    if (trashed[0]) {
+      return { success: false, data: null, message: trashedItemMessage(trashed[0].name) };
+    }
+
+    const result = await audited(db
       .insert(schema.items)
       .values({
-        name: itemName.trim()
+        organizationId,
+        name: name,
+        baseUnit: normalizeUnit(baseUnit) || DEFAULT_BASE_UNIT
       })
-      .returning();
+      .returning(), schema.items, { action: 'create', entityType: 'item', itemId: schema.items.id });
 
     return {
       success: true,
       data: result[0],
-      message: `Successfully added item: ${itemName}`
+      message: `Successfully added item: ${name}`
     };
   } catch (error) {
     console.error('Error adding item:', error);
     return {
       success: false,
       data: null,
-      message: `Failed to add item: ${error.message}`
+      message: `Failed to add item: ${error.message}`,
+      status: errorStatus(error)
     };
   }
 }
 
-// Add a purchase to an item
+// Find a supplier by normalized name, creating it if needed (null for blank names)
+async function findOrCreateSupplier(name, organizationId) {
+  const normalized = normalizeSupplierName(name);
+  if (!normalized) return null;
+
+  const result = await audited(db
+    .insert(schema.suppliers)
+    .values({ organizationId, name: normalized, nameKey: supplierKey(normalized) })
+    .onConflictDoUpdate({
+      target: [schema.suppliers.organizationId, schema.suppliers.nameKey],
+      // Naming a supplier that is in the trash brings it back
+      set: { nameKey: sql`excluded.name_key`, deletedAt: null }
+    })
+    .returning({ ...getTableColumns(schema.suppliers), inserted: sql`(xmax = 0)`.as('inserted') }),
+  schema.suppliers, { action: 'create', entityType: 'supplier', when: 'inserted' });
+
+  const { inserted, ...supplier } = result[0];
+  return supplier;
+}
+
+// The purchase or stock movement (per `table`) of the organization added with
+// clientKey, or null. The app sends the local id of a record it adds as its
+// clientKey, so an add retried after its answer was lost (see outbox.js)
+// returns the record stored the first time instead of storing it again.
+async function addedWithClientKey(table, clientKey, organizationId) {
+  if (!clientKey) return null;
+  const result = await db
+    .select()
+    .from(table)
+    .where(and(eq(table.clientKey, clientKey), inOrganization(table.itemId, organizationId, { includeDeleted: true })))
+    .limit(1);
+  return result[0] || null;
+}
+
+// Insert a purchase or stock movement carrying a clientKey and audit it as
+// created by entityType; an add of the same record that got there first is
+// returned instead
+async function insertOnce(table, values, organizationId, entityType) {
+  const result = await audited(db
+    .insert(table)
+    .values(values)
+    .onConflictDoNothing({ target: table.clientKey })
+    .returning(), table, { action: 'create', entityType, itemId: table.itemId });
+  if (result[0]) return result[0];
+  const record = await addedWithClientKey(table, values.clientKey, organizationId);
+  if (!record) throw new RequestError(`Client key ${values.clientKey} is already in use`, 409);
+  return record;
+}
+
+// Add a purchase to an item (purchaseData.clientKey identifies the add, see addedWithClientKey)
 export async function addPurchase(itemId, purchaseData) {
   try {
-    const { qty, unitPrice, supplier, date } = purchaseData;
+    requirePermission('record');
+    const { qty, unitPrice, supplier, date, locationId = null, clientKey = null } = purchaseData;
+    const invalid = purchaseValuesError({ qty, unitPrice, date });
+    if (invalid) {
+      return { success: false, data: null, message: invalid };
+    }
+    const organizationId = requireOrganizationId();
+    const added = await addedWithClientKey(schema.purchases, clientKey, organizationId);
+    if (added) {
+      return { success: true, data: added, message: 'Purchase was already added' };
+    }
+    const item = await findItem(itemId, organizationId);
+    if (!item) {
+      return notFound('Item not found');
+    }
+    const invalidLocation = await locationError(locationId, organizationId);
+    if (invalidLocation) {
+      return { success: false, data: null, message: invalidLocation };
+    }
+    const units = purchaseUnitFields(purchaseData, item);
+    const lot = purchaseLotFields(purchaseData);
+    const pricing = purchasePricingFields(purchaseData);
+    const supplierRecord = await findOrCreateSupplier(supplier, organizationId);
     
-    const result = await db
-      .insert(schema.purchases)
-      .values({
-        itemId: itemId,
-        date: new Date(date),
-        qty: Number(qty),
-        unitPrice: Number(unitPrice),
-        supplier: supplier?.trim() || null
-      })
-      .returning();
+    const purchase = await insertOnce(schema.purchases, {
+      itemId: itemId,
+      date: new Date(date),
+      qty: Number(qty),
+      unitPrice: Number(unitPrice),
+      ...units,
+      ...lot,
+      ...pricing,
+      supplierId: supplierRecord?.id ?? null,
+      supplier: supplierRecord?.name ?? null,
+      locationId,
+      clientKey
+    }, organizationId, 'purchase');
 
     return {
       success: true,
-      data: result[0],
+      data: purchase,
       message: 'Successfully added purchase'
     };
   } catch (error) {
@@ -94,54 +449,109 @@ export async function addPurchase(itemId, purchaseData) {
     return {
       success: false,
       data: null,
-      message: `Failed to add purchase: ${error.message}`
+      message: `Failed to add purchase: ${error.message}`,
+      status: errorStatus(error)
     };
   }
 }
 
-// Add item with first purchase (convenience function)
-export async function addItemWithPurchase({ name, supplier, qty, unitPrice, date }) {
+// Add item with first purchase (convenience function). The item is matched by
+// SKU when one is given and otherwise by name; baseUnit and barcode only apply
+// when the item is new. unit and unitFactor describe the purchase unit,
+// locationId where the goods were received, lotCode and expiryDate the lot and
+// currency, exchangeRate, taxRate and taxInclusive the price. clientKey
+// identifies the add (see addedWithClientKey).
+export async function addItemWithPurchase({ name, sku, barcode, baseUnit, supplier, qty, unitPrice, unit, unitFactor, date, locationId = null, lotCode, expiryDate, currency, exchangeRate, taxRate, taxInclusive, clientKey = null }) {
   try {
-    // First, try to find existing item by name
+    requirePermission('record');
+    const invalid = purchaseValuesError({ qty, unitPrice, date });
+    if (invalid) {
+      return { success: false, data: null, message: invalid };
+    }
+    const organizationId = requireOrganizationId();
+    const added = await addedWithClientKey(schema.purchases, clientKey, organizationId);
+    if (added) {
+      return {
+        success: true,
+        data: { itemId: added.itemId, purchase: added, isNewItem: false },
+        message: 'Purchase was already added'
+      };
+    }
+    const lot = purchaseLotFields({ lotCode, expiryDate });
+    const pricing = purchasePricingFields({ currency, exchangeRate, taxRate, taxInclusive });
+    const invalidLocation = await locationError(locationId, organizationId);
+    if (invalidLocation) {
+      return { success: false, data: null, message: invalidLocation };
+    }
+    // First, try to find existing item by SKU, then by name
+    const codes = { sku: normalizeSku(sku), barcode: normalizeBarcode(barcode) };
     const existingItems = await db.query.items.findMany({
-      where: (items, { eq }) => eq(items.name, name.trim()),
+      where: (items, { eq }) => and(
+        eq(items.organizationId, organizationId),
+        codes.sku ? eq(items.sku, codes.sku) : itemNamed(name.trim())
+      ),
       limit: 1
     });
+    if (existingItems.length === 0 && codes.sku) {
+      existingItems.push(...await db.query.items.findMany({
+        where: (items, { eq }) => and(eq(items.organizationId, organizationId), itemNamed(name.trim())),
+        limit: 1
+      }));
+      if (existingItems[0]?.sku) {
+        return { success: false, data: null, message: `${existingItems[0].name} already has SKU ${existingItems[0].sku}` };
+      }
+    }
 
-    let itemId;
+    let item;
     let isNewItem = false;
 
-    if (existingItems.length > 0) {
-      itemId = existingItems[0].id;
+    if (existingItems.length > 0 && existingItems[0].deletedAt) {
+      return { success: false, data: null, message: trashedItemMessage(existingItems[0].name) };
+    } else if (existingItems.length > 0) {
+      item = existingItems[0];
     } else {
+      const conflict = await itemCodeConflict(organizationId, null, codes);
+      if (conflict) {
+        return { success: false, data: null, message: conflict };
+      }
+
       // Create new item
-      const newItemResult = await db
+      const newItemResult = await audited(db
         .insert(schema.items)
         .values({
-          name: name.trim()
+          organizationId,
+          name: name.trim(),
+          ...codes,
+          baseUnit: normalizeUnit(baseUnit) || DEFAULT_BASE_UNIT
         })
-        .returning();
-      itemId = newItemResult[0].id;
+        .returning(), schema.items, { action: 'create', entityType: 'item', itemId: schema.items.id });
+      item = newItemResult[0];
       isNewItem = true;
     }
 
     // Add the purchase
-    const purchaseResult = await db
-      .insert(schema.purchases)
-      .values({
-        itemId: itemId,
-        date: new Date(date),
-        qty: Number(qty),
-        unitPrice: Number(unitPrice),
-        supplier: supplier?.trim() || null
-      })
-      .returning();
+    const itemId = item.id;
+    const units = purchaseUnitFields({ unit, unitFactor }, item);
+    const supplierRecord = await findOrCreateSupplier(supplier, organizationId);
+    const purchase = await insertOnce(schema.purchases, {
+      itemId: itemId,
+      date: new Date(date),
+      qty: Number(qty),
+      unitPrice: Number(unitPrice),
+      ...units,
+      ...lot,
+      ...pricing,
+      supplierId: supplierRecord?.id ?? null,
+      supplier: supplierRecord?.name ?? null,
+      locationId,
+      clientKey
+    }, organizationId, 'purchase');
 
     return {
       success: true,
       data: {
         itemId,
-        purchase: purchaseResult[0],
+        purchase,
         isNewItem
       },
       message: isNewItem ? `Successfully added item and purchase` : `Successfully added purchase to existing item`
@@ -151,7 +561,8 @@ export async function addItemWithPurchase({ name, supplier, qty, unitPrice, date
     return {
       success: false,
       data: null,
-      message: `Failed to add item with purchase: ${error.message}`
+      message: `Failed to add item with purchase: ${error.message}`,
+      status: errorStatus(error)
     };
   }
 }
@@ -159,72 +570,383 @@ export async function addItemWithPurchase({ name, supplier, qty, unitPrice, date
 // Get single item with purchases
 export async function getItemById(itemId) {
   try {
+    const organizationId = requireOrganizationId();
     const result = await db.query.items.findMany({
-      where: (items, { eq }) => eq(items.id, itemId),
+      where: (items, { eq, isNull }) => and(eq(items.id, itemId), eq(items.organizationId, organizationId), isNull(items.deletedAt)),
       with: {
+        tags: itemTagColumns,
         purchases: {
-          orderBy: desc(schema.purchases.date)
+          where: (purchases, { isNull }) => isNull(purchases.deletedAt),
+          orderBy: desc(schema.purchases.date),
+          with: { attachments: attachmentColumns }
+        },
+        stockMovements: {
+          where: (movements, { isNull }) => isNull(movements.deletedAt),
+          orderBy: desc(schema.stockMovements.date)
         }
       }
     });
 
+    if (!result[0]) {
+      return notFound('Item not found');
+    }
+
     return {
       success: true,
-      data: result.length > 0 ? result[0] : null,
-      message: result.length > 0 ? 'Item found' : 'Item not found'
+      data: result[0],
+      message: 'Item found'
     };
   } catch (error) {
     console.error('Error fetching item:', error);
     return {
       success: false,
       data: null,
-      message: `Failed to fetch item: ${error.message}`
+      message: `Failed to fetch item: ${error.message}`,
+      status: errorStatus(error)
     };
   }
 }
 
-// Delete a purchase
-export async function deletePurchase(purchaseId) {
+// Correct a purchase's quantity, unit price, purchase unit, supplier, date,
+// location, lot code, expiry date, currency or tax.
+// Fields left undefined are kept; the quantity (in base units) of a purchase
+// received against a purchase order is fixed by its order line.
+export async function updatePurchase(purchaseId, { qty, unitPrice, unit, unitFactor, supplier, date, locationId, lotCode, expiryDate, currency, exchangeRate, taxRate, taxInclusive }) {
   try {
-    const result = await db
-      .delete(schema.purchases)
-      .where(eq(schema.purchases.id, purchaseId))
-      .returning();
+    requirePermission('manage');
+    const invalid = purchaseValuesError({
+      ...(qty !== undefined && { qty }),
+      ...(unitPrice !== undefined && { unitPrice }),
+      ...(date !== undefined && { date })
+    });
+    if (invalid) {
+      return { success: false, data: null, message: invalid };
+    }
+    const organizationId = requireOrganizationId();
+    const ownPurchase = and(
+      eq(schema.purchases.id, purchaseId),
+      inOrganization(schema.purchases.itemId, organizationId),
+      isNull(schema.purchases.deletedAt)
+    );
+    const before = await db
+      .select()
+      .from(schema.purchases)
+      .where(ownPurchase)
+      .limit(1);
+    if (!before[0]) {
+      return notFound('Purchase not found');
+    }
+
+    const changes = {};
+    if (qty !== undefined) changes.qty = Number(qty);
+    if (unitPrice !== undefined) changes.unitPrice = Number(unitPrice);
+    if (date !== undefined) changes.date = new Date(date);
+    if (unit !== undefined || unitFactor !== undefined) {
+      const item = await findItem(before[0].itemId, organizationId);
+      Object.assign(changes, purchaseUnitFields({
+        unit: unit !== undefined ? unit : before[0].unit,
+        unitFactor: unitFactor !== undefined ? unitFactor : before[0].unitFactor
+      }, item));
+    }
+    if (before[0].orderLineId != null && baseQuantity({ ...before[0], ...changes }) !== baseQuantity(before[0])) {
+      return {
+        success: false,
+        data: null,
+        message: 'The quantity of a purchase received against a purchase order cannot be changed'
+      };
+    }
+    if (supplier !== undefined) {
+      const supplierRecord = await findOrCreateSupplier(supplier, organizationId);
+      changes.supplierId = supplierRecord?.id ?? null;
+      changes.supplier = supplierRecord?.name ?? null;
+    }
+    if (locationId !== undefined) {
+      const invalidLocation = await locationError(locationId, organizationId);
+      if (invalidLocation) {
+        return { success: false, data: null, message: invalidLocation };
+      }
+      changes.locationId = locationId;
+    }
+    if (lotCode !== undefined || expiryDate !== undefined) {
+      const lot = purchaseLotFields({
+        lotCode: lotCode !== undefined ? lotCode : before[0].lotCode,
+        expiryDate: expiryDate !== undefined ? expiryDate : before[0].expiryDate?.toISOString()
+      });
+      Object.assign(changes, lot);
+    }
+    if ([currency, exchangeRate, taxRate, taxInclusive].some((field) => field !== undefined)) {
+      Object.assign(changes, purchasePricingFields({
+        currency: currency !== undefined ? currency : before[0].currency,
+        exchangeRate: exchangeRate !== undefined ? exchangeRate : before[0].exchangeRate,
+        taxRate: taxRate !== undefined ? taxRate : before[0].taxRate,
+        taxInclusive: taxInclusive !== undefined ? taxInclusive : before[0].taxInclusive
+      }));
+    }
+    if (Object.keys(changes).length === 0) {
+      return { success: true, data: before[0], message: 'Nothing to update' };
+    }
+
+    const result = await audited(db
+      .update(schema.purchases)
+      .set({ ...changes, updatedAt: new Date() })
+      .where(ownPurchase)
+      .returning(), schema.purchases, { action: 'update', entityType: 'purchase', itemId: schema.purchases.itemId, before: before[0] });
 
     return {
       success: true,
       data: result[0] || null,
-      message: 'Purchase deleted successfully'
+      message: 'Purchase updated successfully'
+    };
+  } catch (error) {
+    console.error('Error updating purchase:', error);
+    return {
+      success: false,
+      data: null,
+      message: `Failed to update purchase: ${error.message}`,
+      status: errorStatus(error)
+    };
+  }
+}
+
+// Move a purchase to the trash
+export async function deletePurchase(purchaseId) {
+  try {
+    requirePermission('manage');
+    const result = await audited(db
+      .update(schema.purchases)
+      .set({ deletedAt: new Date() })
+      .where(and(
+        eq(schema.purchases.id, purchaseId),
+        inOrganization(schema.purchases.itemId, requireOrganizationId()),
+        isNull(schema.purchases.deletedAt)
+      ))
+      .returning(), schema.purchases, { action: 'delete', entityType: 'purchase', itemId: schema.purchases.itemId });
+    if (!result[0]) {
+      return notFound('Purchase not found');
+    }
+
+    return {
+      success: true,
+      data: result[0],
+      message: 'Purchase moved to the trash'
     };
   } catch (error) {
     console.error('Error deleting purchase:', error);
     return {
       success: false,
       data: null,
-      message: `Failed to delete purchase: ${error.message}`
+      message: `Failed to delete purchase: ${error.message}`,
+      status: errorStatus(error)
+    };
+  }
+}
+
+// Load an attachment of a live purchase of the organization, with the item id of its purchase
+async function findAttachment(attachmentId, organizationId) {
+  const result = await db
+    .select({ ...getTableColumns(schema.purchaseAttachments), itemId: schema.purchases.itemId })
+    .from(schema.purchaseAttachments)
+    .innerJoin(schema.purchases, eq(schema.purchaseAttachments.purchaseId, schema.purchases.id))
+    .where(and(
+      eq(schema.purchaseAttachments.id, attachmentId),
+      inOrganization(schema.purchases.itemId, organizationId),
+      isNull(schema.purchases.deletedAt)
+    ))
+    .limit(1);
+  return result[0] || null;
+}
+
+// Attachment details without where its file is stored
+function attachmentDetails({ storage, storageKey, itemId, ...attachment }) {
+  return attachment;
+}
+
+// Remove the files of deleted attachments. Files kept by a backend that is no
+// longer configured are left alone, and failures are only logged: the
+// attachments are already gone.
+async function removeStoredFiles(files) {
+  const storage = getAttachmentStorage();
+  for (const file of files) {
+    if (file.storage !== storage.name) continue;
+    try {
+      await storage.remove(file.storageKey);
+    } catch (error) {
+      console.error('Error removing attachment file:', error);
+    }
+  }
+}
+
+// Attach an invoice or receipt (a PDF or image file, data as base64) to a purchase
+export async function addPurchaseAttachment(purchaseId, { fileName, contentType, data }) {
+  try {
+    requirePermission('record');
+    const organizationId = requireOrganizationId();
+    const purchase = await db
+      .select({ id: schema.purchases.id, itemId: schema.purchases.itemId })
+      .from(schema.purchases)
+      .where(and(
+        eq(schema.purchases.id, purchaseId),
+        inOrganization(schema.purchases.itemId, organizationId),
+        isNull(schema.purchases.deletedAt)
+      ))
+      .limit(1);
+    if (!purchase[0]) {
+      return notFound('Purchase not found');
+    }
+    if (!ATTACHMENT_CONTENT_TYPES.includes(contentType)) {
+      return { success: false, data: null, message: 'Only PDF and image (JPEG, PNG, GIF or WebP) files can be attached' };
+    }
+    const content = Buffer.from(String(data || ''), 'base64');
+    if (content.length === 0) {
+      return { success: false, data: null, message: 'The file is empty' };
+    }
+    if (content.length > MAX_ATTACHMENT_BYTES) {
+      return { success: false, data: null, message: `Files can be at most ${MAX_ATTACHMENT_BYTES / (1024 * 1024)} MB` };
+    }
+
+    // Keep the name without any folders; the stored file gets a unique key
+    const name = String(fileName || '').split(/[\\/]/).pop().trim().slice(0, 255) || 'attachment';
+    const extension = /\.[a-z0-9]{1,8}$/i.exec(name)?.[0].toLowerCase() || '';
+    const storage = getAttachmentStorage();
+    const storageKey = `${organizationId}/${purchaseId}/${uuidv4()}${extension}`;
+    await storage.save(storageKey, content, contentType);
+
+    let result;
+    try {
+      result = await audited(db
+        .insert(schema.purchaseAttachments)
+        .values({ purchaseId, fileName: name, contentType, size: content.length, storage: storage.name, storageKey })
+        .returning(), schema.purchaseAttachments, {
+        action: 'create',
+        entityType: 'attachment',
+        itemId: purchase[0].itemId,
+        omit: ['storage', 'storageKey']
+      });
+    } catch (error) {
+      await removeStoredFiles([{ storage: storage.name, storageKey }]);
+      throw error;
+    }
+    const attachment = attachmentDetails(result[0]);
+
+    return {
+      success: true,
+      data: attachment,
+      message: `Attached ${name}`
+    };
+  } catch (error) {
+    console.error('Error attaching file:', error);
+    return {
+      success: false,
+      data: null,
+      message: `Failed to attach file: ${error.message}`,
+      status: errorStatus(error)
+    };
+  }
+}
+
+// Get an attachment with its file's content as base64 (data)
+export async function getAttachment(attachmentId) {
+  try {
+    const attachment = await findAttachment(attachmentId, requireOrganizationId());
+    if (!attachment) {
+      return notFound('Attachment not found');
+    }
+    const storage = getAttachmentStorage();
+    if (storage.name !== attachment.storage) {
+      return { success: false, data: null, message: `${attachment.fileName} is kept in ${attachment.storage} storage, which is not configured` };
+    }
+    const content = await storage.read(attachment.storageKey);
+
+    return {
+      success: true,
+      data: { ...attachmentDetails(attachment), data: content.toString('base64') },
+      message: 'Attachment found'
+    };
+  } catch (error) {
+    console.error('Error fetching attachment:', error);
+    return {
+      success: false,
+      data: null,
+      message: `Failed to fetch attachment: ${error.message}`,
+      status: errorStatus(error)
     };
   }
 }
 
-// Delete an item (and all its purchases due to cascade)
+// Delete an attachment and its file for good
+export async function deleteAttachment(attachmentId) {
+  try {
+    requirePermission('manage');
+    const attachment = await findAttachment(attachmentId, requireOrganizationId());
+    if (!attachment) {
+      return notFound('Attachment not found');
+    }
+    await audited(db
+      .delete(schema.purchaseAttachments)
+      .where(eq(schema.purchaseAttachments.id, attachmentId))
+      .returning(), schema.purchaseAttachments, {
+      action: 'delete',
+      entityType: 'attachment',
+      itemId: attachment.itemId,
+      before: attachmentDetails(attachment)
+    });
+    await removeStoredFiles([attachment]);
+
+    return {
+      success: true,
+      data: attachmentDetails(attachment),
+      message: `Deleted ${attachment.fileName}`
+    };
+  } catch (error) {
+    console.error('Error deleting attachment:', error);
+    return {
+      success: false,
+      data: null,
+      message: `Failed to delete attachment: ${error.message}`,
+      status: errorStatus(error)
+    };
+  }
+}
+
+// Move an item to the trash. Its purchases and movements go with it and are
+// only removed for good when it is purged.
 export async function deleteItem(itemId) {
   try {
-    const result = await db
-      .delete(schema.items)
-      .where(eq(schema.items.id, itemId))
-      .returning();
+    requirePermission('manage');
+    const organizationId = requireOrganizationId();
+    // The audit entry keeps the purchases and movements trashed with the item
+    const before = await db.query.items.findFirst({
+      where: (items, { eq, isNull }) => and(eq(items.id, itemId), eq(items.organizationId, organizationId), isNull(items.deletedAt)),
+      with: {
+        purchases: { where: (purchases, { isNull }) => isNull(purchases.deletedAt) },
+        stockMovements: { where: (movements, { isNull }) => isNull(movements.deletedAt) }
+      }
+    });
+    const result = await audited(db
+      .update(schema.items)
+      .set({ deletedAt: new Date() })
+      .where(and(
+        eq(schema.items.id, itemId),
+        eq(schema.items.organizationId, organizationId),
+        isNull(schema.items.deletedAt)
+      ))
+      .returning(), schema.items, { action: 'delete', entityType: 'item', itemId, before });
+    if (!result[0]) {
+      return notFound('Item not found');
+    }
 
     return {
       success: true,
-      data: result[0] || null,
-      message: 'Item and all its purchases deleted successfully'
+      data: result[0],
+      message: 'Item and all its purchases moved to the trash'
     };
   } catch (error) {
     console.error('Error deleting item:', error);
     return {
       success: false,
       data: null,
-      message: `Failed to delete item: ${error.message}`
+      message: `Failed to delete item: ${error.message}`,
+      status: errorStatus(error)
     };
   }
 }
@@ -232,18 +954,40 @@ export async function deleteItem(itemId) {
 // Update item name
 export async function updateItemName(itemId, newName) {
   try {
-    const result = await db
+    requirePermission('manage');
+    const organizationId = requireOrganizationId();
+    const name = typeof newName === 'string' ? newName.trim() : '';
+    if (!name) {
+      return { success: false, data: null, message: 'Item name is required' };
+    }
+    const before = await findItem(itemId, organizationId);
+    if (!before) {
+      return notFound('Item not found');
+    }
+    const conflict = await itemNameConflict(organizationId, itemId, name);
+    if (conflict) {
+      return { success: false, data: null, message: conflict, status: 409 };
+    }
+
+    const result = await audited(db
       .update(schema.items)
       .set({
-        name: newName.trim(),
+        name,
         updatedAt: new Date()
       })
-      .where(eq(schema.items.id, itemId))
-      .returning();
+      .where(and(
+        eq(schema.items.id, itemId),
+        eq(schema.items.organizationId, organizationId),
+        isNull(schema.items.deletedAt)
+      ))
+      .returning(), schema.items, { action: 'update', entityType: 'item', itemId, before });
+    if (!result[0]) {
+      return notFound('Item not found');
+    }
 
     return {
       success: true,
-      data: result[0] || null,
+      data: result[0],
       message: 'Item name updated successfully'
     };
   } catch (error) {
@@ -251,12 +995,104 @@ export async function updateItemName(itemId, newName) {
     return {
       success: false,
       data: null,
-      message: `Failed to update item: ${error.message}`
+      message: `Failed to update item: ${error.message}`,
+      status: errorStatus(error)
+    };
+  }
+}
+
+// Change the unit an item's stock is counted in. Purchase conversions are
+// relative to it, so purchases already made in the old base unit should be
+// corrected separately.
+export async function updateItemBaseUnit(itemId, baseUnit) {
+  try {
+    requirePermission('manage');
+    const organizationId = requireOrganizationId();
+    const before = await findItem(itemId, organizationId);
+    const result = await audited(db
+      .update(schema.items)
+      .set({
+        baseUnit: normalizeUnit(baseUnit) || DEFAULT_BASE_UNIT,
+        updatedAt: new Date()
+      })
+      .where(and(
+        eq(schema.items.id, itemId),
+        eq(schema.items.organizationId, organizationId),
+        isNull(schema.items.deletedAt)
+      ))
+      .returning(), schema.items, { action: 'update', entityType: 'item', itemId, before });
+    if (!result[0]) {
+      return notFound('Item not found');
+    }
+
+    return {
+      success: true,
+      data: result[0],
+      message: 'Base unit updated successfully'
+    };
+  } catch (error) {
+    console.error('Error updating base unit:', error);
+    return {
+      success: false,
+      data: null,
+      message: `Failed to update base unit: ${error.message}`,
+      status: errorStatus(error)
+    };
+  }
+}
+
+// Set an item's SKU, barcode, description and attributes. Fields left
+// undefined are kept; blank codes and descriptions clear them.
+export async function updateItemInfo(itemId, { sku, barcode, description, attributes }) {
+  try {
+    requirePermission('manage');
+    const organizationId = requireOrganizationId();
+    const before = await findItem(itemId, organizationId);
+    if (!before) {
+      return notFound('Item not found');
+    }
+
+    const info = {
+      ...(sku !== undefined && { sku: normalizeSku(sku) }),
+      ...(barcode !== undefined && { barcode: normalizeBarcode(barcode) }),
+      ...(description !== undefined && { description: String(description ?? '').trim() || null }),
+      ...(attributes !== undefined && { attributes: normalizeAttributes(attributes) })
+    };
+    const conflict = await itemCodeConflict(organizationId, itemId, info);
+    if (conflict) {
+      return { success: false, data: null, message: conflict };
+    }
+
+    const result = await audited(db
+      .update(schema.items)
+      .set({ ...info, updatedAt: new Date() })
+      .where(and(
+        eq(schema.items.id, itemId),
+        eq(schema.items.organizationId, organizationId),
+        isNull(schema.items.deletedAt)
+      ))
+      .returning(), schema.items, { action: 'update', entityType: 'item', itemId, before });
+    if (!result[0]) {
+      return notFound('Item not found');
+    }
+
+    return {
+      success: true,
+      data: result[0],
+      message: 'Item details updated successfully'
+    };
+  } catch (error) {
+    console.error('Error updating item details:', error);
+    return {
+      success: false,
+      data: null,
+      message: `Failed to update item details: ${error.message}`,
+      status: errorStatus(error)
     };
   }
 }
 
-// Search items by name
+// Search items by name, SKU or barcode
 export async function searchItems(searchTerm, sortBy = 'name', sortOrder = 'asc') {
   try {
     let orderByClause;
@@ -271,13 +1107,27 @@ export async function searchItems(searchTerm, sortBy = 'name', sortOrder = 'asc'
       orderByClause = [desc(schema.items.createdAt)];
     }
 
+    const organizationId = requireOrganizationId();
     const result = await db.query.items.findMany({
       with: {
+        tags: itemTagColumns,
         purchases: {
-          orderBy: desc(schema.purchases.date)
+          where: (purchases, { isNull }) => isNull(purchases.deletedAt),
+          orderBy: desc(schema.purchases.date),
+          with: { attachments: attachmentColumns }
+        },
+        stockMovements: {
+          where: (movements, { isNull }) => isNull(movements.deletedAt),
+          orderBy: desc(schema.stockMovements.date)
         }
       },
-      where: (items, { sql }) => sql`LOWER(${items.name}) LIKE LOWER('%' || ${searchTerm} || '%')`,
+      where: (items, { sql }) => and(
+        eq(items.organizationId, organizationId),
+        isNull(items.deletedAt),
+        sql`(LOWER(${items.name}) LIKE LOWER('%' || ${searchTerm} || '%')
+          OR LOWER(${items.sku}) LIKE LOWER('%' || ${searchTerm} || '%')
+          OR ${items.barcode} LIKE '%' || ${searchTerm} || '%')`
+      ),
       orderBy: orderByClause
     });
 
@@ -291,32 +1141,48 @@ export async function searchItems(searchTerm, sortBy = 'name', sortOrder = 'asc'
     return {
       success: false,
       data: [],
-      message: `Failed to search items: ${error.message}`
+      message: `Failed to search items: ${error.message}`,
+      status: errorStatus(error)
     };
   }
 }
 
-// Get item statistics
+// Get item statistics. Quantities and prices are per base unit, so purchases
+// made in different units compare; averagePrice is the weighted average cost
+// and stock is valued as in costing.js. Spend is in the base currency:
+// totalSpent net of tax, totalTax the tax and totalGross both together.
 export async function getItemStats(itemId) {
   try {
     const item = await getItemById(itemId);
-    if (!item.success || !item.data) {
-      return { success: false, data: null, message: 'Item not found' };
+    if (!item.success) {
+      return item;
     }
 
     const purchases = item.data.purchases || [];
-    const totalSpent = purchases.reduce((sum, p) => sum + (Number(p.qty) * Number(p.unitPrice)), 0);
-    const averagePrice = purchases.length > 0 ? totalSpent / purchases.length : 0;
+    const amounts = purchases.map(purchaseAmounts);
+    const totalSpent = amounts.reduce((sum, a) => sum + a.net, 0);
+    const totalTax = amounts.reduce((sum, a) => sum + a.tax, 0);
     const lastPurchase = purchases.length > 0 ? purchases[0] : null;
+    const purchasedQty = purchases.reduce((sum, p) => sum + baseQuantity(p), 0);
+    const valuation = itemValuation(purchases, item.data.stockMovements || []);
 
     return {
       success: true,
       data: {
+        baseUnit: item.data.baseUnit,
         purchaseCount: purchases.length,
+        purchasedQty,
         totalSpent,
-        averagePrice,
+        totalTax,
+        totalGross: totalSpent + totalTax,
+        averagePrice: weightedAverageCost(purchases) ?? 0,
         lastPurchase,
-        priceChange: purchases.length > 1 ? purchases[0].unitPrice - purchases[1].unitPrice : null
+        onHand: valuation.onHand,
+        averageValue: valuation.averageValue,
+        fifoValue: valuation.fifoValue,
+        fifoLayers: valuation.layers,
+        onHandByLocation: [...onHandByLocation(purchases, item.data.stockMovements || [])].map(([locationId, qty]) => ({ locationId, qty })),
+        priceChange: purchases.length > 1 ? basePrice(purchases[0]) - basePrice(purchases[1]) : null
       },
       message: 'Item statistics calculated'
     };
@@ -325,7 +1191,2114 @@ export async function getItemStats(itemId) {
     return {
       success: false,
       data: null,
-      message: `Failed to calculate item stats: ${error.message}`
+      message: `Failed to calculate item stats: ${error.message}`,
+      status: errorStatus(error)
+    };
+  }
+}
+
+// A purchase's quantity and unit price converted to its item's base unit, and
+// its amounts in the base currency (as purchaseAmounts and basePrice in schema.js)
+const purchaseBaseQty = () => sql`(${schema.purchases.qty} * ${schema.purchases.unitFactor})`;
+const taxDivisor = () => sql`(CASE WHEN ${schema.purchases.taxInclusive} THEN 1 + ${schema.purchases.taxRate} / 100 ELSE 1 END)`;
+const purchaseBasePrice = () => sql`(${schema.purchases.unitPrice} * ${schema.purchases.exchangeRate} / ${taxDivisor()} / ${schema.purchases.unitFactor})`;
+const purchaseNetAmount = () => sql`(${schema.purchases.qty} * ${schema.purchases.unitPrice} * ${schema.purchases.exchangeRate} / ${taxDivisor()})`;
+const purchaseTaxAmount = () => sql`(${purchaseNetAmount()} * ${schema.purchases.taxRate} / 100)`;
+
+// On-hand quantity (in base units): everything purchased plus returns, minus
+// issues, consumption and write-offs (transfers only move stock between locations)
+const inboundMovementTypes = Object.keys(STOCK_MOVEMENT_TYPES).filter((type) => STOCK_MOVEMENT_TYPES[type] > 0);
+const outboundMovementTypes = Object.keys(STOCK_MOVEMENT_TYPES).filter((type) => STOCK_MOVEMENT_TYPES[type] < 0);
+
+function onHandTotals() {
+  const purchasedTotals = db
+    .select({
+      itemId: schema.purchases.itemId,
+      purchasedQty: sql`SUM(${purchaseBaseQty()})`.as('purchased_qty')
+    })
+    .from(schema.purchases)
+    .where(isNull(schema.purchases.deletedAt))
+    .groupBy(schema.purchases.itemId)
+    .as('purchased_totals');
+
+  const movementTotals = db
+    .select({
+      itemId: schema.stockMovements.itemId,
+      movedQty: sql`SUM(CASE
+        WHEN ${inArray(schema.stockMovements.type, inboundMovementTypes)} THEN ${schema.stockMovements.qty}
+        WHEN ${inArray(schema.stockMovements.type, outboundMovementTypes)} THEN -${schema.stockMovements.qty}
+        ELSE 0 END)`.as('moved_qty')
+    })
+    .from(schema.stockMovements)
+    .where(isNull(schema.stockMovements.deletedAt))
+    .groupBy(schema.stockMovements.itemId)
+    .as('movement_totals');
+
+  return {
+    purchasedTotals,
+    movementTotals,
+    purchased: sql`COALESCE(${purchasedTotals.purchasedQty}, 0)`.mapWith(Number),
+    moved: sql`COALESCE(${movementTotals.movedQty}, 0)`.mapWith(Number),
+    onHand: sql`COALESCE(${purchasedTotals.purchasedQty}, 0) + COALESCE(${movementTotals.movedQty}, 0)`.mapWith(Number)
+  };
+}
+
+function selectOnHand(where) {
+  const totals = onHandTotals();
+
+  return db
+    .select({
+      itemId: schema.items.id,
+      purchased: totals.purchased,
+      moved: totals.moved
+    })
+    .from(schema.items)
+    .leftJoin(totals.purchasedTotals, eq(totals.purchasedTotals.itemId, schema.items.id))
+    .leftJoin(totals.movementTotals, eq(totals.movementTotals.itemId, schema.items.id))
+    .where(where);
+}
+
+// Record a stock movement (issue, consumption, return or write-off) for an
+// item at locationId, or a transfer from locationId to toLocationId (null for
+// unassigned stock). movementData.clientKey identifies the add (see addedWithClientKey).
+export async function recordStockMovement(itemId, movementData) {
+  try {
+    requirePermission('record');
+    const { type, qty, date, note, locationId = null, clientKey = null } = movementData;
+    const toLocationId = type === 'transfer' ? movementData.toLocationId ?? null : null;
+
+    if (!(type in STOCK_MOVEMENT_TYPES)) {
+      return {
+        success: false,
+        data: null,
+        message: `Invalid stock movement type: ${type}`
+      };
+    }
+    if (type === 'transfer' && locationId === toLocationId) {
+      return { success: false, data: null, message: 'A transfer needs two different locations' };
+    }
+    // The type gives the direction, so the quantity is always positive
+    const invalid = quantityError(qty) || recordDateError(date);
+    if (invalid) {
+      return { success: false, data: null, message: invalid };
+    }
+    const organizationId = requireOrganizationId();
+    const added = await addedWithClientKey(schema.stockMovements, clientKey, organizationId);
+    if (added) {
+      return { success: true, data: added, message: 'Stock movement was already recorded' };
+    }
+    if (!(await findItem(itemId, organizationId))) {
+      return notFound('Item not found');
+    }
+    const invalidLocation = await locationError(locationId, organizationId) || await locationError(toLocationId, organizationId);
+    if (invalidLocation) {
+      return { success: false, data: null, message: invalidLocation };
+    }
+
+    const movement = await insertOnce(schema.stockMovements, {
+      itemId: itemId,
+      type,
+      date: new Date(date),
+      qty: Number(qty),
+      note: note?.trim() || null,
+      locationId,
+      toLocationId,
+      clientKey
+    }, organizationId, 'stock_movement');
+
+    return {
+      success: true,
+      data: movement,
+      message: 'Successfully recorded stock movement'
+    };
+  } catch (error) {
+    console.error('Error recording stock movement:', error);
+    return {
+      success: false,
+      data: null,
+      message: `Failed to record stock movement: ${error.message}`,
+      status: errorStatus(error)
     };
   }
-}
\ No newline at end of file
+}
+
+// Get stock movements for an item, newest first
+export async function getStockMovements(itemId) {
+  try {
+    const result = await db
+      .select()
+      .from(schema.stockMovements)
+      .where(and(
+        eq(schema.stockMovements.itemId, itemId),
+        inOrganization(schema.stockMovements.itemId, requireOrganizationId()),
+        isNull(schema.stockMovements.deletedAt)
+      ))
+      .orderBy(desc(schema.stockMovements.date));
+
+    return {
+      success: true,
+      data: result,
+      message: `Successfully retrieved ${result.length} stock movements`
+    };
+  } catch (error) {
+    console.error('Error fetching stock movements:', error);
+    return {
+      success: false,
+      data: [],
+      message: `Failed to fetch stock movements: ${error.message}`,
+      status: errorStatus(error)
+    };
+  }
+}
+
+// Move a stock movement to the trash
+export async function deleteStockMovement(movementId) {
+  try {
+    requirePermission('manage');
+    const result = await audited(db
+      .update(schema.stockMovements)
+      .set({ deletedAt: new Date() })
+      .where(and(
+        eq(schema.stockMovements.id, movementId),
+        inOrganization(schema.stockMovements.itemId, requireOrganizationId()),
+        isNull(schema.stockMovements.deletedAt)
+      ))
+      .returning(), schema.stockMovements, { action: 'delete', entityType: 'stock_movement', itemId: schema.stockMovements.itemId });
+    if (!result[0]) {
+      return notFound('Stock movement not found');
+    }
+
+    return {
+      success: true,
+      data: result[0],
+      message: 'Stock movement moved to the trash'
+    };
+  } catch (error) {
+    console.error('Error deleting stock movement:', error);
+    return {
+      success: false,
+      data: null,
+      message: `Failed to delete stock movement: ${error.message}`,
+      status: errorStatus(error)
+    };
+  }
+}
+
+// Get current on-hand quantity for a single item
+export async function getOnHandQuantity(itemId) {
+  try {
+    const result = await selectOnHand(and(
+      eq(schema.items.id, itemId),
+      eq(schema.items.organizationId, requireOrganizationId()),
+      isNull(schema.items.deletedAt)
+    ));
+
+    if (result.length === 0) {
+      return notFound('Item not found');
+    }
+
+    const { purchased, moved } = result[0];
+
+    return {
+      success: true,
+      data: { itemId, purchased, onHand: purchased + moved },
+      message: 'On-hand quantity calculated'
+    };
+  } catch (error) {
+    console.error('Error calculating on-hand quantity:', error);
+    return {
+      success: false,
+      data: null,
+      message: `Failed to calculate on-hand quantity: ${error.message}`,
+      status: errorStatus(error)
+    };
+  }
+}
+
+// Get current on-hand quantity for every item
+export async function getAllOnHandQuantities() {
+  try {
+    const result = await selectOnHand(and(
+      eq(schema.items.organizationId, requireOrganizationId()),
+      isNull(schema.items.deletedAt)
+    ))
+      .orderBy(asc(schema.items.name));
+
+    return {
+      success: true,
+      data: result.map(({ itemId, purchased, moved }) => ({ itemId, purchased, onHand: purchased + moved })),
+      message: `Calculated on-hand quantity for ${result.length} items`
+    };
+  } catch (error) {
+    console.error('Error calculating on-hand quantities:', error);
+    return {
+      success: false,
+      data: [],
+      message: `Failed to calculate on-hand quantities: ${error.message}`,
+      status: errorStatus(error)
+    };
+  }
+}
+
+// Value the stock of every item at weighted average cost and FIFO (see
+// costing.js), with organization totals. Items are listed by name.
+export async function getInventoryValuation() {
+  try {
+    const organizationId = requireOrganizationId();
+    const items = await db.query.items.findMany({
+      where: (items, { eq, isNull }) => and(eq(items.organizationId, organizationId), isNull(items.deletedAt)),
+      with: {
+        purchases: { where: (purchases, { isNull }) => isNull(purchases.deletedAt) },
+        stockMovements: { where: (movements, { isNull }) => isNull(movements.deletedAt) }
+      },
+      orderBy: asc(schema.items.name)
+    });
+
+    const valuations = items.map((item) => ({
+      itemId: item.id,
+      name: item.name,
+      baseUnit: item.baseUnit,
+      ...itemValuation(item.purchases, item.stockMovements)
+    }));
+
+    return {
+      success: true,
+      data: {
+        items: valuations,
+        totals: {
+          averageValue: valuations.reduce((sum, v) => sum + v.averageValue, 0),
+          fifoValue: valuations.reduce((sum, v) => sum + v.fifoValue, 0),
+          itemsInStock: valuations.filter((v) => v.onHand > 0).length
+        }
+      },
+      message: `Valued stock of ${valuations.length} items`
+    };
+  } catch (error) {
+    console.error('Error calculating inventory valuation:', error);
+    return {
+      success: false,
+      data: null,
+      message: `Failed to calculate inventory valuation: ${error.message}`,
+      status: errorStatus(error)
+    };
+  }
+}
+
+// List the lots still in stock that expire within `withinDays` days (expired
+// ones included), soonest first: { itemId, name, baseUnit, lotCode,
+// expiryDate, purchaseDate, qty, value }. What is left of each lot follows the
+// FIFO layers (see costing.js).
+export async function getExpiringLots({ withinDays = DEFAULT_EXPIRY_WARNING_DAYS } = {}) {
+  try {
+    const days = Number(withinDays);
+    if (!(days >= 0)) {
+      return { success: false, data: [], message: 'The expiry window must be zero or more days' };
+    }
+    const until = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+    const organizationId = requireOrganizationId();
+    const items = await db.query.items.findMany({
+      where: (items, { eq, isNull }) => and(eq(items.organizationId, organizationId), isNull(items.deletedAt)),
+      with: {
+        purchases: { where: (purchases, { isNull }) => isNull(purchases.deletedAt) },
+        stockMovements: { where: (movements, { isNull }) => isNull(movements.deletedAt) }
+      }
+    });
+
+    const lots = items
+      .flatMap((item) => expiringLots(item.purchases, item.stockMovements, until).map((layer) => ({
+        itemId: item.id,
+        name: item.name,
+        baseUnit: item.baseUnit,
+        lotCode: layer.lotCode,
+        expiryDate: layer.expiryDate,
+        purchaseDate: layer.date,
+        qty: layer.qty,
+        value: layer.qty * layer.unitCost
+      })))
+      .sort((a, b) => new Date(a.expiryDate) - new Date(b.expiryDate));
+
+    return {
+      success: true,
+      data: lots,
+      message: `${lots.length} lots expire within ${days} days`
+    };
+  } catch (error) {
+    console.error('Error fetching expiring lots:', error);
+    return {
+      success: false,
+      data: [],
+      message: `Failed to fetch expiring lots: ${error.message}`,
+      status: errorStatus(error)
+    };
+  }
+}
+
+// Update an item's reorder point (minimum stock) and reorder quantity
+export async function updateItemReorderSettings(itemId, { minStock, reorderQty }) {
+  try {
+    requirePermission('manage');
+    // Blank values clear a setting
+    const settings = {
+      minStock: minStock == null || minStock === '' ? null : Number(minStock),
+      reorderQty: reorderQty == null || reorderQty === '' ? null : Number(reorderQty)
+    };
+    const invalid = (settings.minStock !== null && amountError(minStock, 'Minimum stock'))
+      || (settings.reorderQty !== null && amountError(reorderQty, 'Reorder quantity'));
+    if (invalid) {
+      return { success: false, data: null, message: invalid };
+    }
+
+    const organizationId = requireOrganizationId();
+    const before = await findItem(itemId, organizationId);
+    if (!before) {
+      return notFound('Item not found');
+    }
+    const result = await audited(db
+      .update(schema.items)
+      .set({ ...settings, updatedAt: new Date() })
+      .where(and(
+        eq(schema.items.id, itemId),
+        eq(schema.items.organizationId, organizationId),
+        isNull(schema.items.deletedAt)
+      ))
+      .returning(), schema.items, { action: 'update', entityType: 'item', itemId, before });
+    if (!result[0]) {
+      return notFound('Item not found');
+    }
+
+    return {
+      success: true,
+      data: result[0],
+      message: 'Reorder settings updated successfully'
+    };
+  } catch (error) {
+    console.error('Error updating reorder settings:', error);
+    return {
+      success: false,
+      data: null,
+      message: `Failed to update reorder settings: ${error.message}`,
+      status: errorStatus(error)
+    };
+  }
+}
+
+// Get all items whose on-hand quantity is below their minimum stock,
+// together with the supplier and base unit price of their last purchase
+export async function getItemsNeedingReorder() {
+  try {
+    const totals = onHandTotals();
+
+    const lastPurchases = db
+      .selectDistinctOn([schema.purchases.itemId], {
+        itemId: schema.purchases.itemId,
+        lastSupplier: sql`${schema.purchases.supplier}`.as('last_supplier'),
+        lastUnitPrice: sql`${purchaseBasePrice()}`.as('last_unit_price'),
+        lastPurchaseDate: sql`${schema.purchases.date}`.as('last_purchase_date')
+      })
+      .from(schema.purchases)
+      .where(isNull(schema.purchases.deletedAt))
+      .orderBy(schema.purchases.itemId, desc(schema.purchases.date))
+      .as('last_purchases');
+
+    const result = await db
+      .select({
+        itemId: schema.items.id,
+        name: schema.items.name,
+        baseUnit: schema.items.baseUnit,
+        minStock: sql`${schema.items.minStock}`.mapWith(Number),
+        reorderQty: sql`${schema.items.reorderQty}`.mapWith(Number),
+        onHand: totals.onHand,
+        lastSupplier: lastPurchases.lastSupplier,
+        lastUnitPrice: sql`${lastPurchases.lastUnitPrice}`.mapWith(Number),
+        lastPurchaseDate: lastPurchases.lastPurchaseDate
+      })
+      .from(schema.items)
+      .leftJoin(totals.purchasedTotals, eq(totals.purchasedTotals.itemId, schema.items.id))
+      .leftJoin(totals.movementTotals, eq(totals.movementTotals.itemId, schema.items.id))
+      .leftJoin(lastPurchases, eq(lastPurchases.itemId, schema.items.id))
+      .where(and(
+        eq(schema.items.organizationId, requireOrganizationId()),
+        isNull(schema.items.deletedAt),
+        isNotNull(schema.items.minStock),
+        sql`${totals.onHand} < ${schema.items.minStock}`
+      ))
+      .orderBy(asc(schema.items.name));
+
+    const data = result.map((row) => ({
+      ...row,
+      shortfall: row.minStock - row.onHand
+    }));
+
+    return {
+      success: true,
+      data,
+      message: `Found ${data.length} items needing reorder`
+    };
+  } catch (error) {
+    console.error('Error fetching items needing reorder:', error);
+    return {
+      success: false,
+      data: [],
+      message: `Failed to fetch items needing reorder: ${error.message}`,
+      status: errorStatus(error)
+    };
+  }
+}
+
+// Get every category of the organization, sorted by name. Nesting is given by
+// parentId; `path` is the category's full name, e.g. "Cleaning > Detergents".
+export async function getCategories() {
+  try {
+    const result = await db
+      .select()
+      .from(schema.categories)
+      .where(eq(schema.categories.organizationId, requireOrganizationId()))
+      .orderBy(asc(schema.categories.name));
+
+    return {
+      success: true,
+      data: result.map((c) => ({ ...c, path: categoryPath(result, c.id).join(CATEGORY_PATH_SEPARATOR) })),
+      message: `Successfully retrieved ${result.length} categories`
+    };
+  } catch (error) {
+    console.error('Error fetching categories:', error);
+    return {
+      success: false,
+      data: [],
+      message: `Failed to fetch categories: ${error.message}`,
+      status: errorStatus(error)
+    };
+  }
+}
+
+// Why a category (null for a new one) cannot be named `name` under parentId,
+// or null: the parent must exist and not be the category or nested under it,
+// and names are unique (ignoring case) among categories with the same parent
+function categoryConflict(categories, categoryId, name, parentId) {
+  if (parentId != null && !categories.some((c) => c.id === parentId)) return 'Parent category not found';
+  if (categoryId != null && parentId != null && categoryWithDescendants(categories, categoryId).has(parentId)) {
+    return 'A category cannot be moved under itself';
+  }
+  const sibling = categories.find((c) => c.id !== categoryId
+    && (c.parentId ?? null) === (parentId ?? null)
+    && c.name.toLowerCase() === name.toLowerCase());
+  return sibling ? `A category named ${categoryPath(categories, sibling.id).join(CATEGORY_PATH_SEPARATOR)} already exists` : null;
+}
+
+function organizationCategories(organizationId) {
+  return db.select().from(schema.categories).where(eq(schema.categories.organizationId, organizationId));
+}
+
+// Add a category under parentId (null for a top-level one). Saving a name that
+// already exists under the same parent returns that category.
+export async function saveCategory({ name, parentId = null }) {
+  try {
+    requirePermission('manage');
+    const categoryName = normalizeCategoryName(name);
+    if (!categoryName) {
+      return { success: false, data: null, message: 'Category name is required' };
+    }
+
+    const organizationId = requireOrganizationId();
+    const categories = await organizationCategories(organizationId);
+    const existing = categories.find((c) => (c.parentId ?? null) === (parentId ?? null)
+      && c.name.toLowerCase() === categoryName.toLowerCase());
+    if (existing) {
+      return { success: true, data: existing, message: `Category ${existing.name} already exists` };
+    }
+    const conflict = categoryConflict(categories, null, categoryName, parentId);
+    if (conflict) return { success: false, data: null, message: conflict };
+
+    const result = await audited(db
+      .insert(schema.categories)
+      .values({ organizationId, name: categoryName, parentId: parentId ?? null })
+      .returning(), schema.categories, { action: 'create', entityType: 'category' });
+
+    return {
+      success: true,
+      data: result[0],
+      message: `Successfully added category: ${categoryName}`
+    };
+  } catch (error) {
+    console.error('Error saving category:', error);
+    return {
+      success: false,
+      data: null,
+      message: `Failed to save category: ${error.message}`,
+      status: errorStatus(error)
+    };
+  }
+}
+
+// Rename a category or move it under another parent (null for top level).
+// Fields left undefined are kept.
+export async function updateCategory(categoryId, { name, parentId }) {
+  try {
+    requirePermission('manage');
+    const organizationId = requireOrganizationId();
+    const categories = await organizationCategories(organizationId);
+    const before = categories.find((c) => c.id === categoryId);
+    if (!before) {
+      return notFound('Category not found');
+    }
+
+    const changes = {
+      name: name === undefined ? before.name : normalizeCategoryName(name),
+      parentId: parentId === undefined ? before.parentId : parentId
+    };
+    if (!changes.name) {
+      return { success: false, data: null, message: 'Category name is required' };
+    }
+    const conflict = categoryConflict(categories, categoryId, changes.name, changes.parentId);
+    if (conflict) return { success: false, data: null, message: conflict };
+
+    const result = await audited(db
+      .update(schema.categories)
+      .set({ ...changes, updatedAt: new Date() })
+      .where(and(eq(schema.categories.id, categoryId), eq(schema.categories.organizationId, organizationId)))
+      .returning(), schema.categories, { action: 'update', entityType: 'category', before });
+
+    return {
+      success: true,
+      data: result[0],
+      message: 'Category updated successfully'
+    };
+  } catch (error) {
+    console.error('Error updating category:', error);
+    return {
+      success: false,
+      data: null,
+      message: `Failed to update category: ${error.message}`,
+      status: errorStatus(error)
+    };
+  }
+}
+
+// Delete a category. Categories are not trashed: its items and subcategories
+// move up to its parent (or become uncategorized / top-level).
+export async function deleteCategory(categoryId) {
+  try {
+    requirePermission('manage');
+    const organizationId = requireOrganizationId();
+    const categories = await organizationCategories(organizationId);
+    const category = categories.find((c) => c.id === categoryId);
+    if (!category) {
+      return notFound('Category not found');
+    }
+
+    await db.batch([
+      db
+        .update(schema.items)
+        .set({ categoryId: category.parentId })
+        .where(and(eq(schema.items.categoryId, categoryId), eq(schema.items.organizationId, organizationId))),
+      db
+        .update(schema.categories)
+        .set({ parentId: category.parentId })
+        .where(and(eq(schema.categories.parentId, categoryId), eq(schema.categories.organizationId, organizationId))),
+      audited(db
+        .delete(schema.categories)
+        .where(eq(schema.categories.id, categoryId))
+        .returning(), schema.categories, { action: 'delete', entityType: 'category', before: category })
+    ]);
+
+    return {
+      success: true,
+      data: category,
+      message: `Successfully deleted category: ${category.name}`
+    };
+  } catch (error) {
+    console.error('Error deleting category:', error);
+    return {
+      success: false,
+      data: null,
+      message: `Failed to delete category: ${error.message}`,
+      status: errorStatus(error)
+    };
+  }
+}
+
+// Set an item's category (null for none) and replace its tags
+export async function updateItemGrouping(itemId, { categoryId = null, tags = [] }) {
+  try {
+    requirePermission('manage');
+    const organizationId = requireOrganizationId();
+    const item = await findItem(itemId, organizationId);
+    if (!item) {
+      return notFound('Item not found');
+    }
+    if (categoryId != null) {
+      const categories = await organizationCategories(organizationId);
+      if (!categories.some((c) => c.id === categoryId)) {
+        return { success: false, data: null, message: 'Category not found' };
+      }
+    }
+
+    const tagList = normalizeTags(tags);
+    const beforeTags = await db
+      .select({ tag: schema.itemTags.tag })
+      .from(schema.itemTags)
+      .where(eq(schema.itemTags.itemId, itemId))
+      .orderBy(asc(schema.itemTags.tag));
+
+    const updated = await db.batch([
+      db.delete(schema.itemTags).where(eq(schema.itemTags.itemId, itemId)),
+      ...(tagList.length > 0 ? [db.insert(schema.itemTags).values(tagList.map((tag) => ({ itemId, tag })))] : []),
+      audited(db
+        .update(schema.items)
+        .set({ categoryId, updatedAt: new Date() })
+        .where(eq(schema.items.id, itemId))
+        .returning(), schema.items, {
+        action: 'update',
+        entityType: 'item',
+        itemId,
+        before: { ...item, tags: beforeTags.map((t) => t.tag) },
+        extra: { tags: tagList }
+      })
+    ]);
+    const after = { ...updated.at(-1)[0], tags: tagList };
+
+    return {
+      success: true,
+      data: after,
+      message: 'Item category and tags updated successfully'
+    };
+  } catch (error) {
+    console.error('Error updating item category and tags:', error);
+    return {
+      success: false,
+      data: null,
+      message: `Failed to update item category and tags: ${error.message}`,
+      status: errorStatus(error)
+    };
+  }
+}
+
+// Get every location of the organization, sorted by name
+export async function getLocations() {
+  try {
+    const result = await db
+      .select()
+      .from(schema.locations)
+      .where(eq(schema.locations.organizationId, requireOrganizationId()))
+      .orderBy(asc(schema.locations.name));
+
+    return {
+      success: true,
+      data: result,
+      message: `Successfully retrieved ${result.length} locations`
+    };
+  } catch (error) {
+    console.error('Error fetching locations:', error);
+    return {
+      success: false,
+      data: [],
+      message: `Failed to fetch locations: ${error.message}`,
+      status: errorStatus(error)
+    };
+  }
+}
+
+function organizationLocations(organizationId) {
+  return db.select().from(schema.locations).where(eq(schema.locations.organizationId, organizationId));
+}
+
+// Add a location. Saving a name that already exists (ignoring case) returns that location.
+export async function saveLocation({ name }) {
+  try {
+    requirePermission('manage');
+    const locationName = normalizeLocationName(name);
+    if (!locationName) {
+      return { success: false, data: null, message: 'Location name is required' };
+    }
+
+    const organizationId = requireOrganizationId();
+    const existing = (await organizationLocations(organizationId))
+      .find((l) => l.name.toLowerCase() === locationName.toLowerCase());
+    if (existing) {
+      return { success: true, data: existing, message: `Location ${existing.name} already exists` };
+    }
+
+    const result = await audited(db
+      .insert(schema.locations)
+      .values({ organizationId, name: locationName })
+      .returning(), schema.locations, { action: 'create', entityType: 'location' });
+
+    return {
+      success: true,
+      data: result[0],
+      message: `Successfully added location: ${locationName}`
+    };
+  } catch (error) {
+    console.error('Error saving location:', error);
+    return {
+      success: false,
+      data: null,
+      message: `Failed to save location: ${error.message}`,
+      status: errorStatus(error)
+    };
+  }
+}
+
+// Rename a location
+export async function updateLocation(locationId, { name }) {
+  try {
+    requirePermission('manage');
+    const locationName = normalizeLocationName(name);
+    if (!locationName) {
+      return { success: false, data: null, message: 'Location name is required' };
+    }
+
+    const organizationId = requireOrganizationId();
+    const locations = await organizationLocations(organizationId);
+    const before = locations.find((l) => l.id === locationId);
+    if (!before) {
+      return notFound('Location not found');
+    }
+    const other = locations.find((l) => l.id !== locationId && l.name.toLowerCase() === locationName.toLowerCase());
+    if (other) {
+      return { success: false, data: null, message: `A location named ${other.name} already exists` };
+    }
+
+    const result = await audited(db
+      .update(schema.locations)
+      .set({ name: locationName, updatedAt: new Date() })
+      .where(and(eq(schema.locations.id, locationId), eq(schema.locations.organizationId, organizationId)))
+      .returning(), schema.locations, { action: 'update', entityType: 'location', before });
+
+    return {
+      success: true,
+      data: result[0],
+      message: 'Location updated successfully'
+    };
+  } catch (error) {
+    console.error('Error updating location:', error);
+    return {
+      success: false,
+      data: null,
+      message: `Failed to update location: ${error.message}`,
+      status: errorStatus(error)
+    };
+  }
+}
+
+// Delete a location. Locations are not trashed: the stock recorded there,
+// purchases and movements included, becomes unassigned.
+export async function deleteLocation(locationId) {
+  try {
+    requirePermission('manage');
+    const organizationId = requireOrganizationId();
+    const location = (await organizationLocations(organizationId)).find((l) => l.id === locationId);
+    if (!location) {
+      return notFound('Location not found');
+    }
+
+    await db.batch([
+      db.update(schema.purchases).set({ locationId: null }).where(eq(schema.purchases.locationId, locationId)),
+      db.update(schema.stockMovements).set({ locationId: null }).where(eq(schema.stockMovements.locationId, locationId)),
+      db.update(schema.stockMovements).set({ toLocationId: null }).where(eq(schema.stockMovements.toLocationId, locationId)),
+      audited(
+        db.delete(schema.locations).where(eq(schema.locations.id, locationId)).returning(),
+        schema.locations,
+        { action: 'delete', entityType: 'location', before: location }
+      )
+    ]);
+
+    return {
+      success: true,
+      data: location,
+      message: `Successfully deleted location: ${location.name}`
+    };
+  } catch (error) {
+    console.error('Error deleting location:', error);
+    return {
+      success: false,
+      data: null,
+      message: `Failed to delete location: ${error.message}`,
+      status: errorStatus(error)
+    };
+  }
+}
+
+// Get the on-hand quantity of every item at each location it has stock records
+// for ({ itemId, name, baseUnit, locations: [{ locationId, qty }] }, by name).
+// locationId is null for unassigned stock.
+export async function getStockByLocation() {
+  try {
+    const organizationId = requireOrganizationId();
+    const items = await db.query.items.findMany({
+      where: (items, { eq, isNull }) => and(eq(items.organizationId, organizationId), isNull(items.deletedAt)),
+      with: {
+        purchases: { where: (purchases, { isNull }) => isNull(purchases.deletedAt) },
+        stockMovements: { where: (movements, { isNull }) => isNull(movements.deletedAt) }
+      },
+      orderBy: asc(schema.items.name)
+    });
+
+    const data = items.map((item) => ({
+      itemId: item.id,
+      name: item.name,
+      baseUnit: item.baseUnit,
+      locations: [...onHandByLocation(item.purchases, item.stockMovements)].map(([locationId, qty]) => ({ locationId, qty }))
+    }));
+
+    return {
+      success: true,
+      data,
+      message: `Retrieved stock by location for ${data.length} items`
+    };
+  } catch (error) {
+    console.error('Error fetching stock by location:', error);
+    return {
+      success: false,
+      data: [],
+      message: `Failed to fetch stock by location: ${error.message}`,
+      status: errorStatus(error)
+    };
+  }
+}
+
+// Contact fields that can be set on a supplier
+function supplierDetails(data) {
+  const details = {};
+  for (const field of ['contactName', 'email', 'phone', 'address', 'notes']) {
+    if (field in data) details[field] = data[field]?.trim() || null;
+  }
+  return details;
+}
+
+// Get all suppliers with purchase totals
+export async function getAllSuppliers() {
+  try {
+    const organizationId = requireOrganizationId();
+    const result = await db
+      .select({
+        id: schema.suppliers.id,
+        name: schema.suppliers.name,
+        contactName: schema.suppliers.contactName,
+        email: schema.suppliers.email,
+        phone: schema.suppliers.phone,
+        address: schema.suppliers.address,
+        notes: schema.suppliers.notes,
+        updatedAt: schema.suppliers.updatedAt,
+        purchaseCount: sql`COUNT(${schema.purchases.id})`.mapWith(Number),
+        itemCount: sql`COUNT(DISTINCT ${schema.purchases.itemId})`.mapWith(Number),
+        totalSpent: sql`COALESCE(SUM(${purchaseNetAmount()}), 0)`.mapWith(Number),
+        lastPurchaseDate: sql`MAX(${schema.purchases.date})`
+      })
+      .from(schema.suppliers)
+      .leftJoin(schema.purchases, and(
+        eq(schema.purchases.supplierId, schema.suppliers.id),
+        isNull(schema.purchases.deletedAt),
+        inOrganization(schema.purchases.itemId, organizationId)
+      ))
+      .where(and(eq(schema.suppliers.organizationId, organizationId), isNull(schema.suppliers.deletedAt)))
+      .groupBy(schema.suppliers.id)
+      .orderBy(asc(schema.suppliers.name));
+
+    return {
+      success: true,
+      data: result,
+      message: `Successfully retrieved ${result.length} suppliers`
+    };
+  } catch (error) {
+    console.error('Error fetching suppliers:', error);
+    return {
+      success: false,
+      data: [],
+      message: `Failed to fetch suppliers: ${error.message}`,
+      status: errorStatus(error)
+    };
+  }
+}
+
+// Get a supplier with its purchase history (newest first)
+export async function getSupplierById(supplierId) {
+  try {
+    const organizationId = requireOrganizationId();
+    const result = await db.query.suppliers.findMany({
+      where: (suppliers, { eq, isNull }) => and(
+        eq(suppliers.id, supplierId),
+        eq(suppliers.organizationId, organizationId),
+        isNull(suppliers.deletedAt)
+      ),
+      with: {
+        purchases: {
+          where: (purchases, { isNull }) => isNull(purchases.deletedAt),
+          orderBy: desc(schema.purchases.date),
+          with: {
+            item: true
+          }
+        }
+      }
+    });
+    // Purchases of items in the trash are hidden with their item
+    const supplier = result.length > 0
+      ? { ...result[0], purchases: result[0].purchases.filter((purchase) => !purchase.item.deletedAt) }
+      : null;
+
+    return {
+      success: true,
+      data: supplier,
+      message: result.length > 0 ? 'Supplier found' : 'Supplier not found'
+    };
+  } catch (error) {
+    console.error('Error fetching supplier:', error);
+    return {
+      success: false,
+      data: null,
+      message: `Failed to fetch supplier: ${error.message}`,
+      status: errorStatus(error)
+    };
+  }
+}
+
+// Add a supplier, or update the contact details of the one with the same normalized name
+export async function saveSupplier(supplierData) {
+  try {
+    requirePermission('record');
+    const name = normalizeSupplierName(supplierData.name);
+    if (!name) {
+      return { success: false, data: null, message: 'Supplier name is required' };
+    }
+
+    const details = supplierDetails(supplierData);
+    const organizationId = requireOrganizationId();
+    const existing = await db
+      .select()
+      .from(schema.suppliers)
+      .where(and(eq(schema.suppliers.organizationId, organizationId), eq(schema.suppliers.nameKey, supplierKey(name))))
+      .limit(1);
+    const result = await audited(db
+      .insert(schema.suppliers)
+      .values({ organizationId, name, nameKey: supplierKey(name), ...details })
+      .onConflictDoUpdate({
+        target: [schema.suppliers.organizationId, schema.suppliers.nameKey],
+        // Saving a supplier that is in the trash brings it back
+        set: { ...details, updatedAt: new Date(), deletedAt: null }
+      })
+      .returning(), schema.suppliers, {
+      action: existing[0] ? 'update' : 'create',
+      entityType: 'supplier',
+      before: existing[0]
+    });
+
+    return {
+      success: true,
+      data: result[0],
+      message: `Successfully saved supplier: ${name}`
+    };
+  } catch (error) {
+    console.error('Error saving supplier:', error);
+    return {
+      success: false,
+      data: null,
+      message: `Failed to save supplier: ${error.message}`,
+      status: errorStatus(error)
+    };
+  }
+}
+
+// Update a supplier's name and contact details
+export async function updateSupplier(supplierId, supplierData) {
+  try {
+    requirePermission('manage');
+    const changes = { ...supplierDetails(supplierData), updatedAt: new Date() };
+    if (supplierData.name !== undefined) {
+      changes.name = normalizeSupplierName(supplierData.name);
+      if (!changes.name) {
+        return { success: false, data: null, message: 'Supplier name is required' };
+      }
+      changes.nameKey = supplierKey(changes.name);
+    }
+
+    const organizationId = requireOrganizationId();
+    const ownSupplier = and(
+      eq(schema.suppliers.id, supplierId),
+      eq(schema.suppliers.organizationId, organizationId),
+      isNull(schema.suppliers.deletedAt)
+    );
+    const before = await db
+      .select()
+      .from(schema.suppliers)
+      .where(ownSupplier)
+      .limit(1);
+    if (!before[0]) {
+      return notFound('Supplier not found');
+    }
+    const result = await audited(db
+      .update(schema.suppliers)
+      .set(changes)
+      .where(ownSupplier)
+      .returning(), schema.suppliers, { action: 'update', entityType: 'supplier', before: before[0] });
+    if (!result[0]) {
+      return notFound('Supplier not found');
+    }
+
+    if (changes.name) {
+      // Keep the name recorded on linked purchases in step
+      await db
+        .update(schema.purchases)
+        .set({ supplier: changes.name })
+        .where(eq(schema.purchases.supplierId, supplierId));
+    }
+
+    return {
+      success: true,
+      data: result[0],
+      message: 'Supplier updated successfully'
+    };
+  } catch (error) {
+    console.error('Error updating supplier:', error);
+    return {
+      success: false,
+      data: null,
+      message: `Failed to update supplier: ${error.message}`,
+      status: errorStatus(error)
+    };
+  }
+}
+
+// Move a supplier to the trash (its purchases keep the link until it is purged,
+// which leaves them with just the supplier name)
+export async function deleteSupplier(supplierId) {
+  try {
+    requirePermission('manage');
+    const result = await audited(db
+      .update(schema.suppliers)
+      .set({ deletedAt: new Date() })
+      .where(and(
+        eq(schema.suppliers.id, supplierId),
+        eq(schema.suppliers.organizationId, requireOrganizationId()),
+        isNull(schema.suppliers.deletedAt)
+      ))
+      .returning(), schema.suppliers, { action: 'delete', entityType: 'supplier' });
+    if (!result[0]) {
+      return notFound('Supplier not found');
+    }
+
+    return {
+      success: true,
+      data: result[0],
+      message: 'Supplier moved to the trash'
+    };
+  } catch (error) {
+    console.error('Error deleting supplier:', error);
+    return {
+      success: false,
+      data: null,
+      message: `Failed to delete supplier: ${error.message}`,
+      status: errorStatus(error)
+    };
+  }
+}
+
+// Add outstanding quantities to an order loaded with its lines
+function withOutstanding(order) {
+  const lines = (order.lines || []).map((line) => ({
+    ...line,
+    outstanding: Math.max(Number(line.qtyOrdered) - Number(line.qtyReceived), 0)
+  }));
+  return {
+    ...order,
+    lines,
+    outstanding: lines.reduce((sum, line) => sum + line.outstanding, 0),
+    outstandingValue: lines.reduce((sum, line) => sum + line.outstanding * Number(line.unitPrice), 0)
+  };
+}
+
+// Create a draft purchase order with line items
+export async function createPurchaseOrder({ supplier, orderDate, expectedDate, notes, lines }) {
+  try {
+    requirePermission('manage');
+    if (!lines || lines.length === 0) {
+      return { success: false, data: null, message: 'A purchase order needs at least one line' };
+    }
+
+    const organizationId = requireOrganizationId();
+    const itemIds = [...new Set(lines.map((line) => line.itemId))];
+    const ownItems = await db
+      .select({ id: schema.items.id })
+      .from(schema.items)
+      .where(and(
+        inArray(schema.items.id, itemIds),
+        eq(schema.items.organizationId, organizationId),
+        isNull(schema.items.deletedAt)
+      ));
+    if (ownItems.length !== itemIds.length) {
+      return { success: false, data: null, message: 'Item not found' };
+    }
+
+    const supplierRecord = await findOrCreateSupplier(supplier, organizationId);
+    // The order, its lines and its audit entry are stored together; the
+    // statements after the order's insert find its id with currval
+    const orderId = sql`currval(pg_get_serial_sequence('purchase_orders', 'id'))`;
+    const [orderResult, lineResult] = await db.batch([
+      db
+        .insert(schema.purchaseOrders)
+        .values({
+          organizationId,
+          supplierId: supplierRecord?.id ?? null,
+          status: 'draft',
+          orderDate: orderDate ? new Date(orderDate) : new Date(),
+          expectedDate: expectedDate ? new Date(expectedDate) : null,
+          notes: notes?.trim() || null
+        })
+        .returning(),
+      db
+        .insert(schema.purchaseOrderLines)
+        .values(lines.map((line) => ({
+          orderId,
+          itemId: line.itemId,
+          qtyOrdered: Number(line.qty),
+          unitPrice: Number(line.unitPrice)
+        })))
+        .returning(),
+      auditEntries({
+        action: 'create',
+        entityType: 'purchase_order',
+        entityId: orderId,
+        after: sql`(
+          select ${rowJson(schema.purchaseOrders, 'purchase_order', { extra: { lines: orderLinesJson(orderId) } })}
+          from ${schema.purchaseOrders} purchase_order where purchase_order.id = ${orderId}
+        )`
+      })
+    ]);
+    const order = orderResult[0];
+
+    return {
+      success: true,
+      data: withOutstanding({ ...order, supplier: supplierRecord, lines: lineResult }),
+      message: 'Successfully created purchase order'
+    };
+  } catch (error) {
+    console.error('Error creating purchase order:', error);
+    return {
+      success: false,
+      data: null,
+      message: `Failed to create purchase order: ${error.message}`,
+      status: errorStatus(error)
+    };
+  }
+}
+
+// Get purchase orders with supplier, lines and outstanding quantities.
+// By default only open orders (draft, sent or partially received) are returned.
+export async function getPurchaseOrders({ openOnly = true } = {}) {
+  try {
+    const organizationId = requireOrganizationId();
+    const result = await db.query.purchaseOrders.findMany({
+      where: (orders, { eq, inArray, isNull }) => and(
+        eq(orders.organizationId, organizationId),
+        isNull(orders.deletedAt),
+        openOnly ? inArray(orders.status, ['draft', 'sent', 'partially_received']) : undefined
+      ),
+      with: {
+        supplier: true,
+        lines: {
+          with: {
+            item: true
+          }
+        }
+      },
+      orderBy: [asc(schema.purchaseOrders.expectedDate), desc(schema.purchaseOrders.orderDate)]
+    });
+
+    return {
+      success: true,
+      data: result.map(withOutstanding),
+      message: `Successfully retrieved ${result.length} purchase orders`
+    };
+  } catch (error) {
+    console.error('Error fetching purchase orders:', error);
+    return {
+      success: false,
+      data: [],
+      message: `Failed to fetch purchase orders: ${error.message}`,
+      status: errorStatus(error)
+    };
+  }
+}
+
+// Update a purchase order's status, expected date or notes.
+// Receiving statuses are set by receivePurchaseOrder, not here.
+export async function updatePurchaseOrder(orderId, { status, expectedDate, notes }) {
+  try {
+    requirePermission('manage');
+    if (status !== undefined && !['draft', 'sent', 'cancelled'].includes(status)) {
+      return { success: false, data: null, message: `Invalid purchase order status: ${status}` };
+    }
+
+    const changes = { updatedAt: new Date() };
+    if (status !== undefined) changes.status = status;
+    if (expectedDate !== undefined) changes.expectedDate = expectedDate ? new Date(expectedDate) : null;
+    if (notes !== undefined) changes.notes = notes?.trim() || null;
+
+    const organizationId = requireOrganizationId();
+    const ownOrder = and(
+      eq(schema.purchaseOrders.id, orderId),
+      eq(schema.purchaseOrders.organizationId, organizationId),
+      isNull(schema.purchaseOrders.deletedAt)
+    );
+    const before = await db
+      .select()
+      .from(schema.purchaseOrders)
+      .where(ownOrder)
+      .limit(1);
+    const result = await audited(db
+      .update(schema.purchaseOrders)
+      .set(changes)
+      .where(ownOrder)
+      .returning(), schema.purchaseOrders, { action: 'update', entityType: 'purchase_order', before: before[0] });
+    if (!result[0]) {
+      return notFound('Purchase order not found');
+    }
+
+    return {
+      success: true,
+      data: result[0],
+      message: 'Purchase order updated successfully'
+    };
+  } catch (error) {
+    console.error('Error updating purchase order:', error);
+    return {
+      success: false,
+      data: null,
+      message: `Failed to update purchase order: ${error.message}`,
+      status: errorStatus(error)
+    };
+  }
+}
+
+// Receive goods against a purchase order. Creates one purchase per received
+// line, updates received quantities and moves the order to partially_received
+// or received. `lines` is [{ lineId, qty }], each line at most once; quantities
+// may not exceed what is outstanding; a line can also carry the lotCode and
+// expiryDate of the goods. The goods are received at locationId (null for
+// unassigned) on `date` (now when not given).
+export async function receivePurchaseOrder(orderId, { date, lines, locationId = null }) {
+  try {
+    requirePermission('record');
+    const invalidDate = date == null || date === '' ? null : recordDateError(date);
+    if (invalidDate) {
+      return { success: false, data: null, message: invalidDate };
+    }
+    const organizationId = requireOrganizationId();
+    const invalidLocation = await locationError(locationId, organizationId);
+    if (invalidLocation) {
+      return { success: false, data: null, message: invalidLocation };
+    }
+    const order = await db.query.purchaseOrders.findFirst({
+      where: (orders, { eq, isNull }) => and(eq(orders.id, orderId), eq(orders.organizationId, organizationId), isNull(orders.deletedAt)),
+      with: { supplier: true, lines: true }
+    });
+
+    if (!order) {
+      return notFound('Purchase order not found');
+    }
+    if (order.status === 'cancelled' || order.status === 'received') {
+      return { success: false, data: null, message: `Cannot receive against a ${order.status} order` };
+    }
+
+    const trashedItems = order.lines.length === 0 ? [] : await db
+      .select({ id: schema.items.id, name: schema.items.name })
+      .from(schema.items)
+      .where(and(inArray(schema.items.id, order.lines.map((line) => line.itemId)), isNotNull(schema.items.deletedAt)));
+    const trashedNames = new Map(trashedItems.map((item) => [item.id, item.name]));
+
+    const linesById = new Map(order.lines.map((line) => [line.id, line]));
+    const listed = new Set();
+    const receipts = [];
+    for (const { lineId, qty, lotCode, expiryDate } of lines || []) {
+      const line = linesById.get(lineId);
+      const amount = Number(qty);
+      if (!line) {
+        return { success: false, data: null, message: `Line ${lineId} is not part of this order` };
+      }
+      if (listed.has(lineId)) {
+        return { success: false, data: null, message: `Line ${lineId} is listed more than once` };
+      }
+      listed.add(lineId);
+      if (!(amount > 0)) continue;
+      if (trashedNames.has(line.itemId)) {
+        return { success: false, data: null, message: trashedReceiptMessage(trashedNames.get(line.itemId)) };
+      }
+      const outstanding = Number(line.qtyOrdered) - Number(line.qtyReceived);
+      if (amount > outstanding) {
+        return { success: false, data: null, message: `Cannot receive ${amount}, only ${outstanding} outstanding` };
+      }
+      receipts.push({ line, amount, lot: purchaseLotFields({ lotCode, expiryDate }) });
+    }
+
+    if (receipts.length === 0) {
+      return { success: false, data: null, message: 'Nothing to receive' };
+    }
+
+    const receivedAt = date ? new Date(date) : new Date();
+    const lineTable = schema.purchaseOrderLines;
+
+    // Received quantities are added in the database rather than written from
+    // what was read above, so receipts made at the same time all count; the
+    // received_within_ordered check rolls the batch back if together they
+    // exceed the order. The status is then worked out from the updated lines.
+    const [purchaseRows, ...updated] = await db.batch([
+      audited(db
+        .insert(schema.purchases)
+        .values(receipts.map(({ line, amount, lot }) => ({
+          itemId: line.itemId,
+          date: receivedAt,
+          qty: amount,
+          unitPrice: Number(line.unitPrice),
+          ...lot,
+          supplierId: order.supplierId,
+          supplier: order.supplier?.name ?? null,
+          orderLineId: line.id,
+          locationId
+        })))
+        .returning(), schema.purchases, { action: 'create', entityType: 'purchase', itemId: schema.purchases.itemId }),
+      ...receipts.map(({ line, amount }) => db
+        .update(lineTable)
+        .set({ qtyReceived: sql`${lineTable.qtyReceived} + ${amount}` })
+        .where(eq(lineTable.id, line.id))
+        .returning()),
+      audited(db
+        .update(schema.purchaseOrders)
+        .set({
+          status: sql`case when exists (
+            select 1 from ${lineTable}
+            where ${lineTable.orderId} = ${orderId} and ${lineTable.qtyReceived} < ${lineTable.qtyOrdered}
+          ) then 'partially_received' else 'received' end`,
+          updatedAt: new Date()
+        })
+        .where(eq(schema.purchaseOrders.id, orderId))
+        .returning(), schema.purchaseOrders, {
+        action: 'update',
+        entityType: 'purchase_order',
+        before: order,
+        extra: { lines: orderLinesJson(orderId) }
+      })
+    ]);
+    const [orderRows] = updated.splice(-1);
+    const status = orderRows[0].status;
+
+    return {
+      success: true,
+      data: { orderId, status, purchases: purchaseRows },
+      message: status === 'received' ? 'Purchase order fully received' : 'Purchase order partially received'
+    };
+  } catch (error) {
+    console.error('Error receiving purchase order:', error);
+    if ((error?.constraint ?? error?.cause?.constraint) === 'purchase_order_lines_received_within_ordered_check') {
+      return {
+        success: false,
+        data: null,
+        message: 'Cannot receive more than is outstanding; the order was received meanwhile',
+        status: 409
+      };
+    }
+    return {
+      success: false,
+      data: null,
+      message: `Failed to receive purchase order: ${error.message}`,
+      status: errorStatus(error)
+    };
+  }
+}
+
+// Move a purchase order to the trash (purging it removes its lines; received purchases are kept)
+export async function deletePurchaseOrder(orderId) {
+  try {
+    requirePermission('manage');
+    const organizationId = requireOrganizationId();
+    const before = await db.query.purchaseOrders.findFirst({
+      where: (orders, { eq, isNull }) => and(eq(orders.id, orderId), eq(orders.organizationId, organizationId), isNull(orders.deletedAt)),
+      with: { lines: true }
+    });
+    const result = await audited(db
+      .update(schema.purchaseOrders)
+      .set({ deletedAt: new Date() })
+      .where(and(
+        eq(schema.purchaseOrders.id, orderId),
+        eq(schema.purchaseOrders.organizationId, organizationId),
+        isNull(schema.purchaseOrders.deletedAt)
+      ))
+      .returning(), schema.purchaseOrders, { action: 'delete', entityType: 'purchase_order', before });
+    if (!result[0]) {
+      return notFound('Purchase order not found');
+    }
+
+    return {
+      success: true,
+      data: result[0],
+      message: 'Purchase order moved to the trash'
+    };
+  } catch (error) {
+    console.error('Error deleting purchase order:', error);
+    return {
+      success: false,
+      data: null,
+      message: `Failed to delete purchase order: ${error.message}`,
+      status: errorStatus(error)
+    };
+  }
+}
+
+// Tables with soft delete, by audit entity type, each with the condition that
+// scopes its rows to an organization (rows of trashed items included)
+const TRASHABLE = {
+  item: {
+    table: schema.items,
+    scope: (organizationId) => eq(schema.items.organizationId, organizationId)
+  },
+  purchase: {
+    table: schema.purchases,
+    scope: (organizationId) => inOrganization(schema.purchases.itemId, organizationId, { includeDeleted: true })
+  },
+  stock_movement: {
+    table: schema.stockMovements,
+    scope: (organizationId) => inOrganization(schema.stockMovements.itemId, organizationId, { includeDeleted: true })
+  },
+  supplier: {
+    table: schema.suppliers,
+    scope: (organizationId) => eq(schema.suppliers.organizationId, organizationId)
+  },
+  purchase_order: {
+    table: schema.purchaseOrders,
+    scope: (organizationId) => eq(schema.purchaseOrders.organizationId, organizationId)
+  }
+};
+
+// Get everything in the trash, most recently deleted first. Each entry is
+// { entityType, id, name, itemId, deletedAt, record }; purchases and stock
+// movements are named after their item.
+export async function getTrash() {
+  try {
+    const organizationId = requireOrganizationId();
+    const trashed = (entityType) => and(
+      TRASHABLE[entityType].scope(organizationId),
+      isNotNull(TRASHABLE[entityType].table.deletedAt)
+    );
+    const itemName = { item: { columns: { name: true } } };
+
+    const [items, purchases, movements, suppliers, orders] = await Promise.all([
+      db.select().from(schema.items).where(trashed('item')),
+      db.query.purchases.findMany({ where: trashed('purchase'), with: itemName }),
+      db.query.stockMovements.findMany({ where: trashed('stock_movement'), with: itemName }),
+      db.select().from(schema.suppliers).where(trashed('supplier')),
+      db.query.purchaseOrders.findMany({ where: trashed('purchase_order'), with: { supplier: true, lines: true } })
+    ]);
+
+    const entry = (entityType, record, name, itemId = null) => ({
+      entityType,
+      id: record.id,
+      name,
+      itemId,
+      deletedAt: record.deletedAt,
+      record
+    });
+    const data = [
+      ...items.map((item) => entry('item', item, item.name, item.id)),
+      ...purchases.map(({ item, ...purchase }) => entry('purchase', purchase, item.name, purchase.itemId)),
+      ...movements.map(({ item, ...movement }) => entry('stock_movement', movement, item.name, movement.itemId)),
+      ...suppliers.map((supplier) => entry('supplier', supplier, supplier.name)),
+      ...orders.map((order) => entry('purchase_order', order, order.supplier?.name ?? null))
+    ].sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt));
+
+    return {
+      success: true,
+      data,
+      message: `Found ${data.length} records in the trash`
+    };
+  } catch (error) {
+    console.error('Error fetching trash:', error);
+    return {
+      success: false,
+      data: [],
+      message: `Failed to fetch trash: ${error.message}`,
+      status: errorStatus(error)
+    };
+  }
+}
+
+// Take a record out of the trash. Purchases and stock movements of an item
+// that is itself in the trash can only come back with their item.
+export async function restoreFromTrash(entityType, id) {
+  try {
+    requirePermission('manage');
+    const trashable = TRASHABLE[entityType];
+    if (!trashable) {
+      return { success: false, data: null, message: `Invalid record type: ${entityType}` };
+    }
+
+    const organizationId = requireOrganizationId();
+    const { table } = trashable;
+    const existing = await db
+      .select()
+      .from(table)
+      .where(and(eq(table.id, id), trashable.scope(organizationId)))
+      .limit(1);
+    const before = existing[0];
+    if (!before) {
+      return notFound('Record not found');
+    }
+    if (!before.deletedAt) {
+      return { success: true, data: before, message: 'Record is not in the trash' };
+    }
+    if (before.itemId != null && entityType !== 'item' && !(await findItem(before.itemId, organizationId))) {
+      return { success: false, data: null, message: 'Its item is in the trash. Restore the item first.' };
+    }
+
+    const result = await audited(db
+      .update(table)
+      .set({ deletedAt: null })
+      .where(eq(table.id, id))
+      .returning(), table, {
+      action: 'restore',
+      entityType,
+      itemId: entityType === 'item' ? id : table.itemId ?? null,
+      before
+    });
+
+    return {
+      success: true,
+      data: result[0],
+      message: 'Restored from the trash'
+    };
+  } catch (error) {
+    console.error('Error restoring from trash:', error);
+    return {
+      success: false,
+      data: null,
+      message: `Failed to restore from trash: ${error.message}`,
+      status: errorStatus(error)
+    };
+  }
+}
+
+// Permanently delete a record that is in the trash. Purging an item removes
+// its purchases and movements; purging an order removes its lines. The files
+// attached to purged purchases are removed from storage.
+export async function purgeFromTrash(entityType, id) {
+  try {
+    requirePermission('manage');
+    const trashable = TRASHABLE[entityType];
+    if (!trashable) {
+      return { success: false, data: null, message: `Invalid record type: ${entityType}` };
+    }
+
+    // Attachment rows go with their purchases, so their files are looked up first
+    const purchaseColumn = { item: schema.purchases.itemId, purchase: schema.purchases.id }[entityType];
+    const files = purchaseColumn
+      ? await db
+        .select({ storage: schema.purchaseAttachments.storage, storageKey: schema.purchaseAttachments.storageKey })
+        .from(schema.purchaseAttachments)
+        .innerJoin(schema.purchases, eq(schema.purchaseAttachments.purchaseId, schema.purchases.id))
+        .where(eq(purchaseColumn, id))
+      : [];
+
+    const { table } = trashable;
+    const result = await audited(db
+      .delete(table)
+      .where(and(eq(table.id, id), trashable.scope(requireOrganizationId()), isNotNull(table.deletedAt)))
+      .returning(), table, {
+      action: 'purge',
+      entityType,
+      itemId: entityType === 'item' ? id : table.itemId ?? null
+    });
+    if (result[0]) {
+      await removeStoredFiles(files);
+    }
+
+    return {
+      success: true,
+      data: result[0] || null,
+      message: result[0] ? 'Deleted forever' : 'Nothing to delete: record is not in the trash'
+    };
+  } catch (error) {
+    console.error('Error purging from trash:', error);
+    return {
+      success: false,
+      data: null,
+      message: `Failed to delete forever: ${error.message}`,
+      status: errorStatus(error)
+    };
+  }
+}
+
+// Purchase filter for the organization and an optional date range; `to` is
+// inclusive of the whole day
+function purchaseDateRange({ from, to } = {}) {
+  const conditions = [
+    inOrganization(schema.purchases.itemId, requireOrganizationId()),
+    isNull(schema.purchases.deletedAt)
+  ];
+  if (from) conditions.push(gte(schema.purchases.date, new Date(from)));
+  if (to) {
+    const end = new Date(to);
+    end.setDate(end.getDate() + 1);
+    conditions.push(lt(schema.purchases.date, end));
+  }
+  return and(...conditions);
+}
+
+// Spend is net of tax in the base currency
+const spentTotal = () => sql`COALESCE(SUM(${purchaseNetAmount()}), 0)`.mapWith(Number);
+const taxTotal = () => sql`COALESCE(SUM(${purchaseTaxAmount()}), 0)`.mapWith(Number);
+// Quantities are summed in base units
+const qtyTotal = () => sql`COALESCE(SUM(${purchaseBaseQty()}), 0)`.mapWith(Number);
+
+// Get total spend per calendar month within a date range, oldest month first
+export async function getSpendByMonth(range = {}) {
+  try {
+    const month = sql`to_char(date_trunc('month', ${schema.purchases.date}), 'YYYY-MM')`;
+    const result = await db
+      .select({
+        month: month,
+        purchaseCount: sql`COUNT(*)`.mapWith(Number),
+        totalQty: qtyTotal(),
+        totalSpent: spentTotal()
+      })
+      .from(schema.purchases)
+      .where(purchaseDateRange(range))
+      .groupBy(month)
+      .orderBy(month);
+
+    return {
+      success: true,
+      data: result,
+      message: `Spend calculated for ${result.length} months`
+    };
+  } catch (error) {
+    console.error('Error calculating monthly spend:', error);
+    return {
+      success: false,
+      data: [],
+      message: `Failed to calculate monthly spend: ${error.message}`,
+      status: errorStatus(error)
+    };
+  }
+}
+
+// Get total spend per item within a date range, highest spend first, with
+// the average price per base unit
+export async function getSpendByItem(range = {}) {
+  try {
+    const totalSpent = spentTotal();
+    const result = await db
+      .select({
+        itemId: schema.items.id,
+        name: schema.items.name,
+        baseUnit: schema.items.baseUnit,
+        purchaseCount: sql`COUNT(*)`.mapWith(Number),
+        totalQty: qtyTotal(),
+        totalSpent,
+        averagePrice: sql`COALESCE(SUM(${purchaseNetAmount()}) / NULLIF(SUM(${purchaseBaseQty()}), 0), 0)`.mapWith(Number)
+      })
+      .from(schema.purchases)
+      .innerJoin(schema.items, eq(schema.purchases.itemId, schema.items.id))
+      .where(purchaseDateRange(range))
+      .groupBy(schema.items.id)
+      .orderBy(desc(totalSpent));
+
+    return {
+      success: true,
+      data: result,
+      message: `Spend calculated for ${result.length} items`
+    };
+  } catch (error) {
+    console.error('Error calculating spend by item:', error);
+    return {
+      success: false,
+      data: [],
+      message: `Failed to calculate spend by item: ${error.message}`,
+      status: errorStatus(error)
+    };
+  }
+}
+
+// Get total spend per supplier within a date range, highest spend first.
+// Purchases without a linked supplier are grouped under a null supplierId.
+export async function getSpendBySupplier(range = {}) {
+  try {
+    const totalSpent = spentTotal();
+    const result = await db
+      .select({
+        supplierId: schema.purchases.supplierId,
+        name: sql`COALESCE(${schema.suppliers.name}, 'No supplier')`,
+        purchaseCount: sql`COUNT(*)`.mapWith(Number),
+        itemCount: sql`COUNT(DISTINCT ${schema.purchases.itemId})`.mapWith(Number),
+        totalSpent
+      })
+      .from(schema.purchases)
+      .leftJoin(schema.suppliers, eq(schema.purchases.supplierId, schema.suppliers.id))
+      .where(purchaseDateRange(range))
+      .groupBy(schema.purchases.supplierId, schema.suppliers.name)
+      .orderBy(desc(totalSpent));
+
+    return {
+      success: true,
+      data: result,
+      message: `Spend calculated for ${result.length} suppliers`
+    };
+  } catch (error) {
+    console.error('Error calculating spend by supplier:', error);
+    return {
+      success: false,
+      data: [],
+      message: `Failed to calculate spend by supplier: ${error.message}`,
+      status: errorStatus(error)
+    };
+  }
+}
+
+// Get the items whose base unit price changed the most between their first
+// and last purchase within a date range (by absolute percentage change)
+export async function getPriceMovers(range = {}, limit = 10) {
+  try {
+    const firstPrice = sql`(array_agg(${purchaseBasePrice()} ORDER BY ${schema.purchases.date} ASC, ${schema.purchases.id} ASC))[1]`;
+    const lastPrice = sql`(array_agg(${purchaseBasePrice()} ORDER BY ${schema.purchases.date} DESC, ${schema.purchases.id} DESC))[1]`;
+    const changePercent = sql`(${lastPrice} - ${firstPrice}) * 100.0 / NULLIF(${firstPrice}, 0)`;
+    const result = await db
+      .select({
+        itemId: schema.items.id,
+        name: schema.items.name,
+        baseUnit: schema.items.baseUnit,
+        purchaseCount: sql`COUNT(*)`.mapWith(Number),
+        firstPrice: firstPrice.mapWith(Number),
+        lastPrice: lastPrice.mapWith(Number),
+        change: sql`${lastPrice} - ${firstPrice}`.mapWith(Number),
+        changePercent: changePercent.mapWith(Number)
+      })
+      .from(schema.purchases)
+      .innerJoin(schema.items, eq(schema.purchases.itemId, schema.items.id))
+      .where(purchaseDateRange(range))
+      .groupBy(schema.items.id)
+      .having(sql`COUNT(*) > 1 AND ${lastPrice} <> ${firstPrice}`)
+      .orderBy(sql`ABS(COALESCE(${changePercent}, 0)) DESC`)
+      .limit(limit);
+
+    return {
+      success: true,
+      data: result,
+      message: `Found ${result.length} items with price changes`
+    };
+  } catch (error) {
+    console.error('Error calculating price movers:', error);
+    return {
+      success: false,
+      data: [],
+      message: `Failed to calculate price movers: ${error.message}`,
+      status: errorStatus(error)
+    };
+  }
+}
+
+// Get everything the spend dashboard needs for a date range ({ from, to } as YYYY-MM-DD)
+export async function getSpendAnalytics(range = {}) {
+  try {
+    const [totals, byMonth, byItem, bySupplier, priceMovers] = await Promise.all([
+      db
+        .select({
+          purchaseCount: sql`COUNT(*)`.mapWith(Number),
+          totalQty: qtyTotal(),
+          totalSpent: spentTotal(),
+          totalTax: taxTotal(),
+          itemCount: sql`COUNT(DISTINCT ${schema.purchases.itemId})`.mapWith(Number),
+          supplierCount: sql`COUNT(DISTINCT ${schema.purchases.supplierId})`.mapWith(Number)
+        })
+        .from(schema.purchases)
+        .where(purchaseDateRange(range)),
+      getSpendByMonth(range),
+      getSpendByItem(range),
+      getSpendBySupplier(range),
+      getPriceMovers(range)
+    ]);
+
+    const failed = [byMonth, byItem, bySupplier, priceMovers].find((r) => !r.success);
+    if (failed) return { success: false, data: null, message: failed.message };
+
+    return {
+      success: true,
+      data: {
+        totals: totals[0],
+        byMonth: byMonth.data,
+        byItem: byItem.data,
+        bySupplier: bySupplier.data,
+        priceMovers: priceMovers.data
+      },
+      message: 'Spend analytics calculated'
+    };
+  } catch (error) {
+    console.error('Error calculating spend analytics:', error);
+    return {
+      success: false,
+      data: null,
+      message: `Failed to calculate spend analytics: ${error.message}`,
+      status: errorStatus(error)
+    };
+  }
+}
+
+// Budgets of the organization, each with its scope and the name of what it is
+// for (the item, the category's full path or the supplier), by scope and
+// name, together with the organization's categories
+async function organizationBudgets(organizationId) {
+  const [budgets, categories] = await Promise.all([
+    db.query.budgets.findMany({
+      where: eq(schema.budgets.organizationId, organizationId),
+      with: { item: { columns: { name: true } }, supplier: { columns: { name: true } } }
+    }),
+    organizationCategories(organizationId)
+  ]);
+  const details = budgets.map(({ item, supplier, ...budget }) => ({
+    ...budget,
+    amount: Number(budget.amount),
+    scope: budgetScope(budget),
+    name: item?.name ?? supplier?.name ?? categoryPath(categories, budget.categoryId).join(CATEGORY_PATH_SEPARATOR)
+  }));
+  details.sort((a, b) => a.scope.localeCompare(b.scope) || a.name.localeCompare(b.name) || a.id - b.id);
+  return { budgets: details, categories };
+}
+
+// Get every budget of the organization
+export async function getBudgets() {
+  try {
+    const { budgets } = await organizationBudgets(requireOrganizationId());
+
+    return {
+      success: true,
+      data: budgets,
+      message: `Successfully retrieved ${budgets.length} budgets`
+    };
+  } catch (error) {
+    console.error('Error fetching budgets:', error);
+    return {
+      success: false,
+      data: [],
+      message: `Failed to fetch budgets: ${error.message}`,
+      status: errorStatus(error)
+    };
+  }
+}
+
+// Why a budget cannot be for the given target, or null: exactly one of the
+// ids must be set, and name a live record of the organization
+async function budgetTargetError(organizationId, { categoryId, itemId, supplierId }) {
+  if ([categoryId, itemId, supplierId].filter((id) => id != null).length !== 1) {
+    return 'A budget is for exactly one category, item or supplier';
+  }
+  if (itemId != null) {
+    return (await findItem(itemId, organizationId)) ? null : 'Item not found';
+  }
+  if (categoryId != null) {
+    const categories = await organizationCategories(organizationId);
+    return categories.some((c) => c.id === categoryId) ? null : 'Category not found';
+  }
+  const supplier = await db
+    .select({ id: schema.suppliers.id })
+    .from(schema.suppliers)
+    .where(and(
+      eq(schema.suppliers.id, supplierId),
+      eq(schema.suppliers.organizationId, organizationId),
+      isNull(schema.suppliers.deletedAt)
+    ))
+    .limit(1);
+  return supplier.length > 0 ? null : 'Supplier not found';
+}
+
+// Set the amount a category, item or supplier (exactly one of the ids) may
+// spend per period. Saving a target and period that already has a budget
+// updates its amount.
+export async function saveBudget({ categoryId = null, itemId = null, supplierId = null, period = 'month', amount }) {
+  try {
+    requirePermission('manage');
+    if (!BUDGET_PERIODS.includes(period)) {
+      return { success: false, data: null, message: `Budget period must be one of: ${BUDGET_PERIODS.join(', ')}` };
+    }
+    const budgetAmount = Number(amount);
+    if (!Number.isFinite(budgetAmount) || budgetAmount <= 0) {
+      return { success: false, data: null, message: 'Budget amount must be a positive number' };
+    }
+
+    const organizationId = requireOrganizationId();
+    const target = { categoryId, itemId, supplierId };
+    const targetError = await budgetTargetError(organizationId, target);
+    if (targetError) return { success: false, data: null, message: targetError };
+
+    const sameTarget = (column, id) => (id == null ? isNull(column) : eq(column, id));
+    const [before] = await db
+      .select()
+      .from(schema.budgets)
+      .where(and(
+        eq(schema.budgets.organizationId, organizationId),
+        sameTarget(schema.budgets.categoryId, categoryId),
+        sameTarget(schema.budgets.itemId, itemId),
+        sameTarget(schema.budgets.supplierId, supplierId),
+        eq(schema.budgets.period, period)
+      ))
+      .limit(1);
+
+    let saved;
+    if (before) {
+      [saved] = await audited(db
+        .update(schema.budgets)
+        .set({ amount: budgetAmount, updatedAt: new Date() })
+        .where(eq(schema.budgets.id, before.id))
+        .returning(), schema.budgets, { action: 'update', entityType: 'budget', itemId, before });
+    } else {
+      [saved] = await audited(db
+        .insert(schema.budgets)
+        .values({ organizationId, ...target, period, amount: budgetAmount })
+        .returning(), schema.budgets, { action: 'create', entityType: 'budget', itemId });
+    }
+    const { budgets } = await organizationBudgets(organizationId);
+
+    return {
+      success: true,
+      data: budgets.find((b) => b.id === saved.id),
+      message: before ? 'Budget updated successfully' : 'Successfully added budget'
+    };
+  } catch (error) {
+    console.error('Error saving budget:', error);
+    return {
+      success: false,
+      data: null,
+      message: `Failed to save budget: ${error.message}`,
+      status: errorStatus(error)
+    };
+  }
+}
+
+// Delete a budget. Budgets are not trashed.
+export async function deleteBudget(budgetId) {
+  try {
+    requirePermission('manage');
+    const organizationId = requireOrganizationId();
+    const [budget] = await audited(db
+      .delete(schema.budgets)
+      .where(and(eq(schema.budgets.id, budgetId), eq(schema.budgets.organizationId, organizationId)))
+      .returning(), schema.budgets, { action: 'delete', entityType: 'budget', itemId: schema.budgets.itemId });
+    if (!budget) {
+      return notFound('Budget not found');
+    }
+
+    return {
+      success: true,
+      data: budget,
+      message: 'Budget deleted successfully'
+    };
+  } catch (error) {
+    console.error('Error deleting budget:', error);
+    return {
+      success: false,
+      data: null,
+      message: `Failed to delete budget: ${error.message}`,
+      status: errorStatus(error)
+    };
+  }
+}
+
+// Condition matching the purchases a budget covers
+function budgetPurchases(budget, categories) {
+  if (budget.itemId != null) return eq(schema.purchases.itemId, budget.itemId);
+  if (budget.supplierId != null) return eq(schema.purchases.supplierId, budget.supplierId);
+  return inArray(
+    schema.purchases.itemId,
+    db.select({ id: schema.items.id }).from(schema.items).where(
+      inArray(schema.items.categoryId, [...categoryWithDescendants(categories, budget.categoryId)])
+    )
+  );
+}
+
+// Get budget vs actual for the periods containing `date` (YYYY-MM-DD, default
+// today): each budget with its period, the net spend on its purchases so far,
+// its status (see budgetStatus) and a burn-down of what was left after each
+// day with purchases ([{ date, spent, remaining }], spent is cumulative)
+export async function getBudgetReport({ date } = {}) {
+  try {
+    const day = date ? budgetDate(date) : new Date();
+    if (Number.isNaN(day.getTime())) {
+      return { success: false, data: [], message: 'Invalid report date' };
+    }
+
+    const { budgets, categories } = await organizationBudgets(requireOrganizationId());
+    const dayOf = sql`to_char(date_trunc('day', ${schema.purchases.date}), 'YYYY-MM-DD')`;
+    const report = await Promise.all(budgets.map(async (budget) => {
+      const period = budgetPeriod(budget.period, day);
+      const byDay = await db
+        .select({ date: dayOf, spent: spentTotal() })
+        .from(schema.purchases)
+        .where(and(
+          purchaseDateRange(),
+          gte(schema.purchases.date, period.start),
+          lt(schema.purchases.date, period.end),
+          budgetPurchases(budget, categories)
+        ))
+        .groupBy(dayOf)
+        .orderBy(dayOf);
+
+      let spent = 0;
+      const burnDown = byDay.map((d) => {
+        spent += d.spent;
+        return { date: d.date, spent, remaining: budget.amount - spent };
+      });
+      return {
+        ...budget,
+        periodStart: period.start,
+        periodEnd: period.end,
+        periodLabel: budgetPeriodLabel(budget.period, period.start),
+        ...budgetStatus(budget.amount, spent, period),
+        burnDown
+      };
+    }));
+
+    return {
+      success: true,
+      data: report,
+      message: `Budget report calculated for ${report.length} budgets`
+    };
+  } catch (error) {
+    console.error('Error calculating budget report:', error);
+    return {
+      success: false,
+      data: [],
+      message: `Failed to calculate budget report: ${error.message}`,
+      status: errorStatus(error)
+    };
+  }
+}
+
+// Get audit log entries with the user who made each change, newest first.
+// Filter by item (the item itself plus its purchases and stock movements) or
+// by a single record with entityType and entityId.
+export async function getAuditLog({ itemId, entityType, entityId, limit = 100 } = {}) {
+  try {
+    const organizationId = requireOrganizationId();
+    const result = await db.query.auditLog.findMany({
+      where: (log, { eq }) => and(
+        eq(log.organizationId, organizationId),
+        itemId != null ? eq(log.itemId, itemId) : undefined,
+        entityType ? eq(log.entityType, entityType) : undefined,
+        entityId != null ? eq(log.entityId, entityId) : undefined
+      ),
+      with: {
+        user: { columns: { id: true, email: true, name: true } }
+      },
+      orderBy: [desc(schema.auditLog.createdAt), desc(schema.auditLog.id)],
+      limit
+    });
+
+    return {
+      success: true,
+      data: result,
+      message: `Successfully retrieved ${result.length} audit log entries`
+    };
+  } catch (error) {
+    console.error('Error fetching audit log:', error);
+    return {
+      success: false,
+      data: [],
+      message: `Failed to fetch audit log: ${error.message}`,
+      status: errorStatus(error)
+    };
+  }
+}
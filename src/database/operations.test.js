@@ -0,0 +1,313 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { PgDialect } from 'drizzle-orm/pg-core';
+import { db } from './connection.js';
+import { runWithSession } from './auth.js';
+import {
+  addItem, addPurchase, addItemWithPurchase, updatePurchase, deletePurchase, deleteItem, recordStockMovement, deleteStockMovement,
+  getItemById, updateItemName, saveSupplier, updateSupplier, updateItemReorderSettings, createPurchaseOrder, receivePurchaseOrder,
+  restoreFromTrash, purgeFromTrash
+} from './operations.js';
+
+// Rows answered by the next `select(...).from(...).where(...)`, with or without `.limit(n)`
+const selected = [];
+// Record answered by the next `db.query.<table>.findFirst(...)` (or findMany)
+const found = [];
+// Conditions passed to `.where(...)` and `findFirst({ where })`, in order
+const conditions = [];
+
+vi.mock('./connection.js', async () => {
+  const schema = await vi.importActual('./schema.js');
+  const operators = await vi.importActual('drizzle-orm');
+  const query = () => {
+    const chain = {
+      from: () => chain,
+      where: (condition) => {
+        conditions.push(condition);
+        return {
+          limit: async () => selected.shift() || [],
+          then: (resolve) => resolve(selected.shift() || [])
+        };
+      }
+    };
+    return chain;
+  };
+  const findFirst = (table) => async ({ where } = {}) => {
+    if (where) conditions.push(where(table, operators));
+    return found.shift();
+  };
+  const findMany = (table) => async (options) => {
+    const record = await findFirst(table)(options);
+    return record ? [record] : [];
+  };
+  const tables = new Proxy({}, { get: (target, name) => ({ findFirst: findFirst(schema[name]), findMany: findMany(schema[name]) }) });
+  // Inserts, updates and their audit entries are only built here, to be run by `db.batch`
+  const statement = {
+    values: () => statement,
+    set: () => statement,
+    where: (condition) => {
+      conditions.push(condition);
+      return statement;
+    },
+    returning: () => statement
+  };
+  const audited = { as: () => statement, select: () => audited, from: () => statement };
+  return {
+    db: { select: vi.fn(query), insert: () => statement, update: vi.fn(() => statement), $with: () => audited, with: () => audited, batch: vi.fn(), query: tables },
+    schema
+  };
+});
+
+const manager = { user: { id: 1, role: 'manager' }, organization: { id: 1 } };
+const asManager = (fn) => runWithSession(manager, fn);
+const asRole = (role, fn) => runWithSession({ ...manager, user: { id: 1, role } }, fn);
+
+// Whether one of the conditions the operation filtered by compares an
+// organization_id column with `organizationId`
+const dialect = new PgDialect();
+function scopedTo(organizationId) {
+  return conditions.some((condition) => {
+    const { sql, params } = dialect.sqlToQuery(condition);
+    return [...sql.matchAll(/"organization_id" = \$(\d+)/g)].some(([, n]) => params[n - 1] === organizationId);
+  });
+}
+
+beforeEach(() => {
+  selected.length = 0;
+  found.length = 0;
+  conditions.length = 0;
+  vi.clearAllMocks();
+});
+
+describe('addItem', () => {
+  it.each(['', '   ', undefined])('rejects a blank name (%s)', async (name) => {
+    const result = await asManager(() => addItem(name));
+    expect(result).toMatchObject({ success: false, message: 'Item name is required' });
+  });
+});
+
+describe('purchase values', () => {
+  const purchase = { qty: 2, unitPrice: 3, date: '2026-01-05' };
+
+  // The same rules as the UI (quantityError, amountError and recordDateError in schema.js)
+  const invalid = [
+    [{ qty: 0 }, 'Quantity must be a positive number'],
+    [{ qty: -1 }, 'Quantity must be a positive number'],
+    [{ qty: 'ten' }, 'Quantity must be a positive number'],
+    [{ qty: Infinity }, 'Quantity must be a positive number'],
+    [{ unitPrice: -1 }, 'Price must be zero or a positive number'],
+    [{ unitPrice: 'free' }, 'Price must be zero or a positive number'],
+    [{ date: null }, 'Date is required'],
+    [{ date: 'yesterday' }, 'Invalid date format']
+  ];
+
+  it.each(invalid)('are rejected when adding a purchase with %o', async (values, message) => {
+    const result = await asManager(() => addPurchase(2, { ...purchase, ...values }));
+    expect(result).toMatchObject({ success: false, message });
+  });
+
+  it.each(invalid)('are rejected when adding an item with a purchase with %o', async (values, message) => {
+    const result = await asManager(() => addItemWithPurchase({ name: 'Flour', ...purchase, ...values }));
+    expect(result).toMatchObject({ success: false, message });
+  });
+
+  it.each(invalid)('are rejected when editing a purchase with %o', async (values, message) => {
+    const result = await asManager(() => updatePurchase(5, values));
+    expect(result).toMatchObject({ success: false, message });
+  });
+
+  it('allow a price of zero for free goods', async () => {
+    const result = await asManager(() => updatePurchase(5, { unitPrice: 0 }));
+    expect(result).toMatchObject({ success: false, message: 'Purchase not found', status: 404 });
+  });
+});
+
+describe('adds with a client key', () => {
+  const purchase = { qty: 2, unitPrice: 3, date: '2026-01-05', clientKey: 'p1' };
+
+  it('return the purchase stored by an earlier attempt', async () => {
+    selected.push([{ id: 9, itemId: 2, clientKey: 'p1' }]);
+    const result = await asManager(() => addPurchase(2, purchase));
+    expect(result).toMatchObject({ success: true, data: { id: 9 } });
+  });
+
+  it('return the purchase and its item when adding an item with a purchase', async () => {
+    selected.push([{ id: 9, itemId: 2, clientKey: 'p1' }]);
+    const result = await asManager(() => addItemWithPurchase({ name: 'Flour', ...purchase }));
+    expect(result).toMatchObject({ success: true, data: { itemId: 2, purchase: { id: 9 }, isNewItem: false } });
+  });
+
+  it('return the stock movement stored by an earlier attempt', async () => {
+    selected.push([{ id: 4, itemId: 2, clientKey: 'm1' }]);
+    const result = await asManager(() => recordStockMovement(2, { type: 'issue', qty: 1, date: '2026-01-05', clientKey: 'm1' }));
+    expect(result).toMatchObject({ success: true, data: { id: 4 } });
+  });
+});
+
+describe('updateItemName', () => {
+  it.each(['', '   ', undefined])('rejects a blank name (%s)', async (name) => {
+    const result = await asManager(() => updateItemName(2, name));
+    expect(result).toMatchObject({ success: false, message: 'Item name is required' });
+  });
+
+  it('answers 404 for an item that does not exist or is in the trash', async () => {
+    const result = await asManager(() => updateItemName(2, 'Flour'));
+    expect(result).toMatchObject({ success: false, message: 'Item not found', status: 404 });
+  });
+
+  it('explains a name taken by another item', async () => {
+    selected.push([{ id: 2, name: 'Flour' }], [{ name: 'Sugar', deletedAt: null }]);
+    const result = await asManager(() => updateItemName(2, ' Sugar '));
+    expect(result).toMatchObject({ success: false, message: 'An item named Sugar already exists', status: 409 });
+  });
+
+  it('explains a name taken by an item in the trash', async () => {
+    selected.push([{ id: 2, name: 'Flour' }], [{ name: 'Sugar', deletedAt: new Date() }]);
+    const result = await asManager(() => updateItemName(2, 'Sugar'));
+    expect(result).toMatchObject({ success: false, message: '"Sugar" is in the trash. Restore it or delete it forever first.' });
+  });
+
+  it('needs the manage permission', async () => {
+    const result = await asRole('clerk', () => updateItemName(2, 'Flour'));
+    expect(result).toMatchObject({ success: false, status: 403 });
+  });
+});
+
+describe('updateSupplier', () => {
+  it.each(['', '   '])('rejects a blank name (%s)', async (name) => {
+    const result = await asManager(() => updateSupplier(3, { name }));
+    expect(result).toMatchObject({ success: false, message: 'Supplier name is required' });
+  });
+
+  it('answers 404 for a supplier that does not exist', async () => {
+    const result = await asManager(() => updateSupplier(3, { name: 'Acme' }));
+    expect(result).toMatchObject({ success: false, message: 'Supplier not found', status: 404 });
+  });
+});
+
+describe('updateItemReorderSettings', () => {
+  it.each([-1, 'lots', Infinity])('rejects a minimum stock of %s', async (minStock) => {
+    const result = await asManager(() => updateItemReorderSettings(2, { minStock, reorderQty: null }));
+    expect(result).toMatchObject({ success: false, message: 'Minimum stock must be zero or a positive number' });
+  });
+
+  it('rejects a negative reorder quantity', async () => {
+    const result = await asManager(() => updateItemReorderSettings(2, { minStock: 5, reorderQty: -2 }));
+    expect(result).toMatchObject({ success: false, message: 'Reorder quantity must be zero or a positive number' });
+  });
+
+  it('answers 404 for an item that does not exist', async () => {
+    const result = await asManager(() => updateItemReorderSettings(2, { minStock: 0, reorderQty: '' }));
+    expect(result).toMatchObject({ success: false, message: 'Item not found', status: 404 });
+  });
+});
+
+describe('recordStockMovement', () => {
+  it.each([
+    [{ qty: -5 }, 'Quantity must be a positive number'],
+    [{ qty: 0 }, 'Quantity must be a positive number'],
+    [{ qty: 'some' }, 'Quantity must be a positive number'],
+    [{ date: undefined }, 'Date is required'],
+    [{ date: '2026-13-45' }, 'Invalid date format']
+  ])('rejects a movement with %o', async (values, message) => {
+    const result = await asManager(() => recordStockMovement(2, { type: 'issue', qty: 5, date: '2026-01-05', ...values }));
+    expect(result).toMatchObject({ success: false, message });
+  });
+});
+
+describe('receivePurchaseOrder', () => {
+  const order = {
+    id: 7,
+    status: 'sent',
+    supplierId: null,
+    lines: [{ id: 1, itemId: 2, qtyOrdered: '10', qtyReceived: '4', unitPrice: '3' }]
+  };
+
+  it('rejects an invalid date', async () => {
+    const result = await asManager(() => receivePurchaseOrder(7, { date: 'soon', lines: [{ lineId: 1, qty: 1 }] }));
+    expect(result).toMatchObject({ success: false, message: 'Invalid date format' });
+  });
+
+  it('rejects a line listed more than once', async () => {
+    found.push(order);
+    const result = await asManager(() => receivePurchaseOrder(7, { lines: [{ lineId: 1, qty: 4 }, { lineId: 1, qty: 4 }] }));
+    expect(result).toMatchObject({ success: false, message: 'Line 1 is listed more than once' });
+  });
+
+  it('rejects more than is outstanding', async () => {
+    found.push(order);
+    const result = await asManager(() => receivePurchaseOrder(7, { lines: [{ lineId: 1, qty: 7 }] }));
+    expect(result).toMatchObject({ success: false, message: 'Cannot receive 7, only 6 outstanding' });
+  });
+
+  it('answers 409 when receipts made at the same time would exceed the order', async () => {
+    found.push(order);
+    const violation = Object.assign(new Error('violates check constraint'), { code: '23514', constraint: 'purchase_order_lines_received_within_ordered_check' });
+    db.batch.mockRejectedValueOnce(Object.assign(new Error('Failed query'), { cause: violation }));
+    const quiet = vi.spyOn(console, 'error').mockImplementation(() => {});
+    const result = await asManager(() => receivePurchaseOrder(7, { lines: [{ lineId: 1, qty: 6 }] }));
+    quiet.mockRestore();
+    expect(result).toMatchObject({ success: false, status: 409 });
+  });
+});
+
+describe('roles', () => {
+  const purchase = { qty: 2, unitPrice: 3, date: '2026-01-05' };
+  const changes = [
+    ['addItem', () => addItem('Flour')],
+    ['addPurchase', () => addPurchase(2, purchase)],
+    ['addItemWithPurchase', () => addItemWithPurchase({ name: 'Flour', ...purchase })],
+    ['recordStockMovement', () => recordStockMovement(2, { type: 'issue', qty: 1, date: '2026-01-05' })],
+    ['saveSupplier', () => saveSupplier({ name: 'Acme' })],
+    ['receivePurchaseOrder', () => receivePurchaseOrder(7, { lines: [{ lineId: 1, qty: 1 }] })],
+    ['updatePurchase', () => updatePurchase(5, { qty: 1 })],
+    ['deletePurchase', () => deletePurchase(5)],
+    ['deleteItem', () => deleteItem(2)],
+    ['updateItemName', () => updateItemName(2, 'Flour')],
+    ['createPurchaseOrder', () => createPurchaseOrder({ supplier: 'Acme', lines: [{ itemId: 2, qty: 1, unitPrice: 3 }] })],
+    ['restoreFromTrash', () => restoreFromTrash('purchase', 5)],
+    ['purgeFromTrash', () => purgeFromTrash('purchase', 5)]
+  ];
+
+  it.each(changes)('refuse %s to a viewer before reading or changing anything', async (name, change) => {
+    const result = await asRole('viewer', change);
+    expect(result).toMatchObject({ success: false, status: 403 });
+    expect(db.select).not.toHaveBeenCalled();
+    expect(db.update).not.toHaveBeenCalled();
+    expect(db.batch).not.toHaveBeenCalled();
+  });
+
+  it.each(changes)('refuse %s when nobody is signed in', async (name, change) => {
+    expect(await change()).toMatchObject({ success: false, status: 401 });
+  });
+
+  it('let a clerk record but not edit or delete', async () => {
+    expect(await asRole('clerk', () => addPurchase(2, purchase))).toMatchObject({ message: 'Item not found', status: 404 });
+    expect(await asRole('clerk', () => deletePurchase(5))).toMatchObject({ success: false, status: 403 });
+  });
+});
+
+describe('records of another organization', () => {
+  // Signed in to organization 2; the records belong to organization 1, so the
+  // scoped queries find nothing
+  const asOtherOrganization = (fn) => runWithSession({ ...manager, organization: { id: 2 } }, fn);
+
+  it.each([
+    ['getItemById', () => getItemById(2), 'Item not found'],
+    ['updateItemName', () => updateItemName(2, 'Flour'), 'Item not found'],
+    ['addPurchase', () => addPurchase(2, { qty: 2, unitPrice: 3, date: '2026-01-05' }), 'Item not found'],
+    ['updatePurchase', () => updatePurchase(5, { qty: 1 }), 'Purchase not found'],
+    ['deletePurchase', () => deletePurchase(5), 'Purchase not found'],
+    ['deleteStockMovement', () => deleteStockMovement(4), 'Stock movement not found'],
+    ['updateSupplier', () => updateSupplier(3, { name: 'Acme' }), 'Supplier not found'],
+    ['receivePurchaseOrder', () => receivePurchaseOrder(7, { lines: [{ lineId: 1, qty: 1 }] }), 'Purchase order not found'],
+    ['restoreFromTrash', () => restoreFromTrash('purchase', 5), 'Record not found']
+  ])('answer 404 from %s, looking only in the caller\'s organization', async (name, operation, message) => {
+    const quiet = vi.spyOn(console, 'error').mockImplementation(() => {});
+    const result = await asOtherOrganization(operation);
+    quiet.mockRestore();
+    expect(result).toMatchObject({ success: false, message, status: 404 });
+    expect(scopedTo(2)).toBe(true);
+    expect(scopedTo(1)).toBe(false);
+    expect(db.batch).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,567 @@
+import { v4 as uuidv4 } from 'uuid';
+import {
+  addPurchase,
+  addItemWithPurchase,
+  deleteItem,
+  deletePurchase,
+  updatePurchase,
+  updateItemName,
+  updateItemBaseUnit,
+  recordStockMovement,
+  deleteStockMovement,
+  updateItemReorderSettings,
+  updateItemInfo,
+  updateItemGrouping,
+  saveCategory,
+  updateCategory,
+  deleteCategory,
+  saveLocation,
+  updateLocation,
+  deleteLocation,
+  saveSupplier,
+  updateSupplier,
+  deleteSupplier,
+  createPurchaseOrder,
+  updatePurchaseOrder,
+  receivePurchaseOrder,
+  deletePurchaseOrder,
+  restoreFromTrash,
+  purgeFromTrash
+} from '../api/client.js';
+
+// Offline-first outbox of pending database operations.
+//
+// Every local add/edit/delete/restore appends an entry to `state.outbox`, which is persisted
+// with the rest of the state in localStorage. Entries reference local records by
+// uuid and are resolved to server ids only when replayed, so work done offline
+// is pushed in order once the database is reachable again. Entries that fail
+// for a reason retrying can fix (see isRetryable) are retried with exponential
+// backoff, keep their last error for the UI and hold back the entries after
+// them. Entries that can never succeed move to `state.deadLetters`, where the
+// user sees why and dismisses them, and replay goes on with the next entry.
+
+const BASE_RETRY_DELAY = 5000;
+const MAX_RETRY_DELAY = 5 * 60 * 1000;
+
+export const OUTBOX_ADD_TYPES = ['addPurchase', 'recordStockMovement'];
+export const OUTBOX_DELETE_TYPES = ['deleteItem', 'deletePurchase', 'deleteStockMovement', 'deleteSupplier', 'deletePurchaseOrder', 'deleteCategory', 'deleteLocation'];
+
+// Delay before the next attempt of an entry that has failed `attempts` times
+export function retryDelay(attempts) {
+  return Math.min(BASE_RETRY_DELAY * 2 ** Math.max(attempts - 1, 0), MAX_RETRY_DELAY);
+}
+
+// Whether a failed operation may succeed later: the server could not be
+// reached (status 0), timed out, was busy or failed unexpectedly (408, 429,
+// 5xx), or the session expired (401). Bad input, a missing permission or
+// record, an unknown operation or a record that depends on a change that
+// could not be stored fail the same way every time.
+export function isRetryable(result) {
+  const { status } = result;
+  return status === 0 || status === 401 || status === 408 || status === 429 || status >= 500;
+}
+
+// Append an operation to the outbox. `refs` holds the local ids (itemId,
+// recordId) or, for deletes, restores and purges, the serverId of the row
+// (and its entityType for restores and purges).
+export function enqueue(outbox, type, refs, label) {
+  return [
+    ...(outbox || []),
+    {
+      id: uuidv4(),
+      type,
+      ...refs,
+      label,
+      attempts: 0,
+      lastError: null,
+      nextAttemptAt: null,
+      createdAt: new Date().toISOString()
+    }
+  ];
+}
+
+// Drop pending adds for local records that were deleted before being pushed
+export function cancelPending(outbox, localId) {
+  return (outbox || []).filter((entry) => ![entry.itemId, entry.recordId, entry.supplierId, entry.orderId, entry.categoryId, entry.locationId].includes(localId));
+}
+
+// Remove add entries whose record is gone or already exists on the server
+export function pruneOutbox(state) {
+  const outbox = (state.outbox || []).filter((entry) => {
+    if (!OUTBOX_ADD_TYPES.includes(entry.type)) return true;
+    const { record } = findRecord(state, entry);
+    return record && record.serverId == null;
+  });
+  return { ...state, outbox };
+}
+
+// Server ids that have a delete still waiting in the outbox, keyed by record kind
+export function pendingDeletes(outbox) {
+  const ids = { item: new Set(), purchase: new Set(), movement: new Set(), supplier: new Set(), category: new Set(), location: new Set() };
+  for (const entry of outbox || []) {
+    if (entry.type === 'deleteItem') ids.item.add(entry.serverId);
+    if (entry.type === 'deletePurchase') ids.purchase.add(entry.serverId);
+    if (entry.type === 'deleteStockMovement') ids.movement.add(entry.serverId);
+    if (entry.type === 'deleteSupplier') ids.supplier.add(entry.serverId);
+    if (entry.type === 'deleteCategory') ids.category.add(entry.serverId);
+    if (entry.type === 'deleteLocation') ids.location.add(entry.serverId);
+  }
+  return ids;
+}
+
+// Local ids of purchases and stock movements with an operation still waiting
+// in the outbox; syncs keep their local values until it has been pushed
+export function pendingRecordIds(outbox) {
+  return new Set((outbox || []).filter((entry) => entry.recordId != null).map((entry) => entry.recordId));
+}
+
+function findRecord(state, entry) {
+  const item = (state.items || []).find((it) => it.id === entry.itemId) || null;
+  const list = entry.type === 'recordStockMovement' ? item?.movements : item?.purchases;
+  const record = (list || []).find((r) => r.id === entry.recordId) || null;
+  return { item, record };
+}
+
+// Server id of a local location (null for unassigned stock or a location that
+// was deleted), or an error when the location is not in the database yet
+function locationRef(state, locationId) {
+  const location = (state.locations || []).find((l) => l.id === locationId);
+  if (!location) return { serverId: null };
+  if (location.serverId == null) {
+    return { error: `Location ${location.name} has not been stored in the database yet` };
+  }
+  return { serverId: location.serverId };
+}
+
+// Currency and tax of a local purchase (purchases from before they existed
+// are in the base currency without tax)
+function pricingOf(record) {
+  return {
+    currency: record.currency ?? null,
+    exchangeRate: record.exchangeRate ?? 1,
+    taxRate: record.taxRate ?? 0,
+    taxInclusive: record.taxInclusive ?? false
+  };
+}
+
+const OPERATIONS = {
+  async addPurchase(state, entry) {
+    const { item, record } = findRecord(state, entry);
+    if (!record || record.serverId != null) return { success: true, message: 'Nothing to push' };
+    const location = locationRef(state, record.locationId);
+    if (location.error) return { success: false, message: location.error };
+
+    const purchase = {
+      qty: record.qty,
+      unitPrice: record.unitPrice,
+      unit: record.unit,
+      unitFactor: record.unitFactor,
+      supplier: record.supplier,
+      date: record.date,
+      locationId: location.serverId,
+      lotCode: record.lotCode ?? null,
+      expiryDate: record.expiryDate ?? null,
+      ...pricingOf(record),
+      // The server stores a purchase once per key, so replaying an add whose
+      // answer was lost (status 0 or 5xx) does not add it twice
+      clientKey: record.id
+    };
+
+    if (item.serverId != null) {
+      const result = await addPurchase(item.serverId, purchase);
+      return { ...result, serverIds: result.success ? { record: result.data.id } : null };
+    }
+
+    // Item was created offline: create or link it by SKU or name together with the purchase
+    const result = await addItemWithPurchase({ name: item.name, sku: item.sku, barcode: item.barcode, baseUnit: item.baseUnit, ...purchase });
+    return {
+      ...result,
+      serverIds: result.success ? { item: result.data.itemId, record: result.data.purchase.id } : null
+    };
+  },
+
+  // Edits read the record when replayed, so only its latest values are pushed
+  async updatePurchase(state, entry) {
+    const { item, record } = findRecord(state, entry);
+    if (!record) return { success: true, message: 'Nothing to push' };
+    if (record.serverId == null) {
+      return { success: false, message: `The purchase of ${item.name} has not been stored in the database yet` };
+    }
+    const location = locationRef(state, record.locationId);
+    if (location.error) return { success: false, message: location.error };
+
+    return updatePurchase(record.serverId, {
+      qty: record.qty,
+      unitPrice: record.unitPrice,
+      unit: record.unit ?? null,
+      unitFactor: record.unitFactor ?? 1,
+      supplier: record.supplier,
+      date: record.date,
+      locationId: location.serverId,
+      lotCode: record.lotCode ?? null,
+      expiryDate: record.expiryDate ?? null,
+      ...pricingOf(record)
+    });
+  },
+
+  async updateItemName(state, entry) {
+    const item = (state.items || []).find((it) => it.id === entry.itemId);
+    if (!item) return { success: true, message: 'Nothing to push' };
+    if (item.serverId == null) {
+      return { success: false, message: `${item.name} has not been stored in the database yet` };
+    }
+
+    return updateItemName(item.serverId, item.name);
+  },
+
+  async updateItemBaseUnit(state, entry) {
+    const item = (state.items || []).find((it) => it.id === entry.itemId);
+    if (!item) return { success: true, message: 'Nothing to push' };
+    if (item.serverId == null) {
+      return { success: false, message: `${item.name} has not been stored in the database yet` };
+    }
+
+    return updateItemBaseUnit(item.serverId, item.baseUnit);
+  },
+
+  async recordStockMovement(state, entry) {
+    const { item, record } = findRecord(state, entry);
+    if (!record || record.serverId != null) return { success: true, message: 'Nothing to push' };
+    if (item.serverId == null) {
+      return { success: false, message: `${item.name} has not been stored in the database yet` };
+    }
+    const from = locationRef(state, record.locationId);
+    const to = locationRef(state, record.toLocationId);
+    if (from.error || to.error) return { success: false, message: from.error || to.error };
+
+    const result = await recordStockMovement(item.serverId, {
+      ...record,
+      locationId: from.serverId,
+      toLocationId: to.serverId,
+      clientKey: record.id
+    });
+    return { ...result, serverIds: result.success ? { record: result.data.id } : null };
+  },
+
+  async updateReorderSettings(state, entry) {
+    const item = (state.items || []).find((it) => it.id === entry.itemId);
+    if (!item) return { success: true, message: 'Nothing to push' };
+    if (item.serverId == null) {
+      return { success: false, message: `${item.name} has not been stored in the database yet` };
+    }
+
+    return updateItemReorderSettings(item.serverId, {
+      minStock: item.minStock ?? null,
+      reorderQty: item.reorderQty ?? null
+    });
+  },
+
+  async updateItemInfo(state, entry) {
+    const item = (state.items || []).find((it) => it.id === entry.itemId);
+    if (!item) return { success: true, message: 'Nothing to push' };
+    if (item.serverId == null) {
+      return { success: false, message: `${item.name} has not been stored in the database yet` };
+    }
+
+    return updateItemInfo(item.serverId, {
+      sku: item.sku ?? null,
+      barcode: item.barcode ?? null,
+      description: item.description ?? null,
+      attributes: item.attributes || {}
+    });
+  },
+
+  async updateItemGrouping(state, entry) {
+    const item = (state.items || []).find((it) => it.id === entry.itemId);
+    if (!item) return { success: true, message: 'Nothing to push' };
+    if (item.serverId == null) {
+      return { success: false, message: `${item.name} has not been stored in the database yet` };
+    }
+    const category = (state.categories || []).find((c) => c.id === item.categoryId) || null;
+    if (category && category.serverId == null) {
+      return { success: false, message: `Category ${category.name} has not been stored in the database yet` };
+    }
+
+    return updateItemGrouping(item.serverId, { categoryId: category?.serverId ?? null, tags: item.tags || [] });
+  },
+
+  async saveCategory(state, entry) {
+    const categories = state.categories || [];
+    const category = categories.find((c) => c.id === entry.categoryId);
+    if (!category) return { success: true, message: 'Nothing to push' };
+    const parent = categories.find((c) => c.id === category.parentId) || null;
+    if (parent && parent.serverId == null) {
+      return { success: false, message: `Category ${parent.name} has not been stored in the database yet` };
+    }
+
+    const details = { name: category.name, parentId: parent?.serverId ?? null };
+    const result = category.serverId != null
+      ? await updateCategory(category.serverId, details)
+      : await saveCategory(details);
+    return { ...result, serverIds: result.success && result.data ? { category: result.data.id } : null };
+  },
+
+  async saveLocation(state, entry) {
+    const location = (state.locations || []).find((l) => l.id === entry.locationId);
+    if (!location) return { success: true, message: 'Nothing to push' };
+
+    const result = location.serverId != null
+      ? await updateLocation(location.serverId, { name: location.name })
+      : await saveLocation({ name: location.name });
+    return { ...result, serverIds: result.success && result.data ? { location: result.data.id } : null };
+  },
+
+  async saveSupplier(state, entry) {
+    const supplier = (state.suppliers || []).find((s) => s.id === entry.supplierId);
+    if (!supplier) return { success: true, message: 'Nothing to push' };
+
+    const details = {
+      name: supplier.name,
+      contactName: supplier.contactName,
+      email: supplier.email,
+      phone: supplier.phone,
+      address: supplier.address,
+      notes: supplier.notes
+    };
+    const result = supplier.serverId != null
+      ? await updateSupplier(supplier.serverId, details)
+      : await saveSupplier(details);
+    return { ...result, serverIds: result.success && result.data ? { supplier: result.data.id } : null };
+  },
+
+  async savePurchaseOrder(state, entry) {
+    const order = (state.orders || []).find((o) => o.id === entry.orderId);
+    if (!order) return { success: true, message: 'Nothing to push' };
+
+    if (order.serverId != null) {
+      return updatePurchaseOrder(order.serverId, {
+        status: ['draft', 'sent', 'cancelled'].includes(order.status) ? order.status : undefined,
+        expectedDate: order.expectedDate,
+        notes: order.notes
+      });
+    }
+
+    const lines = [];
+    for (const line of order.lines) {
+      const item = (state.items || []).find((it) => it.id === line.itemId);
+      if (!item || item.serverId == null) {
+        return { success: false, message: `${item ? item.name : 'An item'} has not been stored in the database yet` };
+      }
+      lines.push({ itemId: item.serverId, qty: line.qtyOrdered, unitPrice: line.unitPrice });
+    }
+
+    const result = await createPurchaseOrder({
+      supplier: order.supplier,
+      orderDate: order.orderDate,
+      expectedDate: order.expectedDate,
+      notes: order.notes,
+      lines
+    });
+    if (!result.success) return result;
+
+    // Status changes made offline before the order was first stored
+    if (order.status === 'sent' || order.status === 'cancelled') {
+      const update = await updatePurchaseOrder(result.data.id, { status: order.status });
+      if (!update.success) return update;
+    }
+
+    const lineIds = {};
+    order.lines.forEach((line, index) => { lineIds[line.id] = result.data.lines[index].id; });
+    return { ...result, serverIds: { order: result.data.id, lines: lineIds } };
+  },
+
+  async receivePurchaseOrder(state, entry) {
+    const order = (state.orders || []).find((o) => o.id === entry.orderId);
+    const received = (state.items || []).flatMap((it) => (it.purchases || []).filter((p) => p.receiptId === entry.receiptId));
+    const pending = received.filter((p) => p.serverId == null);
+    if (!order || pending.length === 0) return { success: true, message: 'Nothing to push' };
+    if (order.serverId == null) {
+      return { success: false, message: 'The purchase order has not been stored in the database yet' };
+    }
+
+    const location = locationRef(state, pending[0].locationId);
+    if (location.error) return { success: false, message: location.error };
+
+    const serverLineIds = new Map(order.lines.map((line) => [line.id, line.serverId]));
+    const result = await receivePurchaseOrder(order.serverId, {
+      date: pending[0].date,
+      locationId: location.serverId,
+      lines: pending.map((p) => ({
+        lineId: serverLineIds.get(p.orderLineId),
+        qty: p.qty,
+        lotCode: p.lotCode ?? null,
+        expiryDate: p.expiryDate ?? null
+      }))
+    });
+    if (!result.success) return result;
+
+    // Match created purchases back to local ones through their order line
+    const localLineIds = new Map(order.lines.map((line) => [line.serverId, line.id]));
+    const purchaseIds = {};
+    for (const row of result.data.purchases) {
+      const local = pending.find((p) => p.orderLineId === localLineIds.get(row.orderLineId));
+      if (local) purchaseIds[local.id] = row.id;
+    }
+    return { ...result, serverIds: { purchases: purchaseIds } };
+  },
+
+  deleteItem: (state, entry) => deleteItem(entry.serverId),
+  deletePurchase: (state, entry) => deletePurchase(entry.serverId),
+  deleteStockMovement: (state, entry) => deleteStockMovement(entry.serverId),
+  deleteSupplier: (state, entry) => deleteSupplier(entry.serverId),
+  deleteCategory: (state, entry) => deleteCategory(entry.serverId),
+  deleteLocation: (state, entry) => deleteLocation(entry.serverId),
+  deletePurchaseOrder: (state, entry) => deletePurchaseOrder(entry.serverId),
+  restoreFromTrash: (state, entry) => restoreFromTrash(entry.entityType, entry.serverId),
+  purgeFromTrash: (state, entry) => purgeFromTrash(entry.entityType, entry.serverId)
+};
+
+const DELETE_FOR_ADD = {
+  addPurchase: 'deletePurchase',
+  recordStockMovement: 'deleteStockMovement'
+};
+
+// Apply the outcome of replaying one entry to a state. Pure, so it can be used
+// with a functional setState while the user keeps editing.
+export function applyOutboxResult(state, entry, result, now = Date.now()) {
+  const outbox = state.outbox || [];
+
+  if (!result.success && !isRetryable(result)) {
+    return {
+      ...state,
+      outbox: outbox.filter((e) => e.id !== entry.id),
+      deadLetters: [
+        ...(state.deadLetters || []),
+        { ...entry, attempts: entry.attempts + 1, lastError: result.message, nextAttemptAt: null, failedAt: new Date(now).toISOString() }
+      ]
+    };
+  }
+
+  if (!result.success) {
+    const attempts = entry.attempts + 1;
+    return {
+      ...state,
+      outbox: outbox.map((e) => e.id !== entry.id ? e : {
+        ...e,
+        attempts,
+        lastError: result.message,
+        nextAttemptAt: new Date(now + retryDelay(attempts)).toISOString()
+      })
+    };
+  }
+
+  let next = { ...state, outbox: outbox.filter((e) => e.id !== entry.id) };
+  const serverIds = result.serverIds;
+  if (!serverIds) return next;
+
+  if (serverIds.category != null) {
+    if (!(next.categories || []).some((c) => c.id === entry.categoryId)) {
+      // Deleted locally while the save was in flight
+      next.outbox = enqueue(next.outbox, 'deleteCategory', { serverId: serverIds.category }, `Remove ${entry.label}`);
+      return next;
+    }
+    next.categories = (next.categories || []).map((c) => c.id === entry.categoryId ? { ...c, serverId: serverIds.category } : c);
+    return next;
+  }
+
+  if (serverIds.location != null) {
+    if (!(next.locations || []).some((l) => l.id === entry.locationId)) {
+      // Deleted locally while the save was in flight
+      next.outbox = enqueue(next.outbox, 'deleteLocation', { serverId: serverIds.location }, `Remove ${entry.label}`);
+      return next;
+    }
+    next.locations = (next.locations || []).map((l) => l.id === entry.locationId ? { ...l, serverId: serverIds.location } : l);
+    return next;
+  }
+
+  if (serverIds.supplier != null) {
+    next.suppliers = (next.suppliers || []).map((s) => s.id === entry.supplierId ? { ...s, serverId: serverIds.supplier } : s);
+    return next;
+  }
+
+  if (serverIds.order != null) {
+    next.orders = (next.orders || []).map((o) => o.id !== entry.orderId ? o : {
+      ...o,
+      serverId: serverIds.order,
+      lines: o.lines.map((line) => ({ ...line, serverId: serverIds.lines[line.id] ?? line.serverId ?? null }))
+    });
+    return next;
+  }
+
+  if (serverIds.purchases) {
+    next.items = next.items.map((it) => ({
+      ...it,
+      purchases: (it.purchases || []).map((p) => p.id in serverIds.purchases ? { ...p, serverId: serverIds.purchases[p.id] } : p)
+    }));
+    return next;
+  }
+
+  const { item, record } = findRecord(next, entry);
+  if (!record) {
+    // Deleted locally while the add was in flight: remove it from the server too,
+    // and remember its server id in case it is restored from the trash
+    next.outbox = enqueue(next.outbox, DELETE_FOR_ADD[entry.type], { serverId: serverIds.record }, `Remove ${entry.label}`);
+    next.trash = (next.trash || []).map((t) => t.record.id !== entry.recordId ? t : {
+      ...t,
+      record: { ...t.record, serverId: serverIds.record }
+    });
+    return next;
+  }
+
+  const listKey = entry.type === 'recordStockMovement' ? 'movements' : 'purchases';
+  next.items = next.items.map((it) => {
+    if (it.id !== item.id) return it;
+    return {
+      ...it,
+      serverId: it.serverId ?? serverIds.item ?? null,
+      [listKey]: it[listKey].map((r) => r.id === record.id ? { ...r, serverId: serverIds.record } : r)
+    };
+  });
+  return next;
+}
+
+// Drop a dead-lettered entry the user has seen
+export function dismissDeadLetter(state, entryId) {
+  return { ...state, deadLetters: (state.deadLetters || []).filter((e) => e.id !== entryId) };
+}
+
+// Replay due outbox entries in order against the database. Stops at the first
+// retryable failure so later entries never run before the ones they depend on;
+// entries that fail for good are dead-lettered and replay goes on (changes
+// that depend on them fail in turn, as their records were never stored).
+// `force` ignores backoff timers (used for manual retries and full syncs).
+export async function replayOutbox(state, { force = false, onResult } = {}) {
+  let working = state;
+  let processed = 0;
+  let failed = null;
+  const deadLettered = [];
+
+  for (const entry of state.outbox || []) {
+    if (!force && entry.nextAttemptAt && new Date(entry.nextAttemptAt) > new Date()) break;
+
+    const operation = OPERATIONS[entry.type];
+    let result;
+    try {
+      result = operation
+        ? await operation(working, entry)
+        : { success: false, message: `Unknown operation: ${entry.type}` };
+    } catch (error) {
+      result = { success: false, message: error.message };
+    }
+
+    working = applyOutboxResult(working, entry, result);
+    if (onResult) onResult(entry, result);
+
+    if (!result.success) {
+      if (isRetryable(result)) {
+        failed = { entry, message: result.message };
+        break;
+      }
+      deadLettered.push({ entry, message: result.message });
+      continue;
+    }
+    processed++;
+  }
+
+  return { state: working, processed, failed, deadLettered };
+}
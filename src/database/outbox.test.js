@@ -0,0 +1,163 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { addPurchase, deletePurchase, updatePurchase } from '../api/client.js';
+import {
+  retryDelay,
+  isRetryable,
+  enqueue,
+  pruneOutbox,
+  pendingRecordIds,
+  applyOutboxResult,
+  dismissDeadLetter,
+  replayOutbox
+} from './outbox.js';
+
+vi.mock('../api/client.js');
+
+const NOW = Date.parse('2026-01-01T00:00:00Z');
+
+function purchase(id, serverId = null) {
+  return { id, serverId, qty: 1, unitPrice: 2, supplier: '', date: '2026-01-01T00:00:00.000Z' };
+}
+
+function stateWith(outbox, purchases = []) {
+  return { items: [{ id: 'item', serverId: 10, name: 'Flour', purchases }], locations: [], outbox };
+}
+
+beforeEach(() => {
+  vi.resetAllMocks();
+});
+
+describe('retryDelay', () => {
+  it('doubles from 5 seconds and stops at 5 minutes', () => {
+    expect(retryDelay(1)).toBe(5000);
+    expect(retryDelay(2)).toBe(10000);
+    expect(retryDelay(4)).toBe(40000);
+    expect(retryDelay(20)).toBe(5 * 60 * 1000);
+  });
+});
+
+describe('isRetryable', () => {
+  it('retries network, session, timeout, rate limit and server errors', () => {
+    for (const status of [0, 401, 408, 429, 500, 503]) {
+      expect(isRetryable({ success: false, status })).toBe(true);
+    }
+  });
+
+  it('does not retry rejected input, permissions, missing records or local failures', () => {
+    for (const status of [400, 403, 404, 409, undefined]) {
+      expect(isRetryable({ success: false, status })).toBe(false);
+    }
+  });
+});
+
+describe('pruneOutbox', () => {
+  it('drops adds whose record is gone or already stored and keeps other entries', () => {
+    let outbox = enqueue([], 'addPurchase', { itemId: 'item', recordId: 'new' }, 'Add new');
+    outbox = enqueue(outbox, 'addPurchase', { itemId: 'item', recordId: 'stored' }, 'Add stored');
+    outbox = enqueue(outbox, 'addPurchase', { itemId: 'item', recordId: 'gone' }, 'Add gone');
+    outbox = enqueue(outbox, 'deletePurchase', { serverId: 5 }, 'Delete');
+
+    const pruned = pruneOutbox(stateWith(outbox, [purchase('new'), purchase('stored', 7)]));
+
+    expect(pruned.outbox.map((e) => e.label)).toEqual(['Add new', 'Delete']);
+  });
+});
+
+describe('pendingRecordIds', () => {
+  it('collects the local records referenced by queued entries', () => {
+    let outbox = enqueue([], 'updatePurchase', { itemId: 'item', recordId: 'p1' }, 'Edit');
+    outbox = enqueue(outbox, 'updateItemName', { itemId: 'item' }, 'Rename');
+
+    expect([...pendingRecordIds(outbox)]).toEqual(['p1']);
+  });
+});
+
+describe('applyOutboxResult', () => {
+  it('keeps a retryable failure queued with its error and next attempt', () => {
+    const state = stateWith(enqueue([], 'addPurchase', { itemId: 'item', recordId: 'p1' }, 'Add'), [purchase('p1')]);
+    const [entry] = state.outbox;
+
+    const next = applyOutboxResult(state, entry, { success: false, status: 0, message: 'offline' }, NOW);
+
+    expect(next.outbox).toEqual([{ ...entry, attempts: 1, lastError: 'offline', nextAttemptAt: new Date(NOW + 5000).toISOString() }]);
+    expect(next.deadLetters).toBeUndefined();
+  });
+
+  it('moves a permanent failure to the dead letters', () => {
+    const state = stateWith(enqueue([], 'addPurchase', { itemId: 'item', recordId: 'p1' }, 'Add'), [purchase('p1')]);
+    const [entry] = state.outbox;
+
+    const next = applyOutboxResult(state, entry, { success: false, status: 400, message: 'Invalid quantity' }, NOW);
+
+    expect(next.outbox).toEqual([]);
+    expect(next.deadLetters).toEqual([
+      { ...entry, attempts: 1, lastError: 'Invalid quantity', nextAttemptAt: null, failedAt: new Date(NOW).toISOString() }
+    ]);
+    expect(dismissDeadLetter(next, entry.id).deadLetters).toEqual([]);
+  });
+
+  it('links a pushed record to its server id', () => {
+    const state = stateWith(enqueue([], 'addPurchase', { itemId: 'item', recordId: 'p1' }, 'Add'), [purchase('p1')]);
+
+    const next = applyOutboxResult(state, state.outbox[0], { success: true, serverIds: { record: 42 } }, NOW);
+
+    expect(next.outbox).toEqual([]);
+    expect(next.items[0].purchases[0].serverId).toBe(42);
+  });
+
+  it('queues a delete for a record removed while its add was in flight', () => {
+    const state = stateWith(enqueue([], 'addPurchase', { itemId: 'item', recordId: 'p1' }, 'Add'), []);
+
+    const next = applyOutboxResult(state, state.outbox[0], { success: true, serverIds: { record: 42 } }, NOW);
+
+    expect(next.outbox).toMatchObject([{ type: 'deletePurchase', serverId: 42 }]);
+  });
+});
+
+describe('replayOutbox', () => {
+  it('dead-letters permanent failures and goes on with the next entries', async () => {
+    let outbox = enqueue([], 'addPurchase', { itemId: 'item', recordId: 'p1' }, 'Add p1');
+    outbox = enqueue(outbox, 'deletePurchase', { serverId: 5 }, 'Delete');
+    addPurchase.mockResolvedValue({ success: false, status: 400, message: 'Invalid quantity' });
+    deletePurchase.mockResolvedValue({ success: true, message: 'Deleted' });
+
+    const replay = await replayOutbox(stateWith(outbox, [purchase('p1')]));
+
+    expect(replay.processed).toBe(1);
+    expect(replay.failed).toBeNull();
+    expect(replay.deadLettered.map(({ entry }) => entry.label)).toEqual(['Add p1']);
+    expect(replay.state.outbox).toEqual([]);
+    expect(replay.state.deadLetters).toHaveLength(1);
+  });
+
+  it('stops at a retryable failure so later entries keep their order', async () => {
+    let outbox = enqueue([], 'addPurchase', { itemId: 'item', recordId: 'p1' }, 'Add p1');
+    outbox = enqueue(outbox, 'updatePurchase', { itemId: 'item', recordId: 'p1' }, 'Edit p1');
+    addPurchase.mockResolvedValue({ success: false, status: 0, message: 'offline' });
+
+    const replay = await replayOutbox(stateWith(outbox, [purchase('p1')]));
+
+    expect(replay.failed.message).toBe('offline');
+    expect(updatePurchase).not.toHaveBeenCalled();
+    expect(replay.state.outbox.map((e) => e.label)).toEqual(['Add p1', 'Edit p1']);
+  });
+
+  it('sends the same client key each time an add is replayed', async () => {
+    const outbox = enqueue([], 'addPurchase', { itemId: 'item', recordId: 'p1' }, 'Add p1');
+    addPurchase.mockResolvedValue({ success: false, status: 503, message: 'Service unavailable' });
+
+    const replay = await replayOutbox(stateWith(outbox, [purchase('p1')]));
+    await replayOutbox(replay.state, { force: true });
+
+    expect(addPurchase.mock.calls.map(([, purchase]) => purchase.clientKey)).toEqual(['p1', 'p1']);
+  });
+
+  it('waits for the backoff of a failed entry unless forced', async () => {
+    const outbox = enqueue([], 'deletePurchase', { serverId: 5 }, 'Delete')
+      .map((e) => ({ ...e, attempts: 1, nextAttemptAt: new Date(Date.now() + 60000).toISOString() }));
+    deletePurchase.mockResolvedValue({ success: true, message: 'Deleted' });
+
+    expect((await replayOutbox(stateWith(outbox))).processed).toBe(0);
+    expect((await replayOutbox(stateWith(outbox), { force: true })).processed).toBe(1);
+  });
+});
@@ -0,0 +1,234 @@
+import { is, SQL, getTableName } from 'drizzle-orm';
+import { PgTable, PgDialect, getTableConfig } from 'drizzle-orm/pg-core';
+
+// Migration generation for migrate.js. A snapshot is a plain JSON description
+// of the tables in schema.js (columns, keys, constraints and indexes);
+// diffing the snapshot of the last migration against the current one gives
+// the statements that migrate a database up to the schema, and those that roll
+// it back. Renamed tables and columns show up as a drop and an add, so edit
+// the generated files by hand when renaming anything that holds data.
+
+const dialect = new PgDialect();
+
+// SQL of a Drizzle expression with its values inlined and columns unqualified
+function sqlText(expression) {
+  return dialect.sqlToQuery(expression.inlineParams(), 'indexes').sql;
+}
+
+const quote = (name) => `"${name}"`;
+const quoteList = (names) => names.map(quote).join(', ');
+const literal = (value) => `'${String(value).replace(/'/g, "''")}'`;
+
+function defaultText(column) {
+  const value = column.default;
+  if (value === undefined) return null;
+  if (is(value, SQL)) return sqlText(value);
+  if (typeof value === 'string') return literal(value);
+  if (value !== null && typeof value === 'object') return `${literal(JSON.stringify(value))}::jsonb`;
+  return String(value);
+}
+
+// Snapshot of the tables exported by a schema module
+export function schemaSnapshot(schemaModule) {
+  const tables = {};
+
+  for (const table of Object.values(schemaModule).filter((value) => is(value, PgTable))) {
+    const config = getTableConfig(table);
+    const columns = {};
+    const uniques = {};
+    let primaryKey = [];
+
+    for (const column of config.columns) {
+      columns[column.name] = {
+        type: column.getSQLType(),
+        notNull: column.notNull && !column.primary,
+        default: defaultText(column)
+      };
+      if (column.primary) primaryKey = [column.name];
+      if (column.isUnique) {
+        uniques[column.uniqueName] = { columns: [column.name], nullsNotDistinct: column.uniqueType === 'not distinct' };
+      }
+    }
+    for (const key of config.primaryKeys) primaryKey = key.columns.map((c) => c.name);
+    for (const constraint of config.uniqueConstraints) {
+      uniques[constraint.getName()] = {
+        columns: constraint.columns.map((c) => c.name),
+        nullsNotDistinct: constraint.nullsNotDistinct
+      };
+    }
+
+    const foreignKeys = {};
+    for (const key of config.foreignKeys) {
+      const reference = key.reference();
+      const keyColumns = reference.columns.map((c) => c.name);
+      foreignKeys[`${config.name}_${keyColumns.join('_')}_fkey`] = {
+        columns: keyColumns,
+        table: getTableName(reference.foreignTable),
+        references: reference.foreignColumns.map((c) => c.name),
+        onDelete: key.onDelete && key.onDelete !== 'no action' ? key.onDelete : null
+      };
+    }
+
+    const checks = {};
+    for (const constraint of config.checks) checks[constraint.name] = sqlText(constraint.value);
+
+    const indexes = {};
+    for (const index of config.indexes) {
+      indexes[index.config.name] = {
+        columns: index.config.columns.map((c) => (is(c, SQL) ? sqlText(c) : quote(c.name))),
+        unique: Boolean(index.config.unique),
+        where: index.config.where ? sqlText(index.config.where) : null
+      };
+    }
+
+    tables[config.name] = { columns, primaryKey, uniques, foreignKeys, checks, indexes };
+  }
+
+  return { tables };
+}
+
+// Column definition as used in CREATE TABLE and ADD COLUMN
+function columnDefinition(name, column, primaryKey) {
+  const parts = [quote(name), column.type];
+  if (primaryKey.length === 1 && primaryKey[0] === name) parts.push('PRIMARY KEY');
+  if (column.notNull) parts.push('NOT NULL');
+  if (column.default !== null) parts.push(`DEFAULT ${column.default}`);
+  return parts.join(' ');
+}
+
+const uniqueDefinition = (unique) =>
+  `UNIQUE${unique.nullsNotDistinct ? ' NULLS NOT DISTINCT' : ''} (${quoteList(unique.columns)})`;
+
+const foreignKeyDefinition = (key) =>
+  `FOREIGN KEY (${quoteList(key.columns)}) REFERENCES ${quote(key.table)} (${quoteList(key.references)})` +
+  (key.onDelete ? ` ON DELETE ${key.onDelete.toUpperCase()}` : '');
+
+const addConstraint = (table, name, definition) =>
+  `ALTER TABLE ${quote(table)} ADD CONSTRAINT ${quote(name)} ${definition};`;
+const dropConstraint = (table, name) => `ALTER TABLE ${quote(table)} DROP CONSTRAINT ${quote(name)};`;
+
+const createIndex = (name, table, index) =>
+  `CREATE ${index.unique ? 'UNIQUE ' : ''}INDEX ${quote(name)} ON ${quote(table)} (${index.columns.join(', ')})` +
+  (index.where ? ` WHERE ${index.where}` : '') + ';';
+const dropIndex = (name) => `DROP INDEX ${quote(name)};`;
+
+function createTable(name, table) {
+  const lines = Object.entries(table.columns).map(([column, definition]) =>
+    columnDefinition(column, definition, table.primaryKey));
+  if (table.primaryKey.length > 1) lines.push(`PRIMARY KEY (${quoteList(table.primaryKey)})`);
+  for (const [constraint, unique] of Object.entries(table.uniques)) {
+    lines.push(`CONSTRAINT ${quote(constraint)} ${uniqueDefinition(unique)}`);
+  }
+  for (const [constraint, expression] of Object.entries(table.checks)) {
+    lines.push(`CONSTRAINT ${quote(constraint)} CHECK (${expression})`);
+  }
+  return `CREATE TABLE ${quote(name)} (\n\t${lines.join(',\n\t')}\n);`;
+}
+
+// Table names ordered so every table comes after the tables it references
+function dependencyOrder(tables) {
+  const ordered = [];
+  const visit = (name, path = []) => {
+    if (ordered.includes(name) || path.includes(name)) return;
+    for (const key of Object.values(tables[name].foreignKeys)) {
+      if (tables[key.table]) visit(key.table, [...path, name]);
+    }
+    ordered.push(name);
+  };
+  Object.keys(tables).forEach((name) => visit(name));
+  return ordered;
+}
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Differences between two keyed collections of definitions
+function changes(previous = {}, next = {}) {
+  return {
+    added: Object.keys(next).filter((key) => !(key in previous)),
+    removed: Object.keys(previous).filter((key) => !(key in next)),
+    changed: Object.keys(next).filter((key) => key in previous && !same(previous[key], next[key]))
+  };
+}
+
+// One-way statements taking a database from snapshot `from` to snapshot `to`
+function migrationStatements(from, to) {
+  const statements = [];
+  const tables = changes(from.tables, to.tables);
+  const createdOrder = dependencyOrder(to.tables).filter((name) => tables.added.includes(name));
+  const droppedOrder = dependencyOrder(from.tables).filter((name) => tables.removed.includes(name)).reverse();
+  const kept = Object.keys(to.tables).filter((name) => name in from.tables);
+
+  // Constraints and indexes that go away or change are dropped first, so
+  // columns they depend on can be altered or dropped
+  for (const name of kept) {
+    const before = from.tables[name];
+    const after = to.tables[name];
+    for (const kind of ['foreignKeys', 'uniques', 'checks']) {
+      const { removed, changed } = changes(before[kind], after[kind]);
+      for (const constraint of [...removed, ...changed]) statements.push(dropConstraint(name, constraint));
+    }
+    const { removed, changed } = changes(before.indexes, after.indexes);
+    for (const index of [...removed, ...changed]) statements.push(dropIndex(index));
+  }
+  for (const name of droppedOrder) {
+    for (const constraint of Object.keys(from.tables[name].foreignKeys)) statements.push(dropConstraint(name, constraint));
+  }
+  for (const name of droppedOrder) statements.push(`DROP TABLE ${quote(name)};`);
+
+  for (const name of createdOrder) statements.push(createTable(name, to.tables[name]));
+
+  for (const name of kept) {
+    const before = from.tables[name];
+    const after = to.tables[name];
+    const columns = changes(before.columns, after.columns);
+    for (const column of columns.added) {
+      statements.push(`ALTER TABLE ${quote(name)} ADD COLUMN ${columnDefinition(column, after.columns[column], after.primaryKey)};`);
+    }
+    for (const column of columns.changed) {
+      const was = before.columns[column];
+      const now = after.columns[column];
+      const alter = `ALTER TABLE ${quote(name)} ALTER COLUMN ${quote(column)}`;
+      if (was.type !== now.type) statements.push(`${alter} SET DATA TYPE ${now.type};`);
+      if (was.default !== now.default) {
+        statements.push(now.default === null ? `${alter} DROP DEFAULT;` : `${alter} SET DEFAULT ${now.default};`);
+      }
+      if (was.notNull !== now.notNull) statements.push(`${alter} ${now.notNull ? 'SET' : 'DROP'} NOT NULL;`);
+    }
+    for (const column of columns.removed) statements.push(`ALTER TABLE ${quote(name)} DROP COLUMN ${quote(column)};`);
+    if (!same(before.primaryKey, after.primaryKey)) {
+      if (before.primaryKey.length) statements.push(dropConstraint(name, `${name}_pkey`));
+      if (after.primaryKey.length) statements.push(`ALTER TABLE ${quote(name)} ADD PRIMARY KEY (${quoteList(after.primaryKey)});`);
+    }
+
+    for (const kind of ['uniques', 'checks']) {
+      const { added, changed } = changes(before[kind], after[kind]);
+      for (const constraint of [...added, ...changed]) {
+        const definition = after[kind][constraint];
+        statements.push(addConstraint(name, constraint, kind === 'checks' ? `CHECK (${definition})` : uniqueDefinition(definition)));
+      }
+    }
+  }
+
+  // Foreign keys and indexes last, once every table and column they use exists
+  for (const name of Object.keys(to.tables)) {
+    const after = to.tables[name];
+    const before = from.tables[name] || { foreignKeys: {}, indexes: {} };
+    const keys = changes(before.foreignKeys, after.foreignKeys);
+    for (const constraint of [...keys.added, ...keys.changed]) {
+      statements.push(addConstraint(name, constraint, foreignKeyDefinition(after.foreignKeys[constraint])));
+    }
+    const indexes = changes(before.indexes, after.indexes);
+    for (const index of [...indexes.added, ...indexes.changed]) statements.push(createIndex(index, name, after.indexes[index]));
+  }
+
+  return statements;
+}
+
+// Statements migrating a database from snapshot `previous` to `next` (up) and
+// back again (down). Pass an empty snapshot ({ tables: {} }) for the first migration.
+export function diffSnapshots(previous, next) {
+  return {
+    up: migrationStatements(previous, next),
+    down: migrationStatements(next, previous)
+  };
+}
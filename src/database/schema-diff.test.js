@@ -0,0 +1,95 @@
+import { describe, it, expect } from 'vitest';
+import { readFileSync } from 'node:fs';
+import { pgTable, serial, varchar, integer, boolean, index, unique } from 'drizzle-orm/pg-core';
+import * as schema from './schema.js';
+import { schemaSnapshot, diffSnapshots } from './schema-diff.js';
+
+const EMPTY = { tables: {} };
+
+const shelves = pgTable('shelves', {
+  id: serial('id').primaryKey(),
+  name: varchar('name', { length: 50 }).notNull()
+});
+
+const boxes = pgTable('boxes', {
+  id: serial('id').primaryKey(),
+  shelfId: integer('shelf_id').notNull().references(() => shelves.id, { onDelete: 'cascade' }),
+  label: varchar('label', { length: 50 }).notNull()
+}, (table) => [
+  unique('boxes_shelf_label_unique').on(table.shelfId, table.label),
+  index('idx_boxes_shelf').on(table.shelfId)
+]);
+
+const boxesWithFlag = pgTable('boxes', {
+  id: serial('id').primaryKey(),
+  shelfId: integer('shelf_id').notNull().references(() => shelves.id, { onDelete: 'cascade' }),
+  label: varchar('label', { length: 80 }).notNull(),
+  fragile: boolean('fragile').default(false).notNull()
+}, (table) => [
+  unique('boxes_shelf_label_unique').on(table.shelfId, table.label),
+  index('idx_boxes_shelf').on(table.shelfId)
+]);
+
+describe('schemaSnapshot', () => {
+  it('describes columns, keys, constraints and indexes', () => {
+    const { tables } = schemaSnapshot({ shelves, boxes });
+
+    expect(tables.boxes).toEqual({
+      columns: {
+        id: { type: 'serial', notNull: false, default: null },
+        shelf_id: { type: 'integer', notNull: true, default: null },
+        label: { type: 'varchar(50)', notNull: true, default: null }
+      },
+      primaryKey: ['id'],
+      uniques: { boxes_shelf_label_unique: { columns: ['shelf_id', 'label'], nullsNotDistinct: false } },
+      foreignKeys: {
+        boxes_shelf_id_fkey: { columns: ['shelf_id'], table: 'shelves', references: ['id'], onDelete: 'cascade' }
+      },
+      checks: {},
+      indexes: { idx_boxes_shelf: { columns: ['"shelf_id"'], unique: false, where: null } }
+    });
+  });
+
+  it('matches the snapshot of the latest migration', () => {
+    const snapshot = JSON.parse(readFileSync(new URL('./migrations/snapshot.json', import.meta.url), 'utf8'));
+    expect(schemaSnapshot(schema)).toEqual(snapshot);
+  });
+
+  it('keeps item names unique ignoring case, like supplier names', () => {
+    const { indexes } = schemaSnapshot(schema).tables.items;
+    expect(indexes.items_organization_name_unique).toEqual({ columns: ['"organization_id"', 'lower("name")'], unique: true, where: null });
+  });
+});
+
+describe('diffSnapshots', () => {
+  it('creates referenced tables first and drops them last', () => {
+    const { up, down } = diffSnapshots(EMPTY, schemaSnapshot({ boxes, shelves }));
+
+    expect(up.findIndex((s) => s.startsWith('CREATE TABLE "shelves"'))).toBeLessThan(up.findIndex((s) => s.startsWith('CREATE TABLE "boxes"')));
+    expect(up).toContain('ALTER TABLE "boxes" ADD CONSTRAINT "boxes_shelf_id_fkey" FOREIGN KEY ("shelf_id") REFERENCES "shelves" ("id") ON DELETE CASCADE;');
+    expect(up.at(-1)).toBe('CREATE INDEX "idx_boxes_shelf" ON "boxes" ("shelf_id");');
+    expect(down).toEqual([
+      'ALTER TABLE "boxes" DROP CONSTRAINT "boxes_shelf_id_fkey";',
+      'DROP TABLE "boxes";',
+      'DROP TABLE "shelves";'
+    ]);
+  });
+
+  it('adds, alters and drops columns both ways', () => {
+    const { up, down } = diffSnapshots(schemaSnapshot({ shelves, boxes }), schemaSnapshot({ shelves, boxes: boxesWithFlag }));
+
+    expect(up).toEqual([
+      'ALTER TABLE "boxes" ADD COLUMN "fragile" boolean NOT NULL DEFAULT false;',
+      'ALTER TABLE "boxes" ALTER COLUMN "label" SET DATA TYPE varchar(80);'
+    ]);
+    expect(down).toEqual([
+      'ALTER TABLE "boxes" ALTER COLUMN "label" SET DATA TYPE varchar(50);',
+      'ALTER TABLE "boxes" DROP COLUMN "fragile";'
+    ]);
+  });
+
+  it('has nothing to do for an unchanged schema', () => {
+    const snapshot = schemaSnapshot({ shelves, boxes });
+    expect(diffSnapshots(snapshot, snapshot)).toEqual({ up: [], down: [] });
+  });
+});
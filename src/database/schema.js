@@ -1,60 +1,989 @@
-import { pgTable, text, timestamp, numeric, serial, varchar } from 'drizzle-orm/pg-core';
+import { pgTable, text, timestamp, numeric, serial, varchar, integer, unique, jsonb, boolean, check, index, uniqueIndex } from 'drizzle-orm/pg-core';
+import { relations, sql } from 'drizzle-orm';
 
-// Items table - stores inventory items
-export const items = pgTable('items', {
+// This file is the source of truth for the database structure: migrations are
+// generated from it (see migrate.js). Constraints and indexes carry the names
+// Postgres gives them, so databases set up before migrations match.
+
+// Timestamps are stored with their time zone
+const timestamptz = (name) => timestamp(name, { withTimezone: true });
+
+// SQL list of string literals, e.g. ('a', 'b'), for CHECK constraints
+const sqlList = (values) => sql.raw(`(${values.map((v) => `'${v}'`).join(', ')})`);
+
+// Stock movement types and the direction each one moves on-hand quantity. A
+// transfer moves stock between locations and leaves the total unchanged.
+export const STOCK_MOVEMENT_TYPES = {
+  issue: -1,
+  consumption: -1,
+  return: 1,
+  write_off: -1,
+  transfer: 0
+};
+
+// Purchase order statuses, in workflow order
+export const PURCHASE_ORDER_STATUSES = ['draft', 'sent', 'partially_received', 'received', 'cancelled'];
+
+// Status an order should have after a receipt, given its lines' ordered/received quantities
+export function receivedOrderStatus(lines) {
+  const received = lines.reduce((sum, l) => sum + Number(l.qtyReceived || 0), 0);
+  if (received === 0) return null;
+  const complete = lines.every((l) => Number(l.qtyReceived || 0) >= Number(l.qtyOrdered));
+  return complete ? 'received' : 'partially_received';
+}
+
+// User roles, from least to most privileged
+export const USER_ROLES = ['viewer', 'clerk', 'manager', 'admin'];
+
+// Least privileged role that holds each permission:
+// - view: read items, purchases, suppliers, orders and analytics
+// - record: add items, purchases and stock movements, add suppliers, receive goods
+// - manage: edit or delete records, reorder settings, supplier details,
+//   categories and tags, purchase orders, bulk import and clearing local data
+// - administer: add team members and change their roles
+export const PERMISSIONS = {
+  view: 'viewer',
+  record: 'clerk',
+  manage: 'manager',
+  administer: 'admin'
+};
+
+export function hasPermission(role, permission) {
+  const required = USER_ROLES.indexOf(PERMISSIONS[permission]);
+  return required !== -1 && USER_ROLES.indexOf(role) >= required;
+}
+
+// Organizations table - each team's data is isolated to its organization
+export const organizations = pgTable('organizations', {
   id: serial('id').primaryKey(),
-  name: varchar('name', { length: 255 }).notNull().unique(),
-  createdAt: timestamp('created_at').defaultNow().notNull(),
-  updatedAt: timestamp('updated_at').defaultNow().notNull()
+  name: varchar('name', { length: 255 }).notNull(),
+  createdAt: timestamptz('created_at').defaultNow().notNull()
 });
 
+// Users table - every user belongs to exactly one organization
+export const users = pgTable('users', {
+  id: serial('id').primaryKey(),
+  organizationId: integer('organization_id').references(() => organizations.id, { onDelete: 'cascade' }).notNull(),
+  email: varchar('email', { length: 255 }).notNull().unique('users_email_key'),
+  name: varchar('name', { length: 255 }),
+  role: varchar('role', { length: 20 }).default('clerk').notNull(),
+  passwordHash: varchar('password_hash', { length: 255 }).notNull(),
+  passwordSalt: varchar('password_salt', { length: 64 }).notNull(),
+  createdAt: timestamptz('created_at').defaultNow().notNull()
+}, (table) => [
+  check('users_role_check', sql`${table.role} IN ${sqlList(USER_ROLES)}`),
+  index('idx_users_organization_id').on(table.organizationId)
+]);
+
+// Sessions table - opaque login tokens with an expiry
+export const sessions = pgTable('sessions', {
+  token: varchar('token', { length: 64 }).primaryKey(),
+  userId: integer('user_id').references(() => users.id, { onDelete: 'cascade' }).notNull(),
+  expiresAt: timestamptz('expires_at').notNull(),
+  createdAt: timestamptz('created_at').defaultNow().notNull()
+}, (table) => [
+  index('idx_sessions_user_id').on(table.userId)
+]);
+
+// Quantities are counted in each item's base unit (kg, litre, piece...). A
+// purchase can be made in another unit: `unit` names it and `unitFactor` is the
+// number of base units in one of it (1 bag = 25 kg is unit 'bag', unitFactor 25).
+// qty and unitPrice stay in the purchase unit; stock movements, reorder
+// settings and purchase order lines are in the base unit.
+export const DEFAULT_BASE_UNIT = 'unit';
+
+export function normalizeUnit(unit) {
+  return (unit || '').trim().replace(/\s+/g, ' ');
+}
+
+// Why a quantity bought, received or moved is invalid, or null. Like the
+// checks below, shared by the UI and operations.js so both accept the same values.
+export function quantityError(value, label = 'Quantity') {
+  const number = Number(value);
+  if (value == null || String(value).trim() === '' || !Number.isFinite(number) || number <= 0) {
+    return `${label} must be a positive number`;
+  }
+  return null;
+}
+
+// Why an amount that may be zero (a price, a reorder setting) is invalid, or null
+export function amountError(value, label) {
+  const number = Number(value);
+  if (value == null || String(value).trim() === '' || !Number.isFinite(number) || number < 0) {
+    return `${label} must be zero or a positive number`;
+  }
+  return null;
+}
+
+// Why the date of a purchase, receipt or movement is invalid, or null
+export function recordDateError(date) {
+  if (date == null || date === '') return 'Date is required';
+  return Number.isNaN(new Date(date).getTime()) ? 'Invalid date format' : null;
+}
+
+// Unit fields to store on a purchase: no unit and a factor of 1 when it was
+// bought in the item's base unit
+export function purchaseUnit({ unit, unitFactor }, baseUnit) {
+  const name = normalizeUnit(unit);
+  if (!name || name.toLowerCase() === normalizeUnit(baseUnit || DEFAULT_BASE_UNIT).toLowerCase()) {
+    return { unit: null, unitFactor: 1 };
+  }
+  return { unit: name, unitFactor: Number(unitFactor) };
+}
+
+function unitFactorOf(purchase) {
+  const factor = Number(purchase.unitFactor);
+  return factor > 0 ? factor : 1;
+}
+
+// Quantity of a purchase in its item's base unit
+export function baseQuantity(purchase) {
+  return (Number(purchase.qty) || 0) * unitFactorOf(purchase);
+}
+
+// Purchase prices are in the purchase's `currency` (an ISO 4217 code) and
+// `exchangeRate` is what one unit of it is worth in BASE_CURRENCY. `taxRate`
+// is the GST percentage: a `taxInclusive` unit price already includes the tax,
+// otherwise the tax is charged on top. Spend, prices per base unit and stock
+// costs are net of tax and in the base currency.
+export const BASE_CURRENCY = 'INR';
+
+// Upper-case currency code, the base currency when blank and undefined when
+// it is not a three-letter code
+export function normalizeCurrency(currency) {
+  const code = (currency || '').trim().toUpperCase();
+  if (!code) return BASE_CURRENCY;
+  return /^[A-Z]{3}$/.test(code) ? code : undefined;
+}
+
+// Tax and currency fields to store on a purchase; a purchase in the base
+// currency always has an exchange rate of 1
+export function purchasePricing({ currency, exchangeRate, taxRate, taxInclusive }) {
+  const code = normalizeCurrency(currency);
+  return {
+    currency: code,
+    exchangeRate: code === BASE_CURRENCY ? 1 : Number(exchangeRate),
+    taxRate: taxRate == null || taxRate === '' ? 0 : Number(taxRate),
+    taxInclusive: Boolean(taxInclusive)
+  };
+}
+
+// Why purchasePricing fields cannot be stored, or null
+export function purchasePricingError({ currency, exchangeRate, taxRate }) {
+  if (currency === undefined) return 'Currency must be a three-letter code such as USD';
+  if (!(exchangeRate > 0)) return `Exchange rate to ${BASE_CURRENCY} must be a positive number`;
+  if (!(taxRate >= 0 && taxRate <= 100)) return 'Tax rate must be a percentage between 0 and 100';
+  return null;
+}
+
+function exchangeRateOf(purchase) {
+  const rate = Number(purchase.exchangeRate);
+  return rate > 0 ? rate : 1;
+}
+
+// Base currency amount net of tax for an amount in the purchase's currency
+function netAmount(purchase, amount) {
+  const converted = amount * exchangeRateOf(purchase);
+  return purchase.taxInclusive ? converted / (1 + (Number(purchase.taxRate) || 0) / 100) : converted;
+}
+
+// Net (without tax), tax and gross amounts of a purchase in the base currency
+export function purchaseAmounts(purchase) {
+  const net = netAmount(purchase, (Number(purchase.qty) || 0) * (Number(purchase.unitPrice) || 0));
+  const tax = net * (Number(purchase.taxRate) || 0) / 100;
+  return { net, tax, gross: net + tax };
+}
+
+// Price of one base unit of a purchase, net of tax in the base currency
+export function basePrice(purchase) {
+  return netAmount(purchase, Number(purchase.unitPrice) || 0) / unitFactorOf(purchase);
+}
+
+// Category names are trimmed and have whitespace collapsed. Categories nest
+// (Cleaning > Detergents); a category's path is its ancestors' names and its own.
+export const CATEGORY_PATH_SEPARATOR = ' > ';
+
+export function normalizeCategoryName(name) {
+  return (name || '').trim().replace(/\s+/g, ' ');
+}
+
+// Names from the top-level category down to categoryId, given every category
+// as { id, parentId, name } (empty when not found)
+export function categoryPath(categories, categoryId) {
+  const byId = new Map(categories.map((c) => [c.id, c]));
+  const names = [];
+  const seen = new Set();
+  let category = byId.get(categoryId);
+  while (category && !seen.has(category.id)) {
+    seen.add(category.id);
+    names.unshift(category.name);
+    category = byId.get(category.parentId);
+  }
+  return names;
+}
+
+// Ids of a category and all categories nested under it
+export function categoryWithDescendants(categories, categoryId) {
+  const ids = new Set([categoryId]);
+  let added = true;
+  while (added) {
+    added = false;
+    for (const c of categories) {
+      if (c.parentId != null && ids.has(c.parentId) && !ids.has(c.id)) {
+        ids.add(c.id);
+        added = true;
+      }
+    }
+  }
+  return ids;
+}
+
+// Tags are free-form labels, trimmed, whitespace-collapsed and lower-cased so
+// "Eco " and "eco" are the same tag
+export const MAX_TAG_LENGTH = 50;
+
+export function normalizeTag(tag) {
+  return (tag || '').trim().replace(/\s+/g, ' ').toLowerCase().slice(0, MAX_TAG_LENGTH);
+}
+
+// Normalized, de-duplicated and sorted tags from a list or a comma-separated string
+export function normalizeTags(tags) {
+  const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+  return [...new Set(list.map(normalizeTag).filter(Boolean))].sort();
+}
+
+// SKUs and barcodes identify an item besides its name and, when set, are unique
+// within an organization. SKUs are trimmed, whitespace-collapsed and
+// upper-cased ("ab-12 " is "AB-12"); barcodes lose all whitespace. Blank
+// values are stored as null.
+export const MAX_ITEM_CODE_LENGTH = 64;
+
+export function normalizeSku(sku) {
+  return String(sku ?? '').trim().replace(/\s+/g, ' ').toUpperCase().slice(0, MAX_ITEM_CODE_LENGTH) || null;
+}
+
+export function normalizeBarcode(barcode) {
+  return String(barcode ?? '').replace(/\s+/g, '').slice(0, MAX_ITEM_CODE_LENGTH) || null;
+}
+
+// Item attributes are free-form key/value pairs such as { colour: 'red' }. Keys
+// and values are trimmed strings and pairs with a blank key are dropped. As
+// text (CSV files, the edit form) they read "colour=red; size=L".
+export const ATTRIBUTE_SEPARATOR = '; ';
+
+export function normalizeAttributes(attributes) {
+  const pairs = Array.isArray(attributes) ? attributes : Object.entries(attributes || {});
+  return Object.fromEntries(pairs
+    .map(([key, value]) => [String(key ?? '').trim(), String(value ?? '').trim()])
+    .filter(([key]) => key)
+    .sort(([a], [b]) => a.localeCompare(b)));
+}
+
+export function parseAttributes(text) {
+  return normalizeAttributes(String(text || '').split(ATTRIBUTE_SEPARATOR.trim()).map((pair) => {
+    const at = pair.indexOf('=');
+    return at < 0 ? [pair, ''] : [pair.slice(0, at), pair.slice(at + 1)];
+  }));
+}
+
+export function formatAttributes(attributes) {
+  return Object.entries(attributes || {}).map(([key, value]) => `${key}=${value}`).join(ATTRIBUTE_SEPARATOR);
+}
+
+// Locations are the store rooms or warehouses stock is kept in; names are
+// trimmed, whitespace-collapsed and unique (ignoring case) per organization.
+// Purchases record where goods were received and stock movements where stock
+// left or came back; a transfer moves it from locationId to toLocationId. A
+// null location is unassigned stock, e.g. recorded before locations existed.
+export function normalizeLocationName(name) {
+  return (name || '').trim().replace(/\s+/g, ' ');
+}
+
+// On-hand quantity (in the base unit) per location id (null for unassigned
+// stock) from an item's purchases and stock movements. Locations whose records
+// cancel out are kept with 0.
+export function onHandByLocation(purchases, movements) {
+  const quantities = new Map();
+  const add = (locationId, qty) => quantities.set(locationId ?? null, (quantities.get(locationId ?? null) || 0) + qty);
+  for (const p of purchases) add(p.locationId, baseQuantity(p));
+  for (const m of movements) {
+    const qty = Number(m.qty) || 0;
+    if (m.type === 'transfer') {
+      add(m.locationId, -qty);
+      add(m.toLocationId, qty);
+    } else {
+      add(m.locationId, (STOCK_MOVEMENT_TYPES[m.type] || 0) * qty);
+    }
+  }
+  return quantities;
+}
+
+// Purchases can record the batch/lot code printed on the goods and the date
+// they expire. Lot codes are trimmed and whitespace-collapsed (case is kept, as
+// printed); an expiry date is a day, stored as midnight UTC.
+export const MAX_LOT_CODE_LENGTH = 64;
+
+// Lots expiring within this many days are listed as expiring soon
+export const DEFAULT_EXPIRY_WARNING_DAYS = 30;
+
+export function normalizeLotCode(lotCode) {
+  return String(lotCode ?? '').trim().replace(/\s+/g, ' ').slice(0, MAX_LOT_CODE_LENGTH) || null;
+}
+
+// Expiry date of a purchase as a Date (null when blank), or undefined when it is not a date
+export function parseExpiryDate(value) {
+  if (value == null || value === '') return null;
+  const date = new Date(String(value).slice(0, 10));
+  return isNaN(date.getTime()) ? undefined : date;
+}
+
+// Invoices and receipts can be attached to purchases as PDF or image files of
+// up to MAX_ATTACHMENT_BYTES. The files are kept by the attachment storage
+// backend (see storage.js); the database keeps their details.
+export const ATTACHMENT_CONTENT_TYPES = ['application/pdf', 'image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+export const MAX_ATTACHMENT_BYTES = 10 * 1024 * 1024;
+
+export function isImageAttachment(attachment) {
+  return (attachment?.contentType || '').startsWith('image/');
+}
+
+// Ids of a category and all categories it is nested under, nearest first
+export function categoryWithAncestors(categories, categoryId) {
+  const byId = new Map(categories.map((c) => [c.id, c]));
+  const ids = [];
+  let category = byId.get(categoryId);
+  while (category && !ids.includes(category.id)) {
+    ids.push(category.id);
+    category = byId.get(category.parentId);
+  }
+  return ids;
+}
+
+// Items, suppliers, purchase orders, purchases and stock movements are soft
+// deleted: deletedAt is set and the row stays in the trash until purged
+
+// Locations table - store rooms or warehouses stock is kept in
+export const locations = pgTable('locations', {
+  id: serial('id').primaryKey(),
+  organizationId: integer('organization_id').references(() => organizations.id, { onDelete: 'cascade' }).notNull(),
+  name: varchar('name', { length: 255 }).notNull(),
+  createdAt: timestamptz('created_at').defaultNow().notNull(),
+  updatedAt: timestamptz('updated_at').defaultNow().notNull()
+}, (table) => [
+  unique('locations_organization_name_unique').on(table.organizationId, table.name)
+]);
+
+// Categories table - nestable item categories; names are unique among the
+// categories with the same parent in an organization
+export const categories = pgTable('categories', {
+  id: serial('id').primaryKey(),
+  organizationId: integer('organization_id').references(() => organizations.id, { onDelete: 'cascade' }).notNull(),
+  parentId: integer('parent_id').references(() => categories.id, { onDelete: 'set null' }),
+  name: varchar('name', { length: 255 }).notNull(),
+  createdAt: timestamptz('created_at').defaultNow().notNull(),
+  updatedAt: timestamptz('updated_at').defaultNow().notNull()
+}, (table) => [
+  unique('categories_organization_parent_name_unique').on(table.organizationId, table.parentId, table.name).nullsNotDistinct(),
+  index('idx_categories_organization_id').on(table.organizationId)
+]);
+
+// Items table - stores inventory items; names (ignoring case), SKUs and
+// barcodes are unique within an organization
+export const items = pgTable('items', {
+  id: serial('id').primaryKey(),
+  organizationId: integer('organization_id').references(() => organizations.id, { onDelete: 'cascade' }).notNull(),
+  name: varchar('name', { length: 255 }).notNull(),
+  sku: varchar('sku', { length: MAX_ITEM_CODE_LENGTH }),
+  barcode: varchar('barcode', { length: MAX_ITEM_CODE_LENGTH }),
+  description: text('description'),
+  attributes: jsonb('attributes').default({}).notNull(),
+  baseUnit: varchar('base_unit', { length: 20 }).default(DEFAULT_BASE_UNIT).notNull(),
+  categoryId: integer('category_id').references(() => categories.id, { onDelete: 'set null' }),
+  minStock: numeric('min_stock', { precision: 10, scale: 2 }),
+  reorderQty: numeric('reorder_qty', { precision: 10, scale: 2 }),
+  createdAt: timestamptz('created_at').defaultNow().notNull(),
+  updatedAt: timestamptz('updated_at').defaultNow().notNull(),
+  deletedAt: timestamptz('deleted_at')
+}, (table) => [
+  uniqueIndex('items_organization_name_unique').on(table.organizationId, sql`lower(${table.name})`),
+  unique('items_organization_sku_unique').on(table.organizationId, table.sku),
+  unique('items_organization_barcode_unique').on(table.organizationId, table.barcode),
+  index('idx_items_name').on(table.name),
+  index('idx_items_organization_id').on(table.organizationId),
+  index('idx_items_category_id').on(table.categoryId)
+]);
+
+// Item tags table - one row per tag on an item (see normalizeTag)
+export const itemTags = pgTable('item_tags', {
+  id: serial('id').primaryKey(),
+  itemId: integer('item_id').references(() => items.id, { onDelete: 'cascade' }).notNull(),
+  tag: varchar('tag', { length: MAX_TAG_LENGTH }).notNull(),
+  createdAt: timestamptz('created_at').defaultNow().notNull()
+}, (table) => [
+  unique('item_tags_item_tag_unique').on(table.itemId, table.tag),
+  index('idx_item_tags_tag').on(table.tag)
+]);
+
+// Supplier names are trimmed and have whitespace collapsed; the lower-cased
+// form is the de-duplication key, so "ABC Traders" and "abc traders " match
+export function normalizeSupplierName(name) {
+  return (name || '').trim().replace(/\s+/g, ' ');
+}
+
+export function supplierKey(name) {
+  return normalizeSupplierName(name).toLowerCase();
+}
+
+// Suppliers table - one row per vendor, de-duplicated on a normalized name key
+// within each organization
+export const suppliers = pgTable('suppliers', {
+  id: serial('id').primaryKey(),
+  organizationId: integer('organization_id').references(() => organizations.id, { onDelete: 'cascade' }).notNull(),
+  name: varchar('name', { length: 255 }).notNull(),
+  nameKey: varchar('name_key', { length: 255 }).notNull(),
+  contactName: varchar('contact_name', { length: 255 }),
+  email: varchar('email', { length: 255 }),
+  phone: varchar('phone', { length: 50 }),
+  address: text('address'),
+  notes: text('notes'),
+  createdAt: timestamptz('created_at').defaultNow().notNull(),
+  updatedAt: timestamptz('updated_at').defaultNow().notNull(),
+  deletedAt: timestamptz('deleted_at')
+}, (table) => [
+  unique('suppliers_organization_name_key_unique').on(table.organizationId, table.nameKey)
+]);
+
+// Purchase orders table - orders placed with a supplier, received later
+export const purchaseOrders = pgTable('purchase_orders', {
+  id: serial('id').primaryKey(),
+  organizationId: integer('organization_id').references(() => organizations.id, { onDelete: 'cascade' }).notNull(),
+  supplierId: integer('supplier_id').references(() => suppliers.id, { onDelete: 'set null' }),
+  status: varchar('status', { length: 20 }).default('draft').notNull(),
+  orderDate: timestamptz('order_date').defaultNow().notNull(),
+  expectedDate: timestamptz('expected_date'),
+  notes: text('notes'),
+  createdAt: timestamptz('created_at').defaultNow().notNull(),
+  updatedAt: timestamptz('updated_at').defaultNow().notNull(),
+  deletedAt: timestamptz('deleted_at')
+}, (table) => [
+  check('purchase_orders_status_check', sql`${table.status} IN ${sqlList(PURCHASE_ORDER_STATUSES)}`),
+  index('idx_purchase_orders_status').on(table.status),
+  index('idx_purchase_orders_organization_id').on(table.organizationId)
+]);
+
+// Purchase order lines table - one row per item ordered
+export const purchaseOrderLines = pgTable('purchase_order_lines', {
+  id: serial('id').primaryKey(),
+  orderId: integer('order_id').references(() => purchaseOrders.id, { onDelete: 'cascade' }).notNull(),
+  itemId: integer('item_id').references(() => items.id, { onDelete: 'cascade' }).notNull(),
+  qtyOrdered: numeric('qty_ordered', { precision: 10, scale: 2 }).notNull(),
+  qtyReceived: numeric('qty_received', { precision: 10, scale: 2 }).default('0').notNull(),
+  unitPrice: numeric('unit_price', { precision: 10, scale: 2 }).notNull()
+}, (table) => [
+  check('purchase_order_lines_qty_ordered_check', sql`${table.qtyOrdered} > 0`),
+  check('purchase_order_lines_qty_received_check', sql`${table.qtyReceived} >= 0`),
+  // Receipts add to qty_received in the database, so this is what stops two
+  // receipts at the same time from receiving more than was ordered
+  check('purchase_order_lines_received_within_ordered_check', sql`${table.qtyReceived} <= ${table.qtyOrdered}`),
+  index('idx_purchase_order_lines_order_id').on(table.orderId)
+]);
+
 // Purchases table - stores purchase records
 export const purchases = pgTable('purchases', {
   id: serial('id').primaryKey(),
-  itemId: serial('item_id').references(() => items.id, { onDelete: 'cascade' }).notNull(),
-  date: timestamp('date').notNull(),
+  itemId: integer('item_id').references(() => items.id, { onDelete: 'cascade' }).notNull(),
+  date: timestamptz('date').notNull(),
   qty: numeric('qty', { precision: 10, scale: 2 }).notNull(),
   unitPrice: numeric('unit_price', { precision: 10, scale: 2 }).notNull(),
+  unit: varchar('unit', { length: 20 }),
+  unitFactor: numeric('unit_factor', { precision: 12, scale: 4 }).default('1').notNull(),
+  supplierId: integer('supplier_id').references(() => suppliers.id, { onDelete: 'set null' }),
   supplier: varchar('supplier', { length: 255 }),
-  createdAt: timestamp('created_at').defaultNow().notNull()
-});
+  orderLineId: integer('order_line_id').references(() => purchaseOrderLines.id, { onDelete: 'set null' }),
+  locationId: integer('location_id').references(() => locations.id, { onDelete: 'set null' }),
+  lotCode: varchar('lot_code', { length: MAX_LOT_CODE_LENGTH }),
+  expiryDate: timestamptz('expiry_date'),
+  currency: varchar('currency', { length: 3 }).default(BASE_CURRENCY).notNull(),
+  exchangeRate: numeric('exchange_rate', { precision: 14, scale: 6 }).default('1').notNull(),
+  taxRate: numeric('tax_rate', { precision: 5, scale: 2 }).default('0').notNull(),
+  taxInclusive: boolean('tax_inclusive').default(false).notNull(),
+  // Local id of the purchase in the app that added it, so that an add sent
+  // again after its answer was lost returns the stored purchase
+  clientKey: varchar('client_key', { length: 36 }),
+  createdAt: timestamptz('created_at').defaultNow().notNull(),
+  updatedAt: timestamptz('updated_at').defaultNow().notNull(),
+  deletedAt: timestamptz('deleted_at')
+}, (table) => [
+  unique('purchases_client_key_unique').on(table.clientKey),
+  check('purchases_unit_factor_check', sql`${table.unitFactor} > 0`),
+  check('purchases_exchange_rate_check', sql`${table.exchangeRate} > 0`),
+  check('purchases_tax_rate_check', sql`${table.taxRate} >= 0 AND ${table.taxRate} <= 100`),
+  index('idx_purchases_item_id').on(table.itemId),
+  index('idx_purchases_date').on(table.date),
+  index('idx_purchases_supplier_id').on(table.supplierId),
+  index('idx_purchases_order_line_id').on(table.orderLineId),
+  index('idx_purchases_location_id').on(table.locationId),
+  index('idx_purchases_expiry_date').on(table.expiryDate).where(sql`${table.expiryDate} IS NOT NULL`)
+]);
+
+// Purchase attachments table - invoice/receipt files of a purchase, stored
+// under storageKey by the backend named in storage
+export const purchaseAttachments = pgTable('purchase_attachments', {
+  id: serial('id').primaryKey(),
+  purchaseId: integer('purchase_id').references(() => purchases.id, { onDelete: 'cascade' }).notNull(),
+  fileName: varchar('file_name', { length: 255 }).notNull(),
+  contentType: varchar('content_type', { length: 100 }).notNull(),
+  size: integer('size').notNull(),
+  storage: varchar('storage', { length: 20 }).notNull(),
+  storageKey: varchar('storage_key', { length: 255 }).notNull().unique('purchase_attachments_storage_key_key'),
+  createdAt: timestamptz('created_at').defaultNow().notNull()
+}, (table) => [
+  check('purchase_attachments_size_check', sql`${table.size} >= 0`),
+  index('idx_purchase_attachments_purchase_id').on(table.purchaseId)
+]);
+
+// Stock movements table - stores stock leaving or re-entering inventory, or
+// moving between locations
+export const stockMovements = pgTable('stock_movements', {
+  id: serial('id').primaryKey(),
+  itemId: integer('item_id').references(() => items.id, { onDelete: 'cascade' }).notNull(),
+  type: varchar('type', { length: 20 }).notNull(),
+  date: timestamptz('date').notNull(),
+  qty: numeric('qty', { precision: 10, scale: 2 }).notNull(),
+  note: text('note'),
+  locationId: integer('location_id').references(() => locations.id, { onDelete: 'set null' }),
+  toLocationId: integer('to_location_id').references(() => locations.id, { onDelete: 'set null' }),
+  // Local id of the movement in the app that recorded it (see purchases)
+  clientKey: varchar('client_key', { length: 36 }),
+  createdAt: timestamptz('created_at').defaultNow().notNull(),
+  updatedAt: timestamptz('updated_at').defaultNow().notNull(),
+  deletedAt: timestamptz('deleted_at')
+}, (table) => [
+  unique('stock_movements_client_key_unique').on(table.clientKey),
+  check('stock_movements_type_check', sql`${table.type} IN ${sqlList(Object.keys(STOCK_MOVEMENT_TYPES))}`),
+  check('stock_movements_qty_check', sql`${table.qty} >= 0`),
+  index('idx_stock_movements_item_id').on(table.itemId),
+  index('idx_stock_movements_date').on(table.date),
+  index('idx_stock_movements_location_id').on(table.locationId),
+  index('idx_stock_movements_to_location_id').on(table.toLocationId)
+]);
+
+// A budget caps the spend on one item, category (with its subcategories) or
+// supplier in each calendar period; see budgets.js
+export const BUDGET_PERIODS = ['month', 'quarter', 'year'];
+
+// Budgets table - exactly one of categoryId, itemId and supplierId is set, and
+// a target has at most one budget per period length
+export const budgets = pgTable('budgets', {
+  id: serial('id').primaryKey(),
+  organizationId: integer('organization_id').references(() => organizations.id, { onDelete: 'cascade' }).notNull(),
+  categoryId: integer('category_id').references(() => categories.id, { onDelete: 'cascade' }),
+  itemId: integer('item_id').references(() => items.id, { onDelete: 'cascade' }),
+  supplierId: integer('supplier_id').references(() => suppliers.id, { onDelete: 'cascade' }),
+  period: varchar('period', { length: 10 }).default('month').notNull(),
+  amount: numeric('amount', { precision: 14, scale: 2 }).notNull(),
+  createdAt: timestamptz('created_at').defaultNow().notNull(),
+  updatedAt: timestamptz('updated_at').defaultNow().notNull()
+}, (table) => [
+  unique('budgets_organization_target_period_unique')
+    .on(table.organizationId, table.categoryId, table.itemId, table.supplierId, table.period)
+    .nullsNotDistinct(),
+  check('budgets_period_check', sql`${table.period} IN ${sqlList(BUDGET_PERIODS)}`),
+  check('budgets_amount_check', sql`${table.amount} > 0`),
+  check('budgets_check', sql`num_nonnulls(${table.categoryId}, ${table.itemId}, ${table.supplierId}) = 1`),
+  index('idx_budgets_organization_id').on(table.organizationId)
+]);
+
+// Audit log actions and the kinds of record they apply to. Deleting moves a
+// record to the trash; purging removes it from the trash for good.
+export const AUDIT_ACTIONS = ['create', 'update', 'delete', 'restore', 'purge'];
+export const AUDIT_ENTITY_TYPES = ['item', 'purchase', 'stock_movement', 'supplier', 'purchase_order', 'category', 'location', 'attachment', 'budget'];
+
+// Audit log table - append-only history of every change: who made it, when,
+// and the record before and after. Entity and item ids are not foreign keys so
+// the history outlives the records it describes.
+export const auditLog = pgTable('audit_log', {
+  id: serial('id').primaryKey(),
+  organizationId: integer('organization_id').references(() => organizations.id).notNull(),
+  userId: integer('user_id').references(() => users.id),
+  action: varchar('action', { length: 10 }).notNull(),
+  entityType: varchar('entity_type', { length: 30 }).notNull(),
+  entityId: integer('entity_id'),
+  itemId: integer('item_id'),
+  before: jsonb('before'),
+  after: jsonb('after'),
+  createdAt: timestamptz('created_at').defaultNow().notNull()
+}, (table) => [
+  check('audit_log_action_check', sql`${table.action} IN ${sqlList(AUDIT_ACTIONS)}`),
+  index('idx_audit_log_organization_id').on(table.organizationId, table.createdAt),
+  index('idx_audit_log_item_id').on(table.itemId)
+]);
+
+// Relations used by db.query (findMany with: { ... })
+export const organizationsRelations = relations(organizations, ({ many }) => ({
+  users: many(users),
+  items: many(items),
+  categories: many(categories),
+  locations: many(locations),
+  suppliers: many(suppliers),
+  purchaseOrders: many(purchaseOrders),
+  budgets: many(budgets)
+}));
+
+export const usersRelations = relations(users, ({ one, many }) => ({
+  organization: one(organizations, { fields: [users.organizationId], references: [organizations.id] }),
+  sessions: many(sessions)
+}));
+
+export const sessionsRelations = relations(sessions, ({ one }) => ({
+  user: one(users, { fields: [sessions.userId], references: [users.id] })
+}));
+
+export const locationsRelations = relations(locations, ({ one, many }) => ({
+  organization: one(organizations, { fields: [locations.organizationId], references: [organizations.id] }),
+  purchases: many(purchases)
+}));
+
+export const categoriesRelations = relations(categories, ({ one, many }) => ({
+  organization: one(organizations, { fields: [categories.organizationId], references: [organizations.id] }),
+  parent: one(categories, { fields: [categories.parentId], references: [categories.id], relationName: 'subcategories' }),
+  subcategories: many(categories, { relationName: 'subcategories' }),
+  items: many(items)
+}));
+
+export const itemsRelations = relations(items, ({ one, many }) => ({
+  organization: one(organizations, { fields: [items.organizationId], references: [organizations.id] }),
+  category: one(categories, { fields: [items.categoryId], references: [categories.id] }),
+  tags: many(itemTags),
+  purchases: many(purchases),
+  stockMovements: many(stockMovements)
+}));
+
+export const itemTagsRelations = relations(itemTags, ({ one }) => ({
+  item: one(items, { fields: [itemTags.itemId], references: [items.id] })
+}));
+
+export const suppliersRelations = relations(suppliers, ({ one, many }) => ({
+  organization: one(organizations, { fields: [suppliers.organizationId], references: [organizations.id] }),
+  purchases: many(purchases),
+  purchaseOrders: many(purchaseOrders)
+}));
+
+export const purchaseOrdersRelations = relations(purchaseOrders, ({ one, many }) => ({
+  organization: one(organizations, { fields: [purchaseOrders.organizationId], references: [organizations.id] }),
+  supplier: one(suppliers, { fields: [purchaseOrders.supplierId], references: [suppliers.id] }),
+  lines: many(purchaseOrderLines)
+}));
+
+export const purchaseOrderLinesRelations = relations(purchaseOrderLines, ({ one, many }) => ({
+  order: one(purchaseOrders, { fields: [purchaseOrderLines.orderId], references: [purchaseOrders.id] }),
+  item: one(items, { fields: [purchaseOrderLines.itemId], references: [items.id] }),
+  receipts: many(purchases)
+}));
+
+export const purchasesRelations = relations(purchases, ({ one, many }) => ({
+  item: one(items, { fields: [purchases.itemId], references: [items.id] }),
+  supplierRecord: one(suppliers, { fields: [purchases.supplierId], references: [suppliers.id] }),
+  orderLine: one(purchaseOrderLines, { fields: [purchases.orderLineId], references: [purchaseOrderLines.id] }),
+  location: one(locations, { fields: [purchases.locationId], references: [locations.id] }),
+  attachments: many(purchaseAttachments)
+}));
+
+export const purchaseAttachmentsRelations = relations(purchaseAttachments, ({ one }) => ({
+  purchase: one(purchases, { fields: [purchaseAttachments.purchaseId], references: [purchases.id] })
+}));
+
+export const stockMovementsRelations = relations(stockMovements, ({ one }) => ({
+  item: one(items, { fields: [stockMovements.itemId], references: [items.id] })
+}));
+
+export const budgetsRelations = relations(budgets, ({ one }) => ({
+  organization: one(organizations, { fields: [budgets.organizationId], references: [organizations.id] }),
+  category: one(categories, { fields: [budgets.categoryId], references: [categories.id] }),
+  item: one(items, { fields: [budgets.itemId], references: [items.id] }),
+  supplier: one(suppliers, { fields: [budgets.supplierId], references: [suppliers.id] })
+}));
+
+export const auditLogRelations = relations(auditLog, ({ one }) => ({
+  user: one(users, { fields: [auditLog.userId], references: [users.id] })
+}));
 
 // Helper function to get the schema structure for reference
 export const getSchemaStructure = () => ({
   tables: {
+    organizations: {
+      description: 'Organizations (teams) that own inventory data',
+      columns: {
+        id: 'Primary key (auto-increment)',
+        name: 'Organization name (required)',
+        createdAt: 'Creation timestamp'
+      }
+    },
+    users: {
+      description: 'Users who can sign in',
+      columns: {
+        id: 'Primary key (auto-increment)',
+        organizationId: 'Foreign key to organizations.id (required)',
+        email: 'Login email (unique, required)',
+        name: 'Display name (optional)',
+        role: 'viewer, clerk, manager or admin (required, default clerk)',
+        passwordHash: 'PBKDF2 hash of the password (required)',
+        passwordSalt: 'Random per-user salt (required)',
+        createdAt: 'Creation timestamp'
+      }
+    },
+    sessions: {
+      description: 'Login sessions',
+      columns: {
+        token: 'Primary key - random session token',
+        userId: 'Foreign key to users.id (required)',
+        expiresAt: 'When the session stops being valid (required)',
+        createdAt: 'Creation timestamp'
+      }
+    },
     items: {
       description: 'Main inventory items table',
       columns: {
         id: 'Primary key (auto-increment)',
-        name: 'Item name (unique, required)',
+        organizationId: 'Foreign key to organizations.id (required)',
+        name: 'Item name (unique within the organization, required)',
+        sku: 'Stock keeping unit, upper-cased (unique within the organization, optional)',
+        barcode: 'Barcode without whitespace (unique within the organization, optional)',
+        description: 'Free-text description (optional)',
+        attributes: 'Key/value pairs such as {"colour": "red"} (required, default {})',
+        baseUnit: 'Unit stock is counted in, e.g. kg (required, default unit)',
+        categoryId: 'Foreign key to categories.id (optional)',
+        minStock: 'Reorder point - flag the item when on-hand falls below this (optional)',
+        reorderQty: 'Quantity to order when restocking (optional)',
+        createdAt: 'Creation timestamp',
+        updatedAt: 'Last update timestamp',
+        deletedAt: 'When the record was moved to the trash (null when live)'
+      }
+    },
+    categories: {
+      description: 'Nestable item categories',
+      columns: {
+        id: 'Primary key (auto-increment)',
+        organizationId: 'Foreign key to organizations.id (required)',
+        parentId: 'Foreign key to the parent categories.id (null for top-level categories)',
+        name: 'Category name (unique among categories with the same parent, required)',
         createdAt: 'Creation timestamp',
         updatedAt: 'Last update timestamp'
       }
     },
+    locations: {
+      description: 'Store rooms or warehouses stock is kept in',
+      columns: {
+        id: 'Primary key (auto-increment)',
+        organizationId: 'Foreign key to organizations.id (required)',
+        name: 'Location name (unique within the organization, required)',
+        createdAt: 'Creation timestamp',
+        updatedAt: 'Last update timestamp'
+      }
+    },
+    itemTags: {
+      description: 'Free-form tags on items',
+      columns: {
+        id: 'Primary key (auto-increment)',
+        itemId: 'Foreign key to items.id (required)',
+        tag: 'Lower-cased tag (unique per item, required)',
+        createdAt: 'Creation timestamp'
+      }
+    },
     purchases: {
       description: 'Purchase records table',
       columns: {
         id: 'Primary key (auto-increment)',
         itemId: 'Foreign key to items.id (required)',
         date: 'Purchase date (required)',
-        qty: 'Quantity purchased (required)',
-        unitPrice: 'Price per unit (required)',
-        supplier: 'Supplier name (optional)',
-        createdAt: 'Record creation timestamp'
+        qty: 'Quantity purchased, in the purchase unit (required)',
+        unitPrice: 'Price per purchase unit in the purchase currency (required)',
+        unit: 'Purchase unit, e.g. bag (null when bought in the item\'s base unit)',
+        unitFactor: 'Base units in one purchase unit, e.g. 25 kg per bag (required, default 1)',
+        supplierId: 'Foreign key to suppliers.id (optional)',
+        supplier: 'Supplier name as recorded on the purchase (optional)',
+        orderLineId: 'Foreign key to purchase_order_lines.id when received against an order (optional)',
+        locationId: 'Foreign key to locations.id where the goods were received (null for unassigned)',
+        lotCode: 'Batch/lot code of the goods (optional)',
+        expiryDate: 'Day the goods expire (optional)',
+        currency: `Currency code of the prices (default ${BASE_CURRENCY})`,
+        exchangeRate: `Value of one unit of the currency in ${BASE_CURRENCY} (default 1)`,
+        taxRate: 'Tax (GST) percentage (default 0)',
+        taxInclusive: 'Whether the unit price includes the tax (default false)',
+        createdAt: 'Record creation timestamp',
+        deletedAt: 'When the record was moved to the trash (null when live)'
+      }
+    },
+    purchaseAttachments: {
+      description: 'Invoice/receipt files attached to purchases',
+      columns: {
+        id: 'Primary key (auto-increment)',
+        purchaseId: 'Foreign key to purchases.id (required)',
+        fileName: 'Original file name (required)',
+        contentType: `File type: ${ATTACHMENT_CONTENT_TYPES.join(', ')} (required)`,
+        size: 'File size in bytes (required)',
+        storage: 'Name of the storage backend holding the file, e.g. disk (required)',
+        storageKey: 'Key of the file in the storage backend (unique, required)',
+        createdAt: 'Upload timestamp'
+      }
+    },
+    purchaseOrders: {
+      description: 'Purchase orders table',
+      columns: {
+        id: 'Primary key (auto-increment)',
+        organizationId: 'Foreign key to organizations.id (required)',
+        supplierId: 'Foreign key to suppliers.id (optional)',
+        status: 'draft, sent, partially_received, received or cancelled (required)',
+        orderDate: 'Date the order was placed (required)',
+        expectedDate: 'Expected delivery date (optional)',
+        notes: 'Free-text notes (optional)',
+        createdAt: 'Creation timestamp',
+        updatedAt: 'Last update timestamp',
+        deletedAt: 'When the record was moved to the trash (null when live)'
+      }
+    },
+    purchaseOrderLines: {
+      description: 'Purchase order line items table',
+      columns: {
+        id: 'Primary key (auto-increment)',
+        orderId: 'Foreign key to purchase_orders.id (required)',
+        itemId: 'Foreign key to items.id (required)',
+        qtyOrdered: 'Quantity ordered, in the item\'s base unit (required)',
+        qtyReceived: 'Quantity received so far (required, default 0)',
+        unitPrice: 'Agreed price per unit (required)'
+      }
+    },
+    suppliers: {
+      description: 'Suppliers table',
+      columns: {
+        id: 'Primary key (auto-increment)',
+        organizationId: 'Foreign key to organizations.id (required)',
+        name: 'Display name (required)',
+        nameKey: 'Normalized name used for de-duplication (unique within the organization, required)',
+        contactName: 'Contact person (optional)',
+        email: 'Email address (optional)',
+        phone: 'Phone number (optional)',
+        address: 'Postal address (optional)',
+        notes: 'Free-text notes (optional)',
+        createdAt: 'Creation timestamp',
+        updatedAt: 'Last update timestamp',
+        deletedAt: 'When the record was moved to the trash (null when live)'
+      }
+    },
+    stockMovements: {
+      description: 'Stock movement records table (issues, consumption, returns, write-offs, transfers)',
+      columns: {
+        id: 'Primary key (auto-increment)',
+        itemId: 'Foreign key to items.id (required)',
+        type: 'Movement type: issue, consumption, return, write_off or transfer (required)',
+        date: 'Movement date (required)',
+        qty: 'Quantity moved, always positive (required)',
+        note: 'Free-text note (optional)',
+        locationId: 'Foreign key to locations.id the stock left or came back to; a transfer\'s source (null for unassigned)',
+        toLocationId: 'Foreign key to locations.id a transfer moved the stock to (null for unassigned)',
+        createdAt: 'Record creation timestamp',
+        deletedAt: 'When the record was moved to the trash (null when live)'
+      }
+    },
+    budgets: {
+      description: 'Spending limits per period on an item, category or supplier',
+      columns: {
+        id: 'Primary key (auto-increment)',
+        organizationId: 'Foreign key to organizations.id (required)',
+        categoryId: 'Foreign key to categories.id for a category budget, which covers its subcategories too',
+        itemId: 'Foreign key to items.id for an item budget',
+        supplierId: 'Foreign key to suppliers.id for a supplier budget',
+        period: `${BUDGET_PERIODS.join(', ')} (required, default month)`,
+        amount: 'Net spend allowed per period in the base currency (required)',
+        createdAt: 'Creation timestamp',
+        updatedAt: 'Last update timestamp'
+      }
+    },
+    auditLog: {
+      description: 'Append-only history of every create, update and delete',
+      columns: {
+        id: 'Primary key (auto-increment)',
+        organizationId: 'Foreign key to organizations.id (required)',
+        userId: 'Foreign key to users.id - who made the change (optional)',
+        action: 'create, update, delete, restore or purge (required)',
+        entityType: `${AUDIT_ENTITY_TYPES.join(', ')} (required)`,
+        entityId: 'Id of the changed record (optional)',
+        itemId: 'Item the change belongs to, for per-item history (optional)',
+        before: 'Record before the change as JSON (null for creates)',
+        after: 'Record after the change as JSON (null for deletes)',
+        createdAt: 'When the change was made'
       }
     }
   },
   relationships: {
     oneToMany: {
+      organizations: {
+        relatedTable: 'users, items, suppliers, purchase_orders',
+        foreignKey: 'organizationId',
+        description: 'An organization owns its users and all of its inventory data'
+      },
+      users: {
+        relatedTable: 'sessions',
+        foreignKey: 'userId',
+        description: 'One user can have many sessions'
+      },
       items: {
         relatedTable: 'purchases',
         foreignKey: 'itemId',
         description: 'One item can have many purchases'
+      },
+      purchaseAttachments: {
+        relatedTable: 'purchase_attachments',
+        foreignKey: 'purchaseId',
+        description: 'One purchase can have many attached files'
+      },
+      itemStockMovements: {
+        relatedTable: 'stock_movements',
+        foreignKey: 'itemId',
+        description: 'One item can have many stock movements'
+      },
+      suppliers: {
+        relatedTable: 'purchases',
+        foreignKey: 'supplierId',
+        description: 'One supplier can have many purchases'
+      },
+      purchaseOrders: {
+        relatedTable: 'purchase_order_lines',
+        foreignKey: 'orderId',
+        description: 'One purchase order can have many lines'
+      },
+      purchaseOrderLines: {
+        relatedTable: 'purchases',
+        foreignKey: 'orderLineId',
+        description: 'One order line can be received in many purchases'
+      }
+    },
+    setNullOnDelete: {
+      purchases: {
+        description: 'When a supplier is deleted, its purchases keep the supplier name but lose the link'
+      },
+      purchaseOrderLines: {
+        description: 'When an order is deleted, purchases received against it are kept but lose the link'
+      },
+      locations: {
+        description: 'When a location is deleted, its purchases and stock movements become unassigned'
       }
     },
     cascadeDelete: {
+      organizations: {
+        description: 'When an organization is deleted, its users, items, suppliers and orders are also deleted'
+      },
       purchases: {
         description: 'When an item is deleted, all its purchases are also deleted'
+      },
+      stockMovements: {
+        description: 'When an item is deleted, all its stock movements are also deleted'
+      },
+      purchaseOrderLines: {
+        description: 'When an order or item is deleted, its order lines are also deleted'
+      },
+      budgets: {
+        description: 'When a category, item or supplier is deleted for good, its budgets are also deleted'
       }
     }
   }
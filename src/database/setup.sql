@@ -1,57 +0,0 @@
--- Imventory System Database Setup Script
--- This SQL creates the necessary tables for the inventory tracking system
-
--- Create items table
-CREATE TABLE IF NOT EXISTS items (
-    id SERIAL PRIMARY KEY,
-    name VARCHAR(255) NOT NULL UNIQUE,
-    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP NOT NULL,
-    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP NOT NULL
-);
-
--- Create purchases table with foreign key reference
-CREATE TABLE IF NOT EXISTS purchases (
-    id SERIAL PRIMARY KEY,
-    item_id INTEGER NOT NULL REFERENCES items(id) ON DELETE CASCADE,
-    date TIMESTAMP WITH TIME ZONE NOT NULL,
-    qty NUMERIC(10,2) NOT NULL,
-    unit_price NUMERIC(10,2) NOT NULL,
-    supplier VARCHAR(255),
-    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP NOT NULL
-);
-
--- Create indexes for better performance
-CREATE INDEX IF NOT EXISTS idx_purchases_item_id ON purchases(item_id);
-CREATE INDEX IF NOT EXISTS idx_purchases_date ON purchases(date);
-CREATE INDEX IF NOT EXISTS idx_items_name ON items(name);
-
--- Create updated_at trigger function (if not exists)
-CREATE OR REPLACE FUNCTION update_updated_at_column()
-RETURNS TRIGGER AS $$
-BEGIN
-    NEW.updated_at = CURRENT_TIMESTAMP;
-    RETURN NEW;
-END;
-$$ language 'plpgsql';
-
--- Create trigger to automatically update updated_at on items table
-DROP TRIGGER IF EXISTS update_items_updated_at ON items;
-CREATE TRIGGER update_items_updated_at
-    BEFORE UPDATE ON items
-    FOR EACH ROW
-    EXECUTE FUNCTION update_updated_at_column();
-
--- Insert sample data (optional)
-INSERT INTO items (name) VALUES ('Sample Item 1'), ('Sample Item 2')
-ON CONFLICT (name) DO NOTHING;
-
--- Show created tables
-SELECT 
-    table_name,
-    column_name,
-    data_type,
-    is_nullable,
-    column_default
-FROM information_schema.columns 
-WHERE table_name IN ('items', 'purchases')
-ORDER BY table_name, ordinal_position;
\ No newline at end of file
@@ -0,0 +1,51 @@
+import { mkdir, readFile, writeFile, unlink } from 'node:fs/promises';
+import path from 'node:path';
+
+// Storage for purchase attachment files. Server-side only, like connection.js.
+//
+// A storage backend is an object with a `name` (recorded with every
+// attachment) and three async methods taking a storage key:
+//   save(key, data, contentType)  store a Buffer
+//   read(key)                     the stored Buffer
+//   remove(key)                   delete it (missing files are not an error)
+// Files go to the local disk (ATTACHMENTS_DIR, default ./uploads) unless
+// another backend, e.g. one for object storage, is set with
+// setAttachmentStorage() before the server starts.
+
+// Backend keeping files under a directory on the local disk
+export function diskStorage(directory) {
+  const root = path.resolve(directory);
+  const fileOf = (key) => {
+    const file = path.resolve(root, key);
+    if (!file.startsWith(root + path.sep)) throw new Error(`Invalid storage key: ${key}`);
+    return file;
+  };
+
+  return {
+    name: 'disk',
+    async save(key, data) {
+      const file = fileOf(key);
+      await mkdir(path.dirname(file), { recursive: true });
+      await writeFile(file, data);
+    },
+    read: (key) => readFile(fileOf(key)),
+    async remove(key) {
+      try {
+        await unlink(fileOf(key));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+  };
+}
+
+let storage = null;
+
+export function setAttachmentStorage(backend) {
+  storage = backend;
+}
+
+export function getAttachmentStorage() {
+  if (!storage) storage = diskStorage(process.env.ATTACHMENTS_DIR || 'uploads');
+  return storage;
+}
@@ -0,0 +1,809 @@
+import { v4 as uuidv4 } from 'uuid';
+import {
+  getAllItems,
+  getAllSuppliers,
+  saveSupplier,
+  updateSupplier,
+  getCategories,
+  saveCategory,
+  updateCategory,
+  getLocations,
+  saveLocation,
+  updateLocation,
+  addItem,
+  addPurchase,
+  updateItemName,
+  updateItemBaseUnit,
+  updateItemReorderSettings,
+  updateItemInfo,
+  updateItemGrouping,
+  updatePurchase,
+  recordStockMovement
+} from '../api/client.js';
+import { replayOutbox, pruneOutbox, pendingDeletes, pendingRecordIds, OUTBOX_DELETE_TYPES } from './outbox.js';
+import { supplierKey, DEFAULT_BASE_UNIT, categoryPath, normalizeAttributes, BASE_CURRENCY } from './schema.js';
+
+// Two-way sync between the browser's localStorage state and the database.
+//
+// Local records keep their uuid `id` and gain a `serverId` (the serial id in the
+// database) once they have been pushed or pulled. Pending operations in the
+// outbox (see outbox.js) are replayed first; deletes that still fail are kept
+// there and their rows are not pulled back. Unsynced items are matched by SKU,
+// then by name. Item field conflicts (name, base unit, reorder settings, SKU,
+// barcode, description, attributes, category and tags) are resolved by
+// `updatedAt` (last writer wins), and so are purchases and stock movements
+// already on the server, except that records with an operation still in the
+// outbox keep their local values until it is pushed. Suppliers are
+// matched by serverId or normalized name, categories by serverId or name under
+// the same parent and locations by serverId or name; all are resolved by
+// `updatedAt` as well.
+
+function emptySummary() {
+  return {
+    pushed: { locations: 0, categories: 0, suppliers: 0, items: 0, purchases: 0, movements: 0 },
+    pulled: { locations: 0, categories: 0, suppliers: 0, items: 0, purchases: 0, movements: 0 },
+    deletesPushed: 0,
+    deletesPulled: 0,
+    conflicts: [],
+    errors: []
+  };
+}
+
+function toISO(value) {
+  return value ? new Date(value).toISOString() : null;
+}
+
+function sameDay(a, b) {
+  return toISO(a)?.slice(0, 10) === toISO(b)?.slice(0, 10);
+}
+
+function isModifiedSince(record, since) {
+  if (!since) return true;
+  return new Date(record.updatedAt || 0) > new Date(since);
+}
+
+// Attachments are only references: the files stay on the server
+export function toLocalAttachment(attachment) {
+  return {
+    serverId: attachment.id,
+    fileName: attachment.fileName,
+    contentType: attachment.contentType,
+    size: Number(attachment.size) || 0,
+    createdAt: toISO(attachment.createdAt)
+  };
+}
+
+function toLocalPurchase(p, supplierIds, locationIds) {
+  return {
+    id: uuidv4(),
+    serverId: p.id,
+    date: toISO(p.date),
+    qty: Number(p.qty),
+    unitPrice: Number(p.unitPrice),
+    unit: p.unit || null,
+    unitFactor: Number(p.unitFactor) || 1,
+    supplier: p.supplier || '',
+    supplierId: supplierIds.get(p.supplierId) ?? null,
+    locationId: locationIds.get(p.locationId) ?? null,
+    lotCode: p.lotCode || null,
+    // Expiry dates are days, kept as YYYY-MM-DD like the date inputs
+    expiryDate: p.expiryDate ? toISO(p.expiryDate).slice(0, 10) : null,
+    currency: p.currency || BASE_CURRENCY,
+    exchangeRate: Number(p.exchangeRate) || 1,
+    taxRate: Number(p.taxRate) || 0,
+    taxInclusive: Boolean(p.taxInclusive),
+    attachments: (p.attachments || []).map(toLocalAttachment),
+    updatedAt: toISO(p.updatedAt)
+  };
+}
+
+// The fields of a purchase that can be edited, in a form that compares equal
+// for a local record and its server copy
+function comparablePurchase(p) {
+  return {
+    day: toISO(p.date)?.slice(0, 10) ?? null,
+    qty: Number(p.qty),
+    unitPrice: Number(p.unitPrice),
+    unit: p.unit || null,
+    unitFactor: Number(p.unitFactor) || 1,
+    supplier: (p.supplier || '').trim(),
+    locationId: p.locationId ?? null,
+    lotCode: p.lotCode || null,
+    expiryDate: p.expiryDate ? String(p.expiryDate).slice(0, 10) : null,
+    currency: p.currency || BASE_CURRENCY,
+    exchangeRate: Number(p.exchangeRate) || 1,
+    taxRate: Number(p.taxRate) || 0,
+    taxInclusive: Boolean(p.taxInclusive)
+  };
+}
+
+function purchaseDiffers(local, remote) {
+  return JSON.stringify(comparablePurchase(local)) !== JSON.stringify(comparablePurchase(remote));
+}
+
+const SUPPLIER_FIELDS = ['name', 'contactName', 'email', 'phone', 'address', 'notes'];
+
+function toLocalSupplier(supplier) {
+  const local = { id: uuidv4(), serverId: supplier.id, updatedAt: toISO(supplier.updatedAt) };
+  for (const field of SUPPLIER_FIELDS) local[field] = supplier[field] || '';
+  return local;
+}
+
+function supplierDiffers(local, server) {
+  return SUPPLIER_FIELDS.some((field) => (local[field] || '') !== (server[field] || ''));
+}
+
+function toLocalMovement(m, locationIds) {
+  return {
+    id: uuidv4(),
+    serverId: m.id,
+    type: m.type,
+    date: toISO(m.date),
+    qty: Number(m.qty),
+    note: m.note || '',
+    locationId: locationIds.get(m.locationId) ?? null,
+    toLocationId: locationIds.get(m.toLocationId) ?? null,
+    updatedAt: toISO(m.updatedAt)
+  };
+}
+
+function movementDiffers(local, remote) {
+  return local.type !== remote.type
+    || !sameDay(local.date, remote.date)
+    || Number(local.qty) !== Number(remote.qty)
+    || (local.note || '') !== (remote.note || '')
+    || (local.locationId ?? null) !== (remote.locationId ?? null)
+    || (local.toLocationId ?? null) !== (remote.toLocationId ?? null);
+}
+
+function toLocalReorderSettings(item) {
+  return {
+    minStock: item.minStock == null ? null : Number(item.minStock),
+    reorderQty: item.reorderQty == null ? null : Number(item.reorderQty)
+  };
+}
+
+function reorderSettingsDiffer(local, server) {
+  const remote = toLocalReorderSettings(server);
+  return (local.minStock ?? null) !== remote.minStock || (local.reorderQty ?? null) !== remote.reorderQty;
+}
+
+function hasReorderSettings(item) {
+  return item.minStock != null || item.reorderQty != null;
+}
+
+// An item's SKU, barcode, description and attributes from its server row
+// (jsonb does not keep key order, so attributes are sorted again)
+function toLocalInfo(item) {
+  return {
+    sku: item.sku ?? null,
+    barcode: item.barcode ?? null,
+    description: item.description ?? null,
+    attributes: normalizeAttributes(item.attributes)
+  };
+}
+
+function infoDiffers(local, server) {
+  const remote = toLocalInfo(server);
+  return (local.sku ?? null) !== remote.sku
+    || (local.barcode ?? null) !== remote.barcode
+    || (local.description ?? null) !== remote.description
+    || JSON.stringify(normalizeAttributes(local.attributes)) !== JSON.stringify(remote.attributes);
+}
+
+function hasInfo(item) {
+  return Boolean(item.sku || item.barcode || item.description) || Object.keys(item.attributes || {}).length > 0;
+}
+
+// An item's category (as a local id) and tags from its server row
+function toLocalGrouping(item, categoryIds) {
+  return {
+    categoryId: categoryIds.get(item.categoryId) ?? null,
+    tags: (item.tags || []).map((t) => t.tag)
+  };
+}
+
+function groupingDiffers(local, server, categoryIds) {
+  const remote = toLocalGrouping(server, categoryIds);
+  return (local.categoryId ?? null) !== remote.categoryId || (local.tags || []).join(',') !== remote.tags.join(',');
+}
+
+function hasGrouping(item) {
+  return item.categoryId != null || (item.tags || []).length > 0;
+}
+
+function toLocalItem(item, supplierIds, categoryIds, locationIds) {
+  return {
+    id: uuidv4(),
+    serverId: item.id,
+    name: item.name,
+    baseUnit: item.baseUnit || DEFAULT_BASE_UNIT,
+    ...toLocalInfo(item),
+    ...toLocalGrouping(item, categoryIds),
+    ...toLocalReorderSettings(item),
+    updatedAt: toISO(item.updatedAt),
+    purchases: (item.purchases || []).map((p) => toLocalPurchase(p, supplierIds, locationIds)),
+    movements: (item.stockMovements || []).map((m) => toLocalMovement(m, locationIds))
+  };
+}
+
+// Unsynced local records that look identical to a server row are linked instead
+// of pushed again, so data stored by earlier one-way syncs is not duplicated.
+function purchaseMatches(local, server) {
+  return sameDay(local.date, server.date)
+    && Number(local.qty) === Number(server.qty)
+    && Number(local.unitPrice) === Number(server.unitPrice)
+    && Number(local.unitFactor || 1) === Number(server.unitFactor || 1)
+    && (local.currency || BASE_CURRENCY) === (server.currency || BASE_CURRENCY)
+    && (local.supplier || '').trim() === (server.supplier || '');
+}
+
+function movementMatches(local, server) {
+  return local.type === server.type
+    && sameDay(local.date, server.date)
+    && Number(local.qty) === Number(server.qty);
+}
+
+function stripServerIds(item) {
+  const { serverId, ...rest } = item;
+  return {
+    ...rest,
+    purchases: (item.purchases || []).map(({ serverId, ...p }) => p),
+    movements: (item.movements || []).map(({ serverId, ...m }) => m)
+  };
+}
+
+// Merge suppliers; returns the merged list and a map of server id -> local id
+async function mergeSuppliers(localSuppliers, serverSuppliers, { skipIds, lastSyncedAt }, summary) {
+  const serverById = new Map(serverSuppliers.map((s) => [s.id, s]));
+  const claimed = new Set();
+  const merged = [];
+
+  for (let supplier of localSuppliers) {
+    let server = supplier.serverId != null ? serverById.get(supplier.serverId) : null;
+
+    if (supplier.serverId != null && !server) {
+      if (!isModifiedSince(supplier, lastSyncedAt)) {
+        summary.deletesPulled++;
+        continue;
+      }
+      const { serverId, ...rest } = supplier;
+      supplier = rest;
+    }
+
+    if (!server) {
+      server = serverSuppliers.find((s) => !claimed.has(s.id) && !skipIds.has(s.id)
+        && supplierKey(s.name) === supplierKey(supplier.name));
+    }
+
+    if (!server) {
+      const result = await saveSupplier(supplier);
+      if (result.success) {
+        merged.push({ ...supplier, serverId: result.data.id, updatedAt: toISO(result.data.updatedAt) });
+        summary.pushed.suppliers++;
+      } else {
+        merged.push(supplier);
+        summary.errors.push(result.message);
+      }
+      continue;
+    }
+
+    claimed.add(server.id);
+    if (!supplierDiffers(supplier, server)) {
+      merged.push({ ...supplier, serverId: server.id });
+    } else if (new Date(supplier.updatedAt || 0) > new Date(server.updatedAt)) {
+      const result = await updateSupplier(server.id, supplier);
+      if (!result.success) summary.errors.push(result.message);
+      else summary.conflicts.push({ name: supplier.name, resolution: 'Kept local supplier details' });
+      merged.push({ ...supplier, serverId: server.id });
+    } else {
+      summary.conflicts.push({ name: server.name, resolution: 'Took server supplier details' });
+      merged.push({ ...toLocalSupplier(server), id: supplier.id });
+    }
+  }
+
+  for (const server of serverSuppliers) {
+    if (claimed.has(server.id) || skipIds.has(server.id)) continue;
+    merged.push(toLocalSupplier(server));
+    summary.pulled.suppliers++;
+  }
+
+  const localIds = new Map(merged.filter((s) => s.serverId != null).map((s) => [s.serverId, s.id]));
+  return { suppliers: merged, localIds };
+}
+
+function toLocalLocation(location) {
+  return { id: uuidv4(), serverId: location.id, name: location.name, updatedAt: toISO(location.updatedAt) };
+}
+
+// Merge locations; returns the merged list and a map of server id -> local id
+async function mergeLocations(localLocations, serverLocations, { skipIds, lastSyncedAt }, summary) {
+  const serverById = new Map(serverLocations.map((l) => [l.id, l]));
+  const claimed = new Set();
+  const merged = [];
+
+  for (let location of localLocations) {
+    let server = location.serverId != null ? serverById.get(location.serverId) : null;
+
+    if (location.serverId != null && !server) {
+      if (!isModifiedSince(location, lastSyncedAt)) {
+        summary.deletesPulled++;
+        continue;
+      }
+      const { serverId, ...rest } = location;
+      location = rest;
+    }
+
+    if (!server) {
+      server = serverLocations.find((l) => !claimed.has(l.id) && !skipIds.has(l.id)
+        && l.name.toLowerCase() === location.name.toLowerCase());
+    }
+
+    if (!server) {
+      const result = await saveLocation({ name: location.name });
+      if (result.success) {
+        merged.push({ ...location, serverId: result.data.id, updatedAt: toISO(result.data.updatedAt) });
+        summary.pushed.locations++;
+      } else {
+        merged.push(location);
+        summary.errors.push(result.message);
+      }
+      continue;
+    }
+
+    claimed.add(server.id);
+    if (server.name === location.name) {
+      merged.push({ ...location, serverId: server.id });
+    } else if (new Date(location.updatedAt || 0) > new Date(server.updatedAt)) {
+      const result = await updateLocation(server.id, { name: location.name });
+      if (!result.success) summary.errors.push(result.message);
+      else summary.conflicts.push({ name: location.name, resolution: 'Kept local location' });
+      merged.push({ ...location, serverId: server.id });
+    } else {
+      summary.conflicts.push({ name: server.name, resolution: 'Took server location' });
+      merged.push({ ...toLocalLocation(server), id: location.id });
+    }
+  }
+
+  for (const server of serverLocations) {
+    if (claimed.has(server.id) || skipIds.has(server.id)) continue;
+    merged.push(toLocalLocation(server));
+    summary.pulled.locations++;
+  }
+
+  const localIds = new Map(merged.filter((l) => l.serverId != null).map((l) => [l.serverId, l.id]));
+  return { locations: merged, localIds };
+}
+
+function toLocalCategory(category) {
+  return {
+    id: uuidv4(),
+    serverId: category.id,
+    name: category.name,
+    parentServerId: category.parentId,
+    updatedAt: toISO(category.updatedAt)
+  };
+}
+
+// Merge categories, parents before their subcategories; returns the merged list
+// and a map of server id -> local id. Local parentIds are local ids; rows taken
+// from the server carry parentServerId until every category has a local id.
+async function mergeCategories(localCategories, serverCategories, { skipIds, lastSyncedAt }, summary) {
+  const serverById = new Map(serverCategories.map((c) => [c.id, c]));
+  const depth = (c) => categoryPath(localCategories, c.id).length;
+  const claimed = new Set();
+  const merged = [];
+  const serverIdOf = (localId) => merged.find((c) => c.id === localId)?.serverId ?? null;
+
+  for (let category of [...localCategories].sort((a, b) => depth(a) - depth(b))) {
+    let server = category.serverId != null ? serverById.get(category.serverId) : null;
+
+    if (category.serverId != null && !server) {
+      if (!isModifiedSince(category, lastSyncedAt)) {
+        summary.deletesPulled++;
+        continue;
+      }
+      const { serverId, ...rest } = category;
+      category = rest;
+    }
+
+    // A parent deleted on the server moved its subcategories up a level
+    let parentId = category.parentId ?? null;
+    while (parentId != null && !merged.some((c) => c.id === parentId)) {
+      parentId = localCategories.find((c) => c.id === parentId)?.parentId ?? null;
+    }
+    if (parentId !== (category.parentId ?? null)) category = { ...category, parentId };
+    const parentServerId = category.parentId != null ? serverIdOf(category.parentId) : null;
+    if (category.parentId != null && parentServerId == null) {
+      // Its parent could not be stored, so neither can it
+      merged.push(category);
+      continue;
+    }
+
+    if (!server) {
+      server = serverCategories.find((c) => !claimed.has(c.id) && !skipIds.has(c.id)
+        && (c.parentId ?? null) === parentServerId
+        && c.name.toLowerCase() === category.name.toLowerCase());
+    }
+
+    if (!server) {
+      const result = await saveCategory({ name: category.name, parentId: parentServerId });
+      if (result.success) {
+        merged.push({ ...category, serverId: result.data.id, updatedAt: toISO(result.data.updatedAt) });
+        summary.pushed.categories++;
+      } else {
+        merged.push(category);
+        summary.errors.push(result.message);
+      }
+      continue;
+    }
+
+    claimed.add(server.id);
+    if (server.name === category.name && (server.parentId ?? null) === parentServerId) {
+      merged.push({ ...category, serverId: server.id });
+    } else if (new Date(category.updatedAt || 0) > new Date(server.updatedAt)) {
+      const result = await updateCategory(server.id, { name: category.name, parentId: parentServerId });
+      if (!result.success) summary.errors.push(result.message);
+      else summary.conflicts.push({ name: category.name, resolution: 'Kept local category' });
+      merged.push({ ...category, serverId: server.id });
+    } else {
+      summary.conflicts.push({ name: server.name, resolution: 'Took server category' });
+      merged.push({ ...toLocalCategory(server), id: category.id });
+    }
+  }
+
+  for (const server of serverCategories) {
+    if (claimed.has(server.id) || skipIds.has(server.id)) continue;
+    merged.push(toLocalCategory(server));
+    summary.pulled.categories++;
+  }
+
+  const localIds = new Map(merged.filter((c) => c.serverId != null).map((c) => [c.serverId, c.id]));
+  const categories = merged.map(({ parentServerId, ...category }) => parentServerId === undefined
+    ? category
+    : { ...category, parentId: localIds.get(parentServerId) ?? null });
+  return { categories, localIds };
+}
+
+// Merge one item's purchases or movements with the server copy. A record with
+// an operation still in the outbox (pendingIds) keeps its local values, as the
+// outbox pushes them later. Other records on the server are resolved by
+// `updatedAt`: newer local values are pushed with `update` (when the kind can
+// be edited) and otherwise the server copy is taken, apart from `serverFields`
+// the server alone keeps. Records deleted on the server are dropped unless
+// they were changed locally since the last sync, in which case they are
+// pushed again as new.
+export async function mergeChildren(localList, serverList, {
+  kind,
+  label,
+  skipIds,
+  pendingIds = new Set(),
+  lastSyncedAt = null,
+  toLocal,
+  matches,
+  differs,
+  update = null,
+  serverFields = [],
+  push,
+  canPush = () => true
+}, summary) {
+  const serverById = new Map(serverList.map((r) => [r.id, r]));
+  const claimed = new Set();
+  const merged = [];
+
+  for (let record of localList) {
+    if (record.serverId != null) {
+      const server = serverById.get(record.serverId);
+      if (server) {
+        claimed.add(server.id);
+        const remote = { ...toLocal(server), id: record.id };
+        const serverOwned = Object.fromEntries(serverFields.map((field) => [field, remote[field]]));
+        if (pendingIds.has(record.id)) {
+          merged.push({ ...record, ...serverOwned });
+        } else if (!differs(record, remote)) {
+          merged.push(remote);
+        } else if (update && new Date(record.updatedAt || 0) > new Date(remote.updatedAt || 0)) {
+          const result = await update(record, server.id);
+          if (result.success) {
+            summary.conflicts.push({ name: label, resolution: 'Kept local changes' });
+            merged.push({ ...record, ...serverOwned, updatedAt: toISO(result.data?.updatedAt) || record.updatedAt });
+          } else {
+            summary.errors.push(result.message);
+            merged.push({ ...record, ...serverOwned });
+          }
+        } else {
+          summary.conflicts.push({ name: label, resolution: 'Took server version' });
+          merged.push(remote);
+        }
+        continue;
+      }
+
+      // Deleted on the server since the last sync
+      if (!pendingIds.has(record.id) && !isModifiedSince(record, lastSyncedAt)) {
+        summary.deletesPulled++;
+        continue;
+      }
+      summary.conflicts.push({ name: label, resolution: 'Deleted on server, local changes kept' });
+      const { serverId, ...rest } = record;
+      record = rest;
+    }
+
+    const match = serverList.find((r) => !claimed.has(r.id) && !skipIds.has(r.id) && matches(record, r));
+    if (match) {
+      claimed.add(match.id);
+      merged.push({ ...record, serverId: match.id });
+      continue;
+    }
+
+    if (!canPush(record)) {
+      merged.push(record);
+      continue;
+    }
+
+    const result = await push(record);
+    if (result.success) {
+      merged.push({ ...record, serverId: result.data.id });
+      summary.pushed[kind]++;
+    } else {
+      merged.push(record);
+      summary.errors.push(result.message);
+    }
+  }
+
+  for (const server of serverList) {
+    if (claimed.has(server.id) || skipIds.has(server.id)) continue;
+    merged.push(toLocal(server));
+    summary.pulled[kind]++;
+  }
+
+  return merged;
+}
+
+// Sync local state with the database. Returns the merged state and a summary.
+export async function syncWithDatabase(localState) {
+  const summary = emptySummary();
+
+  try {
+    const lastSyncedAt = localState.lastSyncedAt || null;
+    const replay = await replayOutbox(localState, {
+      force: true,
+      onResult: (entry, result) => {
+        if (!result.success) summary.errors.push(`${entry.label}: ${result.message}`);
+        else if (OUTBOX_DELETE_TYPES.includes(entry.type) && result.data) summary.deletesPushed++;
+      }
+    });
+    const flushed = replay.state;
+    const skipIds = pendingDeletes(flushed.outbox);
+    const pendingIds = pendingRecordIds(flushed.outbox);
+
+    const remoteSuppliers = await getAllSuppliers();
+    if (!remoteSuppliers.success) {
+      return { success: false, data: null, message: remoteSuppliers.message };
+    }
+
+    const { suppliers, localIds: supplierIds } = await mergeSuppliers(flushed.suppliers || [], remoteSuppliers.data, {
+      skipIds: skipIds.supplier,
+      lastSyncedAt
+    }, summary);
+
+    const remoteCategories = await getCategories();
+    if (!remoteCategories.success) {
+      return { success: false, data: null, message: remoteCategories.message };
+    }
+
+    const { categories, localIds: categoryIds } = await mergeCategories(flushed.categories || [], remoteCategories.data, {
+      skipIds: skipIds.category,
+      lastSyncedAt
+    }, summary);
+    const categoryServerIds = new Map([...categoryIds].map(([serverId, localId]) => [localId, serverId]));
+
+    const remoteLocations = await getLocations();
+    if (!remoteLocations.success) {
+      return { success: false, data: null, message: remoteLocations.message };
+    }
+
+    const { locations, localIds: locationIds } = await mergeLocations(flushed.locations || [], remoteLocations.data, {
+      skipIds: skipIds.location,
+      lastSyncedAt
+    }, summary);
+    const locationServerIds = new Map([...locationIds].map(([serverId, localId]) => [localId, serverId]));
+    // Stock at a location that could not be stored waits for the next sync
+    const locationStored = (locationId) => locationId == null || locationServerIds.has(locationId);
+    const serverLocationId = (locationId) => locationServerIds.get(locationId) ?? null;
+
+    const remote = await getAllItems();
+    if (!remote.success) {
+      return { success: false, data: null, message: remote.message };
+    }
+
+    const serverItems = remote.data;
+    const serverById = new Map(serverItems.map((it) => [it.id, it]));
+    const claimed = new Set();
+    const items = [];
+
+    for (let item of flushed.items || []) {
+      let server = item.serverId != null ? serverById.get(item.serverId) : null;
+
+      if (item.serverId != null && !server) {
+        if (!isModifiedSince(item, lastSyncedAt)) {
+          summary.deletesPulled++;
+          continue;
+        }
+        summary.conflicts.push({ name: item.name, resolution: 'Deleted on server, local changes kept' });
+        item = stripServerIds(item);
+      }
+
+      if (!server) {
+        const unclaimed = serverItems.filter((s) => !claimed.has(s.id) && !skipIds.item.has(s.id));
+        server = (item.sku && unclaimed.find((s) => s.sku === item.sku))
+          || unclaimed.find((s) => s.name.toLowerCase() === item.name.trim().toLowerCase());
+      }
+
+      let serverId;
+      let fields = {
+        name: item.name,
+        baseUnit: item.baseUnit || DEFAULT_BASE_UNIT,
+        minStock: item.minStock ?? null,
+        reorderQty: item.reorderQty ?? null,
+        ...toLocalInfo(item),
+        categoryId: categories.some((c) => c.id === item.categoryId) ? item.categoryId : null,
+        tags: item.tags || []
+      };
+      const grouping = () => ({ categoryId: categoryServerIds.get(fields.categoryId) ?? null, tags: fields.tags });
+      let updatedAt = item.updatedAt || null;
+
+      if (server) {
+        claimed.add(server.id);
+        serverId = server.id;
+
+        const nameDiffers = server.name !== item.name;
+        const unitDiffers = server.baseUnit !== fields.baseUnit;
+        const settingsDiffer = reorderSettingsDiffer(item, server);
+        const infoChanged = infoDiffers(fields, server);
+        const groupingChanged = groupingDiffers(fields, server, categoryIds);
+
+        if (nameDiffers || unitDiffers || settingsDiffer || infoChanged || groupingChanged) {
+          if (new Date(item.updatedAt || 0) > new Date(server.updatedAt)) {
+            const results = [];
+            if (nameDiffers) results.push(await updateItemName(server.id, item.name));
+            if (unitDiffers) results.push(await updateItemBaseUnit(server.id, fields.baseUnit));
+            if (settingsDiffer) results.push(await updateItemReorderSettings(server.id, fields));
+            if (infoChanged) results.push(await updateItemInfo(server.id, toLocalInfo(fields)));
+            if (groupingChanged) results.push(await updateItemGrouping(server.id, grouping()));
+            const failed = results.find((r) => !r.success);
+            if (failed) {
+              summary.errors.push(failed.message);
+            } else {
+              updatedAt = toISO(results[results.length - 1].data?.updatedAt) || updatedAt;
+              summary.conflicts.push({ name: item.name, resolution: 'Kept local changes' });
+            }
+          } else {
+            summary.conflicts.push({ name: server.name, resolution: `Took server version over local "${item.name}"` });
+            fields = {
+              name: server.name,
+              baseUnit: server.baseUnit,
+              ...toLocalReorderSettings(server),
+              ...toLocalInfo(server),
+              ...toLocalGrouping(server, categoryIds)
+            };
+            updatedAt = toISO(server.updatedAt);
+          }
+        }
+      } else {
+        const result = await addItem(item.name, fields.baseUnit);
+        if (!result.success) {
+          summary.errors.push(result.message);
+          items.push(item);
+          continue;
+        }
+        serverId = result.data.id;
+        updatedAt = toISO(result.data.updatedAt);
+        summary.pushed.items++;
+
+        if (hasReorderSettings(item)) {
+          const settings = await updateItemReorderSettings(serverId, fields);
+          if (!settings.success) summary.errors.push(settings.message);
+        }
+        if (hasInfo(fields)) {
+          const result = await updateItemInfo(serverId, toLocalInfo(fields));
+          if (!result.success) summary.errors.push(result.message);
+        }
+        if (hasGrouping(fields)) {
+          const result = await updateItemGrouping(serverId, grouping());
+          if (!result.success) summary.errors.push(result.message);
+        }
+      }
+
+      const purchases = await mergeChildren(item.purchases || [], server?.purchases || [], {
+        kind: 'purchases',
+        label: `Purchase of ${fields.name}`,
+        skipIds: skipIds.purchase,
+        pendingIds,
+        lastSyncedAt,
+        toLocal: (p) => toLocalPurchase(p, supplierIds, locationIds),
+        matches: purchaseMatches,
+        differs: purchaseDiffers,
+        update: (p, id) => (locationStored(p.locationId)
+          ? updatePurchase(id, {
+            qty: p.qty,
+            unitPrice: p.unitPrice,
+            unit: p.unit ?? null,
+            unitFactor: p.unitFactor ?? 1,
+            supplier: p.supplier,
+            date: p.date,
+            locationId: serverLocationId(p.locationId),
+            lotCode: p.lotCode ?? null,
+            expiryDate: p.expiryDate ?? null,
+            currency: p.currency ?? null,
+            exchangeRate: p.exchangeRate ?? 1,
+            taxRate: p.taxRate ?? 0,
+            taxInclusive: p.taxInclusive ?? false
+          })
+          : { success: false, message: `The location of a purchase of ${fields.name} has not been stored in the database yet` }),
+        serverFields: ['attachments'],
+        push: (p) => addPurchase(serverId, { ...p, locationId: serverLocationId(p.locationId), clientKey: p.id }),
+        // Receipts against purchase orders are only pushed through the outbox, which links them to their order line
+        canPush: (p) => p.receiptId == null && locationStored(p.locationId)
+      }, summary);
+
+      const movements = await mergeChildren(item.movements || [], server?.stockMovements || [], {
+        kind: 'movements',
+        label: `Stock movement of ${fields.name}`,
+        skipIds: skipIds.movement,
+        pendingIds,
+        lastSyncedAt,
+        toLocal: (m) => toLocalMovement(m, locationIds),
+        matches: movementMatches,
+        differs: movementDiffers,
+        push: (m) => recordStockMovement(serverId, {
+          ...m,
+          locationId: serverLocationId(m.locationId),
+          toLocationId: serverLocationId(m.toLocationId),
+          clientKey: m.id
+        }),
+        canPush: (m) => locationStored(m.locationId) && locationStored(m.toLocationId)
+      }, summary);
+
+      items.push({ ...item, ...fields, serverId, updatedAt, purchases, movements });
+    }
+
+    for (const server of serverItems) {
+      if (claimed.has(server.id) || skipIds.item.has(server.id)) continue;
+      const item = toLocalItem(server, supplierIds, categoryIds, locationIds);
+      items.push(item);
+      summary.pulled.items++;
+      summary.pulled.purchases += item.purchases.length;
+      summary.pulled.movements += item.movements.length;
+    }
+
+    return {
+      success: summary.errors.length === 0,
+      data: {
+        state: pruneOutbox({ ...flushed, locations, categories, suppliers, items, lastSyncedAt: new Date().toISOString() }),
+        summary
+      },
+      message: describeSyncSummary(summary)
+    };
+  } catch (error) {
+    console.error('Error syncing with database:', error);
+    return {
+      success: false,
+      data: null,
+      message: `Failed to sync with database: ${error.message}`
+    };
+  }
+}
+
+// Human readable one-line summary of a sync
+export function describeSyncSummary(summary) {
+  const count = (group) => Object.values(group).reduce((sum, n) => sum + n, 0);
+  const parts = [
+    `pushed ${count(summary.pushed)}`,
+    `pulled ${count(summary.pulled)}`
+  ];
+  if (summary.deletesPushed) parts.push(`deleted ${summary.deletesPushed} on server`);
+  if (summary.deletesPulled) parts.push(`removed ${summary.deletesPulled} deleted on server`);
+  if (summary.conflicts.length) parts.push(`resolved ${summary.conflicts.length} conflicts`);
+  if (summary.errors.length) parts.push(`${summary.errors.length} failed`);
+  return `Sync complete: ${parts.join(', ')}`;
+}
@@ -0,0 +1,147 @@
+import { describe, it, expect, vi } from 'vitest';
+import { mergeChildren } from './sync.js';
+
+vi.mock('../api/client.js');
+
+const LAST_SYNC = '2026-01-02T00:00:00.000Z';
+
+function emptySummary() {
+  return { pushed: { purchases: 0 }, pulled: { purchases: 0 }, deletesPulled: 0, conflicts: [], errors: [] };
+}
+
+// Purchases reduced to a quantity, so only the merge rules are under test
+function options(overrides = {}) {
+  return {
+    kind: 'purchases',
+    label: 'Purchase of Flour',
+    skipIds: new Set(),
+    lastSyncedAt: LAST_SYNC,
+    toLocal: (p) => ({ serverId: p.id, qty: p.qty, attachments: p.attachments || [], updatedAt: p.updatedAt }),
+    matches: () => false,
+    differs: (local, remote) => local.qty !== remote.qty,
+    push: vi.fn(async () => ({ success: true, data: { id: 99 } })),
+    ...overrides
+  };
+}
+
+const server = (qty, updatedAt, extra = {}) => ({ id: 7, qty, updatedAt, ...extra });
+const local = (qty, updatedAt) => ({ id: 'p1', serverId: 7, qty, attachments: [], updatedAt });
+
+describe('mergeChildren', () => {
+  it('keeps a record with a pending outbox entry over a newer server copy', async () => {
+    const summary = emptySummary();
+    const attachment = { serverId: 3, fileName: 'invoice.pdf' };
+
+    const merged = await mergeChildren(
+      [local(5, '2026-01-03T00:00:00.000Z')],
+      [server(2, '2026-01-04T00:00:00.000Z', { attachments: [attachment] })],
+      options({ pendingIds: new Set(['p1']), serverFields: ['attachments'] }),
+      summary
+    );
+
+    expect(merged).toEqual([{ ...local(5, '2026-01-03T00:00:00.000Z'), attachments: [attachment] }]);
+    expect(summary.conflicts).toEqual([]);
+  });
+
+  it('pushes local changes that are newer than the server copy', async () => {
+    const summary = emptySummary();
+    const update = vi.fn(async () => ({ success: true, data: { updatedAt: '2026-01-05T00:00:00.000Z' } }));
+
+    const merged = await mergeChildren(
+      [local(5, '2026-01-04T00:00:00.000Z')],
+      [server(2, '2026-01-03T00:00:00.000Z')],
+      options({ update, serverFields: ['attachments'] }),
+      summary
+    );
+
+    expect(update).toHaveBeenCalledWith(expect.objectContaining({ qty: 5 }), 7);
+    expect(merged).toEqual([local(5, '2026-01-05T00:00:00.000Z')]);
+    expect(summary.conflicts).toEqual([{ name: 'Purchase of Flour', resolution: 'Kept local changes' }]);
+  });
+
+  it('keeps local changes and reports the error when pushing them fails', async () => {
+    const summary = emptySummary();
+    const update = vi.fn(async () => ({ success: false, message: 'Server unavailable' }));
+
+    const merged = await mergeChildren(
+      [local(5, '2026-01-04T00:00:00.000Z')],
+      [server(2, '2026-01-03T00:00:00.000Z')],
+      options({ update }),
+      summary
+    );
+
+    expect(merged).toEqual([local(5, '2026-01-04T00:00:00.000Z')]);
+    expect(summary.errors).toEqual(['Server unavailable']);
+  });
+
+  it('takes the server copy when it is newer', async () => {
+    const summary = emptySummary();
+    const update = vi.fn();
+
+    const merged = await mergeChildren(
+      [local(5, '2026-01-03T00:00:00.000Z')],
+      [server(2, '2026-01-04T00:00:00.000Z')],
+      options({ update }),
+      summary
+    );
+
+    expect(update).not.toHaveBeenCalled();
+    expect(merged).toEqual([local(2, '2026-01-04T00:00:00.000Z')]);
+    expect(summary.conflicts).toEqual([{ name: 'Purchase of Flour', resolution: 'Took server version' }]);
+  });
+
+  it('takes the server copy of kinds that cannot be updated', async () => {
+    const merged = await mergeChildren(
+      [local(5, '2026-01-04T00:00:00.000Z')],
+      [server(2, '2026-01-03T00:00:00.000Z')],
+      options(),
+      emptySummary()
+    );
+
+    expect(merged[0].qty).toBe(2);
+  });
+
+  it('drops a record deleted on the server that was not changed since the last sync', async () => {
+    const summary = emptySummary();
+
+    const merged = await mergeChildren([local(5, '2026-01-01T00:00:00.000Z')], [], options(), summary);
+
+    expect(merged).toEqual([]);
+    expect(summary.deletesPulled).toBe(1);
+  });
+
+  it('pushes a record deleted on the server again when it was changed locally', async () => {
+    const summary = emptySummary();
+    const push = vi.fn(async () => ({ success: true, data: { id: 99 } }));
+
+    const merged = await mergeChildren([local(5, '2026-01-03T00:00:00.000Z')], [], options({ push }), summary);
+
+    expect(push).toHaveBeenCalledWith(expect.not.objectContaining({ serverId: expect.anything() }));
+    expect(merged).toEqual([{ ...local(5, '2026-01-03T00:00:00.000Z'), serverId: 99 }]);
+    expect(summary.deletesPulled).toBe(0);
+    expect(summary.conflicts).toEqual([{ name: 'Purchase of Flour', resolution: 'Deleted on server, local changes kept' }]);
+  });
+
+  it('keeps a record deleted on the server while its edit is still queued', async () => {
+    const summary = emptySummary();
+
+    const merged = await mergeChildren(
+      [local(5, '2026-01-01T00:00:00.000Z')],
+      [],
+      options({ pendingIds: new Set(['p1']) }),
+      summary
+    );
+
+    expect(merged).toHaveLength(1);
+    expect(summary.deletesPulled).toBe(0);
+  });
+
+  it('pulls server records that are not known locally', async () => {
+    const summary = emptySummary();
+
+    const merged = await mergeChildren([], [server(2, '2026-01-03T00:00:00.000Z')], options(), summary);
+
+    expect(merged).toEqual([{ serverId: 7, qty: 2, attachments: [], updatedAt: '2026-01-03T00:00:00.000Z' }]);
+    expect(summary.pulled.purchases).toBe(1);
+  });
+});
@@ -1,7 +1,9 @@
 // Database Setup and Testing Script
 // Run this to test your database connection and perform initial setup
 
+import 'dotenv/config';
 import { checkConnection } from './connection.js';
+import { signUp, runWithSession } from './auth.js';
 import { 
   getAllItems, 
   addItemWithPurchase, 
@@ -10,7 +12,9 @@ import {
   getItemById,
   deletePurchase,
   searchItems,
-  getItemStats
+  getItemStats,
+  recordStockMovement,
+  getOnHandQuantity
 } from './operations.js';
 
 export async function testDatabaseSetup() {
@@ -24,11 +28,30 @@ export async function testDatabaseSetup() {
     console.log('1. Create a Neon database at https://neon.tech/');
     console.log('2. Copy your connection string');
     console.log('3. Create a .env file with DATABASE_URL=your_connection_string');
-    console.log('4. Run the SQL setup script in src/database/setup.sql');
+    console.log('4. Run the database migrations with npm run migrate');
     return false;
   }
   
   console.log('✅ Database connection successful!');
+  
+  // All operations are scoped to an organization, so sign up a test one first
+  const testOrg = await signUp({
+    organizationName: 'Test Organization',
+    email: `test-${Date.now()}@example.com`,
+    password: 'test-password'
+  });
+  
+  if (testOrg.success) {
+    console.log('✅ Created test organization and signed in');
+  } else {
+    console.error('❌ Failed to sign up:', testOrg.message);
+    return false;
+  }
+  
+  return runWithSession(testOrg.data, testOperations);
+}
+
+async function testOperations() {
   console.log('📝 Creating sample data...');
   
   // Test adding items and purchases
@@ -61,6 +84,26 @@ export async function testDatabaseSetup() {
     console.error('❌ Failed to add second purchase:', testItem2.message);
   }
   
+  // Test stock movements
+  const movement = await recordStockMovement(testItem1.data.itemId, {
+    type: 'consumption',
+    qty: 3,
+    note: 'Test consumption',
+    date: new Date().toISOString()
+  });
+  
+  if (movement.success) {
+    console.log('✅ Recorded stock movement successfully');
+  } else {
+    console.error('❌ Failed to record stock movement:', movement.message);
+  }
+  
+  const onHand = await getOnHandQuantity(testItem1.data.itemId);
+  if (onHand.success) {
+    console.log('✅ On-hand calculation working');
+    console.log(`   In stock: ${onHand.data.onHand}`);
+  }
+  
   // Test searching
   const searchResults = await searchItems('Test');
   if (searchResults.success && searchResults.data.length > 0) {
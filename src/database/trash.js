@@ -0,0 +1,188 @@
+import { v4 as uuidv4 } from 'uuid';
+import { enqueue, cancelPending } from './outbox.js';
+import { supplierKey } from './schema.js';
+
+// Local trash bin.
+//
+// Deleting a record moves it out of the state into `state.trash` as
+// { id, entityType, record, itemId, name, deletedAt } and queues the delete,
+// which on the server only sets deletedAt (see schema.js). Restoring puts the
+// record back and queues a restore, or re-queues its adds when it never reached
+// the database. Purging forgets it and deletes it from the database for good.
+// Everything here is pure, so it can run inside a functional setState.
+
+const TRASH_TYPES = {
+  item: { list: 'items', deleteType: 'deleteItem', describe: (name) => name },
+  purchase: { child: 'purchases', deleteType: 'deletePurchase', describe: (name) => `purchase of ${name}` },
+  stock_movement: { child: 'movements', deleteType: 'deleteStockMovement', describe: (name) => `stock movement of ${name}` },
+  supplier: { list: 'suppliers', deleteType: 'deleteSupplier', describe: (name) => `supplier ${name}` },
+  purchase_order: { list: 'orders', deleteType: 'deletePurchaseOrder', describe: () => 'purchase order' }
+};
+
+// Human readable name of a trash entry (local or from the server's getTrash), e.g. "purchase of Flour"
+export function describeTrashEntry(entry) {
+  return TRASH_TYPES[entry.entityType].describe(entry.name || '');
+}
+
+// Deleting a record that exists on the server queues a delete; otherwise its pending adds are dropped
+export function queueDelete(outbox, type, record, label) {
+  if (!record) return outbox || [];
+  if (record.serverId == null) return cancelPending(outbox, record.id);
+  return enqueue(cancelPending(outbox, record.id), type, { serverId: record.serverId }, label);
+}
+
+// Find a local record with the item it belongs to (for purchases and movements)
+function findLocal(state, entityType, id) {
+  const { list, child } = TRASH_TYPES[entityType];
+  if (list) {
+    const record = (state[list] || []).find((r) => r.id === id);
+    return record ? { record, item: entityType === 'item' ? record : null } : null;
+  }
+  for (const item of state.items || []) {
+    const record = (item[child] || []).find((r) => r.id === id);
+    if (record) return { record, item };
+  }
+  return null;
+}
+
+function entryName(entityType, record, item) {
+  if (entityType === 'supplier') return record.name;
+  if (entityType === 'purchase_order') return record.supplier || '';
+  return item.name;
+}
+
+// Move a record to the trash. Returns the new state and the trash entry (null when not found).
+export function trashRecord(state, entityType, id) {
+  const found = findLocal(state, entityType, id);
+  if (!found) return { state, entry: null };
+
+  const { record, item } = found;
+  const { list, child, deleteType } = TRASH_TYPES[entityType];
+  const entry = {
+    id: uuidv4(),
+    entityType,
+    record,
+    itemId: item?.id ?? null,
+    name: entryName(entityType, record, item),
+    deletedAt: new Date().toISOString()
+  };
+
+  const next = { ...state, trash: [...(state.trash || []), entry] };
+  if (list) {
+    next[list] = state[list].filter((r) => r.id !== id);
+  } else {
+    next.items = state.items.map((it) => it.id !== item.id ? it : { ...it, [child]: it[child].filter((r) => r.id !== id) });
+  }
+  if (entityType === 'supplier') {
+    // Purchases keep the supplier name but lose the link
+    next.items = next.items.map((it) => ({
+      ...it,
+      purchases: (it.purchases || []).map((p) => p.supplierId === id ? { ...p, supplierId: null } : p)
+    }));
+  }
+  next.outbox = queueDelete(state.outbox, deleteType, record, `Delete ${describeTrashEntry(entry)}`);
+  return { state: next, entry };
+}
+
+// Why a trash entry cannot be restored into the state right now, or null
+function restoreConflict(state, entry) {
+  const { entityType, record } = entry;
+  if (entityType === 'item') {
+    const existing = (state.items || []).find((it) => it.name.toLowerCase() === record.name.toLowerCase());
+    return existing ? `An item named ${existing.name} already exists` : null;
+  }
+  if (entityType === 'supplier') {
+    const existing = (state.suppliers || []).find((sup) => supplierKey(sup.name) === supplierKey(record.name));
+    return existing ? `A supplier named ${existing.name} already exists` : null;
+  }
+  if (TRASH_TYPES[entityType].child && !(state.items || []).some((it) => it.id === entry.itemId)) {
+    return `${entry.name} is in the trash. Restore the item first.`;
+  }
+  return null;
+}
+
+// Outbox entries that bring a restored record back in the database: a restore
+// for rows the server has, and the adds and edits that were dropped when it was
+// trashed (edited purchases carry an updatedAt)
+function queueRestore(outbox, entry) {
+  const { entityType, record, itemId } = entry;
+  const label = `Restore ${describeTrashEntry(entry)}`;
+  let next = outbox || [];
+  if (record.serverId != null) {
+    next = enqueue(next, 'restoreFromTrash', { entityType, serverId: record.serverId }, label);
+  }
+
+  if (entityType === 'item') {
+    if (record.serverId != null) {
+      next = enqueue(next, 'updateItemName', { itemId: record.id }, label);
+      next = enqueue(next, 'updateItemBaseUnit', { itemId: record.id }, label);
+    }
+    for (const purchase of record.purchases || []) {
+      if (purchase.serverId == null) next = enqueue(next, 'addPurchase', { itemId: record.id, recordId: purchase.id }, label);
+      else if (purchase.updatedAt) next = enqueue(next, 'updatePurchase', { itemId: record.id, recordId: purchase.id }, label);
+    }
+    for (const movement of (record.movements || []).filter((m) => m.serverId == null)) {
+      next = enqueue(next, 'recordStockMovement', { itemId: record.id, recordId: movement.id }, label);
+    }
+    if (record.minStock != null || record.reorderQty != null) {
+      next = enqueue(next, 'updateReorderSettings', { itemId: record.id }, label);
+    }
+    const hasInfo = record.sku || record.barcode || record.description || Object.keys(record.attributes || {}).length > 0;
+    if (record.serverId != null || hasInfo) {
+      next = enqueue(next, 'updateItemInfo', { itemId: record.id }, label);
+    }
+    if (record.categoryId != null || (record.tags || []).length > 0) {
+      next = enqueue(next, 'updateItemGrouping', { itemId: record.id }, label);
+    }
+  } else if (record.serverId == null) {
+    if (entityType === 'purchase') next = enqueue(next, 'addPurchase', { itemId, recordId: record.id }, label);
+    if (entityType === 'stock_movement') next = enqueue(next, 'recordStockMovement', { itemId, recordId: record.id }, label);
+    if (entityType === 'supplier') next = enqueue(next, 'saveSupplier', { supplierId: record.id }, label);
+    if (entityType === 'purchase_order') next = enqueue(next, 'savePurchaseOrder', { orderId: record.id }, label);
+  } else if (entityType === 'purchase' && record.updatedAt) {
+    next = enqueue(next, 'updatePurchase', { itemId, recordId: record.id }, label);
+  }
+  return next;
+}
+
+// Put a trashed record back. Returns the new state, the trash entry (null when
+// the record is not in the trash) and an error when it cannot be restored yet.
+export function restoreRecord(state, entityType, id) {
+  const entry = (state.trash || []).find((t) => t.entityType === entityType && t.record.id === id);
+  if (!entry) return { state, entry: null, error: null };
+  const error = restoreConflict(state, entry);
+  if (error) return { state, entry, error };
+
+  const { record } = entry;
+  const { list, child } = TRASH_TYPES[entityType];
+  const next = { ...state, trash: state.trash.filter((t) => t.id !== entry.id) };
+  if (list) {
+    next[list] = [...(state[list] || []), record];
+  } else {
+    next.items = state.items.map((it) => it.id !== entry.itemId ? it : { ...it, [child]: [...(it[child] || []), record] });
+  }
+  if (entityType === 'supplier') {
+    // Link the purchases that lost it again
+    next.items = next.items.map((it) => ({
+      ...it,
+      purchases: (it.purchases || []).map((p) => p.supplierId == null && supplierKey(p.supplier || '') === supplierKey(record.name)
+        ? { ...p, supplierId: record.id }
+        : p)
+    }));
+  }
+  next.outbox = queueRestore(state.outbox, entry);
+  return { state: next, entry, error: null };
+}
+
+// Delete a trash entry for good, together with trashed purchases and movements
+// of a purged item (the database removes those with it)
+export function purgeRecord(state, trashId) {
+  const entry = (state.trash || []).find((t) => t.id === trashId);
+  if (!entry) return { state, entry: null };
+
+  const purged = (t) => t.id === entry.id || (entry.entityType === 'item' && t.itemId === entry.record.id);
+  const outbox = entry.record.serverId != null
+    ? enqueue(state.outbox, 'purgeFromTrash', { entityType: entry.entityType, serverId: entry.record.serverId }, `Delete ${describeTrashEntry(entry)} forever`)
+    : state.outbox || [];
+  return { state: { ...state, trash: state.trash.filter((t) => !purged(t)), outbox }, entry };
+}
@@ -1,7 +1,18 @@
-import { defineConfig } from 'vite'
+import { defineConfig, loadEnv } from 'vite'
 import react from '@vitejs/plugin-react'
 
 // https://vite.dev/config/
-export default defineConfig({
-  plugins: [react()],
-})
\ No newline at end of file
+export default defineConfig(({ mode }) => {
+  // The API server reads PORT from .env (see .env.example), so the proxy does too
+  const env = loadEnv(mode, process.cwd(), '')
+
+  return {
+    plugins: [react()],
+    server: {
+      // Forward API calls to the API server (npm run server) during development
+      proxy: {
+        '/api': `http://localhost:${env.PORT || 3001}`,
+      },
+    },
+  }
+})